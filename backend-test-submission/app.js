@@ -1,6 +1,5 @@
 // backend-test-submission/app.js
 const express = require('express');
-const mongoose = require('mongoose');
 const path = require('path');
 // Load backend .env variables from the root of backend-test-submission
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
@@ -8,21 +7,36 @@ require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 // Import both the middleware function and the application logger from middlewares/logger.js.
 // This resolves the circular dependency warning.
 const { loggerMiddleware, appLogger } = require('./middlewares/logger');
+const { connectStorage } = require('./repositories');
 
 const app = express();
 
+// --- Proxy Trust ---
+// When running behind a reverse proxy / load balancer, TRUST_PROXY makes req.ip use the
+// client address from X-Forwarded-For. Accepts "true", a hop count (e.g. "1") or a list of
+// trusted addresses/subnets (e.g. "loopback, 10.0.0.0/8"). Leave unset when clients connect directly,
+// otherwise anyone could spoof their IP with the header.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+    if (TRUST_PROXY === 'true') {
+        app.set('trust proxy', true);
+    } else if (/^\d+$/.test(TRUST_PROXY)) {
+        app.set('trust proxy', Number(TRUST_PROXY));
+    } else {
+        app.set('trust proxy', TRUST_PROXY);
+    }
+}
+
 // --- Database Connection ---
 /**
- * Establishes a connection to the MongoDB database.
+ * Connects the storage backend chosen with STORAGE_BACKEND (see repositories/index.js).
  * Logs success or error using the custom application logger.
  */
 const connectDB = async () => {
     try {
-        await mongoose.connect(process.env.MONGO_URI);
-        appLogger.info('MongoDB Connected Successfully');
-        // console.log('MongoDB Connected Successfully'); // Temporary console.log for quick startup check, remove later in production
+        await connectStorage();
     } catch (err) {
-        appLogger.error('MongoDB Connection Error', { error: err.message, stack: err.stack });
+        appLogger.error('Storage Connection Error', { error: err.message, stack: err.stack });
         // console.error('MongoDB Connection Error:', err.message); // Temporary console.error for quick startup check
         process.exit(1); // Exit process with failure if DB connection fails
     }
@@ -33,8 +47,10 @@ const connectDB = async () => {
 // This is important for your frontend to communicate with the backend.
 app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', '*'); // Allow all origins
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    // Let browser clients read the rate limit headers
+    res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After');
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
@@ -42,8 +58,15 @@ app.use((req, res, next) => {
     next();
 });
 
-// Body parser middleware to parse JSON request bodies
-app.use(express.json());
+// Body parser middleware to parse JSON request bodies.
+// The limit is raised from the 100kb default so bulk requests (POST /shorturls/bulk) fit.
+// Imports parse their own body with the higher IMPORT_BODY_LIMIT (see routes/urlRoutes.js), so they are skipped here.
+const jsonParser = express.json({ limit: process.env.JSON_BODY_LIMIT || '2mb' });
+const OWN_BODY_PARSER_PATHS = ['/shorturls/import'];
+app.use((req, res, next) => {
+    const path = req.path.toLowerCase().replace(/\/+$/, '');
+    return OWN_BODY_PARSER_PATHS.includes(path) ? next() : jsonParser(req, res, next);
+});
 
 // Body parser middleware to parse URL-encoded request bodies
 app.use(express.urlencoded({ extended: true }));
@@ -55,14 +78,22 @@ app.use(loggerMiddleware); // Use the middleware function here
 // --- Routes Setup ---
 // Import URL routes
 const urlRoutes = require('./routes/urlRoutes');
-// Mount the URL routes under the '/shorturls' path
+// Mount the URL routes under the '/shorturls' path (API key required)
 app.use('/shorturls', urlRoutes);
+// Import and mount the admin routes (API key management, admin key required)
+const adminRoutes = require('./routes/adminRoutes');
+app.use('/admin', adminRoutes);
 
 // --- Redirect Route (Implicit Requirement for a URL Shortener) ---
 // This route handles the actual redirection from a shortcode to the original URL.
 // It also increments click count and logs click history.
 const urlController = require('./controllers/urlController'); // Import controller for redirect
-app.get('/:shortCode', urlController.redirectToOriginal); // This route will catch any shortcode directly at the root
+// Redirects are rate limited per client IP (RATE_LIMIT_REDIRECT_IP, see middlewares/rateLimit.js)
+const { rateLimit } = require('./middlewares/rateLimit');
+const limitRedirects = rateLimit('redirect', { text: true });
+app.get('/:shortCode', limitRedirects, urlController.redirectToOriginal); // This route will catch any shortcode directly at the root
+// Password form submissions for protected short links (urlencoded body from the HTML form)
+app.post('/:shortCode', limitRedirects, express.urlencoded({ extended: false, limit: '10kb' }), urlController.unlockProtectedUrl);
 
 
 // --- Error Handling Middleware ---
@@ -83,6 +114,12 @@ app.use((err, req, res, next) => {
     // In production, you might remove or configure this differently.
     // console.error('Unhandled Error:', err);
 
+    // Client errors raised by middleware (e.g. a body parser's 413 for an oversized body) keep their
+    // status; their messages are meant for the client.
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ message: err.message });
+    }
+
     // Send a generic 500 Internal Server Error response to the client.
     // Avoid sending sensitive error details to the client in a production environment.
     res.status(500).json({ message: 'An unexpected server error occurred.' });
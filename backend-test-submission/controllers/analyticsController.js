@@ -0,0 +1,104 @@
+// backend-test-submission/controllers/analyticsController.js
+const { appLogger } = require('../middlewares/logger');
+const { parseDateParam } = require('../utils/queryParams');
+const { getOwnerScope } = require('../middlewares/auth');
+const { getLinkKey } = require('../utils/shortDomains');
+const { INTERVALS, truncateDate } = require('../utils/timeBuckets');
+const { getLinkRepository } = require('../repositories');
+const { respondWithErrors } = require('../middlewares/validate');
+
+const DEFAULT_RANGE_MS = 7 * INTERVALS.day; // Default window when "from" is omitted
+const MAX_BUCKETS = 2000; // Upper bound on the number of buckets a single request may produce
+
+/**
+ * @desc Retrieves time-bucketed click analytics for a specific shortened URL
+ * @route GET /shorturls/:shortCode/analytics
+ * @query from, to (ISO dates, default: the last 7 days), interval (hour|day|week, default day),
+ *        includeBots (true to include crawler/link-preview clicks, default false)
+ * @access Private (API key, owner only)
+ */
+exports.getShortUrlAnalytics = async (req, res) => {
+    const { shortCode } = req.params;
+    const { interval = 'day' } = req.query;
+    const includeBots = req.query.includeBots === 'true';
+    appLogger.info('Attempting to retrieve short URL analytics', { shortCode, query: req.query });
+
+    // 1. Resolve the Range (the query was validated by the route, see schemas.analyticsQuery in request-schemas)
+    const to = parseDateParam(req.query.to) || new Date();
+    const from = parseDateParam(req.query.from) || new Date(to.getTime() - DEFAULT_RANGE_MS);
+    if ((to - from) / INTERVALS[interval] > MAX_BUCKETS) {
+        appLogger.warn('Get Short URL Analytics: Range too large for interval', { shortCode, from, to, interval });
+        return respondWithErrors(res, [{
+            field: 'interval',
+            code: 'OUT_OF_RANGE',
+            message: `The requested range produces more than ${MAX_BUCKETS} ${interval} buckets. Use a larger interval or a shorter range.`
+        }]);
+    }
+
+    try {
+        const urlEntry = await getLinkRepository().findByCode(getLinkKey(req), { owner: getOwnerScope(req) });
+
+        // 2. Check if shortCode exists
+        if (!urlEntry) {
+            appLogger.warn('Get Short URL Analytics: Shortcode not found', { shortCode });
+            return res.status(404).json({ message: 'Short URL not found.' });
+        }
+
+        // 3. Check for expiry (TTL index handles actual deletion)
+        if (urlEntry.expiresAt && urlEntry.expiresAt < new Date()) {
+            appLogger.warn('Get Short URL Analytics: Shortcode has expired', { shortCode, expiresAt: urlEntry.expiresAt });
+            return res.status(410).json({ message: 'Short URL has expired.' }); // 410 Gone
+        }
+
+        // 4. Aggregate all breakdowns (see repositories/index.js)
+        const result = await getLinkRepository().aggregateStats(urlEntry, { from, to, interval, includeBots });
+
+        // 5. Fill in empty buckets so charts get a continuous series
+        const countsByBucket = new Map(result.timeseries.map(b => [b.bucket.getTime(), b]));
+        const timeseries = [];
+        for (let t = truncateDate(from, interval); t <= to; t = new Date(t.getTime() + INTERVALS[interval])) {
+            const bucket = countsByBucket.get(t.getTime());
+            timeseries.push({
+                bucket: t.toISOString(),
+                clicks: bucket ? bucket.clicks : 0,
+                uniqueVisitors: bucket ? bucket.uniqueVisitors : 0
+            });
+        }
+
+        const { totals } = result;
+        appLogger.info('Short URL analytics retrieved successfully', { shortCode, interval, clicks: totals.clicks });
+
+        // 6. Respond with Analytics
+        res.status(200).json({
+            shortCode: urlEntry.shortCode,
+            shortDomain: urlEntry.shortDomain,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            interval,
+            totalClicks: totals.clicks,
+            uniqueVisitors: totals.uniqueVisitors,
+            timeseries,
+            includeBots,
+            botClicks: result.botClicks,
+            topReferrers: result.topReferrers.map(r => ({ referrer: r.value, clicks: r.clicks })),
+            topUserAgents: result.topUserAgents.map(u => ({ userAgent: u.value, clicks: u.clicks })),
+            browsers: result.browsers,
+            operatingSystems: result.operatingSystems,
+            deviceTypes: result.deviceTypes,
+            redirectRules: result.redirectRules,
+            referrerCategories: result.referrerCategories,
+            channels: result.channels, // QR code scans ('qr') versus other visits ('link')
+            countries: result.countries.map(c => ({
+                country: c.value,
+                countryName: c.countryName || null,
+                clicks: c.clicks,
+                uniqueVisitors: c.uniqueVisitors
+            })),
+            topCities: result.topCities
+        });
+
+    } catch (error) {
+        appLogger.error('Error retrieving short URL analytics', { error: error.message, stack: error.stack, shortCode });
+        res.status(500).json({ message: 'Server error while retrieving short URL analytics.' });
+    }
+};
@@ -0,0 +1,99 @@
+// backend-test-submission/controllers/apiKeyController.js
+const ApiKey = require('../models/apiKey');
+const { appLogger } = require('../middlewares/logger');
+const { generateApiKey, hashApiKey } = require('../middlewares/auth');
+const { respondWithErrors, fromValidationError } = require('../middlewares/validate');
+
+// Shapes an ApiKey document for responses; the hash is never returned
+const toApiKeyResponse = (apiKey) => ({
+    id: apiKey._id,
+    name: apiKey.name,
+    owner: apiKey.owner,
+    role: apiKey.role,
+    prefix: apiKey.prefix,
+    createdAt: apiKey.createdAt.toISOString(),
+    lastUsedAt: apiKey.lastUsedAt ? apiKey.lastUsedAt.toISOString() : null,
+    revokedAt: apiKey.revokedAt ? apiKey.revokedAt.toISOString() : null
+});
+
+/**
+ * @desc Creates a new API key. The plaintext key is only returned in this response.
+ * @route POST /admin/apikeys
+ * @access Admin
+ */
+exports.createApiKey = async (req, res) => {
+    const { name, owner, role = 'user' } = req.body;
+    appLogger.info('Attempting to create API key', { name, owner, role, createdBy: req.auth.owner });
+
+    // The body was validated by the route (schemas.createApiKey in request-schemas)
+    try {
+        // 1. Generate and store the hashed key
+        const key = generateApiKey();
+        const apiKey = await ApiKey.create({
+            name,
+            owner,
+            role,
+            keyHash: hashApiKey(key),
+            prefix: key.slice(0, 8)
+        });
+
+        appLogger.info('API key created successfully', { keyId: apiKey._id, owner, role });
+
+        // 2. Respond with the key (shown once)
+        res.status(201).json({
+            ...toApiKeyResponse(apiKey),
+            key,
+            message: 'API key created successfully. Store it now; it cannot be retrieved again.'
+        });
+    } catch (error) {
+        appLogger.error('Error creating API key', { error: error.message, stack: error.stack });
+        if (error.name === 'ValidationError') {
+            return respondWithErrors(res, fromValidationError(error));
+        }
+        res.status(500).json({ message: 'Server error while creating API key.' });
+    }
+};
+
+/**
+ * @desc Lists API keys, optionally for a single owner
+ * @route GET /admin/apikeys?owner=
+ * @access Admin
+ */
+exports.listApiKeys = async (req, res) => {
+    const filter = req.query.owner ? { owner: req.query.owner } : {};
+    try {
+        const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+        res.status(200).json(apiKeys.map(toApiKeyResponse));
+    } catch (error) {
+        appLogger.error('Error listing API keys', { error: error.message, stack: error.stack });
+        res.status(500).json({ message: 'Server error while listing API keys.' });
+    }
+};
+
+/**
+ * @desc Revokes an API key. The record is kept for auditing.
+ * @route DELETE /admin/apikeys/:id
+ * @access Admin
+ */
+exports.revokeApiKey = async (req, res) => {
+    const { id } = req.params;
+    appLogger.info('Attempting to revoke API key', { keyId: id, revokedBy: req.auth.owner });
+
+    try {
+        const apiKey = await ApiKey.findById(id);
+        if (!apiKey) {
+            appLogger.warn('Revoke API key: Key not found', { keyId: id });
+            return res.status(404).json({ message: 'API key not found.' });
+        }
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+
+        appLogger.info('API key revoked successfully', { keyId: id, owner: apiKey.owner });
+        res.status(200).json({ ...toApiKeyResponse(apiKey), message: 'API key revoked.' });
+    } catch (error) {
+        appLogger.error('Error revoking API key', { error: error.message, stack: error.stack, keyId: id });
+        res.status(500).json({ message: 'Server error while revoking API key.' });
+    }
+};
@@ -0,0 +1,123 @@
+// backend-test-submission/controllers/domainController.js
+const Domain = require('../models/domain');
+const Url = require('../models/url');
+const { appLogger } = require('../middlewares/logger');
+const { normalizeHostname, clearDomainCache, getDefaultBaseUrl } = require('../utils/shortDomains');
+const { isMongoStorage } = require('../repositories');
+const { respondWithErrors, fromValidationError } = require('../middlewares/validate');
+
+// Shapes a Domain document for responses
+const toDomainResponse = (domain) => ({
+    id: domain._id,
+    hostname: domain.hostname,
+    owner: domain.owner,
+    createdAt: domain.createdAt.toISOString()
+});
+
+/**
+ * @desc Registers a custom short-link domain. DNS for the hostname must point at this service.
+ * @route POST /admin/domains
+ * @body hostname, owner (optional; omit to share the domain with every owner)
+ * @access Admin
+ */
+exports.createDomain = async (req, res) => {
+    const { hostname, owner = null } = req.body;
+    appLogger.info('Attempting to register domain', { hostname, owner, createdBy: req.auth.owner });
+
+    // 1. Normalize Input (the body was validated by the route, see schemas.createDomain in request-schemas)
+    const normalized = normalizeHostname(hostname);
+
+    try {
+        // 2. Check for an existing registration
+        if (await Domain.exists({ hostname: normalized })) {
+            appLogger.warn('Register domain: Domain already registered', { hostname: normalized });
+            return res.status(409).json({ message: 'Domain is already registered.' });
+        }
+
+        // 3. Save and make it resolvable right away
+        const domain = await Domain.create({ hostname: normalized, owner });
+        clearDomainCache();
+
+        appLogger.info('Domain registered successfully', { hostname: normalized, owner });
+        res.status(201).json({ ...toDomainResponse(domain), message: 'Domain registered successfully.' });
+    } catch (error) {
+        appLogger.error('Error registering domain', { error: error.message, stack: error.stack });
+        if (error.name === 'ValidationError') {
+            return respondWithErrors(res, fromValidationError(error));
+        }
+        res.status(500).json({ message: 'Server error while registering domain.' });
+    }
+};
+
+/**
+ * @desc Lists registered custom domains, optionally for a single owner
+ * @route GET /admin/domains?owner=
+ * @access Admin
+ */
+exports.listDomains = async (req, res) => {
+    const filter = req.query.owner ? { owner: req.query.owner } : {};
+    try {
+        const domains = await Domain.find(filter).sort({ hostname: 1 });
+        res.status(200).json(domains.map(toDomainResponse));
+    } catch (error) {
+        appLogger.error('Error listing domains', { error: error.message, stack: error.stack });
+        res.status(500).json({ message: 'Server error while listing domains.' });
+    }
+};
+
+/**
+ * @desc Removes a custom domain. Domains that still have links are kept (409).
+ * @route DELETE /admin/domains/:id
+ * @access Admin
+ */
+exports.deleteDomain = async (req, res) => {
+    const { id } = req.params;
+    appLogger.info('Attempting to remove domain', { domainId: id, removedBy: req.auth.owner });
+
+    try {
+        const domain = await Domain.findById(id);
+        if (!domain) {
+            appLogger.warn('Remove domain: Domain not found', { domainId: id });
+            return res.status(404).json({ message: 'Domain not found.' });
+        }
+        const linkCount = await Url.countDocuments({ shortDomain: domain.hostname });
+        if (linkCount > 0) {
+            appLogger.warn('Remove domain: Domain still has links', { hostname: domain.hostname, linkCount });
+            return res.status(409).json({ message: `Domain still has ${linkCount} short URL(s). Delete them first.` });
+        }
+
+        await Domain.deleteOne({ _id: domain._id });
+        clearDomainCache();
+
+        appLogger.info('Domain removed successfully', { hostname: domain.hostname });
+        res.status(200).json({ ...toDomainResponse(domain), message: 'Domain removed.' });
+    } catch (error) {
+        appLogger.error('Error removing domain', { error: error.message, stack: error.stack, domainId: id });
+        res.status(500).json({ message: 'Server error while removing domain.' });
+    }
+};
+
+/**
+ * @desc Lists the domains the caller can create short URLs on: the default domain first
+ *       (hostname null), then the shared custom domains and the caller's own
+ * @route GET /shorturls/domains
+ * @access Private (API key)
+ */
+exports.listAvailableDomains = async (req, res) => {
+    const filter = req.auth.role === 'admin' ? {} : { owner: { $in: [null, req.auth.owner] } };
+    try {
+        // Custom domains need MongoDB; the other storage backends only serve the default domain
+        const domains = isMongoStorage() ? await Domain.find(filter).sort({ hostname: 1 }) : [];
+        res.status(200).json([
+            { hostname: null, baseUrl: getDefaultBaseUrl(req), default: true },
+            ...domains.map(domain => ({
+                hostname: domain.hostname,
+                baseUrl: `${process.env.CUSTOM_DOMAIN_SCHEME || 'https'}://${domain.hostname}`,
+                default: false
+            }))
+        ]);
+    } catch (error) {
+        appLogger.error('Error listing available domains', { error: error.message, stack: error.stack, owner: req.auth.owner });
+        res.status(500).json({ message: 'Server error while listing domains.' });
+    }
+};
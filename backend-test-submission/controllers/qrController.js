@@ -0,0 +1,52 @@
+// backend-test-submission/controllers/qrController.js
+const { appLogger } = require('../middlewares/logger');
+const { getOwnerScope } = require('../middlewares/auth');
+const { getLinkKey, buildShortUrl } = require('../utils/shortDomains');
+const { getLinkRepository } = require('../repositories');
+const { buildScanUrl, renderQrCode } = require('../utils/qrCodes');
+
+/**
+ * @desc Renders the QR code of a short URL: its fully qualified short URL with the scan marker added,
+ *       so clicks from scans are recorded with channel 'qr' (see utils/qrCodes.js)
+ * @route GET /shorturls/:shortCode/qr
+ * @query format (png|svg, default png), size (64-2048 pixels, default 300),
+ *        margin (0-16 modules, default 4), ecc (L|M|Q|H error correction, default M)
+ * @access Private (API key, owner only)
+ */
+exports.getShortUrlQrCode = async (req, res) => {
+    const { shortCode } = req.params;
+    const { format = 'png', ecc } = req.query;
+    // Validated by the route, see schemas.qrQuery in request-schemas
+    const size = req.query.size === undefined ? undefined : Number(req.query.size);
+    const margin = req.query.margin === undefined ? undefined : Number(req.query.margin);
+
+    try {
+        const urlEntry = await getLinkRepository().findByCode(getLinkKey(req), { owner: getOwnerScope(req) });
+
+        // 1. Check if shortCode exists
+        if (!urlEntry) {
+            appLogger.warn('Get QR Code: Shortcode not found', { shortCode, owner: req.auth.owner });
+            return res.status(404).json({ message: 'Short URL not found.' });
+        }
+
+        // 2. Check for expiry
+        if (urlEntry.expiresAt && urlEntry.expiresAt < new Date()) {
+            appLogger.warn('Get QR Code: Shortcode has expired', { shortCode, expiresAt: urlEntry.expiresAt });
+            return res.status(410).json({ message: 'Short URL has expired.' });
+        }
+
+        // 3. Render the code
+        const scanUrl = buildScanUrl(buildShortUrl(req, urlEntry));
+        const { contentType, body } = await renderQrCode(scanUrl, { format, size, margin, ecc });
+
+        appLogger.info('QR code generated', { shortCode, format, size, ecc });
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `inline; filename="${urlEntry.shortCode}-qr.${format}"`);
+        res.setHeader('X-QR-Content', scanUrl);
+        res.status(200).send(body);
+
+    } catch (error) {
+        appLogger.error('Error generating QR code', { error: error.message, stack: error.stack, shortCode });
+        res.status(500).json({ message: 'Server error while generating QR code.' });
+    }
+};
@@ -0,0 +1,480 @@
+// backend-test-submission/controllers/transferController.js
+// Export and import of links (and optionally their click events), used to move links
+// between environments and to hand click data to analysts.
+const { appLogger } = require('../middlewares/logger');
+const { getOwnerScope } = require('../middlewares/auth');
+const { getLinkRepository } = require('../repositories');
+const { parseDateParam } = require('../utils/queryParams');
+const { validate, schemas, PERMANENT_REDIRECT_TYPES, PERMANENT_REDIRECT_WARNING } = require('request-schemas');
+const { fromValidationError } = require('../middlewares/validate');
+const { normalizeUtm } = require('../utils/urlHelpers');
+const { formatCsvRow, parseCsv } = require('../utils/csv');
+const { normalizeRules } = require('../utils/redirectRules');
+const { normalizeVariants } = require('../utils/variants');
+const { normalizeHostname, canUseDomain } = require('../utils/shortDomains');
+const { getCodeRestriction } = require('../utils/shortCodes');
+const { screenLinkDestinations } = require('../utils/destinationScreening');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+const MAX_IMPORT_ITEMS = 5000;
+const CLICK_INSERT_BATCH_SIZE = 1000;
+
+// Columns of CSV exports. Link exports have one row per link; with includeClicks=true
+// the CSV has one row per click event, prefixed with the link's columns, and a row with empty
+// click columns for each link without clicks. The link's flag is spread over flagReason, flaggedAt and flaggedBy.
+const LINK_CSV_COLUMNS = [
+    'shortCode', 'shortDomain', 'originalUrl', 'createdAt', 'expiresAt', 'activatesAt', 'maxClicks', 'disabled', 'totalClicks',
+    'passwordHash', 'flagReason', 'flaggedAt', 'flaggedBy', 'deletedAt'
+];
+const CLICK_FIELDS = [
+    'timestamp', 'referrer', 'referrerDomain', 'referrerCategory', 'userAgent', 'browser', 'os',
+    'deviceType', 'isBot', 'location', 'country', 'countryName', 'region', 'city', 'ip', 'visitorId',
+    'destination', 'ruleIndex', 'ruleName', 'variant', 'channel'
+];
+const CLICK_CSV_COLUMNS = [...LINK_CSV_COLUMNS, ...CLICK_FIELDS];
+
+// Shapes a Url document for export
+const toExportedLink = (url) => ({
+    shortCode: url.shortCode,
+    shortDomain: url.shortDomain || null,
+    originalUrl: url.originalUrl,
+    createdAt: url.createdAt ? url.createdAt.toISOString() : null,
+    expiresAt: url.expiresAt ? url.expiresAt.toISOString() : null,
+    activatesAt: url.activatesAt ? url.activatesAt.toISOString() : null,
+    maxClicks: url.maxClicks === undefined ? null : url.maxClicks,
+    disabled: Boolean(url.disabled),
+    totalClicks: url.clicks,
+    // Protected, flagged and soft-deleted links are restored as such on import
+    passwordHash: url.passwordHash || null,
+    flag: url.flag
+        ? { reason: url.flag.reason || null, flaggedAt: new Date(url.flag.flaggedAt).toISOString(), flaggedBy: url.flag.flaggedBy || null }
+        : null,
+    deletedAt: url.deletedAt ? url.deletedAt.toISOString() : null,
+    // Not part of LINK_CSV_COLUMNS; only JSON and NDJSON exports carry the redirect settings below
+    rules: url.rules || [],
+    variants: url.variants || [],
+    stickyVariants: Boolean(url.stickyVariants),
+    utm: url.utm || {},
+    forwardQuery: Boolean(url.forwardQuery),
+    preview: Boolean(url.preview),
+    redirectType: url.redirectType || 302,
+    linkHeader: url.linkHeader || null,
+    robotsTag: url.robotsTag || null
+});
+
+// Helper function to build the CSV row of an exported link
+const toLinkCsvRow = (link) => {
+    const flag = link.flag || {};
+    const values = { ...link, flagReason: flag.reason, flaggedAt: flag.flaggedAt, flaggedBy: flag.flaggedBy };
+    return LINK_CSV_COLUMNS.map(column => values[column]);
+};
+
+// Shapes a ClickEvent document for export
+const toExportedClick = (click) => Object.fromEntries(CLICK_FIELDS.map(field => [
+    field,
+    click[field] instanceof Date ? click[field].toISOString() : (click[field] === undefined ? null : click[field])
+]));
+
+// Writes a chunk to the response, waiting for the socket to drain when its buffer is full
+// so large exports never accumulate in memory. Resolves false if the client went away.
+const writeChunk = (res, chunk) => {
+    if (res.destroyed) {
+        return Promise.resolve(false);
+    }
+    if (res.write(chunk)) {
+        return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+        const done = (ok) => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            resolve(ok);
+        };
+        const onDrain = () => done(true);
+        const onClose = () => done(false);
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+};
+
+/**
+ * @desc Streams the caller's links (optionally with their click events) as CSV, JSON or NDJSON
+ * @route GET /shorturls/export
+ * @query format (csv|json|ndjson, default json), includeClicks (true|false),
+ *        createdFrom, createdTo (filter links), clicksFrom, clicksTo (filter click events)
+ * @access Private (API key, only the caller's links)
+ */
+exports.exportShortUrls = async (req, res) => {
+    const { format = 'json' } = req.query;
+    const includeClicks = req.query.includeClicks === 'true';
+    appLogger.info('Attempting to export short URLs', { query: req.query, owner: req.auth.owner });
+
+    // 1. Parse Query Parameters (validated by the route, see schemas.exportQuery in request-schemas)
+    const dates = {
+        createdFrom: parseDateParam(req.query.createdFrom),
+        createdTo: parseDateParam(req.query.createdTo),
+        clicksFrom: parseDateParam(req.query.clicksFrom),
+        clicksTo: parseDateParam(req.query.clicksTo)
+    };
+
+    // 2. Build the Filters (soft-deleted links are exported too, with their deletedAt)
+    const links = getLinkRepository().streamLinks({
+        owner: getOwnerScope(req),
+        createdFrom: dates.createdFrom,
+        createdTo: dates.createdTo,
+        includeDeleted: true
+    });
+    const clicksFor = (url) => getLinkRepository().streamClicks(url, { from: dates.clicksFrom, to: dates.clicksTo });
+
+    // 3. Stream the Export
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const fileName = `shorturls-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    let exportedLinks = 0;
+    let exportedClicks = 0;
+    try {
+        if (format === 'csv') {
+            await writeChunk(res, formatCsvRow(includeClicks ? CLICK_CSV_COLUMNS : LINK_CSV_COLUMNS));
+        } else if (format === 'json') {
+            await writeChunk(res, '[');
+        }
+
+        for await (const url of links) {
+            if (res.destroyed) {
+                break; // The client disconnected
+            }
+            const link = toExportedLink(url);
+
+            if (format === 'csv') {
+                const linkRow = toLinkCsvRow(link);
+                if (!includeClicks) {
+                    if (!await writeChunk(res, formatCsvRow(linkRow))) break;
+                } else {
+                    let linkClicks = 0;
+                    for await (const click of clicksFor(url)) {
+                        const row = toExportedClick(click);
+                        if (!await writeChunk(res, formatCsvRow([...linkRow, ...CLICK_FIELDS.map(f => row[f])]))) break;
+                        linkClicks++;
+                    }
+                    // Links without clicks are exported too, so the file holds every link
+                    if (linkClicks === 0 && !await writeChunk(res, formatCsvRow(linkRow))) break;
+                    exportedClicks += linkClicks;
+                }
+            } else {
+                // JSON/NDJSON: the link object is written open-ended so its click events can be streamed into it
+                const prefix = format === 'json' ? (exportedLinks > 0 ? ',\n' : '\n') : '';
+                let chunk = prefix + JSON.stringify(link);
+                if (includeClicks) {
+                    chunk = `${chunk.slice(0, -1)},"clickEvents":[`;
+                    let first = true;
+                    for await (const click of clicksFor(url)) {
+                        chunk += (first ? '' : ',') + JSON.stringify(toExportedClick(click));
+                        first = false;
+                        exportedClicks++;
+                        if (chunk.length > 64 * 1024) {
+                            if (!await writeChunk(res, chunk)) break;
+                            chunk = '';
+                        }
+                    }
+                    chunk += ']}';
+                }
+                if (format === 'ndjson') {
+                    chunk += '\n';
+                }
+                if (!await writeChunk(res, chunk)) break;
+            }
+            exportedLinks++;
+        }
+
+        if (format === 'json') {
+            await writeChunk(res, '\n]\n');
+        }
+        res.end();
+        appLogger.info('Short URLs exported successfully', { format, includeClicks, exportedLinks, exportedClicks });
+
+    } catch (error) {
+        appLogger.error('Error exporting short URLs', { error: error.message, stack: error.stack, format });
+        // Headers are already sent, so the only way to signal failure is to abort the response
+        res.destroy(error);
+    }
+};
+
+// Helper function to fold the rows of a CSV export with clicks back into one record per link, whose
+// clickEvents come from its rows with a timestamp. CSV cells are strings, so isBot and ruleIndex are converted.
+const groupClickRows = (rows) => {
+    const records = new Map();
+    rows.forEach((row) => {
+        const key = `${row.shortDomain || ''}/${row.shortCode}`;
+        if (!records.has(key)) {
+            const linkColumns = Object.entries(row).filter(([column]) => !CLICK_FIELDS.includes(column));
+            records.set(key, { ...Object.fromEntries(linkColumns), clickEvents: [] });
+        }
+        if (row.timestamp) {
+            const click = {};
+            CLICK_FIELDS.filter(field => row[field] !== undefined && row[field] !== '').forEach((field) => {
+                click[field] = field === 'isBot' ? row[field] === 'true' : (field === 'ruleIndex' ? Number(row[field]) : row[field]);
+            });
+            records.get(key).clickEvents.push(click);
+        }
+    });
+    return [...records.values()];
+};
+
+// Parses the request body of an import into an array of raw records, based on its content type
+const parseImportBody = (req) => {
+    if (req.is('text/csv')) {
+        const rows = parseCsv(String(req.body || ''));
+        // A timestamp column marks an export with clicks (one row per click)
+        return rows.length > 0 && 'timestamp' in rows[0] ? groupClickRows(rows) : rows;
+    }
+    if (req.is('application/x-ndjson')) {
+        return String(req.body || '')
+            .split(/\r?\n/)
+            .filter(line => line.trim())
+            .map((line) => {
+                try {
+                    return JSON.parse(line);
+                } catch (e) {
+                    return { parseError: e.message };
+                }
+            });
+    }
+    if (Array.isArray(req.body)) {
+        return req.body;
+    }
+    return req.body && Array.isArray(req.body.items) ? req.body.items : null;
+};
+
+/**
+ * Express middleware parsing the body of an import into req.importRecords (null when it holds no list),
+ * so the rate limit can charge the import per link before it runs. Must run after the body parsers.
+ */
+exports.parseImportRecords = (req, res, next) => {
+    req.importRecords = parseImportBody(req);
+    next();
+};
+
+// Helper function to build a per-item error result for the import endpoint
+const importError = (index, record, field, code, message) => ({
+    index,
+    shortCode: record && typeof record === 'object' ? record.shortCode : undefined,
+    status: code === 'SHORTCODE_CONFLICT' ? 'conflict' : 'error',
+    error: { field, code, message }
+});
+
+/**
+ * @desc Imports links (and their click events, if present) keeping their shortcodes.
+ *       Accepts the formats produced by the export endpoint: a JSON array (or { items }),
+ *       NDJSON (Content-Type: application/x-ndjson) or CSV (Content-Type: text/csv), with or without clicks.
+ *       Codes that already exist are reported as conflicts and left untouched. Links with a permanent
+ *       redirectType (301/308) need allowPermanentRedirect, on the record or as a query parameter.
+ *       Protected, flagged and soft-deleted links keep their passwordHash, flag and deletedAt.
+ *       The body is parsed by parseImportRecords first.
+ * @route POST /shorturls/import
+ * @access Private (API key); imported links are owned by the caller
+ */
+exports.importShortUrls = async (req, res) => {
+    const records = req.importRecords;
+    if (!records || records.length === 0) {
+        return res.status(400).json({ message: 'Provide a non-empty JSON array, NDJSON or CSV document of links.' });
+    }
+    if (records.length > MAX_IMPORT_ITEMS) {
+        return res.status(400).json({ message: `An import may contain at most ${MAX_IMPORT_ITEMS} links.` });
+    }
+
+    appLogger.info('Attempting to import short URLs', { count: records.length, owner: req.auth.owner });
+    const allowAllPermanent = req.query.allowPermanentRedirect === 'true';
+
+    const now = new Date();
+    const results = new Array(records.length);
+    const pending = [];
+    const seenCodes = new Set();
+
+    // 1. Validate every record with schemas.importRecord (its first problem is reported), then check what the schema cannot
+    records.forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record) || record.parseError) {
+            results[index] = importError(index, record, null, 'INVALID_ITEM', record && record.parseError ? `Invalid JSON: ${record.parseError}` : 'Each item must be an object.');
+            return;
+        }
+        const [problem] = validate(schemas.importRecord, record);
+        if (problem) {
+            results[index] = importError(index, record, problem.field, problem.code, problem.message);
+            return;
+        }
+        const { shortCode } = record;
+        // Links keep their custom domain; an empty value (e.g. a blank CSV cell) means the default domain
+        const shortDomain = record.shortDomain ? normalizeHostname(record.shortDomain) : null;
+        const codeKey = `${shortDomain || ''}/${shortCode}`;
+        const createdAt = record.createdAt ? new Date(record.createdAt) : now;
+        const expiresAt = record.expiresAt ? new Date(record.expiresAt) : null;
+        const activatesAt = record.activatesAt ? new Date(record.activatesAt) : null;
+        // CSV values arrive as strings; an empty cell means no limit
+        const maxClicks = record.maxClicks === undefined || record.maxClicks === null || record.maxClicks === '' ? null : Number(record.maxClicks);
+        const rules = record.rules === undefined || record.rules === null ? { rules: [] } : normalizeRules(record.rules);
+        const utm = record.utm === undefined || record.utm === null ? { utm: {} } : normalizeUtm(record.utm);
+        const variantList = record.variants === undefined || record.variants === null ? { variants: [] } : normalizeVariants(record.variants);
+        const redirectType = record.redirectType === undefined || record.redirectType === null || record.redirectType === '' ? 302 : Number(record.redirectType);
+        // CSV exports spread the flag over three columns
+        const flag = record.flag || (record.flaggedAt
+            ? { reason: record.flagReason || null, flaggedAt: record.flaggedAt, flaggedBy: record.flaggedBy || null }
+            : null);
+        // Permanent redirects need the same opt-in as on create, per record or for the whole import
+        const permanentAllowed = allowAllPermanent || record.allowPermanentRedirect === true || record.allowPermanentRedirect === 'true';
+
+        if (getCodeRestriction(shortCode) === 'reserved') {
+            // Such a link could never be reached; blocklisted words are not re-checked for links that already exist
+            results[index] = importError(index, record, 'shortCode', 'RESERVED_SHORTCODE', `"${shortCode}" is reserved and cannot be used as a shortcode.`);
+        } else if (rules.error) {
+            results[index] = importError(index, record, 'rules', 'INVALID_VALUE', rules.error);
+        } else if (variantList.error) {
+            results[index] = importError(index, record, 'variants', 'INVALID_VALUE', variantList.error);
+        } else if (utm.error) {
+            results[index] = importError(index, record, 'utm', 'INVALID_VALUE', utm.error);
+        } else if (PERMANENT_REDIRECT_TYPES.includes(redirectType) && !permanentAllowed) {
+            results[index] = importError(index, record, 'redirectType', 'INVALID_COMBINATION',
+                `${PERMANENT_REDIRECT_WARNING} Set allowPermanentRedirect to true, on the record or as a query parameter of the import, to use redirectType ${redirectType}.`);
+        } else if (expiresAt && expiresAt <= now) {
+            results[index] = importError(index, record, 'expiresAt', 'EXPIRED', 'The link has already expired.');
+        } else if (seenCodes.has(codeKey)) {
+            results[index] = importError(index, record, 'shortCode', 'DUPLICATE_IN_BATCH', 'Shortcode appears more than once in this import.');
+        } else {
+            seenCodes.add(codeKey);
+            pending.push({ index, record, shortDomain, codeKey, createdAt, expiresAt, activatesAt, maxClicks, rules: rules.rules, variants: variantList.variants, utm: utm.utm, redirectType, flag });
+        }
+    });
+
+    try {
+        // 2. Report codes that already exist on the same domain as conflicts (checked with one query per domain)
+        const takenCodes = new Set();
+        for (const shortDomain of new Set(pending.map(p => p.shortDomain))) {
+            const codes = pending.filter(p => p.shortDomain === shortDomain).map(p => p.record.shortCode);
+            (await getLinkRepository().findTakenCodes(shortDomain, codes)).forEach(code => takenCodes.add(`${shortDomain || ''}/${code}`));
+        }
+        // Custom domains must be registered and available to the caller
+        const usableDomains = new Map();
+        for (const hostname of new Set(pending.map(p => p.shortDomain).filter(Boolean))) {
+            usableDomains.set(hostname, await canUseDomain(req.auth, hostname));
+        }
+
+        const toInsert = [];
+        for (const p of pending) {
+            if (p.shortDomain && !usableDomains.get(p.shortDomain)) {
+                results[p.index] = importError(p.index, p.record, 'shortDomain', 'DOMAIN_UNAVAILABLE', 'shortDomain is not a registered domain available to you.');
+                continue;
+            }
+            if (takenCodes.has(p.codeKey)) {
+                results[p.index] = importError(p.index, p.record, 'shortCode', 'SHORTCODE_CONFLICT', 'Shortcode already exists.');
+                continue;
+            }
+            // Imported destinations are screened like new ones (see utils/destinationScreening.js)
+            const [screeningProblem] = await screenLinkDestinations(req, { url: p.record.originalUrl, rules: p.rules, variants: p.variants });
+            if (screeningProblem) {
+                const field = screeningProblem.field === 'url' ? 'originalUrl' : screeningProblem.field;
+                results[p.index] = importError(p.index, p.record, field, screeningProblem.code, screeningProblem.message);
+                continue;
+            }
+            const clickEvents = Array.isArray(p.record.clickEvents) ? p.record.clickEvents : [];
+            const totalClicks = Number(p.record.totalClicks);
+            try {
+                const doc = await getLinkRepository().build({
+                    originalUrl: p.record.originalUrl,
+                    shortCode: p.record.shortCode,
+                    shortDomain: p.shortDomain,
+                    owner: req.auth.owner,
+                    createdAt: p.createdAt,
+                    expiresAt: p.expiresAt,
+                    activatesAt: p.activatesAt,
+                    maxClicks: p.maxClicks,
+                    rules: p.rules,
+                    variants: p.variants,
+                    stickyVariants: p.record.stickyVariants === true || p.record.stickyVariants === 'true',
+                    utm: p.utm,
+                    forwardQuery: p.record.forwardQuery === true || p.record.forwardQuery === 'true',
+                    preview: p.record.preview === true || p.record.preview === 'true',
+                    redirectType: p.redirectType,
+                    linkHeader: p.record.linkHeader || null,
+                    robotsTag: p.record.robotsTag || null,
+                    disabled: p.record.disabled === true || p.record.disabled === 'true',
+                    passwordHash: p.record.passwordHash || null,
+                    flag: p.flag,
+                    deletedAt: p.record.deletedAt ? new Date(p.record.deletedAt) : null,
+                    clicks: Number.isInteger(totalClicks) && totalClicks >= 0 ? totalClicks : clickEvents.filter(c => !c.isBot).length
+                });
+                toInsert.push({ ...p, doc, clickEvents });
+            } catch (validationError) {
+                const [problem] = fromValidationError(validationError);
+                results[p.index] = importError(p.index, p.record, problem.field, 'VALIDATION_FAILED', problem.message);
+            }
+        }
+
+        // 3. Insert the links in one unordered batch
+        const failedInserts = await getLinkRepository().createMany(toInsert.map(p => p.doc));
+
+        // 4. Recreate the click events of the links that were imported
+        let importedClicks = 0;
+        let clickBatch = [];
+        const flushClicks = async () => {
+            if (clickBatch.length > 0) {
+                await getLinkRepository().insertEvents(clickBatch);
+                importedClicks += clickBatch.length;
+                clickBatch = [];
+            }
+        };
+        for (const [i, p] of toInsert.entries()) {
+            const writeError = failedInserts.get(i);
+            if (writeError) {
+                results[p.index] = writeError.code === 11000
+                    ? importError(p.index, p.record, 'shortCode', 'SHORTCODE_CONFLICT', 'Shortcode already exists.')
+                    : importError(p.index, p.record, null, 'SAVE_FAILED', 'Failed to save short URL.');
+                continue;
+            }
+            for (const click of p.clickEvents) {
+                const event = { shortCode: p.doc.shortCode, url: p.doc._id };
+                CLICK_FIELDS.forEach((field) => {
+                    if (click[field] !== undefined && click[field] !== null) {
+                        event[field] = click[field];
+                    }
+                });
+                // Timestamps arrive as ISO strings; revived here, since bulk inserts may skip casting
+                event.timestamp = event.timestamp ? new Date(event.timestamp) : new Date();
+                clickBatch.push(event);
+                if (clickBatch.length >= CLICK_INSERT_BATCH_SIZE) {
+                    await flushClicks();
+                }
+            }
+            results[p.index] = {
+                index: p.index,
+                shortCode: p.doc.shortCode,
+                shortDomain: p.doc.shortDomain,
+                status: 'imported',
+                clickEvents: p.clickEvents.length,
+                warnings: PERMANENT_REDIRECT_TYPES.includes(p.redirectType) ? [PERMANENT_REDIRECT_WARNING] : []
+            };
+        }
+        await flushClicks();
+
+        const count = (status) => results.filter(r => r.status === status).length;
+        const summary = {
+            total: records.length,
+            imported: count('imported'),
+            conflicts: count('conflict'),
+            failed: count('error'),
+            importedClicks
+        };
+        appLogger.info('Short URL import finished', summary);
+
+        // 5. Respond with per-item results, in input order
+        res.status(200).json({ ...summary, results });
+
+    } catch (error) {
+        appLogger.error('Error importing short URLs', { error: error.message, stack: error.stack, count: records.length });
+        res.status(500).json({ message: 'Server error while importing short URLs.' });
+    }
+};
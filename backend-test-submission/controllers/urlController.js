@@ -1,89 +1,321 @@
 // backend-test-submission/controllers/urlController.js
-const Url = require('../models/url');
-const { nanoid } = require('nanoid'); // For generating unique short codes (version 3.x.x)
+const crypto = require('crypto');
 // Import the application logger directly from the middleware setup file.
 // This resolves the circular dependency with app.js.
 const { appLogger } = require('../middlewares/logger');
+const pagination = require('../utils/pagination');
+const { parseDateParam } = require('../utils/queryParams');
+const { classifyClick } = require('../utils/clickClassifier');
+const geoip = require('../utils/geoip');
+const { getOwnerScope } = require('../middlewares/auth');
+const { getLinkRepository } = require('../repositories');
+const { validate, schemas, PERMANENT_REDIRECT_TYPES, PERMANENT_REDIRECT_WARNING } = require('request-schemas');
+const { respondWithErrors, fromValidationError } = require('../middlewares/validate');
+const { UTM_FIELDS, calculateExpiry, normalizeUtm, buildDestinationUrl } = require('../utils/urlHelpers');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { renderPasswordPage } = require('../views/passwordPage');
+const { renderWarningPage } = require('../views/warningPage');
+const { renderPreviewPage } = require('../views/previewPage');
+const { normalizeRules, selectRule, toPlatform, parseAcceptLanguage } = require('../utils/redirectRules');
+const variants = require('../utils/variants');
+const { normalizeHostname, resolveRequestDomain, buildShortUrl, parseShortDomainParam, getLinkKey, canUseDomain } = require('../utils/shortDomains');
+const { checkCustomCode, generateShortCode, generateShortCodes } = require('../utils/shortCodes');
+const { findRedirectEntry, invalidateRedirectEntry } = require('../utils/redirectCache');
+const clickBuffer = require('../utils/clickBuffer');
+const { screenLinkDestinations } = require('../utils/destinationScreening');
+const { isQrScan, stripScanMarker } = require('../utils/qrCodes');
 
-// Helper function to validate URL format (more robust than schema regex for user input)
-const isValidUrl = (url) => {
-    try {
-        new URL(url);
+// Failed password attempts allowed per visitor IP and link within the window, before further attempts are refused
+const MAX_PASSWORD_ATTEMPTS = Number(process.env.MAX_PASSWORD_ATTEMPTS) || 5;
+const PASSWORD_ATTEMPT_WINDOW_MINUTES = Number(process.env.PASSWORD_ATTEMPT_WINDOW_MINUTES) || 15;
+// How long browsers and proxies may cache a permanent (301/308) redirect
+const PERMANENT_REDIRECT_MAX_AGE_SECONDS = Number(process.env.PERMANENT_REDIRECT_MAX_AGE_SECONDS) || 86400;
+
+// Helper function to shape a stored redirect rule for responses (drops empty conditions)
+const toRuleResponse = (rule) => {
+    const conditions = {};
+    const stored = rule.conditions || {};
+    ['platforms', 'countries', 'languages'].forEach(key => {
+        if (stored[key] && stored[key].length > 0) conditions[key] = [...stored[key]];
+    });
+    if (stored.timeOfDay && stored.timeOfDay.from) {
+        conditions.timeOfDay = { from: stored.timeOfDay.from, to: stored.timeOfDay.to, timezone: stored.timeOfDay.timezone };
+    }
+    if (stored.query && stored.query.param) {
+        conditions.query = { param: stored.query.param, values: [...(stored.query.values || [])] };
+    }
+    return { name: rule.name || null, destination: rule.destination, conditions };
+};
+
+// Helper function to shape a stored A/B variant for responses
+const toVariantResponse = (variant) => ({ name: variant.name, destination: variant.destination, weight: variant.weight });
+
+// Helper function to shape a link's UTM fields for responses
+const toUtmResponse = (utm) => Object.fromEntries(Object.keys(UTM_FIELDS).map(field => [field, (utm && utm[field]) || null]));
+
+// Helper function to shape a link's admin flag for responses
+const toFlagResponse = (flag) => (flag
+    ? { reason: flag.reason || null, flaggedAt: new Date(flag.flaggedAt).toISOString(), flaggedBy: flag.flaggedBy || null }
+    : null);
+
+// Helper function to report an input problem found by a controller rather than the request schema
+const invalidField = (field, message) => ({ field, code: 'INVALID_VALUE', message });
+
+// Reported when a link is requested on a custom domain the caller may not use
+const DOMAIN_UNAVAILABLE = { field: 'shortDomain', code: 'DOMAIN_UNAVAILABLE', message: 'shortDomain is not a registered domain available to you.' };
+
+// Key of the visitor id HMAC. A plain hash of IP and user agent could be brute-forced back to the IP, so ids
+// are keyed with a server secret; without VISITOR_ID_SECRET a random one is used and ids change on restart.
+const VISITOR_ID_SECRET = process.env.VISITOR_ID_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.VISITOR_ID_SECRET) {
+    appLogger.warn('Config: VISITOR_ID_SECRET is not set, visitor ids will change on restart');
+}
+
+// Helper function to derive an anonymous, stable visitor id from the visitor's IP (as stored, so already
+// anonymized when ANONYMIZE_IP=true) and user agent
+const getVisitorId = (req, ip) => crypto
+    .createHmac('sha256', VISITOR_ID_SECRET)
+    .update(`${ip}|${req.headers['user-agent'] || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+
+// Helper function to return the raw query string of a request, including the leading '?', or ''
+const getQueryString = (req) => {
+    const index = req.originalUrl.indexOf('?');
+    return index === -1 ? '' : req.originalUrl.slice(index);
+};
+
+// Helper function to build the final redirect URL: the chosen destination plus the link's UTM fields
+// and, for links with forwardQuery, the query parameters of the request (without the QR scan marker)
+const toRedirectLocation = (req, urlEntry, destination) => buildDestinationUrl(destination, {
+    utm: urlEntry.utm,
+    queryString: stripScanMarker(getQueryString(req)),
+    forwardQuery: urlEntry.forwardQuery
+});
+
+// Helper function to set the caching and per-link headers of a redirect. Temporary redirects must never be
+// cached, so every visit reaches the shortener and is counted; permanent ones may be, for a bounded time.
+const setRedirectHeaders = (res, urlEntry, status) => {
+    res.setHeader('Cache-Control', PERMANENT_REDIRECT_TYPES.includes(status)
+        ? `public, max-age=${PERMANENT_REDIRECT_MAX_AGE_SECONDS}`
+        : 'private, no-store');
+    if (urlEntry.linkHeader) {
+        res.setHeader('Link', urlEntry.linkHeader);
+    }
+    if (urlEntry.robotsTag) {
+        res.setHeader('X-Robots-Tag', urlEntry.robotsTag);
+    }
+};
+
+// Helper function to return the warnings about a link's settings that are included in responses
+const getLinkWarnings = (urlEntry) => (PERMANENT_REDIRECT_TYPES.includes(urlEntry.redirectType) ? [PERMANENT_REDIRECT_WARNING] : []);
+
+// Helper function to build the ClickEvent fields describing the visitor of a request
+const describeVisitor = async (req) => {
+    // req.ip honours X-Forwarded-For only when the app is configured to trust the proxy (TRUST_PROXY)
+    const ip = geoip.normalizeIp(req.ip);
+    const geo = await geoip.lookupIp(ip);
+    const storedIp = process.env.ANONYMIZE_IP === 'true' ? geoip.anonymizeIp(ip) : ip;
+    return {
+        location: geoip.formatLocation(geo),
+        ...geo,
+        ip: storedIp,
+        visitorId: getVisitorId(req, storedIp),
+        channel: isQrScan(req) ? 'qr' : 'link',
+        ...classifyClick(req)
+    };
+};
+
+// Helper function to return the variant a visitor was given before on a sticky link, if it still exists
+const getRememberedVariant = (req, urlEntry) => {
+    if (!urlEntry.stickyVariants) {
+        return null;
+    }
+    const remembered = variants.parseCookies(req.headers.cookie)[variants.variantCookieName(urlEntry.shortCode)];
+    return urlEntry.variants.find(v => v.name === remembered) || null;
+};
+
+// Helper function to pick the A/B variant for a request, reusing (and refreshing) the visitor's
+// remembered variant for sticky links as long as it still exists
+const chooseVariant = (req, res, urlEntry) => {
+    const variant = getRememberedVariant(req, urlEntry) || variants.pickVariant(urlEntry.variants);
+    if (urlEntry.stickyVariants) {
+        res.cookie(variants.variantCookieName(urlEntry.shortCode), variant.name, {
+            path: `/${urlEntry.shortCode}`,
+            maxAge: variants.STICKY_COOKIE_MAX_AGE_MS,
+            httpOnly: true,
+            sameSite: 'lax'
+        });
+    }
+    return variant;
+};
+
+// Helper function to pick the destination for a request, applying the link's redirect rules in order.
+// When no rule matches, links with A/B variants send the visitor to a weighted variant, others to originalUrl.
+// HEAD requests are not visits: they get a sticky visitor's remembered variant, or else originalUrl,
+// without drawing a variant or setting the cookie.
+// Returns the destination, which rule chose it (ruleIndex null means no rule matched) and the variant served.
+const resolveDestination = (req, res, urlEntry, visitor) => {
+    const ruleIndex = selectRule(urlEntry.rules, {
+        platform: toPlatform(visitor),
+        country: visitor.country || null,
+        languages: parseAcceptLanguage(req.headers['accept-language']),
+        query: req.query,
+        now: new Date()
+    });
+    if (ruleIndex !== -1) {
+        const rule = urlEntry.rules[ruleIndex];
+        return { destination: rule.destination, ruleIndex, ruleName: rule.name || `Rule ${ruleIndex + 1}`, variant: null };
+    }
+    if (urlEntry.variants && urlEntry.variants.length > 0) {
+        const variant = req.method === 'HEAD' ? getRememberedVariant(req, urlEntry) : chooseVariant(req, res, urlEntry);
+        if (variant) {
+            return { destination: variant.destination, ruleIndex: null, ruleName: null, variant: variant.name };
+        }
+    }
+    return { destination: urlEntry.originalUrl, ruleIndex: null, ruleName: null, variant: null };
+};
+
+// Helper function to record a click on a short URL, given the visitor and redirect details of the click.
+// The click is stored as its own event and the click count is incremented atomically,
+// so concurrent clicks never overwrite each other. Bots and link-preview fetchers
+// are recorded but only counted when COUNT_BOT_CLICKS=true.
+// For links with maxClicks the increment only matches while clicks < maxClicks, so concurrent
+// clicks can never go over the limit. Returns false (recording nothing) if the limit was reached.
+// Clicks on links without a limit are buffered and written in batches (see utils/clickBuffer.js).
+const recordClick = async (urlEntry, details) => {
+    const countClick = !details.isBot || process.env.COUNT_BOT_CLICKS === 'true';
+    if (!urlEntry.maxClicks && clickBuffer.isEnabled()) {
+        clickBuffer.bufferClick({
+            shortCode: urlEntry.shortCode,
+            url: urlEntry._id,
+            eventType: 'click',
+            timestamp: new Date(),
+            ...details
+        }, countClick);
         return true;
-    } catch (e) {
-        return false;
     }
+    return getLinkRepository().recordClick(urlEntry, {
+        shortCode: urlEntry.shortCode,
+        url: urlEntry._id,
+        eventType: 'click',
+        timestamp: new Date(),
+        ...details
+    }, countClick);
+};
+
+// Response for a link whose click limit was reached, shared by the checks before and while recording a click
+const CLICK_LIMIT_REACHED = { status: 410, message: 'Short URL has reached its click limit.', reason: 'over its click limit' };
+
+// Helper function returning why a short URL cannot be followed right now, or null if it can
+const getRedirectBlocker = (urlEntry) => {
+    if (urlEntry.deletedAt) {
+        return { status: 410, message: 'Short URL has been deleted.', reason: 'deleted' };
+    }
+    if (urlEntry.expiresAt && urlEntry.expiresAt < new Date()) {
+        return { status: 410, message: 'Short URL has expired.', reason: 'expired' };
+    }
+    if (urlEntry.disabled) {
+        return { status: 410, message: 'Short URL is disabled.', reason: 'disabled' };
+    }
+    if (urlEntry.activatesAt && urlEntry.activatesAt > new Date()) {
+        return { status: 403, message: `Short URL is not yet active. It activates at ${urlEntry.activatesAt.toISOString()}.`, reason: 'not yet active' };
+    }
+    if (urlEntry.maxClicks && urlEntry.clicks >= urlEntry.maxClicks) {
+        return CLICK_LIMIT_REACHED;
+    }
+    return null;
 };
 
-// Helper function to calculate expiry date
-const calculateExpiry = (validityMinutes) => {
-    if (validityMinutes && validityMinutes > 0) {
-        const expiryDate = new Date();
-        expiryDate.setMinutes(expiryDate.getMinutes() + validityMinutes);
-        return expiryDate;
+// Helper function to save a new link, drawing a fresh generated code when the current one was taken in the
+// meantime (by a concurrent request, or by a custom code when the generator skips collision lookups)
+const saveWithGeneratedCode = async (fields, retries = 3) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await getLinkRepository().create(fields);
+        } catch (error) {
+            const code = error.code === 11000 && attempt < retries
+                ? await generateShortCode({ shortDomain: fields.shortDomain })
+                : null;
+            if (!code) {
+                throw error;
+            }
+            fields.shortCode = code;
+        }
     }
-    return null; // No expiry if validity is 0, null, or undefined
 };
 
+// Helper function to record an audit entry for a change made through the API
+const recordAudit = (req, urlEntry, action, changes = []) => getLinkRepository().recordAudit({
+    shortCode: urlEntry.shortCode,
+    url: urlEntry._id,
+    action,
+    actor: { owner: req.auth.owner, keyId: req.auth.keyId },
+    changes
+});
+
 /**
- * @desc Creates a new shortened URL
+ * @desc Creates a new shortened URL, owned by the caller
  * @route POST /shorturls
- * @access Public
+ * @access Private (API key)
  */
 exports.createShortUrl = async (req, res) => {
-    const { url: originalUrl, validity, shortcode: customShortCode } = req.body;
+    const { url: originalUrl, validity, shortcode: customShortCode, password, maxClicks, activatesAt, rules, variants: variantList, stickyVariants, utm, forwardQuery, preview, redirectType, linkHeader, robotsTag, shortDomain: requestedDomain } = req.body;
 
-    appLogger.info('Attempting to create short URL', { originalUrl, validity, customShortCode });
+    appLogger.info('Attempting to create short URL', { originalUrl, validity, customShortCode, shortDomain: requestedDomain, maxClicks, activatesAt, passwordProtected: Boolean(password) });
 
-    // 1. Validate Input
-    if (!originalUrl) {
-        appLogger.warn('Create Short URL: Missing original URL', { body: req.body });
-        return res.status(400).json({ message: 'Original URL is required.' });
+    // 1. Check the parts of the input the request schema cannot (see schemas.createShortUrl in request-schemas)
+    const normalizedRules = rules === undefined ? { rules: [] } : normalizeRules(rules);
+    if (normalizedRules.error) {
+        appLogger.warn('Create Short URL: Invalid redirect rules', { error: normalizedRules.error });
+        return respondWithErrors(res, [invalidField('rules', normalizedRules.error)]);
+    }
+    const normalizedVariants = variantList === undefined ? { variants: [] } : variants.normalizeVariants(variantList);
+    if (normalizedVariants.error) {
+        appLogger.warn('Create Short URL: Invalid A/B variants', { error: normalizedVariants.error });
+        return respondWithErrors(res, [invalidField('variants', normalizedVariants.error)]);
     }
-    if (!isValidUrl(originalUrl)) {
-        appLogger.warn('Create Short URL: Invalid URL format', { originalUrl });
-        return res.status(400).json({ message: 'Invalid URL format.' });
+    const normalizedUtm = utm === undefined ? { utm: {} } : normalizeUtm(utm);
+    if (normalizedUtm.error) {
+        appLogger.warn('Create Short URL: Invalid UTM fields', { error: normalizedUtm.error });
+        return respondWithErrors(res, [invalidField('utm', normalizedUtm.error)]);
     }
-    // Check if validity is provided and if it's a number and positive
-    if (validity !== undefined && (typeof validity !== 'number' || validity <= 0)) {
-        appLogger.warn('Create Short URL: Invalid validity period', { validity });
-        return res.status(400).json({ message: 'Validity must be a positive integer in minutes.' });
+    // Links go on the default domain unless a registered custom domain is given
+    const shortDomain = requestedDomain === undefined || requestedDomain === null ? null : normalizeHostname(requestedDomain);
+    // Custom codes must not be a reserved or blocked word (their format was checked by the schema)
+    const customCodeProblem = customShortCode ? checkCustomCode(customShortCode) : null;
+    if (customCodeProblem) {
+        appLogger.warn('Create Short URL: Custom shortcode not allowed', { customShortCode, reason: customCodeProblem.code });
+        return respondWithErrors(res, [{ field: 'shortcode', ...customCodeProblem }]);
     }
 
     try {
+        // Every destination must pass screening (see utils/destinationScreening.js)
+        const screeningProblems = await screenLinkDestinations(req, { url: originalUrl, rules: normalizedRules.rules, variants: normalizedVariants.variants });
+        if (screeningProblems.length > 0) {
+            return respondWithErrors(res, screeningProblems);
+        }
+        if (shortDomain && !(await canUseDomain(req.auth, shortDomain))) {
+            appLogger.warn('Create Short URL: Domain not available', { shortDomain, owner: req.auth.owner });
+            return respondWithErrors(res, [DOMAIN_UNAVAILABLE]);
+        }
+
         let shortCodeToUse = customShortCode;
 
         // 2. Handle Custom Shortcode
         if (customShortCode) {
             // Check if custom shortcode already exists
-            const existingUrl = await Url.findOne({ shortCode: customShortCode });
+            const existingUrl = await getLinkRepository().findByCode({ shortCode: customShortCode, shortDomain }, { includeDeleted: true });
             if (existingUrl) {
                 appLogger.warn('Create Short URL: Custom shortcode already in use', { customShortCode });
                 return res.status(409).json({ message: 'Custom shortcode is already in use.' }); // 409 Conflict
             }
-            // Basic validation for custom shortcode format (alphanumeric, 5-10 chars)
-            if (!/^[a-zA-Z0-9]{5,10}$/.test(customShortCode)) {
-                appLogger.warn('Create Short URL: Invalid custom shortcode format', { customShortCode });
-                return res.status(400).json({ message: 'Custom shortcode must be 5-10 alphanumeric characters.' });
-            }
         } else {
-            // 3. Generate Unique Shortcode if not provided
-            let uniqueCodeFound = false;
-            let attempts = 0;
-            const MAX_ATTEMPTS = 5; // Prevent infinite loops for extremely rare collisions
-
-            while (!uniqueCodeFound && attempts < MAX_ATTEMPTS) {
-                shortCodeToUse = nanoid(5); // Generate a 5-character short code
-                const existing = await Url.findOne({ shortCode: shortCodeToUse });
-                if (!existing) {
-                    uniqueCodeFound = true;
-                }
-                attempts++;
-            }
-
-            if (!uniqueCodeFound) {
-                appLogger.error('Create Short URL: Failed to generate a unique shortcode', { attempts });
-                return res.status(500).json({ message: 'Failed to generate a unique shortcode. Please try again.' });
+            // 3. Generate a free shortcode with the configured strategy (see utils/shortCodes.js)
+            shortCodeToUse = await generateShortCode({ shortDomain });
+            if (!shortCodeToUse) {
+                appLogger.error('Create Short URL: Failed to generate a unique shortcode', { shortDomain });
+                return res.status(503).json({ message: 'Failed to generate a unique shortcode. Please try again.' });
             }
         }
 
@@ -91,20 +323,53 @@ exports.createShortUrl = async (req, res) => {
         const expiresAt = calculateExpiry(validity || 30);
 
         // 5. Save to Database
-        const newUrl = new Url({
+        const fields = {
             originalUrl,
             shortCode: shortCodeToUse,
+            shortDomain,
+            owner: req.auth.owner,
+            passwordHash: password ? await hashPassword(password) : null,
+            maxClicks: maxClicks === undefined ? null : maxClicks,
+            activatesAt: activatesAt === undefined ? null : new Date(activatesAt),
+            rules: normalizedRules.rules,
+            variants: normalizedVariants.variants,
+            stickyVariants: stickyVariants === true,
+            utm: normalizedUtm.utm,
+            forwardQuery: forwardQuery === true,
+            preview: preview === true,
+            redirectType: redirectType === undefined ? 302 : redirectType,
+            linkHeader: linkHeader === undefined ? null : linkHeader,
+            robotsTag: robotsTag === undefined ? null : robotsTag,
             expiresAt
-        });
+        };
 
-        const savedUrl = await newUrl.save();
+        const savedUrl = customShortCode ? await getLinkRepository().create(fields) : await saveWithGeneratedCode(fields);
         appLogger.info('Short URL created successfully', { shortCode: savedUrl.shortCode, originalUrl: savedUrl.originalUrl, expiry: savedUrl.expiresAt });
+        const warnings = getLinkWarnings(savedUrl);
+        if (warnings.length > 0) {
+            appLogger.warn('Create Short URL: Permanent redirect enabled', { shortCode: savedUrl.shortCode, redirectType: savedUrl.redirectType, owner: req.auth.owner });
+        }
 
         // 6. Respond with Success (Status Code: 201)
         res.status(201).json({
             shortCode: savedUrl.shortCode,
+            shortDomain: savedUrl.shortDomain,
+            shortUrl: buildShortUrl(req, savedUrl),
             originalUrl: savedUrl.originalUrl,
             expiry: savedUrl.expiresAt ? savedUrl.expiresAt.toISOString() : null, // ISO 8601 format
+            activatesAt: savedUrl.activatesAt ? savedUrl.activatesAt.toISOString() : null,
+            maxClicks: savedUrl.maxClicks,
+            rules: savedUrl.rules.map(toRuleResponse),
+            variants: savedUrl.variants.map(toVariantResponse),
+            stickyVariants: savedUrl.stickyVariants,
+            utm: toUtmResponse(savedUrl.utm),
+            forwardQuery: savedUrl.forwardQuery,
+            preview: savedUrl.preview,
+            redirectType: savedUrl.redirectType,
+            linkHeader: savedUrl.linkHeader,
+            robotsTag: savedUrl.robotsTag,
+            passwordProtected: Boolean(savedUrl.passwordHash),
+            warnings,
             message: 'Short URL created successfully.'
         });
 
@@ -112,27 +377,215 @@ exports.createShortUrl = async (req, res) => {
         appLogger.error('Error creating short URL', { error: error.message, stack: error.stack, body: req.body });
         // Handle Mongoose validation errors specifically
         if (error.name === 'ValidationError') {
-            return res.status(400).json({ message: error.message });
+            return respondWithErrors(res, fromValidationError(error));
+        }
+        // The shortcode was taken by a concurrent request
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Shortcode is already in use.' });
         }
         res.status(500).json({ message: 'Server error while creating short URL.' });
     }
 };
 
+// Helper function to build a per-item error result for the bulk endpoint
+const bulkError = (index, item, field, code, message) => ({
+    index,
+    url: item && typeof item === 'object' ? item.url : undefined,
+    status: 'error',
+    error: { field, code, message }
+});
+
+/**
+ * @desc Creates many shortened URLs in one request, reporting a result per item
+ * @route POST /shorturls/bulk
+ * @body { items: [{ url, validity?, shortcode?, maxClicks?, activatesAt? }, ...], shortDomain? } (up to MAX_BULK_ITEMS)
+ * @access Private (API key)
+ */
+exports.createShortUrlsBulk = async (req, res) => {
+    const { items, shortDomain: requestedDomain } = req.body;
+    const shortDomain = requestedDomain === undefined || requestedDomain === null ? null : normalizeHostname(requestedDomain);
+
+    appLogger.info('Attempting to create short URLs in bulk', { count: items.length, owner: req.auth.owner });
+
+    const results = new Array(items.length);
+    const pending = []; // { index, item } for items that passed validation
+
+    // 1. Validate every item with schemas.bulkItem (its first problem is reported), then check custom codes against the reserved words, the blocklist and the rest of the batch
+    const seenCustomCodes = new Set();
+    items.forEach((item, index) => {
+        const [problem] = item && typeof item === 'object' && !Array.isArray(item)
+            ? validate(schemas.bulkItem, item)
+            : [{ field: null, code: 'INVALID_ITEM', message: 'Each item must be an object.' }];
+        const customCodeProblem = !problem && item.shortcode ? checkCustomCode(item.shortcode) : null;
+        if (problem) {
+            results[index] = bulkError(index, item, problem.field, problem.code, problem.message);
+        } else if (customCodeProblem) {
+            results[index] = bulkError(index, item, 'shortcode', customCodeProblem.code, customCodeProblem.message);
+        } else if (item.shortcode && seenCustomCodes.has(item.shortcode)) {
+            results[index] = bulkError(index, item, 'shortcode', 'DUPLICATE_IN_BATCH', 'Custom shortcode appears more than once in this request.');
+        } else {
+            if (item.shortcode) {
+                seenCustomCodes.add(item.shortcode);
+            }
+            pending.push({ index, item });
+        }
+    });
+
+    try {
+        if (shortDomain && !(await canUseDomain(req.auth, shortDomain))) {
+            appLogger.warn('Bulk Create: Domain not available', { shortDomain, owner: req.auth.owner });
+            return respondWithErrors(res, [DOMAIN_UNAVAILABLE]);
+        }
+
+        // 2. Screen the destinations (see utils/destinationScreening.js), then check all custom shortcodes against the database in one query
+        for (let i = pending.length - 1; i >= 0; i--) {
+            const { index, item } = pending[i];
+            const [problem] = await screenLinkDestinations(req, { url: item.url });
+            if (problem) {
+                results[index] = bulkError(index, item, problem.field, problem.code, problem.message);
+                pending.splice(i, 1);
+                seenCustomCodes.delete(item.shortcode);
+            }
+        }
+        if (seenCustomCodes.size > 0) {
+            const takenCodes = await getLinkRepository().findTakenCodes(shortDomain, [...seenCustomCodes]);
+            for (let i = pending.length - 1; i >= 0; i--) {
+                const { index, item } = pending[i];
+                if (item.shortcode && takenCodes.has(item.shortcode)) {
+                    results[index] = bulkError(index, item, 'shortcode', 'SHORTCODE_CONFLICT', 'Custom shortcode is already in use.');
+                    pending.splice(i, 1);
+                }
+            }
+        }
+
+        // 3. Generate codes for the remaining items (each round of candidates is checked with a single query)
+        const needCodes = pending.filter(p => !p.item.shortcode);
+        const generatedCodes = needCodes.length > 0
+            ? await generateShortCodes(needCodes.length, { shortDomain, exclude: seenCustomCodes })
+            : [];
+        needCodes.forEach((p, i) => {
+            p.shortCode = generatedCodes[i];
+        });
+        const failedGeneration = new Set(needCodes.filter(p => !p.shortCode));
+        failedGeneration.forEach(p => {
+            results[p.index] = bulkError(p.index, p.item, null, 'GENERATION_FAILED', 'Failed to generate a unique shortcode. Please try again.');
+        });
+
+        // 4. Build and validate the documents (runs the schema validators and hooks)
+        const toInsert = [];
+        for (const p of pending) {
+            if (failedGeneration.has(p)) continue;
+            try {
+                const doc = await getLinkRepository().build({
+                    originalUrl: p.item.url,
+                    shortCode: p.item.shortcode || p.shortCode,
+                    shortDomain,
+                    owner: req.auth.owner,
+                    maxClicks: p.item.maxClicks === undefined ? null : p.item.maxClicks,
+                    activatesAt: p.item.activatesAt === undefined ? null : new Date(p.item.activatesAt),
+                    expiresAt: calculateExpiry(p.item.validity || 30)
+                });
+                toInsert.push({ ...p, doc });
+            } catch (validationError) {
+                const [problem] = fromValidationError(validationError);
+                results[p.index] = bulkError(p.index, p.item, problem.field, 'VALIDATION_FAILED', problem.message);
+            }
+        }
+
+        // 5. Insert everything in one unordered batch; a failing item does not stop the others
+        const failedInserts = await getLinkRepository().createMany(toInsert.map(p => p.doc));
+        toInsert.forEach((p, i) => {
+            const writeError = failedInserts.get(i);
+            if (writeError) {
+                // A custom or generated code was taken concurrently between the check and the insert
+                results[p.index] = writeError.code === 11000
+                    ? bulkError(p.index, p.item, 'shortcode', 'SHORTCODE_CONFLICT', 'Shortcode is already in use.')
+                    : bulkError(p.index, p.item, null, 'SAVE_FAILED', 'Failed to save short URL.');
+                return;
+            }
+            results[p.index] = {
+                index: p.index,
+                url: p.item.url,
+                status: 'created',
+                shortCode: p.doc.shortCode,
+                shortUrl: buildShortUrl(req, p.doc),
+                originalUrl: p.doc.originalUrl,
+                expiry: p.doc.expiresAt ? p.doc.expiresAt.toISOString() : null,
+                activatesAt: p.doc.activatesAt ? p.doc.activatesAt.toISOString() : null,
+                maxClicks: p.doc.maxClicks
+            };
+        });
+
+        const created = results.filter(r => r.status === 'created').length;
+        appLogger.info('Bulk short URL creation finished', { total: items.length, created, failed: items.length - created });
+
+        // 6. Respond with per-item results, in request order
+        res.status(200).json({
+            total: items.length,
+            created,
+            failed: items.length - created,
+            results
+        });
+
+    } catch (error) {
+        appLogger.error('Error creating short URLs in bulk', { error: error.message, stack: error.stack, count: items.length });
+        res.status(500).json({ message: 'Server error while creating short URLs.' });
+    }
+};
+
+// Helper function to count the clicks per A/B variant of a link, with each variant's share of them.
+// Bot clicks are left out unless they are counted (COUNT_BOT_CLICKS), matching Url.clicks.
+const getVariantBreakdown = async (urlEntry) => {
+    const counts = await getLinkRepository().variantStats(urlEntry, { includeBots: process.env.COUNT_BOT_CLICKS === 'true' });
+    const byName = new Map(counts.map(c => [c.variant, c]));
+    const totalClicks = counts.reduce((sum, c) => sum + c.clicks, 0);
+    const toEntry = (name, destination, weight) => {
+        const count = byName.get(name);
+        const clicks = count ? count.clicks : 0;
+        return {
+            name,
+            destination,
+            weight,
+            clicks,
+            uniqueVisitors: count ? count.uniqueVisitors : 0,
+            share: totalClicks > 0 ? Math.round((clicks / totalClicks) * 1000) / 10 : 0 // percent, one decimal
+        };
+    };
+    const configured = urlEntry.variants.map(v => toEntry(v.name, v.destination, v.weight));
+    const removed = counts
+        .filter(c => !urlEntry.variants.some(v => v.name === c.variant))
+        .map(c => toEntry(c.variant, null, 0));
+    return [...configured, ...removed];
+};
+
 /**
  * @desc Retrieves usage statistics for a specific shortened URL
  * @route GET /shorturls/:shortCode
- * @access Public
+ * @query historyLimit (1-100, default 20), historyCursor (from a previous response)
+ * @access Private (API key, owner only)
  */
 exports.getShortUrlStats = async (req, res) => {
     const { shortCode } = req.params;
+    const { historyCursor } = req.query;
     appLogger.info('Attempting to retrieve short URL stats', { shortCode });
 
+    // Click history is returned newest first, one bounded page at a time
+    const historyLimit = pagination.parseLimit(req.query.historyLimit);
+    let cursor = null;
+    if (historyCursor) {
+        cursor = pagination.decodeCursor(historyCursor, 'date');
+        if (!cursor) {
+            return respondWithErrors(res, [invalidField('historyCursor', 'Invalid click history cursor.')]);
+        }
+    }
+
     try {
-        const urlEntry = await Url.findOne({ shortCode });
+        // Links owned by someone else are reported as not found, so their existence isn't revealed
+        const urlEntry = await getLinkRepository().findByCode(getLinkKey(req), { owner: getOwnerScope(req) });
 
         // 1. Check if shortCode exists
         if (!urlEntry) {
-            appLogger.warn('Get Short URL Stats: Shortcode not found', { shortCode });
+            appLogger.warn('Get Short URL Stats: Shortcode not found', { shortCode, owner: req.auth.owner });
             return res.status(404).json({ message: 'Short URL not found.' });
         }
 
@@ -144,20 +597,63 @@ exports.getShortUrlStats = async (req, res) => {
             return res.status(410).json({ message: 'Short URL has expired.' }); // 410 Gone
         }
 
+        // 3. Fetch one page of click history from the click-event collection
+        const clicks = await getLinkRepository().listClicks(urlEntry, { limit: historyLimit + 1, cursor });
+        const hasMoreHistory = clicks.length > historyLimit;
+        const historyPage = hasMoreHistory ? clicks.slice(0, historyLimit) : clicks;
+        const lastClick = historyPage[historyPage.length - 1];
+
+        // 4. Break clicks down per A/B variant, including variants that have since been removed
+        const variantBreakdown = await getVariantBreakdown(urlEntry);
+
         appLogger.info('Short URL stats retrieved successfully', { shortCode, clicks: urlEntry.clicks });
 
-        // 3. Respond with Statistics
+        // 5. Respond with Statistics
         res.status(200).json({
             shortCode: urlEntry.shortCode,
+            shortDomain: urlEntry.shortDomain,
+            shortUrl: buildShortUrl(req, urlEntry),
             originalUrl: urlEntry.originalUrl,
             createdAt: urlEntry.createdAt.toISOString(),
             expiresAt: urlEntry.expiresAt ? urlEntry.expiresAt.toISOString() : null,
+            activatesAt: urlEntry.activatesAt ? urlEntry.activatesAt.toISOString() : null,
+            maxClicks: urlEntry.maxClicks,
+            rules: urlEntry.rules.map(toRuleResponse),
+            stickyVariants: urlEntry.stickyVariants,
+            variants: variantBreakdown,
+            utm: toUtmResponse(urlEntry.utm),
+            forwardQuery: urlEntry.forwardQuery,
+            preview: urlEntry.preview,
+            redirectType: urlEntry.redirectType,
+            linkHeader: urlEntry.linkHeader,
+            robotsTag: urlEntry.robotsTag,
+            disabled: urlEntry.disabled,
+            flag: toFlagResponse(urlEntry.flag),
+            passwordProtected: Boolean(urlEntry.passwordHash),
+            warnings: getLinkWarnings(urlEntry),
             totalClicks: urlEntry.clicks,
-            clickHistory: urlEntry.clickHistory.map(click => ({
+            clickHistory: historyPage.map(click => ({
                 timestamp: click.timestamp.toISOString(),
-                source: click.source,
-                location: click.location
-            }))
+                referrer: click.referrer,
+                referrerCategory: click.referrerCategory,
+                userAgent: click.userAgent,
+                browser: click.browser,
+                os: click.os,
+                deviceType: click.deviceType,
+                isBot: click.isBot,
+                destination: click.destination,
+                rule: click.ruleName,
+                variant: click.variant,
+                channel: click.channel || 'link',
+                location: click.location,
+                country: click.country,
+                city: click.city,
+                ip: click.ip
+            })),
+            clickHistoryPagination: {
+                limit: historyLimit,
+                nextCursor: hasMoreHistory ? pagination.encodeCursor(lastClick.timestamp, lastClick._id) : null
+            }
         });
 
     } catch (error) {
@@ -167,70 +663,614 @@ exports.getShortUrlStats = async (req, res) => {
 };
 
 /**
- * @desc Redirects to the original URL and records click
- * @route GET /:shortCode (This is a root-level route, not under /shorturls)
+ * @desc Redirects to the original URL and records click. Links with the preview option, and any link
+ *       requested with a '+' suffix, show a preview page instead (not counted as a click).
+ *       The redirect uses the link's redirectType (302 by default) with matching Cache-Control, plus its
+ *       Link and X-Robots-Tag headers. HEAD requests get the same response without a click being recorded.
+ * @route GET /:shortCode and GET /:shortCode+ (This is a root-level route, not under /shorturls; HEAD is answered by the GET route)
  * @access Public
  * This is an implicit requirement for a URL shortener to function.
  */
 exports.redirectToOriginal = async (req, res) => {
-    const { shortCode } = req.params;
+    // '+' is never part of a shortcode, so a trailing one is the preview suffix
+    const previewRequested = req.params.shortCode.endsWith('+');
+    const shortCode = previewRequested ? req.params.shortCode.slice(0, -1) : req.params.shortCode;
     appLogger.info('Attempting to redirect short URL', { shortCode, ip: req.ip, userAgent: req.headers['user-agent'] });
 
     try {
-        const urlEntry = await Url.findOne({ shortCode });
+        // Codes are looked up in the namespace of the domain the request was addressed to
+        const urlEntry = await findRedirectEntry({ shortCode, shortDomain: await resolveRequestDomain(req) });
 
         if (!urlEntry) {
             appLogger.warn('Redirect: Shortcode not found', { shortCode });
             return res.status(404).send('Short URL not found.'); // Standard 404 for redirects
         }
 
-        if (urlEntry.expiresAt && urlEntry.expiresAt < new Date()) {
-            appLogger.warn('Redirect: Shortcode has expired', { shortCode, expiresAt: urlEntry.expiresAt });
-            return res.status(410).send('Short URL has expired.');
+        const blocker = getRedirectBlocker(urlEntry);
+        if (blocker) {
+            appLogger.warn(`Redirect: Shortcode is ${blocker.reason}`, { shortCode });
+            return res.status(blocker.status).send(blocker.message);
         }
 
-        // Increment click count and add to history
-        urlEntry.clicks += 1;
-        urlEntry.clickHistory.push({
-            timestamp: new Date(),
-            source: req.headers['referer'] || req.headers['user-agent'] || 'Direct/Unknown',
-            location: req.ip // A very coarse "location" (IP address), for real geo-location, you'd use a service.
-        });
-        await urlEntry.save(); // Save the updated entry with new click data
+        // The preview page lets visitors inspect the link first; the click is recorded once they continue.
+        // Its click count comes from the redirect cache, so it can lag slightly behind.
+        if (previewRequested || urlEntry.preview) {
+            appLogger.info('Redirect: Showing preview', { shortCode, requested: previewRequested });
+            return res.status(200).type('html').send(renderPreviewPage({ link: urlEntry, search: getQueryString(req) }));
+        }
+
+        // Flagged links show a warning instead; the click is recorded once the visitor continues
+        if (urlEntry.flag) {
+            appLogger.warn('Redirect: Link is flagged, showing warning', { shortCode, reason: urlEntry.flag.reason });
+            return res.status(200).type('html').send(renderWarningPage({
+                shortCode,
+                destination: urlEntry.originalUrl,
+                reason: urlEntry.flag.reason,
+                search: getQueryString(req)
+            }));
+        }
+
+        // Protected links show a password form instead; the click is recorded once it is unlocked
+        if (urlEntry.passwordHash) {
+            appLogger.info('Redirect: Password required', { shortCode });
+            return res.status(200).type('html').send(renderPasswordPage({ shortCode, search: getQueryString(req) }));
+        }
+
+        const visitor = await describeVisitor(req);
+        const target = resolveDestination(req, res, urlEntry, visitor);
+        const status = urlEntry.redirectType || 302;
+        setRedirectHeaders(res, urlEntry, status);
 
-        appLogger.info('Redirect successful', { shortCode, originalUrl: urlEntry.originalUrl });
-        res.redirect(urlEntry.originalUrl); // Perform the HTTP 302 redirect
+        // HEAD requests (link checkers, unfurlers) see where the link goes, but are not clicks
+        if (req.method === 'HEAD') {
+            appLogger.info('Redirect: HEAD request, click not recorded', { shortCode, destination: target.destination });
+            return res.redirect(status, toRedirectLocation(req, urlEntry, target.destination));
+        }
+
+        if (!(await recordClick(urlEntry, { ...visitor, ...target }))) {
+            appLogger.warn('Redirect: Click limit reached', { shortCode, maxClicks: urlEntry.maxClicks });
+            return res.status(CLICK_LIMIT_REACHED.status).send(CLICK_LIMIT_REACHED.message);
+        }
+
+        appLogger.info('Redirect successful', { shortCode, destination: target.destination, rule: target.ruleName, variant: target.variant, status });
+        res.redirect(status, toRedirectLocation(req, urlEntry, target.destination));
 
     } catch (error) {
         appLogger.error('Error during redirect', { error: error.message, stack: error.stack, shortCode });
         res.status(500).send('Server error during redirect.');
     }
 };
-// backend-test-submission/controllers/urlController.js
-// ... (existing code) ...
 
 /**
- * @desc Retrieves a list of all shortened URLs (without detailed click history)
- * @route GET /shorturls
+ * @desc Continues to the destination of a short URL that shows a page first: checks the password of a
+ *       protected link and/or takes the visitor's confirmation from a preview page (form field
+ *       acknowledged=preview) or a flagged link's warning (acknowledged=flagged), then records the click and redirects.
+ *       Failed password attempts are recorded as 'password_failed' events and limited per visitor IP.
+ * @route POST /:shortCode (form fields: password, acknowledged)
  * @access Public
  */
+exports.unlockProtectedUrl = async (req, res) => {
+    const { shortCode } = req.params;
+    const password = req.body ? req.body.password : undefined;
+    // The page the visitor continued from, if any
+    const acknowledged = req.body && ['preview', 'flagged'].includes(req.body.acknowledged) ? req.body.acknowledged : null;
+
+    try {
+        // Codes are looked up in the namespace of the domain the request was addressed to
+        const urlEntry = await findRedirectEntry({ shortCode, shortDomain: await resolveRequestDomain(req) });
+        if (!urlEntry) {
+            return res.status(404).send('Short URL not found.');
+        }
+
+        const blocker = getRedirectBlocker(urlEntry);
+        if (blocker) {
+            return res.status(blocker.status).send(blocker.message);
+        }
+        if (!urlEntry.passwordHash && !urlEntry.flag && acknowledged !== 'preview') {
+            return res.redirect(303, `/${encodeURIComponent(shortCode)}${getQueryString(req)}`);
+        }
+
+        // 1. Flagged links need the visitor to confirm the warning first
+        if (urlEntry.flag && acknowledged !== 'flagged') {
+            return res.status(200).type('html').send(renderWarningPage({
+                shortCode,
+                destination: urlEntry.originalUrl,
+                reason: urlEntry.flag.reason,
+                search: getQueryString(req)
+            }));
+        }
+
+        const visitor = await describeVisitor(req);
+        if (urlEntry.passwordHash) {
+            // Coming from the preview or warning page: ask for the password, without counting a failed attempt
+            if (password === undefined && acknowledged) {
+                return res.status(200).type('html').send(renderPasswordPage({ shortCode, search: getQueryString(req), acknowledged }));
+            }
+
+            // 2. Refuse further attempts once the visitor has failed too often recently
+            const windowStart = new Date(Date.now() - PASSWORD_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+            const recentFailures = await getLinkRepository().countEvents({
+                url: urlEntry._id,
+                eventType: 'password_failed',
+                ip: visitor.ip,
+                since: windowStart
+            });
+            if (recentFailures >= MAX_PASSWORD_ATTEMPTS) {
+                appLogger.warn('Unlock: Too many failed password attempts', { shortCode, ip: visitor.ip, recentFailures });
+                res.setHeader('Retry-After', String(PASSWORD_ATTEMPT_WINDOW_MINUTES * 60));
+                return res.status(429).type('html').send(renderPasswordPage({
+                    shortCode,
+                    search: getQueryString(req),
+                    error: 'Too many incorrect attempts. Please try again later.',
+                    locked: true,
+                    acknowledged
+                }));
+            }
+
+            // 3. Check the password
+            if (typeof password !== 'string' || !(await verifyPassword(password, urlEntry.passwordHash))) {
+                await getLinkRepository().insertEvents([{
+                    shortCode,
+                    url: urlEntry._id,
+                    eventType: 'password_failed',
+                    timestamp: new Date(),
+                    ...visitor
+                }]);
+                appLogger.warn('Unlock: Incorrect password', { shortCode, ip: visitor.ip, attempt: recentFailures + 1 });
+                return res.status(401).type('html').send(renderPasswordPage({ shortCode, search: getQueryString(req), error: 'Incorrect password.', acknowledged }));
+            }
+        }
+
+        // 4. Record the click and redirect (303 so the browser follows with a GET, never cached)
+        const target = resolveDestination(req, res, urlEntry, visitor);
+        if (!(await recordClick(urlEntry, { ...visitor, ...target }))) {
+            appLogger.warn('Unlock: Click limit reached', { shortCode, maxClicks: urlEntry.maxClicks });
+            return res.status(CLICK_LIMIT_REACHED.status).send(CLICK_LIMIT_REACHED.message);
+        }
+        appLogger.info(urlEntry.passwordHash ? 'Redirect successful (password verified)' : `Redirect successful (continued from the ${acknowledged} page)`, {
+            shortCode,
+            destination: target.destination,
+            rule: target.ruleName,
+            variant: target.variant
+        });
+        setRedirectHeaders(res, urlEntry, 303);
+        res.redirect(303, toRedirectLocation(req, urlEntry, target.destination));
+
+    } catch (error) {
+        appLogger.error('Error unlocking protected short URL', { error: error.message, stack: error.stack, shortCode });
+        res.status(500).send('Server error during redirect.');
+    }
+};
+
+// Sortable fields for the listing endpoint, mapped to how their cursor values are revived
+const LIST_SORT_FIELDS = {
+    createdAt: 'date',
+    clicks: 'number',
+    expiresAt: 'date'
+};
+
+/**
+ * @desc Retrieves a page of shortened URLs (without detailed click history)
+ * @route GET /shorturls
+ * @query limit (1-100, default 20), sortBy (createdAt|clicks|expiresAt), order (asc|desc),
+ *        status (active|expired|scheduled; disabled links are never active), domain (destination hostname, exact), shortDomain (hostname or "default"),
+ *        createdFrom, createdTo, q (search), after / before (cursors from a previous response)
+ * @access Private (API key, only the caller's links)
+ */
 exports.getAllShortUrls = async (req, res) => {
-    appLogger.info('Attempting to retrieve list of all short URLs');
+    const {
+        sortBy = 'createdAt',
+        order = 'desc',
+        status,
+        domain,
+        shortDomain,
+        createdFrom,
+        createdTo,
+        q,
+        after,
+        before
+    } = req.query;
+
+    appLogger.info('Attempting to retrieve list of short URLs', { query: req.query });
+
+    // 1. Parse Query Parameters (validated by the route, see schemas.listQuery in request-schemas)
+    const limit = pagination.parseLimit(req.query.limit);
+    const fromDate = parseDateParam(createdFrom);
+    const toDate = parseDateParam(createdTo);
+
+    const valueType = LIST_SORT_FIELDS[sortBy];
+    let cursor = null;
+    if (after || before) {
+        cursor = pagination.decodeCursor(after || before, valueType);
+        if (!cursor) {
+            return respondWithErrors(res, [invalidField(after ? 'after' : 'before', 'Invalid pagination cursor.')]);
+        }
+    }
+
+    // 2. Apply the Cursor
+    // Paging backwards ("before") runs the query in the reverse sort order and flips the result.
+    const direction = order === 'asc' ? 1 : -1;
+    const queryDirection = before ? -direction : direction;
+
     try {
-        // Fetch only necessary fields for the list view
-        const urls = await Url.find({}, 'shortCode originalUrl createdAt expiresAt clicks');
-        appLogger.info('Retrieved list of all short URLs', { count: urls.length });
-        res.status(200).json(urls.map(url => ({
-            shortCode: url.shortCode,
-            originalUrl: url.originalUrl,
-            createdAt: url.createdAt.toISOString(),
-            expiresAt: url.expiresAt ? url.expiresAt.toISOString() : null,
-            totalClicks: url.clicks // Include totalClicks for the list view
-        })));
+        const { total, links: docs } = await getLinkRepository().list({
+            owner: getOwnerScope(req),
+            status,
+            domain: normalizeHostname(domain) || undefined,
+            // The short domain the links are issued on; "default" selects links on the default domain
+            shortDomain: parseShortDomainParam(shortDomain),
+            createdFrom: fromDate,
+            createdTo: toDate,
+            q,
+            sortBy,
+            direction: queryDirection,
+            cursor,
+            limit: limit + 1 // Fetch one extra document to know if there is another page
+        });
+
+        const hasMore = docs.length > limit;
+        const page = hasMore ? docs.slice(0, limit) : docs;
+        if (before) {
+            page.reverse();
+        }
+
+        // Work out whether pages exist on either side of this one
+        const hasNextPage = before ? true : hasMore;
+        const hasPrevPage = before ? hasMore : Boolean(after);
+        const first = page[0];
+        const last = page[page.length - 1];
+
+        appLogger.info('Retrieved list of short URLs', { count: page.length, total });
+        res.status(200).json({
+            data: page.map(url => ({
+                shortCode: url.shortCode,
+                shortDomain: url.shortDomain,
+                shortUrl: buildShortUrl(req, url),
+                originalUrl: url.originalUrl,
+                createdAt: url.createdAt.toISOString(),
+                expiresAt: url.expiresAt ? url.expiresAt.toISOString() : null,
+                activatesAt: url.activatesAt ? url.activatesAt.toISOString() : null,
+                maxClicks: url.maxClicks,
+                ruleCount: url.rules.length,
+                variantCount: url.variants.length,
+                utm: toUtmResponse(url.utm),
+                forwardQuery: url.forwardQuery,
+                preview: url.preview,
+                redirectType: url.redirectType,
+                linkHeader: url.linkHeader,
+                robotsTag: url.robotsTag,
+                disabled: url.disabled,
+                flag: toFlagResponse(url.flag),
+                passwordProtected: Boolean(url.passwordHash),
+                totalClicks: url.clicks // Include totalClicks for the list view
+            })),
+            pagination: {
+                total,
+                count: page.length,
+                limit,
+                sortBy,
+                order,
+                nextCursor: hasNextPage && last ? pagination.encodeCursor(last[sortBy], last._id) : null,
+                prevCursor: hasPrevPage && first ? pagination.encodeCursor(first[sortBy], first._id) : null
+            }
+        });
     } catch (error) {
-        appLogger.error('Error retrieving all short URLs list', { error: error.message, stack: error.stack });
+        appLogger.error('Error retrieving short URLs list', { error: error.message, stack: error.stack });
         res.status(500).json({ message: 'Server error while retrieving URL list.' });
     }
 };
 
-// ... (rest of the existing exports) ...
\ No newline at end of file
+/**
+ * @desc Updates an existing short URL: its destination, lifecycle limits, disabled state and/or password
+ * @route PATCH /shorturls/:shortCode
+ * @body url (new destination), expiresAt (ISO date or null for no expiry) or validity (minutes from now),
+ *       disabled (boolean), password (string, or null to remove it), maxClicks (integer or null),
+ *       activatesAt (ISO date or null), rules (redirect rules, replacing the current ones),
+ *       variants (weighted A/B destinations, replacing the current ones), stickyVariants (boolean),
+ *       utm ({ source, medium, campaign, term, content }; only the given fields change), forwardQuery (boolean),
+ *       preview (boolean), redirectType (301|302|307|308; 301 and 308 need allowPermanentRedirect: true),
+ *       linkHeader / robotsTag (Link and X-Robots-Tag header values, or null to remove them)
+ * @access Private (API key, owner only)
+ */
+exports.updateShortUrl = async (req, res) => {
+    const { shortCode } = req.params;
+    const { url: newOriginalUrl, expiresAt, validity, disabled, password, maxClicks, activatesAt, rules, variants: variantList, stickyVariants, utm, forwardQuery, preview, redirectType, linkHeader, robotsTag } = req.body;
+    appLogger.info('Attempting to update short URL', {
+        shortCode,
+        body: { ...req.body, password: password === undefined ? undefined : '[redacted]' },
+        owner: req.auth.owner
+    });
+
+    // 1. Check the parts of the input the request schema cannot (see schemas.updateShortUrl in request-schemas)
+    let newExpiry;
+    if (expiresAt !== undefined) {
+        newExpiry = expiresAt === null ? null : new Date(expiresAt);
+    } else if (validity !== undefined) {
+        newExpiry = calculateExpiry(validity);
+    }
+    const newActivation = activatesAt === undefined || activatesAt === null ? activatesAt : new Date(activatesAt);
+    // rules replace the whole list; [] removes them
+    const normalizedRules = rules === undefined ? null : normalizeRules(rules);
+    if (normalizedRules && normalizedRules.error) {
+        return respondWithErrors(res, [invalidField('rules', normalizedRules.error)]);
+    }
+    // variants replace the whole list; [] turns the A/B split off
+    const normalizedVariants = variantList === undefined ? null : variants.normalizeVariants(variantList);
+    if (normalizedVariants && normalizedVariants.error) {
+        return respondWithErrors(res, [invalidField('variants', normalizedVariants.error)]);
+    }
+    // utm updates only the fields provided; null clears a field
+    const normalizedUtm = utm === undefined ? null : normalizeUtm(utm);
+    if (normalizedUtm && normalizedUtm.error) {
+        return respondWithErrors(res, [invalidField('utm', normalizedUtm.error)]);
+    }
+
+    try {
+        const urlEntry = await getLinkRepository().findByCode(getLinkKey(req), { owner: getOwnerScope(req) });
+        if (!urlEntry) {
+            appLogger.warn('Update Short URL: Shortcode not found', { shortCode, owner: req.auth.owner });
+            return res.status(404).json({ message: 'Short URL not found.' });
+        }
+
+        // New destinations must pass screening (see utils/destinationScreening.js)
+        const screeningProblems = await screenLinkDestinations(req, {
+            url: newOriginalUrl,
+            rules: normalizedRules ? normalizedRules.rules : [],
+            variants: normalizedVariants ? normalizedVariants.variants : []
+        });
+        if (screeningProblems.length > 0) {
+            return respondWithErrors(res, screeningProblems);
+        }
+
+        // 2. Apply the changes, remembering the previous values for the audit trail
+        const changes = [];
+        const applyChange = (field, value) => {
+            const previous = urlEntry[field];
+            const previousValue = previous instanceof Date ? previous.toISOString() : previous;
+            const nextValue = value instanceof Date ? value.toISOString() : value;
+            if (previousValue !== nextValue) {
+                changes.push({ field, from: previousValue === undefined ? null : previousValue, to: nextValue });
+                urlEntry[field] = value;
+            }
+        };
+        if (newOriginalUrl !== undefined) applyChange('originalUrl', newOriginalUrl);
+        if (newExpiry !== undefined) applyChange('expiresAt', newExpiry);
+        if (disabled !== undefined) applyChange('disabled', disabled);
+        if (maxClicks !== undefined) applyChange('maxClicks', maxClicks);
+        if (newActivation !== undefined) applyChange('activatesAt', newActivation);
+        if (normalizedRules) {
+            const previousRules = urlEntry.rules.map(toRuleResponse);
+            urlEntry.rules = normalizedRules.rules;
+            const nextRules = urlEntry.rules.map(toRuleResponse);
+            if (JSON.stringify(previousRules) !== JSON.stringify(nextRules)) {
+                changes.push({ field: 'rules', from: previousRules, to: nextRules });
+            }
+        }
+        if (normalizedVariants) {
+            const previousVariants = urlEntry.variants.map(toVariantResponse);
+            urlEntry.variants = normalizedVariants.variants;
+            if (JSON.stringify(previousVariants) !== JSON.stringify(normalizedVariants.variants)) {
+                changes.push({ field: 'variants', from: previousVariants, to: normalizedVariants.variants });
+            }
+        }
+        if (stickyVariants !== undefined) applyChange('stickyVariants', stickyVariants);
+        if (forwardQuery !== undefined) applyChange('forwardQuery', forwardQuery);
+        if (preview !== undefined) applyChange('preview', preview);
+        if (redirectType !== undefined) applyChange('redirectType', redirectType);
+        if (linkHeader !== undefined) applyChange('linkHeader', linkHeader);
+        if (robotsTag !== undefined) applyChange('robotsTag', robotsTag);
+        if (normalizedUtm) {
+            Object.entries(normalizedUtm.utm).forEach(([field, value]) => {
+                const previous = urlEntry.utm[field] || null;
+                if (previous !== value) {
+                    changes.push({ field: `utm.${field}`, from: previous, to: value });
+                    urlEntry.utm[field] = value;
+                }
+            });
+        }
+        if (password !== undefined) {
+            // Only whether the link is protected goes into the audit trail, never the password or its hash
+            const wasProtected = Boolean(urlEntry.passwordHash);
+            urlEntry.passwordHash = password === null ? null : await hashPassword(password);
+            if (wasProtected || password !== null) {
+                changes.push({ field: 'password', from: wasProtected ? 'set' : null, to: password === null ? null : 'set' });
+            }
+        }
+
+        // 3. Save (runs the schema validators, e.g. expiresAt must be in the future) and audit
+        if (changes.length > 0) {
+            await getLinkRepository().update(urlEntry);
+            await invalidateRedirectEntry(urlEntry);
+            await recordAudit(req, urlEntry, 'update', changes);
+        }
+
+        appLogger.info('Short URL updated successfully', { shortCode, changes });
+        const warnings = getLinkWarnings(urlEntry);
+        if (changes.some(change => change.field === 'redirectType') && warnings.length > 0) {
+            appLogger.warn('Update Short URL: Permanent redirect enabled', { shortCode, redirectType: urlEntry.redirectType, owner: req.auth.owner });
+        }
+        res.status(200).json({
+            shortCode: urlEntry.shortCode,
+            shortDomain: urlEntry.shortDomain,
+            shortUrl: buildShortUrl(req, urlEntry),
+            originalUrl: urlEntry.originalUrl,
+            expiry: urlEntry.expiresAt ? urlEntry.expiresAt.toISOString() : null,
+            activatesAt: urlEntry.activatesAt ? urlEntry.activatesAt.toISOString() : null,
+            maxClicks: urlEntry.maxClicks,
+            rules: urlEntry.rules.map(toRuleResponse),
+            variants: urlEntry.variants.map(toVariantResponse),
+            stickyVariants: urlEntry.stickyVariants,
+            utm: toUtmResponse(urlEntry.utm),
+            forwardQuery: urlEntry.forwardQuery,
+            preview: urlEntry.preview,
+            redirectType: urlEntry.redirectType,
+            linkHeader: urlEntry.linkHeader,
+            robotsTag: urlEntry.robotsTag,
+            disabled: urlEntry.disabled,
+            passwordProtected: Boolean(urlEntry.passwordHash),
+            warnings,
+            changes,
+            message: changes.length > 0 ? 'Short URL updated successfully.' : 'No changes were necessary.'
+        });
+
+    } catch (error) {
+        appLogger.error('Error updating short URL', { error: error.message, stack: error.stack, shortCode });
+        if (error.name === 'ValidationError') {
+            return respondWithErrors(res, fromValidationError(error));
+        }
+        res.status(500).json({ message: 'Server error while updating short URL.' });
+    }
+};
+
+/**
+ * @desc Deletes a short URL. With ?soft=true the link stops working but it and its click
+ *       history are kept; otherwise the link and its click events are removed permanently.
+ * @route DELETE /shorturls/:shortCode
+ * @access Private (API key, owner only)
+ */
+exports.deleteShortUrl = async (req, res) => {
+    const { shortCode } = req.params;
+    const soft = req.query.soft === 'true';
+    appLogger.info('Attempting to delete short URL', { shortCode, soft, owner: req.auth.owner });
+
+    try {
+        const urlEntry = await getLinkRepository().findByCode(getLinkKey(req), { owner: getOwnerScope(req) });
+        if (!urlEntry) {
+            appLogger.warn('Delete Short URL: Shortcode not found', { shortCode, owner: req.auth.owner });
+            return res.status(404).json({ message: 'Short URL not found.' });
+        }
+
+        if (soft) {
+            urlEntry.deletedAt = new Date();
+            await getLinkRepository().update(urlEntry, { validate: false }); // An expired link can still be deleted
+            await invalidateRedirectEntry(urlEntry);
+            await recordAudit(req, urlEntry, 'soft-delete', [{ field: 'deletedAt', from: null, to: urlEntry.deletedAt.toISOString() }]);
+        } else {
+            // Buffered clicks of the link are dropped, and a flush already running is waited for,
+            // so no click event is written after the link's events were removed
+            clickBuffer.discardClicks(urlEntry._id);
+            await clickBuffer.flushClicks();
+            await getLinkRepository().remove(urlEntry);
+            await invalidateRedirectEntry(urlEntry);
+            await recordAudit(req, urlEntry, 'delete');
+        }
+
+        appLogger.info('Short URL deleted successfully', { shortCode, soft });
+        res.status(200).json({
+            shortCode,
+            shortDomain: urlEntry.shortDomain,
+            soft,
+            message: soft ? 'Short URL deleted; its click history was kept.' : 'Short URL deleted permanently.'
+        });
+
+    } catch (error) {
+        appLogger.error('Error deleting short URL', { error: error.message, stack: error.stack, shortCode });
+        res.status(500).json({ message: 'Server error while deleting short URL.' });
+    }
+};
+
+/**
+ * @desc Retrieves the audit trail (who changed what) of a short URL, newest first
+ * @route GET /shorturls/:shortCode/audit
+ * @access Private (API key, owner only)
+ */
+exports.getShortUrlAudit = async (req, res) => {
+    const { shortCode } = req.params;
+
+    try {
+        // Soft-deleted links are included so their history can still be inspected
+        const urlEntry = await getLinkRepository().findByCode(getLinkKey(req), { owner: getOwnerScope(req), includeDeleted: true });
+        if (!urlEntry) {
+            return res.status(404).json({ message: 'Short URL not found.' });
+        }
+
+        const entries = await getLinkRepository().listAudit(urlEntry, pagination.MAX_LIMIT);
+        res.status(200).json(entries.map(entry => ({
+            action: entry.action,
+            actor: { owner: entry.actor.owner, keyId: entry.actor.keyId },
+            changes: entry.changes,
+            timestamp: entry.timestamp.toISOString()
+        })));
+
+    } catch (error) {
+        appLogger.error('Error retrieving short URL audit trail', { error: error.message, stack: error.stack, shortCode });
+        res.status(500).json({ message: 'Server error while retrieving audit trail.' });
+    }
+};
+
+/**
+ * @desc Flags a short URL as suspicious: instead of redirecting, it shows visitors a warning with the
+ *       destination and the reason, and only continues when they confirm. Flagging again updates the reason.
+ * @route POST /admin/links/:shortCode/flag
+ * @body reason (optional, shown on the warning page)
+ * @access Private (admin API key)
+ */
+exports.flagShortUrl = async (req, res) => {
+    const { shortCode } = req.params;
+    const reason = req.body.reason || null;
+    appLogger.info('Attempting to flag short URL', { shortCode, reason, flaggedBy: req.auth.owner });
+
+    try {
+        const urlEntry = await getLinkRepository().findByCode(getLinkKey(req));
+        if (!urlEntry) {
+            appLogger.warn('Flag Short URL: Shortcode not found', { shortCode });
+            return res.status(404).json({ message: 'Short URL not found.' });
+        }
+
+        const previous = toFlagResponse(urlEntry.flag);
+        urlEntry.flag = { reason, flaggedAt: new Date(), flaggedBy: req.auth.owner };
+        await getLinkRepository().update(urlEntry, { validate: false }); // An expired link can still be flagged
+        await invalidateRedirectEntry(urlEntry);
+        await recordAudit(req, urlEntry, 'flag', [{ field: 'flag', from: previous, to: toFlagResponse(urlEntry.flag) }]);
+
+        appLogger.info('Short URL flagged', { shortCode, reason, owner: urlEntry.owner });
+        res.status(200).json({
+            shortCode: urlEntry.shortCode,
+            shortDomain: urlEntry.shortDomain,
+            originalUrl: urlEntry.originalUrl,
+            flag: toFlagResponse(urlEntry.flag),
+            message: 'Short URL flagged; visitors now see a warning before being redirected.'
+        });
+
+    } catch (error) {
+        appLogger.error('Error flagging short URL', { error: error.message, stack: error.stack, shortCode });
+        res.status(500).json({ message: 'Server error while flagging short URL.' });
+    }
+};
+
+/**
+ * @desc Removes the flag of a short URL, so it redirects directly again
+ * @route DELETE /admin/links/:shortCode/flag
+ * @access Private (admin API key)
+ */
+exports.unflagShortUrl = async (req, res) => {
+    const { shortCode } = req.params;
+
+    try {
+        const urlEntry = await getLinkRepository().findByCode(getLinkKey(req));
+        if (!urlEntry) {
+            return res.status(404).json({ message: 'Short URL not found.' });
+        }
+
+        if (urlEntry.flag) {
+            const previous = toFlagResponse(urlEntry.flag);
+            urlEntry.flag = null;
+            await getLinkRepository().update(urlEntry, { validate: false });
+            await invalidateRedirectEntry(urlEntry);
+            await recordAudit(req, urlEntry, 'unflag', [{ field: 'flag', from: previous, to: null }]);
+            appLogger.info('Short URL unflagged', { shortCode, owner: urlEntry.owner });
+        }
+
+        res.status(200).json({
+            shortCode: urlEntry.shortCode,
+            shortDomain: urlEntry.shortDomain,
+            originalUrl: urlEntry.originalUrl,
+            flag: null,
+            message: 'Short URL is not flagged.'
+        });
+
+    } catch (error) {
+        appLogger.error('Error unflagging short URL', { error: error.message, stack: error.stack, shortCode });
+        res.status(500).json({ message: 'Server error while unflagging short URL.' });
+    }
+};
@@ -0,0 +1,112 @@
+// backend-test-submission/middlewares/auth.js
+const crypto = require('crypto');
+const ApiKey = require('../models/apiKey');
+const { appLogger } = require('./logger');
+const { allowAuthAttempt, recordFailedAuth } = require('./rateLimit');
+const { isMongoStorage } = require('../repositories');
+
+const KEY_PREFIX = 'usk_'; // Makes keys easy to recognise (e.g. by secret scanners)
+
+/**
+ * Generates a new random API key.
+ * @returns {string} The plaintext key.
+ */
+const generateApiKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Hashes an API key for storage and lookup.
+ * @param {string} key - The plaintext key.
+ * @returns {string} The SHA-256 hex digest.
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Extracts the key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const extractApiKey = (req) => {
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.slice(7).trim();
+    }
+    return req.headers['x-api-key'] || null;
+};
+
+// Constant-time comparison of two strings
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Express middleware that requires a valid, unrevoked API key.
+ * On success it sets req.auth = { keyId, owner, role }.
+ * The ADMIN_API_KEY environment variable, if set, is accepted as a bootstrap admin key
+ * so the first real keys can be created. API keys are stored in MongoDB, so with the other storage
+ * backends the bootstrap key is the only one accepted.
+ * Invalid keys count against the client IP's auth budget (RATE_LIMIT_AUTH_IP, see middlewares/rateLimit.js);
+ * once it is used up, the IP gets 429s until it refills.
+ */
+const requireApiKey = async (req, res, next) => {
+    const key = extractApiKey(req);
+    if (!key) {
+        appLogger.warn('Auth: Missing API key', { method: req.method, url: req.originalUrl });
+        return res.status(401).json({ message: 'An API key is required.' });
+    }
+    if (!await allowAuthAttempt(req, res)) {
+        return;
+    }
+
+    if (process.env.ADMIN_API_KEY && safeEqual(key, process.env.ADMIN_API_KEY)) {
+        req.auth = { keyId: null, owner: 'admin', role: 'admin' };
+        return next();
+    }
+    if (!isMongoStorage()) {
+        appLogger.warn('Auth: Invalid or revoked API key', { method: req.method, url: req.originalUrl });
+        await recordFailedAuth(req);
+        return res.status(401).json({ message: 'Invalid or revoked API key.' });
+    }
+
+    try {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { keyHash: hashApiKey(key), revokedAt: null },
+            { $set: { lastUsedAt: new Date() } },
+            { new: true }
+        );
+        if (!apiKey) {
+            appLogger.warn('Auth: Invalid or revoked API key', { method: req.method, url: req.originalUrl });
+            await recordFailedAuth(req);
+            return res.status(401).json({ message: 'Invalid or revoked API key.' });
+        }
+        req.auth = { keyId: apiKey._id, owner: apiKey.owner, role: apiKey.role };
+        next();
+    } catch (error) {
+        appLogger.error('Auth: Error verifying API key', { error: error.message, stack: error.stack });
+        res.status(500).json({ message: 'Server error while verifying API key.' });
+    }
+};
+
+/**
+ * Express middleware that only lets admin keys through. Must run after requireApiKey.
+ */
+const requireAdmin = (req, res, next) => {
+    if (!req.auth || req.auth.role !== 'admin') {
+        appLogger.warn('Auth: Admin access denied', { owner: req.auth && req.auth.owner, url: req.originalUrl });
+        return res.status(403).json({ message: 'Admin access is required.' });
+    }
+    next();
+};
+
+/**
+ * Returns the owner that repository lookups of the caller are limited to, or undefined for admins.
+ *
+ * @param {import('express').Request} req - The authenticated request.
+ * @returns {string|undefined}
+ */
+const getOwnerScope = (req) => (req.auth && req.auth.role === 'admin' ? undefined : req.auth.owner);
+
+module.exports = {
+    requireApiKey,
+    requireAdmin,
+    getOwnerScope,
+    generateApiKey,
+    hashApiKey
+};
@@ -0,0 +1,237 @@
+// backend-test-submission/middlewares/rateLimit.js
+// Token-bucket rate limiting per client IP and per API key, with a separate budget for creating links,
+// creating them in bulk or by import, changing or deleting them, reading stats, following short links and
+// failed API key attempts. Each budget is configured per scope as
+// RATE_LIMIT_<BUDGET>_<SCOPE>=<requests>/<seconds> (a burst of <requests>, refilled evenly over
+// <seconds>), or "off", e.g. RATE_LIMIT_CREATE_KEY=60/60. RATE_LIMIT=off turns all limits off.
+// The counters live in the store chosen with RATE_LIMIT_STORE (see utils/rateLimitStore.js).
+// A request may cost more than one token (e.g. one per link of a bulk request). Every bucket is checked
+// before any is charged, so a request rejected by one bucket does not use up the others. A request costing
+// more than a bucket holds could never be served, and is rejected with a 413 instead.
+//
+// Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers
+// for the most constrained bucket; rejected requests get a 429 with Retry-After. Rejections are logged
+// as 'RateLimit: Request rejected' with event 'rate_limit.rejected', for alerting.
+// The client IP is req.ip, so behind a proxy TRUST_PROXY must be set (see app.js).
+const { appLogger } = require('./logger');
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+
+// Default budgets: requests per window, per client IP and per API key. Bulk creates and imports cost
+// one token per link, so their batch budget holds a full import (MAX_IMPORT_ITEMS, 5000 links).
+const DEFAULT_BUDGETS = {
+    create: { ip: '60/60', key: '120/60' },
+    batch: { ip: '5000/3600', key: '10000/3600' },
+    update: { ip: '120/60', key: '240/60' },
+    stats: { ip: '300/60', key: '600/60' },
+    redirect: { ip: '600/60' },
+    auth: { ip: '20/600' }
+};
+
+// Helper function to parse a "<requests>/<seconds>" budget; returns null when the limit is off
+const parseBudget = (value, name) => {
+    if (value === 'off') {
+        return null;
+    }
+    const match = /^(\d+)\s*\/\s*(\d+)$/.exec(value || '');
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+        throw new Error(`${name} must look like "<requests>/<seconds>" (e.g. "60/60") or be "off".`);
+    }
+    const requests = Number(match[1]);
+    const windowSeconds = Number(match[2]);
+    return {
+        capacity: requests,
+        refillPerMs: requests / (windowSeconds * 1000),
+        policy: `${requests};w=${windowSeconds}`
+    };
+};
+
+// Budgets read from the environment on first use: budget -> scope -> limit (or null)
+let budgets = null;
+const getBudget = (name) => {
+    if (!budgets) {
+        budgets = {};
+        Object.entries(DEFAULT_BUDGETS).forEach(([budget, scopes]) => {
+            budgets[budget] = {};
+            Object.entries(scopes).forEach(([scope, fallback]) => {
+                const variable = `RATE_LIMIT_${budget.toUpperCase()}_${scope.toUpperCase()}`;
+                budgets[budget][scope] = parseBudget(process.env[variable] || fallback, variable);
+            });
+        });
+    }
+    return budgets[name];
+};
+
+// Helper function to list the buckets a request draws from: its IP and, once authenticated, its API key
+// (the ADMIN_API_KEY bootstrap key has no id and is counted by owner)
+const getBuckets = (req, budget, limits) => {
+    const buckets = [];
+    if (limits.ip) {
+        buckets.push({ scope: 'ip', key: `${budget}:ip:${req.ip}`, limit: limits.ip });
+    }
+    if (limits.key && req.auth) {
+        const keyId = req.auth.keyId ? String(req.auth.keyId) : `owner:${req.auth.owner}`;
+        buckets.push({ scope: 'key', key: `${budget}:key:${keyId}`, limit: limits.key });
+    }
+    return buckets;
+};
+
+// Helper function to set the RateLimit-* headers from a bucket's outcome
+const setRateLimitHeaders = (res, limit, result) => {
+    res.setHeader('RateLimit-Limit', String(limit.capacity));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+    res.setHeader('RateLimit-Policy', limit.policy);
+};
+
+// Helper function to answer 429 for a bucket without tokens left, and log the rejection
+const rejectRequest = (req, res, { budget, bucket, result, cost = 1, text = false }) => {
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    setRateLimitHeaders(res, bucket.limit, result);
+    res.setHeader('Retry-After', String(retryAfter));
+    appLogger.warn('RateLimit: Request rejected', {
+        event: 'rate_limit.rejected',
+        budget,
+        scope: bucket.scope,
+        cost,
+        ip: req.ip,
+        keyId: req.auth ? req.auth.keyId : undefined,
+        owner: req.auth ? req.auth.owner : undefined,
+        method: req.method,
+        url: req.originalUrl,
+        retryAfter
+    });
+    const message = `Too many requests. Please try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`;
+    return text
+        ? res.status(429).send(message)
+        : res.status(429).json({ message, code: 'RATE_LIMITED', budget, scope: bucket.scope, retryAfter });
+};
+
+/**
+ * Express middleware factory limiting requests with one of the budgets. For API routes it must run
+ * after requireApiKey so the key's bucket is used as well. A failing store never fails a request.
+ *
+ * @param {'create'|'batch'|'update'|'stats'|'redirect'} budget
+ * @param {object} [options]
+ * @param {boolean} [options.text=false] - Send the 429 message as plain text (for the public redirect routes).
+ * @param {function(import('express').Request): number} [options.cost] - The tokens a request takes (default 1).
+ * @returns {function} Express middleware.
+ */
+const rateLimit = (budget, { text = false, cost } = {}) => async (req, res, next) => {
+    if (process.env.RATE_LIMIT === 'off') {
+        return next();
+    }
+    const tokens = cost ? Math.max(1, cost(req)) : 1;
+    const buckets = getBuckets(req, budget, getBudget(budget))
+        .map(bucket => ({ ...bucket, limit: { ...bucket.limit, cost: tokens } }));
+    if (buckets.length === 0) {
+        return next();
+    }
+
+    const reject = (bucket, result) => rejectRequest(req, res, { budget, bucket, result, cost: tokens, text });
+
+    // A request costing more than a full bucket would never be let through, however long the client waits
+    const tooLarge = buckets.find(bucket => tokens > bucket.limit.capacity);
+    if (tooLarge) {
+        const { capacity } = tooLarge.limit;
+        appLogger.warn('RateLimit: Request larger than the budget', {
+            event: 'rate_limit.too_large',
+            budget,
+            scope: tooLarge.scope,
+            cost: tokens,
+            capacity,
+            ip: req.ip,
+            keyId: req.auth ? req.auth.keyId : undefined,
+            method: req.method,
+            url: req.originalUrl
+        });
+        const message = `This request counts as ${tokens} requests, more than the ${capacity} the rate limit allows at once. Please split it into batches of at most ${capacity}.`;
+        return text
+            ? res.status(413).send(message)
+            : res.status(413).json({ message, code: 'BATCH_TOO_LARGE', budget, scope: tooLarge.scope, limit: capacity });
+    }
+
+    let mostConstrained = null;
+    try {
+        // 1. Check every bucket, so nothing is taken for a request that will be rejected
+        for (const bucket of buckets) {
+            const result = await getRateLimitStore().peek(bucket.key, bucket.limit);
+            if (!result.allowed) {
+                return reject(bucket, result);
+            }
+        }
+        // 2. Take from each; a concurrent request may still have emptied one in between
+        for (const bucket of buckets) {
+            const result = await getRateLimitStore().take(bucket.key, bucket.limit);
+            if (!result.allowed) {
+                return reject(bucket, result);
+            }
+            if (!mostConstrained || result.remaining / bucket.limit.capacity < mostConstrained.result.remaining / mostConstrained.limit.capacity) {
+                mostConstrained = { limit: bucket.limit, result };
+            }
+        }
+    } catch (error) {
+        appLogger.error('RateLimit: Store error, request let through', { error: error.message, budget });
+        return next();
+    }
+
+    setRateLimitHeaders(res, mostConstrained.limit, mostConstrained.result);
+    next();
+};
+
+// Helper function to return the bucket counting the failed API key attempts of the client IP, or null when off
+const getAuthBucket = (req) => {
+    const limits = getBudget('auth');
+    return process.env.RATE_LIMIT !== 'off' && limits.ip
+        ? { scope: 'ip', key: `auth:ip:${req.ip}`, limit: limits.ip }
+        : null;
+};
+
+/**
+ * Checks that the client IP has failed API key attempts left (the auth budget), so keys cannot be guessed
+ * by brute force. Otherwise it answers 429 and returns false; every attempt is refused until the bucket
+ * refills, valid keys included. A failing store lets the attempt through.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<boolean>} Whether the caller may go on checking the key.
+ */
+const allowAuthAttempt = async (req, res) => {
+    const bucket = getAuthBucket(req);
+    if (!bucket) {
+        return true;
+    }
+    try {
+        const result = await getRateLimitStore().peek(bucket.key, bucket.limit);
+        if (!result.allowed) {
+            rejectRequest(req, res, { budget: 'auth', bucket, result });
+            return false;
+        }
+    } catch (error) {
+        appLogger.error('RateLimit: Store error, request let through', { error: error.message, budget: 'auth' });
+    }
+    return true;
+};
+
+/**
+ * Charges a failed API key attempt to the client IP's auth budget.
+ *
+ * @param {import('express').Request} req
+ * @returns {Promise<void>}
+ */
+const recordFailedAuth = async (req) => {
+    const bucket = getAuthBucket(req);
+    if (!bucket) {
+        return;
+    }
+    try {
+        await getRateLimitStore().take(bucket.key, bucket.limit);
+    } catch (error) {
+        appLogger.error('RateLimit: Store error, failed attempt not counted', { error: error.message, budget: 'auth' });
+    }
+};
+
+module.exports = {
+    rateLimit,
+    allowAuthAttempt,
+    recordFailedAuth
+};
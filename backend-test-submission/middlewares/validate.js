@@ -0,0 +1,50 @@
+// backend-test-submission/middlewares/validate.js
+// Request validation with the schemas shared with the frontend (see ../request-schemas).
+// Rejected requests get a 400 with every problem found:
+//   { message: <the first problem's message>, errors: [{ field, code, message }, ...] }
+const { validate } = require('request-schemas');
+const { appLogger } = require('./logger');
+
+/**
+ * Sends a 400 response describing validation problems.
+ *
+ * @param {import('express').Response} res
+ * @param {Array<{field: string|null, code: string, message: string}>} errors - At least one problem.
+ */
+const respondWithErrors = (res, errors) => res.status(400).json({ message: errors[0].message, errors });
+
+/**
+ * Converts a Mongoose ValidationError (raised while saving) into validation problems.
+ *
+ * @param {Error} error - A ValidationError.
+ * @returns {Array<{field: string|null, code: string, message: string}>}
+ */
+const fromValidationError = (error) => {
+    const problems = Object.values(error.errors || {}).map(fieldError => ({
+        field: fieldError.path,
+        code: 'INVALID_VALUE',
+        message: fieldError.message
+    }));
+    return problems.length > 0 ? problems : [{ field: null, code: 'INVALID_VALUE', message: error.message }];
+};
+
+/**
+ * Express middleware factory validating parts of a request before it reaches the controller.
+ *
+ * @param {{params?: object, query?: object, body?: object}} parts - A schema per part of the request.
+ * @returns {function} Express middleware.
+ */
+const validateRequest = (parts) => (req, res, next) => {
+    const errors = Object.entries(parts).flatMap(([part, schema]) => validate(schema, req[part] === undefined ? {} : req[part]));
+    if (errors.length > 0) {
+        appLogger.warn('Validation: Request rejected', { method: req.method, url: req.originalUrl, errors });
+        return respondWithErrors(res, errors);
+    }
+    next();
+};
+
+module.exports = {
+    validateRequest,
+    respondWithErrors,
+    fromValidationError
+};
@@ -0,0 +1,57 @@
+// backend-test-submission/models/apiKey.js
+const mongoose = require('mongoose');
+
+// API keys authenticate callers of the /shorturls API. Only a SHA-256 hash of each key
+// is stored; the plaintext key is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema({
+    // Human-readable label, e.g. "Marketing dashboard"
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // The owner the key acts for. Links created with the key are owned by this value,
+    // and several keys may share an owner (e.g. one per team member or service).
+    owner: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+        index: true
+    },
+    // 'admin' keys can manage API keys and see every owner's links
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
+    // SHA-256 hex digest of the key
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First characters of the key, kept so a key can be recognised in listings without revealing it
+    prefix: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when the key is revoked; revoked keys are rejected but kept for auditing
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
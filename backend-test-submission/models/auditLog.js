@@ -0,0 +1,48 @@
+// backend-test-submission/models/auditLog.js
+const mongoose = require('mongoose');
+
+// Records who changed what on a short URL. Entries are append-only and are kept
+// even when the link itself is deleted.
+const auditLogSchema = new mongoose.Schema({
+    // The short code the change applied to
+    shortCode: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Reference to the Url document (may no longer exist after a hard delete)
+    url: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Url'
+    },
+    // What happened, e.g. 'update', 'delete', 'soft-delete'
+    action: {
+        type: String,
+        required: true
+    },
+    // Who made the change: the owner and API key used
+    actor: {
+        owner: { type: String, default: null },
+        keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', default: null }
+    },
+    // Field-level changes: previous and new values
+    changes: [
+        {
+            _id: false,
+            field: { type: String, required: true },
+            from: { type: mongoose.Schema.Types.Mixed, default: null },
+            to: { type: mongoose.Schema.Types.Mixed, default: null }
+        }
+    ],
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Serves the newest-first audit trail of a link
+auditLogSchema.index({ shortCode: 1, timestamp: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,145 @@
+// backend-test-submission/models/clickEvent.js
+const mongoose = require('mongoose');
+
+// One document per recorded click. Kept in its own collection (instead of an array
+// embedded in the Url document) so popular links never approach MongoDB's document
+// size limit and concurrent clicks never race on a read-modify-write of the Url.
+const clickEventSchema = new mongoose.Schema({
+    // The short code that was clicked
+    shortCode: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Reference to the Url document the short code belonged to at click time
+    url: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Url'
+    },
+    // 'click' for a redirect, 'password_failed' for a wrong password on a protected link
+    eventType: {
+        type: String,
+        enum: ['click', 'password_failed'],
+        default: 'click'
+    },
+    // When the click happened
+    timestamp: {
+        type: Date,
+        default: Date.now
+    },
+    // Human-readable location resolved from the offline GeoIP database (e.g., "Hyderabad, Telangana, IN")
+    location: {
+        type: String,
+        default: 'Unknown'
+    },
+    // ISO 3166-1 alpha-2 country code and the country's English name
+    country: {
+        type: String,
+        default: null
+    },
+    countryName: {
+        type: String,
+        default: null
+    },
+    region: {
+        type: String,
+        default: null
+    },
+    city: {
+        type: String,
+        default: null
+    },
+    // Client IP address; the last octet is zeroed when ANONYMIZE_IP=true
+    ip: {
+        type: String,
+        default: null
+    },
+    // Raw Referer header, if the browser sent one
+    referrer: {
+        type: String,
+        default: null
+    },
+    // Hostname of the referrer and its category: direct, internal, search, social, email or other
+    referrerDomain: {
+        type: String,
+        default: null
+    },
+    referrerCategory: {
+        type: String,
+        enum: ['direct', 'internal', 'search', 'social', 'email', 'other'],
+        default: 'direct'
+    },
+    // Raw User-Agent header
+    userAgent: {
+        type: String,
+        default: null
+    },
+    // Parsed from the user agent
+    browser: {
+        type: String,
+        default: 'Unknown'
+    },
+    os: {
+        type: String,
+        default: 'Unknown'
+    },
+    // mobile, tablet, desktop, smarttv, console, wearable, embedded or bot
+    deviceType: {
+        type: String,
+        default: 'desktop'
+    },
+    // Where the visitor was sent, and which redirect rule chose it (null index = the fallback originalUrl)
+    destination: {
+        type: String,
+        default: null
+    },
+    ruleIndex: {
+        type: Number,
+        default: null
+    },
+    ruleName: {
+        type: String,
+        default: null
+    },
+    // Name of the A/B variant served, for links with variants
+    variant: {
+        type: String,
+        default: null
+    },
+    // How the visitor arrived: 'qr' when the link's QR code was scanned (see utils/qrCodes.js), otherwise 'link'
+    channel: {
+        type: String,
+        enum: ['link', 'qr'],
+        default: 'link'
+    },
+    // Crawlers and link-preview fetchers are recorded but not counted in Url.clicks by default
+    isBot: {
+        type: Boolean,
+        default: false
+    },
+    // Anonymous, stable visitor fingerprint (hash of IP and user agent) used to count unique visitors
+    visitorId: {
+        type: String,
+        default: null
+    }
+});
+
+// Serves the per-link, newest-first click history and time-range queries.
+// Keyed by the Url reference, since the same shortcode can exist on several domains.
+clickEventSchema.index({ url: 1, timestamp: -1, _id: -1 });
+// Serves global time-range queries (e.g. exports and retention jobs)
+clickEventSchema.index({ timestamp: 1 });
+
+// Serves the per-variant breakdown of A/B links
+clickEventSchema.index({ url: 1, variant: 1 });
+
+// Serves the failed-password rate limit lookup
+clickEventSchema.index({ url: 1, eventType: 1, ip: 1, timestamp: -1 });
+
+const ClickEvent = mongoose.model('ClickEvent', clickEventSchema);
+
+// Filter fragment selecting real clicks only. Events recorded before eventType existed have no
+// value for it and are clicks too.
+ClickEvent.CLICKS_ONLY = { eventType: { $in: [null, 'click'] } };
+
+module.exports = ClickEvent;
@@ -0,0 +1,21 @@
+// backend-test-submission/models/counter.js
+const mongoose = require('mongoose');
+
+// A named, monotonically increasing sequence. Used by the counter shortcode generator, which
+// keeps one sequence per short domain (e.g. "shortcode:" for the default domain).
+const counterSchema = new mongoose.Schema({
+    // The sequence name
+    _id: {
+        type: String,
+        required: true
+    },
+    // The last value handed out
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, { versionKey: false });
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,32 @@
+// backend-test-submission/models/domain.js
+const mongoose = require('mongoose');
+
+// A branded domain short links can be issued on (e.g. go.example.com). Each domain has its own
+// shortcode namespace, so the same code can exist on several domains. Links without a custom
+// domain live on the default domain (PUBLIC_BASE_URL).
+const domainSchema = new mongoose.Schema({
+    // Lower-cased hostname without scheme or port, e.g. "go.example.com"
+    hostname: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/
+    },
+    // The owner allowed to create links on the domain; null makes it available to every owner
+    owner: {
+        type: String,
+        default: null,
+        trim: true,
+        index: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Domain = mongoose.model('Domain', domainSchema);
+
+module.exports = Domain;
@@ -1,6 +1,35 @@
 // backend-test-submission/models/url.js
 const mongoose = require('mongoose');
 
+// Shared by originalUrl and rule destinations; only http and https, as in the request schemas
+const URL_PATTERN = /^https?:\/\/[^\s/$.?#].[^\s]*$/i;
+
+// A conditional redirect rule (see utils/redirectRules.js). Empty conditions always match.
+const redirectRuleSchema = new mongoose.Schema({
+    name: { type: String, default: null, trim: true },
+    destination: { type: String, required: true, trim: true, match: URL_PATTERN },
+    conditions: {
+        platforms: { type: [String], default: undefined },
+        countries: { type: [String], default: undefined },
+        languages: { type: [String], default: undefined },
+        timeOfDay: {
+            type: new mongoose.Schema({ from: String, to: String, timezone: String }, { _id: false }),
+            default: undefined
+        },
+        query: {
+            type: new mongoose.Schema({ param: String, values: [String] }, { _id: false }),
+            default: undefined
+        }
+    }
+}, { _id: false });
+
+// A weighted A/B destination (see utils/variants.js)
+const variantSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    destination: { type: String, required: true, trim: true, match: URL_PATTERN },
+    weight: { type: Number, required: true, min: 1, max: 100 }
+}, { _id: false });
+
 const urlSchema = new mongoose.Schema({
     // The original long URL that is being shortened
     originalUrl: {
@@ -9,15 +38,88 @@ const urlSchema = new mongoose.Schema({
         unique: false, // Not unique because multiple shortcodes could point to the same long URL if desired
         trim: true,
         // Basic URL validation using a regex. More robust validation can be done in the controller.
-        match: /^(https?|ftp):\/\/[^\s/$.?#].[^\s]*$/i
+        match: URL_PATTERN
+    },
+    // Ordered conditional redirect rules; the first match wins and originalUrl is the fallback
+    rules: {
+        type: [redirectRuleSchema],
+        default: []
+    },
+    // Merge the query parameters of the incoming request into the destination on redirect
+    forwardQuery: {
+        type: Boolean,
+        default: false
+    },
+    // Show visitors a preview page (destination, dates, click count) instead of redirecting directly.
+    // Any link can also be previewed by appending '+' to it (GET /:shortCode+).
+    preview: {
+        type: Boolean,
+        default: false
+    },
+    // HTTP status of the redirect. 301 and 308 are permanent: browsers cache them, so repeat visits may
+    // skip the shortener (no click recorded, later edits unseen); they need allowPermanentRedirect on create/update.
+    redirectType: {
+        type: Number,
+        enum: [301, 302, 307, 308],
+        default: 302
+    },
+    // Optional Link and X-Robots-Tag header values sent with the link's redirects
+    linkHeader: {
+        type: String,
+        default: null
+    },
+    robotsTag: {
+        type: String,
+        default: null
+    },
+    // UTM fields appended to the destination at redirect time (see buildDestinationUrl)
+    utm: {
+        source: { type: String, default: null, trim: true },
+        medium: { type: String, default: null, trim: true },
+        campaign: { type: String, default: null, trim: true },
+        term: { type: String, default: null, trim: true },
+        content: { type: String, default: null, trim: true }
+    },
+    // Weighted A/B destinations used instead of originalUrl when no rule matches (empty = no split)
+    variants: {
+        type: [variantSchema],
+        default: []
+    },
+    // When true, a visitor keeps getting the same variant (remembered in a cookie)
+    stickyVariants: {
+        type: Boolean,
+        default: false
+    },
+    // Lower-cased hostname of originalUrl, stored so listings can filter by domain using an index.
+    // (Links saved before the field existed need it filled in: npm run migrate:link-domains)
+    domain: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        index: true
     },
-    // The unique short code (e.g., "abcd1")
+    // The unique short code (e.g., "abcd1" or "brave-otter"), see utils/shortCodes.js
     shortCode: {
         type: String,
         required: true,
-        unique: true, // This automatically creates a unique index, so no need for urlSchema.index({ shortCode: 1 });
-        minlength: 5, // Enforce minimum length as per typical shorteners, though prompt says "abcd1" (5 chars)
-        maxlength: 10, // A reasonable max length for generated codes
+        // Unique per short domain, see the { shortDomain, shortCode } index below
+        minlength: 3, // Shortest configurable generated length
+        maxlength: 32, // Room for word codes and codes that grew with the keyspace
+        match: /^[A-Za-z0-9_-]+$/,
+        trim: true
+    },
+    // Custom domain the link is issued on (a registered Domain hostname); null for the default domain.
+    // Each domain is its own shortcode namespace.
+    shortDomain: {
+        type: String,
+        default: null,
+        lowercase: true,
+        trim: true
+    },
+    // Owner of the link (the owner of the API key that created it). Listing, stats and
+    // management endpoints are scoped to the caller's owner.
+    owner: {
+        type: String,
         trim: true
     },
     // Timestamp when the short URL was created
@@ -37,25 +139,91 @@ const urlSchema = new mongoose.Schema({
             message: props => `${props.value} is not a valid future expiry date!`
         }
     },
-    // Number of times the short link has been clicked
+    // Optional start time; before it the link answers "not yet active" instead of redirecting
+    activatesAt: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function(v) {
+                return v === null || !this.expiresAt || v < this.expiresAt;
+            },
+            message: props => `${props.value} must be before the expiry date!`
+        }
+    },
+    // Optional limit on counted clicks; once reached the link behaves as expired.
+    // Enforced atomically when a click is recorded (see recordClick in urlController).
+    maxClicks: {
+        type: Number,
+        default: null,
+        min: [1, 'maxClicks must be at least 1'],
+        validate: {
+            validator: v => v === null || Number.isInteger(v),
+            message: props => `${props.value} is not a whole number of clicks!`
+        }
+    },
+    // scrypt hash of the link's password (see utils/password.js); null for unprotected links.
+    // Visitors must enter the password before being redirected.
+    passwordHash: {
+        type: String,
+        default: null
+    },
+    // Disabled links keep their data but stop redirecting until re-enabled
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    // Set by an admin for a suspicious destination (POST /admin/links/:shortCode/flag); visitors of a
+    // flagged link see a warning page and have to confirm before being redirected
+    flag: {
+        type: new mongoose.Schema({
+            reason: { type: String, default: null, trim: true },
+            flaggedAt: { type: Date, required: true },
+            flaggedBy: { type: String, default: null }
+        }, { _id: false }),
+        default: null
+    },
+    // Set when the link is soft-deleted; it then behaves as deleted but its click history is kept
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Number of times the short link has been clicked.
+    // Incremented atomically with $inc; the individual clicks live in the ClickEvent collection.
     clicks: {
         type: Number,
         default: 0
-    },
-    // Detailed click data for analytics
-    clickHistory: [
-        {
-            timestamp: { type: Date, default: Date.now },
-            source: { type: String, default: 'Unknown' }, // e.g., referrer, user-agent info for coarse source
-            location: { type: String, default: 'Unknown' } // Coarse-grained geographical location (e.g., city, country)
-        }
-    ]
+    }
 });
 
+// Shortcodes are unique within a domain. Links created before custom domains existed have no
+// shortDomain and index as null, i.e. the default domain. (Existing databases need the old
+// shortCode_1 unique index dropped: npm run migrate:domain-namespaces)
+urlSchema.index({ shortDomain: 1, shortCode: 1 }, { unique: true });
+
 // Create a TTL index for automatic document deletion after expiry
 // 'expiresAt' should be a Date type. 'expireAfterSeconds: 0' means it expires at the exact date/time specified.
 urlSchema.index({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
 
+// Compound indexes backing the sortable, cursor-paginated listing (GET /shorturls).
+// _id is included as a tie-breaker so every cursor position is unique.
+urlSchema.index({ createdAt: -1, _id: -1 });
+urlSchema.index({ clicks: -1, _id: -1 });
+// The same, scoped to a single owner (the common case for API key callers)
+urlSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+urlSchema.index({ owner: 1, clicks: -1, _id: -1 });
+
+// Keep the derived domain in sync with originalUrl
+urlSchema.pre('validate', function(next) {
+    if (this.isModified('originalUrl') && this.originalUrl) {
+        try {
+            this.domain = new URL(this.originalUrl).hostname;
+        } catch (e) {
+            this.domain = undefined; // Let the originalUrl validator report the problem
+        }
+    }
+    next();
+});
+
 
 const Url = mongoose.model('Url', urlSchema);
 
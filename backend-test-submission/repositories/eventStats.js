@@ -0,0 +1,92 @@
+// backend-test-submission/repositories/eventStats.js
+// Click aggregation in JavaScript, for the in-memory backend. The results have the same shape as
+// mongoLinkRepository.aggregateStats (SQLite aggregates the same way in SQL).
+const { truncateDate } = require('../utils/timeBuckets');
+
+const TOP_N = 10; // Number of entries returned in each "top" list
+
+// Helper function to count events per distinct value, most frequent first (ties by value)
+const countBy = (events, valueOf) => {
+    const groups = new Map();
+    events.forEach(event => {
+        const value = valueOf(event);
+        const group = groups.get(value) || { value, clicks: 0, visitors: new Set(), first: event };
+        group.clicks++;
+        // Like $addToSet, a missing visitor id counts as one visitor
+        group.visitors.add(event.visitorId === undefined ? null : event.visitorId);
+        groups.set(value, group);
+    });
+    return [...groups.values()].sort((a, b) => b.clicks - a.clicks || String(a.value).localeCompare(String(b.value)));
+};
+
+// Helper function to build a top list of a field, with a fallback for missing values
+const topValues = (events, field, fallback) => countBy(events, event => event[field] == null ? fallback : event[field])
+    .slice(0, TOP_N)
+    .map(group => ({ value: group.value, clicks: group.clicks }));
+
+/**
+ * Aggregates click events the way mongoLinkRepository.aggregateStats does.
+ *
+ * @param {object[]} events - The link's click events in the requested range, bots included.
+ * @param {object} options
+ * @param {string} options.interval - hour, day or week.
+ * @param {boolean} options.includeBots - Whether bot clicks count towards the results.
+ * @returns {object} The totals, non-empty time buckets, breakdowns and bot click count.
+ */
+const aggregateClickEvents = (events, { interval, includeBots }) => {
+    const counted = includeBots ? events : events.filter(event => event.isBot !== true);
+    const allVisitors = new Set(counted.map(event => (event.visitorId === undefined ? null : event.visitorId)));
+    return {
+        totals: { clicks: counted.length, uniqueVisitors: allVisitors.size },
+        timeseries: countBy(counted, event => truncateDate(event.timestamp, interval).getTime())
+            .map(group => ({ bucket: new Date(group.value), clicks: group.clicks, uniqueVisitors: group.visitors.size })),
+        topReferrers: topValues(counted, 'referrer', 'Direct/Unknown'),
+        topUserAgents: topValues(counted, 'userAgent', 'Unknown'),
+        browsers: topValues(counted, 'browser', 'Unknown'),
+        operatingSystems: topValues(counted, 'os', 'Unknown'),
+        deviceTypes: topValues(counted, 'deviceType', 'Unknown'),
+        referrerCategories: topValues(counted, 'referrerCategory', 'direct'),
+        redirectRules: topValues(counted, 'ruleName', 'Fallback'),
+        channels: topValues(counted, 'channel', 'link'),
+        countries: countBy(counted, event => event.country == null ? 'Unknown' : event.country).map(group => ({
+            value: group.value,
+            countryName: group.first.countryName || null,
+            clicks: group.clicks,
+            uniqueVisitors: group.visitors.size
+        })),
+        topCities: topValues(counted, 'location', 'Unknown'),
+        botClicks: events.filter(event => event.isBot === true).length
+    };
+};
+
+/**
+ * Counts clicks and unique visitors per A/B variant, the way mongoLinkRepository.variantStats does.
+ *
+ * @param {object[]} events - The link's click events.
+ * @param {boolean} includeBots - Whether bot clicks count.
+ * @returns {{variant: string, clicks: number, uniqueVisitors: number}[]}
+ */
+const countVariants = (events, includeBots) => countBy(
+    events.filter(event => event.variant != null && (includeBots || event.isBot !== true)),
+    event => event.variant
+).map(group => ({
+    variant: group.value,
+    clicks: group.clicks,
+    uniqueVisitors: [...group.visitors].filter(Boolean).length
+}));
+
+/**
+ * Returns true for real clicks, as opposed to other events such as failed password attempts.
+ * Events recorded before eventType existed have no value for it and are clicks too.
+ *
+ * @param {object} event - A click event.
+ * @returns {boolean}
+ */
+const isClick = (event) => event.eventType == null || event.eventType === 'click';
+
+module.exports = {
+    TOP_N,
+    aggregateClickEvents,
+    countVariants,
+    isClick
+};
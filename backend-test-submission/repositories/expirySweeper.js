@@ -0,0 +1,53 @@
+// backend-test-submission/repositories/expirySweeper.js
+// Removes expired links for storage backends without TTL indexes (SQLite, memory), the way the
+// TTL index on Url.expiresAt does for MongoDB. Runs every EXPIRY_SWEEP_INTERVAL_SECONDS (default 60).
+// Like the TTL index, the sweep only deletes the links; their click events are kept.
+const { appLogger } = require('../middlewares/logger');
+const { getLinkRepository } = require('./index');
+
+const SWEEP_INTERVAL_MS = (Number(process.env.EXPIRY_SWEEP_INTERVAL_SECONDS) || 60) * 1000;
+
+let sweepTimer = null;
+
+/**
+ * Deletes the links whose expiresAt has passed.
+ *
+ * @returns {Promise<number>} The number of links removed.
+ */
+const sweepExpiredLinks = async () => {
+    const removed = await getLinkRepository().deleteExpired(new Date());
+    if (removed > 0) {
+        appLogger.info('Expiry sweep removed expired links', { removed });
+    }
+    return removed;
+};
+
+/**
+ * Starts sweeping periodically, unless the backend expires links by itself.
+ */
+const startExpirySweeper = () => {
+    if (sweepTimer || getLinkRepository().hasTtlIndex) {
+        return;
+    }
+    sweepTimer = setInterval(() => {
+        sweepExpiredLinks().catch(error => {
+            appLogger.error('Expiry sweep failed', { error: error.message, stack: error.stack });
+        });
+    }, SWEEP_INTERVAL_MS);
+    // The sweeper alone should not keep the process running
+    sweepTimer.unref();
+};
+
+/**
+ * Stops the periodic sweep.
+ */
+const stopExpirySweeper = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
+
+module.exports = {
+    sweepExpiredLinks,
+    startExpirySweeper,
+    stopExpirySweeper
+};
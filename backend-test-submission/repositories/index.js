@@ -0,0 +1,117 @@
+// backend-test-submission/repositories/index.js
+// Storage of short links, their click events and their audit trail, behind one repository interface.
+// STORAGE_BACKEND selects the implementation:
+//  - mongo (default): MongoDB through the Mongoose models, at MONGO_URI.
+//  - sqlite: a single SQLite file at SQLITE_PATH (default ./data/urlshortener.db). Needs the optional
+//    better-sqlite3 dependency.
+//  - memory: kept in the process and lost on restart; meant for local development and tests.
+// Controllers reach links, clicks and audit entries only through this interface. API keys and custom
+// domains are deliberately left out of it: they are administrative data kept in MongoDB only, so with the
+// other backends those endpoints answer 501 and the ADMIN_API_KEY bootstrap key is the only accepted key
+// (see middlewares/auth.js).
+//
+// Every repository implements:
+//   build(fields)                          Validates a new link (Url schema) without storing it; returns the
+//                                          document for createMany, or rejects with the ValidationError.
+//   create(fields)                         Validates (Url schema) and stores a new link; returns it.
+//   createMany(links)                      Stores validated Url documents; resolves to a Map of index -> error
+//                                          for the ones that failed (error.code 11000 for a taken code).
+//   findByCode({ shortCode, shortDomain }, { owner, includeDeleted, lean })
+//                                          The link with the code in the domain's namespace, or null.
+//   findTakenCodes(shortDomain, codes)     Set of the given codes that are already in use.
+//   countLinks()                           Approximate number of stored links.
+//   reserveSequence(name, count)           Atomically reserves `count` values of a named sequence; returns the first.
+//   list(options)                          { total, links } for the listing endpoint (see mongoLinkRepository).
+//   update(link, { validate })             Saves changes made to a link returned by findByCode.
+//   remove(link)                           Deletes a link and its click events for good.
+//   recordClick(link, event, countClick)   Stores a click, counting it unless countClick is false. Resolves to
+//                                          false (storing nothing) when the link's maxClicks was reached.
+//   addClicks(counts)                      Adds click counts in bulk: Map of link id -> clicks.
+//   insertEvents(events)                   Stores click events in bulk.
+//   countEvents({ url, eventType, ip, since })
+//   listClicks(link, { limit, cursor })    The link's clicks, newest first, after a decoded keyset cursor.
+//   streamLinks({ owner, createdFrom, createdTo, includeDeleted })
+//                                          Async iterable of plain links, oldest first, for exports. Soft-deleted
+//                                          links are left out unless includeDeleted is set.
+//   streamClicks(link, { from, to })       Async iterable of the link's clicks, oldest first, for exports.
+//   aggregateStats(link, { from, to, interval, includeBots })
+//                                          Click totals, time buckets and breakdowns (see eventStats.js).
+//   variantStats(link, { includeBots })    Clicks and unique visitors per A/B variant.
+//   recordAudit(entry) / listAudit(link, limit)
+//   deleteExpired(now)                     Removes links past their expiresAt (backends without TTL indexes).
+//   hasTtlIndex                            True when the backend expires links by itself.
+//   connect() / close()
+const mongoose = require('mongoose');
+const { appLogger } = require('../middlewares/logger');
+
+const BACKENDS = {
+    mongo: () => require('./mongoLinkRepository'),
+    sqlite: () => require('./sqliteLinkRepository'),
+    memory: () => require('./memoryLinkRepository')
+};
+
+let repository = null;
+
+/**
+ * Returns the name of the configured storage backend.
+ *
+ * @returns {string}
+ */
+const getStorageBackend = () => process.env.STORAGE_BACKEND || 'mongo';
+
+/**
+ * Returns the link repository of the configured backend, creating it on first use.
+ *
+ * @returns {object}
+ */
+const getLinkRepository = () => {
+    if (!repository) {
+        const backend = getStorageBackend();
+        if (!BACKENDS[backend]) {
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}". Available: ${Object.keys(BACKENDS).join(', ')}.`);
+        }
+        if (backend !== 'mongo') {
+            // Nothing connects to MongoDB, so a stray model query fails at once instead of waiting for a connection
+            mongoose.set('bufferCommands', false);
+        }
+        repository = BACKENDS[backend]().createRepository();
+    }
+    return repository;
+};
+
+/**
+ * Returns true when MongoDB is the storage backend, i.e. the Mongo-only features are available.
+ *
+ * @returns {boolean}
+ */
+const isMongoStorage = () => getStorageBackend() === 'mongo';
+
+/**
+ * Connects the configured backend. Rejects if it cannot be reached; the caller decides whether to exit.
+ *
+ * @returns {Promise<void>}
+ */
+const connectStorage = async () => {
+    await getLinkRepository().connect();
+    appLogger.info('Storage connected', { backend: getStorageBackend() });
+};
+
+/**
+ * Express middleware for endpoints that need MongoDB (API keys and custom domains).
+ * Responds 501 with the other backends.
+ */
+const requireMongoStorage = (req, res, next) => {
+    if (!isMongoStorage()) {
+        appLogger.warn('Storage: Endpoint needs MongoDB', { backend: getStorageBackend(), url: req.originalUrl });
+        return res.status(501).json({ message: 'This endpoint is only available with the MongoDB storage backend.' });
+    }
+    next();
+};
+
+module.exports = {
+    getStorageBackend,
+    getLinkRepository,
+    isMongoStorage,
+    connectStorage,
+    requireMongoStorage
+};
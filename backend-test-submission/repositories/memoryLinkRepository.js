@@ -0,0 +1,259 @@
+// backend-test-submission/repositories/memoryLinkRepository.js
+// In-memory link repository for local development and tests. Nothing is persisted. Links are validated
+// with the Url schema and kept in their JSON form, so every read returns an independent document,
+// just like a database would. Expired links are removed by the expiry sweeper (hasTtlIndex is false).
+const Url = require('../models/url');
+const ClickEvent = require('../models/clickEvent');
+const AuditLog = require('../models/auditLog');
+const { aggregateClickEvents, countVariants, isClick } = require('./eventStats');
+
+// Same shape as MongoDB's duplicate key error, which the controllers recognise by its code
+const duplicateCodeError = () => Object.assign(new Error('E11000 duplicate key error: shortcode already in use'), { code: 11000 });
+
+const codeKey = (shortDomain, shortCode) => `${shortDomain || ''}/${shortCode}`;
+
+// Orders keyset values the way MongoDB does: null first, then by value, then by id
+const compareKeys = (a, b) => {
+    const aNull = a.value === null || a.value === undefined;
+    const bNull = b.value === null || b.value === undefined;
+    if (aNull !== bNull) {
+        return aNull ? -1 : 1;
+    }
+    // Dates (or their JSON form) and numbers both compare as numbers
+    const difference = aNull ? 0 : new Date(a.value).getTime() - new Date(b.value).getTime();
+    if (difference) {
+        return difference;
+    }
+    const aId = String(a.id);
+    const bId = String(b.id);
+    return aId < bId ? -1 : (aId > bId ? 1 : 0);
+};
+
+// Helper function returning true if a stored link matches the listing filters
+const matchesListFilter = (link, { owner, status, domain, shortDomain, createdFrom, createdTo, q, now = new Date() }) => {
+    const expiresAt = link.expiresAt ? new Date(link.expiresAt) : null;
+    const activatesAt = link.activatesAt ? new Date(link.activatesAt) : null;
+    const createdAt = new Date(link.createdAt);
+    const clickLimitReached = link.maxClicks != null && link.clicks >= link.maxClicks;
+    if (link.deletedAt || (owner && link.owner !== owner)) return false;
+    if (status === 'active' && (link.disabled || (expiresAt && expiresAt <= now) || (activatesAt && activatesAt > now) || clickLimitReached)) return false;
+    if (status === 'expired' && !((expiresAt && expiresAt <= now) || clickLimitReached)) return false;
+    if (status === 'scheduled' && !(activatesAt && activatesAt > now)) return false;
+    if (domain && link.domain !== domain) return false;
+    if (shortDomain !== undefined && (link.shortDomain || null) !== shortDomain) return false;
+    if (createdFrom && createdAt < createdFrom) return false;
+    if (createdTo && createdAt > createdTo) return false;
+    if (q) {
+        const needle = q.toLowerCase();
+        if (!link.originalUrl.toLowerCase().includes(needle) && !link.shortCode.toLowerCase().includes(needle)) return false;
+    }
+    return true;
+};
+
+/**
+ * Creates an empty in-memory repository. See repositories/index.js for the interface.
+ *
+ * @returns {object}
+ */
+const createRepository = () => {
+    const links = new Map(); // id -> JSON of the link
+    const idsByCode = new Map(); // "<shortDomain>/<shortCode>" -> id
+    const eventsByLink = new Map(); // id -> click events, oldest first
+    const auditByLink = new Map(); // id -> audit entries, oldest first
+    const sequences = new Map();
+
+    const load = (id) => (links.has(id) ? JSON.parse(links.get(id)) : null);
+    const store = (link) => {
+        const id = String(link._id);
+        links.set(id, JSON.stringify(link.toObject()));
+        idsByCode.set(codeKey(link.shortDomain, link.shortCode), id);
+    };
+    const eventsOf = (id) => eventsByLink.get(String(id)) || [];
+    // Appends to a per-link list in one of the maps
+    const append = (map, id, item) => {
+        if (!map.has(id)) map.set(id, []);
+        map.get(id).push(item);
+    };
+    const addEvent = (event) => {
+        const stored = new ClickEvent(event).toObject();
+        append(eventsByLink, String(stored.url), stored);
+    };
+
+    const insert = async (link) => {
+        if (idsByCode.has(codeKey(link.shortDomain, link.shortCode))) {
+            throw duplicateCodeError();
+        }
+        store(link);
+        return link;
+    };
+
+    return {
+        hasTtlIndex: false,
+
+        connect: async () => {},
+
+        close: async () => {},
+
+        build: async (fields) => {
+            const link = new Url(fields);
+            await link.validate();
+            return link;
+        },
+
+        create: async (fields) => {
+            const link = new Url(fields);
+            await link.validate();
+            return insert(link);
+        },
+
+        createMany: async (newLinks) => {
+            const failures = new Map();
+            for (let i = 0; i < newLinks.length; i++) {
+                try {
+                    await insert(newLinks[i]);
+                } catch (error) {
+                    failures.set(i, error);
+                }
+            }
+            return failures;
+        },
+
+        findByCode: async ({ shortCode, shortDomain }, { owner, includeDeleted = false, lean = false } = {}) => {
+            const stored = load(idsByCode.get(codeKey(shortDomain, shortCode)));
+            if (!stored || (!includeDeleted && stored.deletedAt) || (owner && stored.owner !== owner)) {
+                return null;
+            }
+            const link = Url.hydrate(stored);
+            return lean ? link.toObject() : link;
+        },
+
+        findTakenCodes: async (shortDomain, codes) => new Set(codes.filter(code => idsByCode.has(codeKey(shortDomain, code)))),
+
+        countLinks: async () => links.size,
+
+        reserveSequence: async (name, count = 1) => {
+            const first = (sequences.get(name) || 0) + 1;
+            sequences.set(name, first + count - 1);
+            return first;
+        },
+
+        list: async ({ sortBy, direction, cursor, limit, ...filters }) => {
+            const matching = [...links.values()].map(json => JSON.parse(json)).filter(link => matchesListFilter(link, filters));
+            const keyOf = (link) => ({ value: link[sortBy], id: link._id });
+            const page = matching
+                .filter(link => !cursor || compareKeys(keyOf(link), cursor) * direction > 0)
+                .sort((a, b) => compareKeys(keyOf(a), keyOf(b)) * direction)
+                .slice(0, limit);
+            return { total: matching.length, links: page.map(link => Url.hydrate(link)) };
+        },
+
+        // The click count is left as stored, since the document may have been read before later clicks
+        update: async (link, { validate = true } = {}) => {
+            if (validate) {
+                await link.validate();
+            }
+            const current = load(String(link._id));
+            if (current) {
+                link.clicks = current.clicks;
+            }
+            store(link);
+            return link;
+        },
+
+        remove: async (link) => {
+            const id = String(link._id);
+            const stored = load(id);
+            if (stored) {
+                idsByCode.delete(codeKey(stored.shortDomain, stored.shortCode));
+            }
+            links.delete(id);
+            eventsByLink.delete(id);
+        },
+
+        recordClick: async (link, event, countClick) => {
+            const id = String(link._id);
+            const stored = load(id);
+            if (countClick) {
+                if (!stored || (stored.maxClicks && stored.clicks >= stored.maxClicks)) {
+                    return false;
+                }
+                stored.clicks += 1;
+                links.set(id, JSON.stringify(stored));
+            }
+            addEvent(event);
+            return true;
+        },
+
+        addClicks: async (counts) => {
+            counts.forEach((clicks, urlId) => {
+                const stored = load(String(urlId));
+                if (stored) {
+                    stored.clicks += clicks;
+                    links.set(String(urlId), JSON.stringify(stored));
+                }
+            });
+        },
+
+        insertEvents: async (events) => {
+            events.forEach(addEvent);
+        },
+
+        countEvents: async ({ url, eventType, ip, since }) => eventsOf(url)
+            .filter(event => event.eventType === eventType && event.ip === ip && event.timestamp >= since)
+            .length,
+
+        listClicks: async (link, { limit, cursor }) => eventsOf(link._id)
+            .filter(isClick)
+            .map(event => ({ event, key: { value: event.timestamp, id: event._id } }))
+            .filter(({ key }) => !cursor || compareKeys(key, cursor) < 0)
+            .sort((a, b) => compareKeys(b.key, a.key))
+            .slice(0, limit)
+            .map(({ event }) => ({ ...event })),
+
+        streamLinks: async function* ({ owner, createdFrom, createdTo, includeDeleted }) {
+            const matching = [...links.values()]
+                .map(json => Url.hydrate(JSON.parse(json)).toObject())
+                .filter(link => (includeDeleted || !link.deletedAt) && (!owner || link.owner === owner)
+                    && (!createdFrom || link.createdAt >= createdFrom) && (!createdTo || link.createdAt <= createdTo))
+                .sort((a, b) => compareKeys({ value: a.createdAt, id: a._id }, { value: b.createdAt, id: b._id }));
+            yield* matching;
+        },
+
+        streamClicks: async function* (link, { from, to } = {}) {
+            yield* eventsOf(link._id)
+                .filter(event => isClick(event) && (!from || event.timestamp >= from) && (!to || event.timestamp <= to))
+                .sort((a, b) => compareKeys({ value: a.timestamp, id: a._id }, { value: b.timestamp, id: b._id }))
+                .map(event => ({ ...event }));
+        },
+
+        aggregateStats: async (link, { from, to, interval, includeBots }) => aggregateClickEvents(
+            eventsOf(link._id).filter(event => isClick(event) && event.timestamp >= from && event.timestamp <= to),
+            { interval, includeBots }
+        ),
+
+        variantStats: async (link, { includeBots }) => countVariants(eventsOf(link._id).filter(isClick), includeBots),
+
+        recordAudit: async (entry) => {
+            const stored = new AuditLog(entry).toObject();
+            append(auditByLink, String(stored.url), stored);
+            return stored;
+        },
+
+        listAudit: async (link, limit) => [...(auditByLink.get(String(link._id)) || [])].reverse().slice(0, limit),
+
+        deleteExpired: async (now = new Date()) => {
+            let removed = 0;
+            [...links.keys()].forEach(id => {
+                const stored = load(id);
+                if (stored.expiresAt && new Date(stored.expiresAt) <= now) {
+                    idsByCode.delete(codeKey(stored.shortDomain, stored.shortCode));
+                    links.delete(id);
+                    removed++;
+                }
+            });
+            return removed;
+        }
+    };
+};
+
+module.exports = { createRepository };
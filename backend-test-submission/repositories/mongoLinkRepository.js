@@ -0,0 +1,309 @@
+// backend-test-submission/repositories/mongoLinkRepository.js
+// MongoDB link repository, backed by the Mongoose models. Expired links are removed by the TTL index
+// on Url.expiresAt, so no sweeper is needed.
+const mongoose = require('mongoose');
+const Url = require('../models/url');
+const ClickEvent = require('../models/clickEvent');
+const AuditLog = require('../models/auditLog');
+const Counter = require('../models/counter');
+const pagination = require('../utils/pagination');
+const { escapeRegex } = require('../utils/queryParams');
+const { TOP_N } = require('./eventStats');
+
+// Builds a $facet pipeline counting clicks per distinct value of a field, most frequent first
+const topValues = (field, fallback) => [
+    { $group: { _id: { $ifNull: [`$${field}`, fallback] }, clicks: { $sum: 1 } } },
+    { $sort: { clicks: -1, _id: 1 } },
+    { $limit: TOP_N }
+];
+
+// A click's visitor id; clicks without one (e.g. imported ones) count as a single visitor, as in the other backends
+const VISITOR_ID = { $ifNull: ['$visitorId', null] };
+
+// Shapes a topValues() facet entry
+const toBreakdown = (entry) => ({ value: entry._id, clicks: entry.clicks });
+
+// Helper function to build the Url filter of the listing endpoint
+const buildListFilter = ({ owner, status, domain, shortDomain, createdFrom, createdTo, q, now = new Date() }) => {
+    const conditions = [{ deletedAt: null }];
+    // A link that used up its maxClicks counts as expired; a disabled link is never active
+    const clickLimitReached = { maxClicks: { $ne: null }, $expr: { $gte: ['$clicks', '$maxClicks'] } };
+    if (status === 'active') {
+        conditions.push({ disabled: { $ne: true } });
+        conditions.push({ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] });
+        conditions.push({ $or: [{ activatesAt: null }, { activatesAt: { $lte: now } }] });
+        conditions.push({ $nor: [clickLimitReached] });
+    } else if (status === 'expired') {
+        conditions.push({ $or: [{ expiresAt: { $lte: now } }, clickLimitReached] });
+    } else if (status === 'scheduled') {
+        conditions.push({ activatesAt: { $gt: now } });
+    }
+    if (domain) {
+        // An exact match, so the query can use the domain index
+        conditions.push({ domain });
+    }
+    if (shortDomain !== undefined) {
+        conditions.push({ shortDomain });
+    }
+    if (createdFrom || createdTo) {
+        const createdAt = {};
+        if (createdFrom) createdAt.$gte = createdFrom;
+        if (createdTo) createdAt.$lte = createdTo;
+        conditions.push({ createdAt });
+    }
+    if (q) {
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        conditions.push({ $or: [{ originalUrl: pattern }, { shortCode: pattern }] });
+    }
+    if (owner) {
+        conditions.push({ owner });
+    }
+    return conditions;
+};
+
+/**
+ * Creates the MongoDB repository. See repositories/index.js for the interface.
+ *
+ * @returns {object}
+ */
+const createRepository = () => ({
+    hasTtlIndex: true,
+
+    connect: async () => {
+        await mongoose.connect(process.env.MONGO_URI);
+    },
+
+    close: async () => {
+        await mongoose.disconnect();
+    },
+
+    build: async (fields) => {
+        const link = new Url(fields);
+        await link.validate();
+        return link;
+    },
+
+    create: async (fields) => new Url(fields).save(),
+
+    createMany: async (links) => {
+        const failures = new Map();
+        if (links.length === 0) {
+            return failures;
+        }
+        try {
+            await Url.insertMany(links.map(link => link.toObject()), { ordered: false, lean: true });
+        } catch (insertError) {
+            if (!insertError.writeErrors) {
+                throw insertError;
+            }
+            insertError.writeErrors.forEach(writeError => failures.set(writeError.index, writeError));
+        }
+        return failures;
+    },
+
+    findByCode: async ({ shortCode, shortDomain }, { owner, includeDeleted = false, lean = false } = {}) => {
+        const filter = { shortCode, shortDomain: shortDomain || null };
+        if (!includeDeleted) filter.deletedAt = null;
+        if (owner) filter.owner = owner;
+        const query = Url.findOne(filter);
+        return lean ? query.lean() : query;
+    },
+
+    findTakenCodes: async (shortDomain, codes) => {
+        const taken = await Url.find({ shortCode: { $in: codes }, shortDomain: shortDomain || null }, 'shortCode').lean();
+        return new Set(taken.map(u => u.shortCode));
+    },
+
+    countLinks: () => Url.estimatedDocumentCount(),
+
+    reserveSequence: async (name, count = 1) => {
+        const counter = await Counter.findOneAndUpdate(
+            { _id: name },
+            { $inc: { seq: count } },
+            { new: true, upsert: true }
+        ).lean();
+        return counter.seq - count + 1;
+    },
+
+    list: async ({ sortBy, direction, cursor, limit, ...filters }) => {
+        const conditions = buildListFilter(filters);
+        const pageConditions = cursor
+            ? [...conditions, pagination.buildKeysetCondition(sortBy, direction, cursor)]
+            : conditions;
+        const [total, links] = await Promise.all([
+            Url.countDocuments({ $and: conditions }),
+            Url.find({ $and: pageConditions }, 'shortCode shortDomain originalUrl createdAt expiresAt activatesAt maxClicks rules variants utm forwardQuery preview redirectType linkHeader robotsTag disabled flag passwordHash clicks')
+                .sort({ [sortBy]: direction, _id: direction })
+                .limit(limit)
+        ]);
+        return { total, links };
+    },
+
+    update: (link, { validate = true } = {}) => link.save({ validateBeforeSave: validate }),
+
+    remove: async (link) => {
+        await Promise.all([
+            Url.deleteOne({ _id: link._id }),
+            ClickEvent.deleteMany({ url: link._id })
+        ]);
+    },
+
+    // For links with maxClicks the increment only matches while clicks < maxClicks, so concurrent
+    // clicks can never go over the limit
+    recordClick: async (link, event, countClick) => {
+        if (countClick) {
+            const filter = { _id: link._id };
+            if (link.maxClicks) {
+                filter.clicks = { $lt: link.maxClicks };
+            }
+            const result = await Url.updateOne(filter, { $inc: { clicks: 1 } });
+            if (result.matchedCount === 0) {
+                return false;
+            }
+        }
+        await ClickEvent.create(event);
+        return true;
+    },
+
+    addClicks: async (counts) => {
+        await Url.bulkWrite(
+            [...counts].map(([urlId, clicks]) => ({ updateOne: { filter: { _id: urlId }, update: { $inc: { clicks } } } })),
+            { ordered: false }
+        );
+    },
+
+    insertEvents: async (events) => {
+        await ClickEvent.insertMany(events, { ordered: false, lean: true });
+    },
+
+    countEvents: ({ url, eventType, ip, since }) => ClickEvent.countDocuments({
+        url,
+        eventType,
+        ip,
+        timestamp: { $gte: since }
+    }),
+
+    listClicks: (link, { limit, cursor }) => {
+        const filter = { url: link._id, ...ClickEvent.CLICKS_ONLY };
+        if (cursor) {
+            Object.assign(filter, pagination.buildKeysetCondition('timestamp', -1, cursor));
+        }
+        return ClickEvent.find(filter).sort({ timestamp: -1, _id: -1 }).limit(limit);
+    },
+
+    streamLinks: ({ owner, createdFrom, createdTo, includeDeleted }) => {
+        const filter = includeDeleted ? {} : { deletedAt: null };
+        if (owner) filter.owner = owner;
+        if (createdFrom || createdTo) {
+            filter.createdAt = {};
+            if (createdFrom) filter.createdAt.$gte = createdFrom;
+            if (createdTo) filter.createdAt.$lte = createdTo;
+        }
+        return Url.find(filter).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+    },
+
+    streamClicks: (link, { from, to } = {}) => {
+        const filter = { url: link._id, ...ClickEvent.CLICKS_ONLY };
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = from;
+            if (to) filter.timestamp.$lte = to;
+        }
+        return ClickEvent.find(filter).sort({ timestamp: 1, _id: 1 }).lean().cursor();
+    },
+
+    // All breakdowns are aggregated in a single pass over the matching click events
+    aggregateStats: async (link, { from, to, interval, includeBots }) => {
+        const bucketExpression = { date: '$timestamp', unit: interval, timezone: 'UTC' };
+        if (interval === 'week') {
+            bucketExpression.startOfWeek = 'monday';
+        }
+        const match = { url: link._id, timestamp: { $gte: from, $lte: to }, ...ClickEvent.CLICKS_ONLY };
+        if (!includeBots) {
+            match.isBot = { $ne: true };
+        }
+        const pipeline = [
+            { $match: match },
+            {
+                $facet: {
+                    totals: [
+                        { $group: { _id: null, clicks: { $sum: 1 }, visitors: { $addToSet: VISITOR_ID } } },
+                        { $project: { _id: 0, clicks: 1, uniqueVisitors: { $size: '$visitors' } } }
+                    ],
+                    timeseries: [
+                        {
+                            $group: {
+                                _id: { $dateTrunc: bucketExpression },
+                                clicks: { $sum: 1 },
+                                visitors: { $addToSet: VISITOR_ID }
+                            }
+                        },
+                        { $project: { _id: 1, clicks: 1, uniqueVisitors: { $size: '$visitors' } } }
+                    ],
+                    topReferrers: topValues('referrer', 'Direct/Unknown'),
+                    topUserAgents: topValues('userAgent', 'Unknown'),
+                    browsers: topValues('browser', 'Unknown'),
+                    operatingSystems: topValues('os', 'Unknown'),
+                    deviceTypes: topValues('deviceType', 'Unknown'),
+                    referrerCategories: topValues('referrerCategory', 'direct'),
+                    redirectRules: topValues('ruleName', 'Fallback'),
+                    channels: topValues('channel', 'link'),
+                    countries: [
+                        {
+                            $group: {
+                                _id: { $ifNull: ['$country', 'Unknown'] },
+                                countryName: { $first: '$countryName' },
+                                clicks: { $sum: 1 },
+                                visitors: { $addToSet: VISITOR_ID }
+                            }
+                        },
+                        { $sort: { clicks: -1, _id: 1 } },
+                        { $project: { _id: 1, countryName: 1, clicks: 1, uniqueVisitors: { $size: '$visitors' } } }
+                    ],
+                    topCities: topValues('location', 'Unknown')
+                }
+            }
+        ];
+        const [[result], botClicks] = await Promise.all([
+            ClickEvent.aggregate(pipeline),
+            // Bot traffic is reported separately so it stays visible even when excluded above
+            ClickEvent.countDocuments({ url: link._id, timestamp: { $gte: from, $lte: to }, isBot: true, ...ClickEvent.CLICKS_ONLY })
+        ]);
+        return {
+            totals: result.totals[0] || { clicks: 0, uniqueVisitors: 0 },
+            timeseries: result.timeseries.map(b => ({ bucket: b._id, clicks: b.clicks, uniqueVisitors: b.uniqueVisitors })),
+            topReferrers: result.topReferrers.map(toBreakdown),
+            topUserAgents: result.topUserAgents.map(toBreakdown),
+            browsers: result.browsers.map(toBreakdown),
+            operatingSystems: result.operatingSystems.map(toBreakdown),
+            deviceTypes: result.deviceTypes.map(toBreakdown),
+            referrerCategories: result.referrerCategories.map(toBreakdown),
+            redirectRules: result.redirectRules.map(toBreakdown),
+            channels: result.channels.map(toBreakdown),
+            countries: result.countries.map(c => ({ value: c._id, countryName: c.countryName || null, clicks: c.clicks, uniqueVisitors: c.uniqueVisitors })),
+            topCities: result.topCities.map(toBreakdown),
+            botClicks
+        };
+    },
+
+    variantStats: async (link, { includeBots }) => {
+        const match = { url: link._id, variant: { $ne: null }, ...ClickEvent.CLICKS_ONLY };
+        if (!includeBots) {
+            match.isBot = { $ne: true };
+        }
+        const counts = await ClickEvent.aggregate([
+            { $match: match },
+            { $group: { _id: '$variant', clicks: { $sum: 1 }, visitors: { $addToSet: '$visitorId' } } }
+        ]);
+        return counts.map(c => ({ variant: c._id, clicks: c.clicks, uniqueVisitors: c.visitors.filter(Boolean).length }));
+    },
+
+    recordAudit: (entry) => AuditLog.create(entry),
+
+    listAudit: (link, limit) => AuditLog.find({ url: link._id }).sort({ timestamp: -1 }).limit(limit),
+
+    // The TTL index on Url.expiresAt already removes expired links
+    deleteExpired: async () => 0
+});
+
+module.exports = { createRepository };
@@ -0,0 +1,536 @@
+// backend-test-submission/repositories/sqliteLinkRepository.js
+// SQLite link repository (better-sqlite3), for single-instance deployments and local development
+// without MongoDB. The database file is SQLITE_PATH (default ./data/urlshortener.db; ":memory:" works too).
+// Each link is stored as its JSON document plus the columns needed for lookups, listing and the
+// click limit. SQLite has no TTL indexes, so expired links are removed by the expiry sweeper.
+// Click events are stored the same way; the fields analytics group by are virtual columns computed from
+// the JSON document (EVENT_COLUMNS), so stats are aggregated in SQL without loading the events.
+const fs = require('fs');
+const path = require('path');
+const Url = require('../models/url');
+const ClickEvent = require('../models/clickEvent');
+const AuditLog = require('../models/auditLog');
+const { TOP_N } = require('./eventStats');
+const { INTERVALS } = require('../utils/timeBuckets');
+
+const DEFAULT_PATH = path.resolve(__dirname, '..', 'data', 'urlshortener.db');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS links (
+        id TEXT PRIMARY KEY,
+        short_code TEXT NOT NULL,
+        short_domain TEXT NOT NULL DEFAULT '',
+        owner TEXT,
+        domain TEXT,
+        original_url TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        activates_at INTEGER,
+        max_clicks INTEGER,
+        clicks INTEGER NOT NULL DEFAULT 0,
+        deleted_at INTEGER,
+        doc TEXT NOT NULL,
+        UNIQUE (short_domain, short_code)
+    );
+    CREATE INDEX IF NOT EXISTS links_created ON links (created_at, id);
+    CREATE INDEX IF NOT EXISTS links_clicks ON links (clicks, id);
+    CREATE INDEX IF NOT EXISTS links_owner_created ON links (owner, created_at, id);
+    CREATE INDEX IF NOT EXISTS links_expires ON links (expires_at);
+    CREATE INDEX IF NOT EXISTS links_domain ON links (domain);
+    CREATE TABLE IF NOT EXISTS click_events (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        event_type TEXT,
+        ip TEXT,
+        timestamp INTEGER NOT NULL,
+        doc TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS click_events_url_time ON click_events (url, timestamp, id);
+    CREATE TABLE IF NOT EXISTS audit_logs (
+        id TEXT PRIMARY KEY,
+        url TEXT,
+        timestamp INTEGER NOT NULL,
+        doc TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS audit_logs_url_time ON audit_logs (url, timestamp);
+    CREATE TABLE IF NOT EXISTS sequences (
+        name TEXT PRIMARY KEY,
+        seq INTEGER NOT NULL
+    );
+`;
+
+// Virtual columns of click_events, computed from the event document. Added to existing databases on open
+// (SQLite can add virtual generated columns with ALTER TABLE), then indexed by EVENT_INDEXES.
+const EVENT_COLUMNS = {
+    is_bot: 'isBot',
+    visitor_id: 'visitorId',
+    variant: 'variant',
+    referrer: 'referrer',
+    user_agent: 'userAgent',
+    browser: 'browser',
+    os: 'os',
+    device_type: 'deviceType',
+    referrer_category: 'referrerCategory',
+    rule_name: 'ruleName',
+    channel: 'channel',
+    country: 'country',
+    country_name: 'countryName',
+    location: 'location'
+};
+const EVENT_INDEXES = `
+    CREATE INDEX IF NOT EXISTS click_events_url_bot_time ON click_events (url, is_bot, timestamp);
+    CREATE INDEX IF NOT EXISTS click_events_url_variant ON click_events (url, variant, is_bot);
+`;
+
+// Listing sort fields and their columns
+const SORT_COLUMNS = { createdAt: 'created_at', clicks: 'clicks', expiresAt: 'expires_at' };
+const CLICKS_ONLY = "(event_type IS NULL OR event_type = 'click')";
+const CLICK_LIMIT_REACHED = '(max_clicks IS NOT NULL AND clicks >= max_clicks)';
+const DISABLED = "COALESCE(json_extract(doc, '$.disabled'), 0)";
+
+// Unique visitors of a group; like MongoDB's $addToSet, events without a visitor id count as one visitor
+const UNIQUE_VISITORS = 'COUNT(DISTINCT visitor_id) + COALESCE(MAX(visitor_id IS NULL), 0)';
+
+// Start of the time bucket of an event, in epoch milliseconds, as truncateDate computes it (weeks start on
+// Monday, and 1970-01-05 was a Monday)
+const BUCKET_EXPRESSIONS = {
+    hour: `(timestamp / ${INTERVALS.hour}) * ${INTERVALS.hour}`,
+    day: `(timestamp / ${INTERVALS.day}) * ${INTERVALS.day}`,
+    week: `((timestamp - ${4 * INTERVALS.day}) / ${INTERVALS.week}) * ${INTERVALS.week} + ${4 * INTERVALS.day}`
+};
+
+// Rows read per query by streamLinks and streamClicks
+const STREAM_BATCH_SIZE = 500;
+
+const toMillis = (date) => (date ? new Date(date).getTime() : null);
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// Same shape as MongoDB's duplicate key error, which the controllers recognise by its code
+const toDuplicateCodeError = (error) => (error.code === 'SQLITE_CONSTRAINT_UNIQUE'
+    ? Object.assign(new Error('E11000 duplicate key error: shortcode already in use'), { code: 11000 })
+    : error);
+
+// Helper function to build the columns of a link row from a Url document
+const toRow = (link) => ({
+    id: String(link._id),
+    short_code: link.shortCode,
+    short_domain: link.shortDomain || '',
+    owner: link.owner || null,
+    domain: link.domain || null,
+    original_url: link.originalUrl,
+    created_at: toMillis(link.createdAt),
+    expires_at: toMillis(link.expiresAt),
+    activates_at: toMillis(link.activatesAt),
+    max_clicks: link.maxClicks || null,
+    clicks: link.clicks || 0,
+    deleted_at: toMillis(link.deletedAt),
+    doc: JSON.stringify(link.toObject())
+});
+
+// Helper function to turn a link row back into a Url document; the clicks column is authoritative
+const fromRow = (row) => Url.hydrate({ ...JSON.parse(row.doc), clicks: row.clicks });
+
+// Helper function to turn an event or audit row back into a plain object with its timestamp revived
+const fromEventRow = (row) => {
+    const event = JSON.parse(row.doc);
+    return { ...event, timestamp: new Date(event.timestamp) };
+};
+
+// Helper function to build the WHERE clause of the listing endpoint
+const buildListWhere = ({ owner, status, domain, shortDomain, createdFrom, createdTo, q, now = new Date() }) => {
+    const where = ['deleted_at IS NULL'];
+    const params = [];
+    const nowMs = now.getTime();
+    if (status === 'active') {
+        // disabled only lives in the document; a disabled link is never active
+        where.push(`NOT ${DISABLED}`, '(expires_at IS NULL OR expires_at > ?)', '(activates_at IS NULL OR activates_at <= ?)', `NOT ${CLICK_LIMIT_REACHED}`);
+        params.push(nowMs, nowMs);
+    } else if (status === 'expired') {
+        where.push(`(expires_at <= ? OR ${CLICK_LIMIT_REACHED})`);
+        params.push(nowMs);
+    } else if (status === 'scheduled') {
+        where.push('activates_at > ?');
+        params.push(nowMs);
+    }
+    if (domain) {
+        where.push('domain = ?');
+        params.push(domain);
+    }
+    if (shortDomain !== undefined) {
+        where.push('short_domain = ?');
+        params.push(shortDomain || '');
+    }
+    if (createdFrom) {
+        where.push('created_at >= ?');
+        params.push(createdFrom.getTime());
+    }
+    if (createdTo) {
+        where.push('created_at <= ?');
+        params.push(createdTo.getTime());
+    }
+    if (q) {
+        // LIKE is case-insensitive for ASCII letters
+        where.push("(original_url LIKE ? ESCAPE '\\' OR short_code LIKE ? ESCAPE '\\')");
+        params.push(`%${escapeLike(q)}%`, `%${escapeLike(q)}%`);
+    }
+    if (owner) {
+        where.push('owner = ?');
+        params.push(owner);
+    }
+    return { where, params };
+};
+
+// Helper function to build the keyset condition selecting rows strictly after a cursor, like
+// pagination.buildKeysetCondition. SQLite, like MongoDB, sorts NULL before every other value.
+const buildKeysetWhere = (column, direction, cursor) => {
+    const op = direction === 1 ? '>' : '<';
+    const id = String(cursor.id);
+    if (cursor.value === null) {
+        return direction === 1
+            ? { sql: `((${column} IS NULL AND id > ?) OR ${column} IS NOT NULL)`, params: [id] }
+            : { sql: `(${column} IS NULL AND id < ?)`, params: [id] };
+    }
+    const value = cursor.value instanceof Date ? cursor.value.getTime() : cursor.value;
+    return {
+        sql: `(${column} ${op} ? OR (${column} = ? AND id ${op} ?)${direction === -1 ? ` OR ${column} IS NULL` : ''})`,
+        params: [value, value, id]
+    };
+};
+
+/**
+ * Creates the SQLite repository. See repositories/index.js for the interface.
+ *
+ * @param {object} [options]
+ * @param {string} [options.filename] - The database file; defaults to SQLITE_PATH.
+ * @returns {object}
+ */
+const createRepository = ({ filename = process.env.SQLITE_PATH || DEFAULT_PATH } = {}) => {
+    let database = null;
+
+    // Opens the database and creates the tables on first use
+    const db = () => {
+        if (!database) {
+            // Loaded here so the optional dependency is only needed when SQLite is used
+            const Database = require('better-sqlite3');
+            if (filename !== ':memory:') {
+                fs.mkdirSync(path.dirname(filename), { recursive: true });
+            }
+            database = new Database(filename);
+            database.pragma('journal_mode = WAL');
+            database.exec(SCHEMA);
+            const existing = new Set(database.prepare('PRAGMA table_xinfo(click_events)').all().map(column => column.name));
+            Object.entries(EVENT_COLUMNS)
+                .filter(([column]) => !existing.has(column))
+                .forEach(([column, field]) => database.exec(
+                    `ALTER TABLE click_events ADD COLUMN ${column} GENERATED ALWAYS AS (json_extract(doc, '$.${field}')) VIRTUAL`
+                ));
+            database.exec(EVENT_INDEXES);
+        }
+        return database;
+    };
+
+    const insertLink = (link) => {
+        try {
+            db().prepare(`
+                INSERT INTO links (id, short_code, short_domain, owner, domain, original_url, created_at, expires_at,
+                                   activates_at, max_clicks, clicks, deleted_at, doc)
+                VALUES (@id, @short_code, @short_domain, @owner, @domain, @original_url, @created_at, @expires_at,
+                        @activates_at, @max_clicks, @clicks, @deleted_at, @doc)
+            `).run(toRow(link));
+        } catch (error) {
+            throw toDuplicateCodeError(error);
+        }
+        return link;
+    };
+
+    const insertEvent = (event) => {
+        const stored = new ClickEvent(event).toObject();
+        db().prepare('INSERT INTO click_events (id, url, event_type, ip, timestamp, doc) VALUES (?, ?, ?, ?, ?, ?)')
+            .run(String(stored._id), String(stored.url), stored.eventType, stored.ip || null, toMillis(stored.timestamp), JSON.stringify(stored));
+    };
+
+    // Counts the clicks matching a WHERE clause per value of a column (or a fallback when it is null),
+    // most frequent first
+    const countPerValue = (where, params, column, fallback, { limit = TOP_N, extra = '' } = {}) => db()
+        .prepare(`
+            SELECT COALESCE(${column}, ?) AS value, COUNT(*) AS clicks${extra}
+            FROM click_events WHERE ${where}
+            GROUP BY value ORDER BY clicks DESC, value ASC ${limit ? 'LIMIT ?' : ''}
+        `)
+        .all(fallback, ...params, ...(limit ? [limit] : []));
+
+    return {
+        hasTtlIndex: false,
+
+        connect: async () => {
+            db();
+        },
+
+        close: async () => {
+            if (database) {
+                database.close();
+                database = null;
+            }
+        },
+
+        build: async (fields) => {
+            const link = new Url(fields);
+            await link.validate();
+            return link;
+        },
+
+        create: async (fields) => {
+            const link = new Url(fields);
+            await link.validate();
+            return insertLink(link);
+        },
+
+        createMany: async (links) => {
+            const failures = new Map();
+            db().transaction(() => {
+                links.forEach((link, index) => {
+                    try {
+                        insertLink(link);
+                    } catch (error) {
+                        failures.set(index, error);
+                    }
+                });
+            })();
+            return failures;
+        },
+
+        findByCode: async ({ shortCode, shortDomain }, { owner, includeDeleted = false, lean = false } = {}) => {
+            const row = db().prepare('SELECT doc, clicks, owner, deleted_at FROM links WHERE short_domain = ? AND short_code = ?')
+                .get(shortDomain || '', shortCode);
+            if (!row || (!includeDeleted && row.deleted_at !== null) || (owner && row.owner !== owner)) {
+                return null;
+            }
+            const link = fromRow(row);
+            return lean ? link.toObject() : link;
+        },
+
+        findTakenCodes: async (shortDomain, codes) => {
+            if (codes.length === 0) {
+                return new Set();
+            }
+            const rows = db().prepare(`SELECT short_code FROM links WHERE short_domain = ? AND short_code IN (${codes.map(() => '?').join(', ')})`)
+                .all(shortDomain || '', ...codes);
+            return new Set(rows.map(row => row.short_code));
+        },
+
+        countLinks: async () => db().prepare('SELECT COUNT(*) AS count FROM links').get().count,
+
+        reserveSequence: async (name, count = 1) => {
+            const row = db().prepare(`
+                INSERT INTO sequences (name, seq) VALUES (?, ?)
+                ON CONFLICT (name) DO UPDATE SET seq = seq + excluded.seq
+                RETURNING seq
+            `).get(name, count);
+            return row.seq - count + 1;
+        },
+
+        list: async ({ sortBy, direction, cursor, limit, ...filters }) => {
+            const column = SORT_COLUMNS[sortBy];
+            const { where, params } = buildListWhere(filters);
+            const pageWhere = [...where];
+            const pageParams = [...params];
+            if (cursor) {
+                const keyset = buildKeysetWhere(column, direction, cursor);
+                pageWhere.push(keyset.sql);
+                pageParams.push(...keyset.params);
+            }
+            const order = direction === 1 ? 'ASC' : 'DESC';
+            const total = db().prepare(`SELECT COUNT(*) AS count FROM links WHERE ${where.join(' AND ')}`).get(...params).count;
+            const rows = db().prepare(`SELECT doc, clicks FROM links WHERE ${pageWhere.join(' AND ')} ORDER BY ${column} ${order}, id ${order} LIMIT ?`)
+                .all(...pageParams, limit);
+            return { total, links: rows.map(fromRow) };
+        },
+
+        // The clicks column is not written, since the document may have been read before later clicks
+        update: async (link, { validate = true } = {}) => {
+            if (validate) {
+                await link.validate();
+            }
+            const row = toRow(link);
+            db().prepare(`
+                UPDATE links SET owner = @owner, domain = @domain, original_url = @original_url, expires_at = @expires_at,
+                                 activates_at = @activates_at, max_clicks = @max_clicks, deleted_at = @deleted_at, doc = @doc
+                WHERE id = @id
+            `).run(row);
+            return link;
+        },
+
+        remove: async (link) => {
+            const id = String(link._id);
+            db().transaction(() => {
+                db().prepare('DELETE FROM links WHERE id = ?').run(id);
+                db().prepare('DELETE FROM click_events WHERE url = ?').run(id);
+            })();
+        },
+
+        // The click limit is checked by the same statement that counts the click
+        recordClick: async (link, event, countClick) => {
+            if (countClick) {
+                const result = db().prepare('UPDATE links SET clicks = clicks + 1 WHERE id = ? AND NOT ' + CLICK_LIMIT_REACHED)
+                    .run(String(link._id));
+                if (result.changes === 0) {
+                    return false;
+                }
+            }
+            insertEvent(event);
+            return true;
+        },
+
+        addClicks: async (counts) => {
+            const statement = db().prepare('UPDATE links SET clicks = clicks + ? WHERE id = ?');
+            db().transaction(() => {
+                counts.forEach((clicks, urlId) => statement.run(clicks, String(urlId)));
+            })();
+        },
+
+        insertEvents: async (events) => {
+            db().transaction(() => events.forEach(insertEvent))();
+        },
+
+        countEvents: async ({ url, eventType, ip, since }) => db()
+            .prepare('SELECT COUNT(*) AS count FROM click_events WHERE url = ? AND event_type = ? AND ip = ? AND timestamp >= ?')
+            .get(String(url), eventType, ip, since.getTime()).count,
+
+        listClicks: async (link, { limit, cursor }) => {
+            const where = ['url = ?', CLICKS_ONLY];
+            const params = [String(link._id)];
+            if (cursor) {
+                const keyset = buildKeysetWhere('timestamp', -1, cursor);
+                where.push(keyset.sql);
+                params.push(...keyset.params);
+            }
+            return db().prepare(`SELECT doc FROM click_events WHERE ${where.join(' AND ')} ORDER BY timestamp DESC, id DESC LIMIT ?`)
+                .all(...params, limit)
+                .map(fromEventRow);
+        },
+
+        // Read in keyset-paged batches: large exports are never held in memory, and no statement stays open
+        // between batches (better-sqlite3 refuses other statements while an iterator is open)
+        streamLinks: async function* ({ owner, createdFrom, createdTo, includeDeleted }) {
+            const where = [];
+            const params = [];
+            if (!includeDeleted) {
+                where.push('deleted_at IS NULL');
+            }
+            if (owner) {
+                where.push('owner = ?');
+                params.push(owner);
+            }
+            if (createdFrom) {
+                where.push('created_at >= ?');
+                params.push(createdFrom.getTime());
+            }
+            if (createdTo) {
+                where.push('created_at <= ?');
+                params.push(createdTo.getTime());
+            }
+            // The keyset condition comes last, so its parameters follow the filter's
+            where.push('(created_at > ? OR (created_at = ? AND id > ?))');
+            const statement = db().prepare(`
+                SELECT id, created_at, doc, clicks FROM links
+                WHERE ${where.join(' AND ')}
+                ORDER BY created_at, id LIMIT ?
+            `);
+            let last = { createdAt: -Infinity, id: '' };
+            for (;;) {
+                const rows = statement.all(...params, last.createdAt, last.createdAt, last.id, STREAM_BATCH_SIZE);
+                for (const row of rows) {
+                    yield fromRow(row).toObject();
+                }
+                if (rows.length < STREAM_BATCH_SIZE) {
+                    return;
+                }
+                last = { createdAt: rows[rows.length - 1].created_at, id: rows[rows.length - 1].id };
+            }
+        },
+
+        streamClicks: async function* (link, { from, to } = {}) {
+            const statement = db().prepare(`
+                SELECT id, timestamp, doc FROM click_events
+                WHERE url = ? AND ${CLICKS_ONLY} AND timestamp <= ? AND (timestamp > ? OR (timestamp = ? AND id > ?))
+                ORDER BY timestamp, id LIMIT ?
+            `);
+            const upTo = to ? to.getTime() : Number.MAX_SAFE_INTEGER;
+            let last = { timestamp: from ? from.getTime() - 1 : -Infinity, id: '' };
+            for (;;) {
+                const rows = statement.all(String(link._id), upTo, last.timestamp, last.timestamp, last.id, STREAM_BATCH_SIZE);
+                for (const row of rows) {
+                    yield fromEventRow(row);
+                }
+                if (rows.length < STREAM_BATCH_SIZE) {
+                    return;
+                }
+                last = { timestamp: rows[rows.length - 1].timestamp, id: rows[rows.length - 1].id };
+            }
+        },
+
+        // The same results as mongoLinkRepository.aggregateStats, one GROUP BY per breakdown
+        aggregateStats: async (link, { from, to, interval, includeBots }) => {
+            const inRange = `url = ? AND ${CLICKS_ONLY} AND timestamp >= ? AND timestamp <= ?`;
+            const params = [String(link._id), from.getTime(), to.getTime()];
+            const where = includeBots ? inRange : `${inRange} AND is_bot IS NOT 1`;
+            const top = (column, fallback) => countPerValue(where, params, column, fallback)
+                .map(row => ({ value: row.value, clicks: row.clicks }));
+
+            const totals = db().prepare(`SELECT COUNT(*) AS clicks, ${UNIQUE_VISITORS} AS uniqueVisitors FROM click_events WHERE ${where}`)
+                .get(...params);
+            const timeseries = db().prepare(`
+                SELECT ${BUCKET_EXPRESSIONS[interval]} AS bucket, COUNT(*) AS clicks, ${UNIQUE_VISITORS} AS uniqueVisitors
+                FROM click_events WHERE ${where} GROUP BY bucket ORDER BY bucket
+            `).all(...params);
+            const countries = countPerValue(where, params, 'country', 'Unknown', {
+                limit: null,
+                extra: `, MAX(country_name) AS countryName, ${UNIQUE_VISITORS} AS uniqueVisitors`
+            });
+            const botClicks = db().prepare(`SELECT COUNT(*) AS count FROM click_events WHERE ${inRange} AND is_bot = 1`).get(...params).count;
+
+            return {
+                totals,
+                timeseries: timeseries.map(row => ({ bucket: new Date(row.bucket), clicks: row.clicks, uniqueVisitors: row.uniqueVisitors })),
+                topReferrers: top('referrer', 'Direct/Unknown'),
+                topUserAgents: top('user_agent', 'Unknown'),
+                browsers: top('browser', 'Unknown'),
+                operatingSystems: top('os', 'Unknown'),
+                deviceTypes: top('device_type', 'Unknown'),
+                referrerCategories: top('referrer_category', 'direct'),
+                redirectRules: top('rule_name', 'Fallback'),
+                channels: top('channel', 'link'),
+                countries: countries.map(row => ({ value: row.value, countryName: row.countryName || null, clicks: row.clicks, uniqueVisitors: row.uniqueVisitors })),
+                topCities: top('location', 'Unknown'),
+                botClicks
+            };
+        },
+
+        variantStats: async (link, { includeBots }) => db()
+            .prepare(`
+                SELECT variant, COUNT(*) AS clicks, COUNT(DISTINCT visitor_id) AS uniqueVisitors
+                FROM click_events
+                WHERE url = ? AND variant IS NOT NULL AND ${CLICKS_ONLY}${includeBots ? '' : ' AND is_bot IS NOT 1'}
+                GROUP BY variant ORDER BY clicks DESC, variant ASC
+            `)
+            .all(String(link._id)),
+
+        recordAudit: async (entry) => {
+            const stored = new AuditLog(entry).toObject();
+            db().prepare('INSERT INTO audit_logs (id, url, timestamp, doc) VALUES (?, ?, ?, ?)')
+                .run(String(stored._id), stored.url ? String(stored.url) : null, toMillis(stored.timestamp), JSON.stringify(stored));
+            return stored;
+        },
+
+        listAudit: async (link, limit) => db()
+            .prepare('SELECT doc FROM audit_logs WHERE url = ? ORDER BY timestamp DESC, id DESC LIMIT ?')
+            .all(String(link._id), limit)
+            .map(fromEventRow),
+
+        deleteExpired: async (now = new Date()) => db()
+            .prepare('DELETE FROM links WHERE expires_at IS NOT NULL AND expires_at <= ?')
+            .run(now.getTime()).changes
+    };
+};
+
+module.exports = { createRepository };
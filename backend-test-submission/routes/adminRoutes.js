@@ -0,0 +1,61 @@
+// backend-test-submission/routes/adminRoutes.js
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const domainController = require('../controllers/domainController');
+const urlController = require('../controllers/urlController');
+const { schemas } = require('request-schemas');
+const { requireApiKey, requireAdmin } = require('../middlewares/auth');
+const { validateRequest } = require('../middlewares/validate');
+const { requireMongoStorage } = require('../repositories');
+
+// Every admin endpoint requires an admin API key (or the ADMIN_API_KEY bootstrap key).
+// API keys and custom domains are stored in MongoDB, so their endpoints need the mongo storage backend.
+router.use(requireApiKey, requireAdmin);
+
+// 1. Create API Key
+// Method: POST
+// Route: /admin/apikeys  Body: { name, owner, role? }
+router.post('/apikeys', requireMongoStorage, validateRequest({ body: schemas.createApiKey }), apiKeyController.createApiKey);
+
+// 2. List API Keys
+// Method: GET
+// Route: /admin/apikeys?owner=
+router.get('/apikeys', requireMongoStorage, validateRequest({ query: schemas.ownerQuery }), apiKeyController.listApiKeys);
+
+// 3. Revoke API Key
+// Method: DELETE
+// Route: /admin/apikeys/:id
+router.delete('/apikeys/:id', requireMongoStorage, validateRequest({ params: schemas.idParams }), apiKeyController.revokeApiKey);
+
+// 4. Register Custom Domain
+// Method: POST
+// Route: /admin/domains  Body: { hostname, owner? }
+router.post('/domains', requireMongoStorage, validateRequest({ body: schemas.createDomain }), domainController.createDomain);
+
+// 5. List Custom Domains
+// Method: GET
+// Route: /admin/domains?owner=
+router.get('/domains', requireMongoStorage, validateRequest({ query: schemas.ownerQuery }), domainController.listDomains);
+
+// 6. Remove Custom Domain
+// Method: DELETE
+// Route: /admin/domains/:id
+router.delete('/domains/:id', requireMongoStorage, validateRequest({ params: schemas.idParams }), domainController.deleteDomain);
+
+// 7. Flag Short URL
+// Description: Makes a suspicious link show visitors a warning page instead of redirecting.
+// Method: POST
+// Route: /admin/links/:shortCode/flag?shortDomain=  Body: { reason? }
+router.post(
+    '/links/:shortCode/flag',
+    validateRequest({ params: schemas.shortCodeParams, query: schemas.linkQuery, body: schemas.flagLink }),
+    urlController.flagShortUrl
+);
+
+// 8. Unflag Short URL
+// Method: DELETE
+// Route: /admin/links/:shortCode/flag?shortDomain=
+router.delete('/links/:shortCode/flag', validateRequest({ params: schemas.shortCodeParams, query: schemas.linkQuery }), urlController.unflagShortUrl);
+
+module.exports = router;
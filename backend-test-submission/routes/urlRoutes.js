@@ -2,6 +2,31 @@
 const express = require('express');
 const router = express.Router();
 const urlController = require('../controllers/urlController'); // We'll create this next
+const analyticsController = require('../controllers/analyticsController');
+const transferController = require('../controllers/transferController');
+const domainController = require('../controllers/domainController');
+const qrController = require('../controllers/qrController');
+const { schemas } = require('request-schemas');
+const { requireApiKey } = require('../middlewares/auth');
+const { validateRequest } = require('../middlewares/validate');
+const { rateLimit } = require('../middlewares/rateLimit');
+
+// Every /shorturls endpoint requires an API key; callers only see and manage the links they own.
+// (The public redirect route, GET /:shortCode, is mounted separately in app.js.)
+// Each route validates its params, query and body with the schemas shared with the frontend.
+router.use(requireApiKey);
+
+// Creating, changing and deleting links and reading stats are rate limited per client IP and per API key,
+// each with its own budget (see middlewares/rateLimit.js). Bulk creates and imports cost one token per link,
+// from a batch budget of their own so a large import does not hold up single creates.
+const limitCreate = rateLimit('create');
+const limitBulkCreate = rateLimit('batch', { cost: req => (Array.isArray(req.body && req.body.items) ? req.body.items.length : 1) });
+const limitImport = rateLimit('batch', { cost: req => (req.importRecords ? req.importRecords.length : 1) });
+const limitUpdate = rateLimit('update');
+const limitStats = rateLimit('stats');
+
+// Imports can be much larger than other request bodies
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '20mb';
 
 // --- API Endpoints Specification ---
 
@@ -9,12 +34,89 @@ const urlController = require('../controllers/urlController'); // We'll create t
 // Description: Creates a new shortened URL.
 // Method: POST
 // Route: /shorturls (this router is already mounted at /shorturls in app.js, so just '/')
-router.post('/', urlController.createShortUrl);
+router.post('/', limitCreate, validateRequest({ body: schemas.createShortUrl }), urlController.createShortUrl);
+
+// 2. Create Short URLs in Bulk
+// Description: Creates up to several thousand short URLs in one request, with a result per item.
+// Method: POST
+// Route: /shorturls/bulk  Body: { items: [{ url, validity?, shortcode? }] }
+router.post('/bulk', limitBulkCreate, validateRequest({ body: schemas.bulkCreate }), urlController.createShortUrlsBulk);
+
+// 3. Import Short URLs
+// Description: Recreates links (and click events) from an export, keeping their shortcodes.
+// Method: POST
+// Route: /shorturls/import?allowPermanentRedirect=  Body: JSON array, NDJSON (application/x-ndjson) or CSV (text/csv)
+router.post(
+    '/import',
+    validateRequest({ query: schemas.importQuery }),
+    // Every import format gets the import limit; app.js leaves this route's JSON bodies to the parser here
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    express.text({ type: ['text/csv', 'application/x-ndjson'], limit: IMPORT_BODY_LIMIT }),
+    // Charged once the number of links is known
+    transferController.parseImportRecords,
+    limitImport,
+    transferController.importShortUrls
+);
+
+// 4. Export Short URLs
+// Description: Streams all of the caller's links, optionally with click events, as CSV, JSON or NDJSON.
+// Method: GET
+// Route: /shorturls/export?format=csv|json|ndjson&includeClicks=&createdFrom=&createdTo=&clicksFrom=&clicksTo=
+// (Declared before '/:shortCode' so "export" is not treated as a shortcode.)
+router.get('/export', limitStats, validateRequest({ query: schemas.exportQuery }), transferController.exportShortUrls);
+
+// 5. List Available Domains
+// Description: Lists the default domain and the custom domains the caller can create short URLs on.
+// Method: GET
+// Route: /shorturls/domains (declared before '/:shortCode' as well)
+router.get('/domains', limitStats, domainController.listAvailableDomains);
 
-// 2. Retrieve Short URL Statistics
+// 6. List Short URLs
+// Description: Retrieves a cursor-paginated, filterable and sortable list of shortened URLs.
+// Method: GET
+// Route: /shorturls?limit=&sortBy=&order=&status=&domain=&shortDomain=&createdFrom=&createdTo=&q=&after=&before=
+router.get('/', limitStats, validateRequest({ query: schemas.listQuery }), urlController.getAllShortUrls);
+
+// 7. Retrieve Short URL Statistics
 // Description: Retrieves usage statistics for a specific shortened URL.
 // Method: GET
 // Route: /shorturls/:shortcode (this router is already mounted at /shorturls, so '/:shortcode')
-router.get('/:shortCode', urlController.getShortUrlStats);
+// Links on a custom domain are addressed with ?shortDomain=<hostname> on this and the routes below.
+router.get('/:shortCode', limitStats, validateRequest({ params: schemas.shortCodeParams, query: schemas.statsQuery }), urlController.getShortUrlStats);
+
+// 8. Retrieve Short URL Analytics
+// Description: Retrieves click counts per time bucket, top referrers/user agents and unique visitors.
+// Method: GET
+// Route: /shorturls/:shortCode/analytics?from=&to=&interval=hour|day|week
+router.get('/:shortCode/analytics', limitStats, validateRequest({ params: schemas.shortCodeParams, query: schemas.analyticsQuery }), analyticsController.getShortUrlAnalytics);
+
+// 9. Retrieve Short URL QR Code
+// Description: Renders the short URL as a QR code image; scans are recorded as QR traffic.
+// Method: GET
+// Route: /shorturls/:shortCode/qr?format=png|svg&size=&margin=&ecc=L|M|Q|H
+router.get('/:shortCode/qr', limitStats, validateRequest({ params: schemas.shortCodeParams, query: schemas.qrQuery }), qrController.getShortUrlQrCode);
+
+// 10. Update Short URL
+// Description: Changes the destination, expiry or disabled state of a short URL.
+// Method: PATCH
+// Route: /shorturls/:shortCode
+router.patch(
+    '/:shortCode',
+    limitUpdate,
+    validateRequest({ params: schemas.shortCodeParams, query: schemas.linkQuery, body: schemas.updateShortUrl }),
+    urlController.updateShortUrl
+);
+
+// 11. Delete Short URL
+// Description: Deletes a short URL permanently, or archives it with ?soft=true (click history kept).
+// Method: DELETE
+// Route: /shorturls/:shortCode?soft=true
+router.delete('/:shortCode', limitUpdate, validateRequest({ params: schemas.shortCodeParams, query: schemas.deleteQuery }), urlController.deleteShortUrl);
+
+// 12. Retrieve Short URL Audit Trail
+// Description: Lists who changed or deleted the short URL, and what changed.
+// Method: GET
+// Route: /shorturls/:shortCode/audit
+router.get('/:shortCode/audit', limitStats, validateRequest({ params: schemas.shortCodeParams, query: schemas.linkQuery }), urlController.getShortUrlAudit);
 
 module.exports = router;
\ No newline at end of file
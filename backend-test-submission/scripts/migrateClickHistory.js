@@ -0,0 +1,60 @@
+// backend-test-submission/scripts/migrateClickHistory.js
+// One-off migration: moves the legacy embedded `clickHistory` arrays out of the Url
+// documents and into the ClickEvent collection, then removes the arrays.
+// Safe to re-run; documents without a clickHistory array are skipped.
+//
+// Usage: npm run migrate:click-history
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const Url = require('../models/url');
+const ClickEvent = require('../models/clickEvent');
+
+const isValidUrl = (value) => {
+    try {
+        new URL(value);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Read through the raw collection, since clickHistory is no longer part of the schema
+    const cursor = Url.collection.find(
+        { clickHistory: { $exists: true } },
+        { projection: { shortCode: 1, clickHistory: 1 } }
+    );
+
+    let migratedUrls = 0;
+    let migratedClicks = 0;
+    for await (const doc of cursor) {
+        const events = (doc.clickHistory || []).map(click => ({
+            shortCode: doc.shortCode,
+            url: doc._id,
+            timestamp: click.timestamp,
+            // The legacy `source` held either the referer or the user agent
+            referrer: isValidUrl(click.source) ? click.source : null,
+            userAgent: isValidUrl(click.source) ? null : click.source,
+            location: click.location
+        }));
+        if (events.length > 0) {
+            await ClickEvent.insertMany(events, { ordered: false });
+        }
+        await Url.collection.updateOne({ _id: doc._id }, { $unset: { clickHistory: '' } });
+        migratedUrls++;
+        migratedClicks += events.length;
+    }
+
+    console.log(`Migrated ${migratedClicks} clicks from ${migratedUrls} short URLs.`);
+};
+
+migrate()
+    .catch((err) => {
+        console.error('Click history migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// backend-test-submission/scripts/migrateDomainNamespaces.js
+// One-off migration for custom domains: shortcodes used to be globally unique, and are now
+// unique per short domain. This brings the Url and ClickEvent indexes in line with the schemas
+// (dropping the old shortCode_1 unique index and the shortCode-keyed click indexes) and creates
+// the new ones. Safe to re-run.
+//
+// Usage: npm run migrate:domain-namespaces
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const Url = require('../models/url');
+const ClickEvent = require('../models/clickEvent');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    for (const Model of [Url, ClickEvent]) {
+        const dropped = await Model.syncIndexes();
+        console.log(`${Model.modelName}: ${dropped.length > 0 ? `dropped ${dropped.join(', ')}` : 'no outdated indexes'}.`);
+    }
+};
+
+migrate()
+    .catch((err) => {
+        console.error('Domain namespace migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
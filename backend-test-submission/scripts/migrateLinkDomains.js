@@ -0,0 +1,64 @@
+// backend-test-submission/scripts/migrateLinkDomains.js
+// One-off migration: fills in the `domain` field (the lower-cased hostname of originalUrl, used by the
+// ?domain= filter of GET /shorturls) on links saved before the field existed. The Url schema only
+// sets it when a link is validated, so older links never match the filter until this has run.
+// Safe to re-run; links that already have a domain are skipped.
+//
+// Usage: npm run migrate:link-domains
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const Url = require('../models/url');
+
+const BATCH_SIZE = 1000;
+
+const hostnameOf = (value) => {
+    try {
+        return new URL(value).hostname.toLowerCase() || null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Read through the raw collection, so documents are not cast or validated on the way
+    const cursor = Url.collection.find(
+        { $or: [{ domain: { $exists: false } }, { domain: null }, { domain: '' }] },
+        { projection: { originalUrl: 1 } }
+    );
+
+    let updated = 0;
+    let skipped = 0;
+    let batch = [];
+    const flush = async () => {
+        if (batch.length > 0) {
+            await Url.collection.bulkWrite(batch, { ordered: false });
+            updated += batch.length;
+            batch = [];
+        }
+    };
+    for await (const doc of cursor) {
+        const domain = hostnameOf(doc.originalUrl);
+        if (!domain) {
+            skipped++;
+            continue;
+        }
+        batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { domain } } } });
+        if (batch.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    console.log(`Set the domain of ${updated} short URLs${skipped > 0 ? `; skipped ${skipped} without a valid originalUrl` : ''}.`);
+};
+
+migrate()
+    .catch((err) => {
+        console.error('Link domain migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
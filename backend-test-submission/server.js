@@ -1,13 +1,16 @@
 // backend-test-submission/server.js
 const { app, connectDB, appLogger } = require('./app');
 const path = require('path');
+const { stopClickFlusher } = require('./utils/clickBuffer');
+const { startExpirySweeper } = require('./repositories/expirySweeper');
 require('dotenv').config({ path: path.resolve(__dirname, '.env') }); // Ensure .env is loaded here too for PORT
 
 const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
-    // Connect to MongoDB
+    // Connect to the storage backend, and expire links where it has no TTL index
     await connectDB();
+    startExpirySweeper();
 
     // Start the Express server
     app.listen(PORT, () => {
@@ -18,6 +21,19 @@ const startServer = async () => {
 
 startServer();
 
+// Write clicks still buffered in memory (see utils/clickBuffer.js) before exiting
+const shutdown = async (signal) => {
+    appLogger.info(`${signal} received, shutting down`);
+    try {
+        await stopClickFlusher();
+    } catch (err) {
+        appLogger.error('Failed to write buffered clicks on shutdown', { error: err.message });
+    }
+    process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
     appLogger.error('Unhandled Rejection', { error: err.message, stack: err.stack, promise });
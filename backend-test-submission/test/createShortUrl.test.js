@@ -0,0 +1,200 @@
+// backend-test-submission/test/createShortUrl.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, api, createLink, changeLink } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('POST /shorturls', () => {
+    it('requires an API key', async () => {
+        const res = await request().post('/shorturls').send({ url: 'https://example.com' });
+        assert.equal(res.status, 401);
+    });
+
+    it('rejects a missing URL', async () => {
+        const res = await api('post', '/shorturls').send({});
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'Original URL is required.');
+    });
+
+    it('rejects a malformed URL', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'not a url' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'Invalid URL format.');
+    });
+
+    for (const url of ['javascript:alert(1)', 'ftp://files.example.com/report.pdf', 'data:text/html,hi']) {
+        it(`rejects the non-http URL ${url}`, async () => {
+            const res = await api('post', '/shorturls').send({ url });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors, [{ field: 'url', code: 'UNSUPPORTED_SCHEME', message: 'Only http and https URLs can be shortened.' }]);
+        });
+    }
+
+    it('reports every invalid field', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', validity: 'soon', maxClicks: 0, forwardQuery: 'yes' });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.errors.map(error => [error.field, error.code]), [
+            ['validity', 'INVALID_TYPE'],
+            ['maxClicks', 'OUT_OF_RANGE'],
+            ['forwardQuery', 'INVALID_TYPE']
+        ]);
+        assert.equal(res.body.message, res.body.errors[0].message);
+    });
+
+    for (const validity of [0, -5, 1.5, '30', null]) {
+        it(`rejects validity ${JSON.stringify(validity)}`, async () => {
+            const res = await api('post', '/shorturls').send({ url: 'https://example.com', validity });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Validity must be a positive integer in minutes.');
+        });
+    }
+
+    it('expires links after 30 minutes by default', async () => {
+        const before = Date.now();
+        const link = await createLink({ url: 'https://example.com/default-validity' });
+        const expiry = new Date(link.expiry).getTime();
+        assert.ok(expiry >= before + 30 * MINUTE_MS - 1000 && expiry <= Date.now() + 30 * MINUTE_MS);
+    });
+
+    it('uses the requested validity', async () => {
+        const before = Date.now();
+        const link = await createLink({ url: 'https://example.com/custom-validity', validity: 90 });
+        const expiry = new Date(link.expiry).getTime();
+        assert.ok(expiry >= before + 90 * MINUTE_MS - 1000 && expiry <= Date.now() + 90 * MINUTE_MS);
+    });
+
+    it('generates a shortcode and returns the short URL', async () => {
+        const link = await createLink({ url: 'https://example.com/generated' });
+        assert.match(link.shortCode, /^[A-Za-z0-9]{5,}$/);
+        assert.ok(link.shortUrl.endsWith(`/${link.shortCode}`));
+        assert.equal(link.originalUrl, 'https://example.com/generated');
+        assert.equal(link.shortDomain, null);
+    });
+
+    it('uses a custom shortcode', async () => {
+        const link = await createLink({ url: 'https://example.com/custom', shortcode: 'my-custom_1' });
+        assert.equal(link.shortCode, 'my-custom_1');
+    });
+
+    it('rejects a custom shortcode that is already in use', async () => {
+        await createLink({ url: 'https://example.com/first', shortcode: 'taken-code' });
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com/second', shortcode: 'taken-code' });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.message, 'Custom shortcode is already in use.');
+    });
+
+    it('keeps the shortcode of a soft-deleted link taken', async () => {
+        await createLink({ url: 'https://example.com/deleted', shortcode: 'deleted-code' });
+        await changeLink('deleted-code', { deletedAt: new Date() });
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com/again', shortcode: 'deleted-code' });
+        assert.equal(res.status, 409);
+    });
+
+    for (const shortcode of ['abc', 'has space', 'double--dash', '-leading', 'x'.repeat(33), 42]) {
+        it(`rejects the malformed custom shortcode ${JSON.stringify(shortcode)}`, async () => {
+            const res = await api('post', '/shorturls').send({ url: 'https://example.com', shortcode });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors[0], { field: 'shortcode', code: 'INVALID_SHORTCODE', message: res.body.message });
+        });
+    }
+
+    it('rejects a reserved custom shortcode', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', shortcode: 'admin' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].code, 'RESERVED_SHORTCODE');
+    });
+
+    it('rejects a blocked custom shortcode, even with separators', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', shortcode: 'for-bid-den1' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].code, 'BLOCKED_SHORTCODE');
+    });
+
+    it('rejects a short password', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', password: 'abc' });
+        assert.equal(res.status, 400);
+        assert.match(res.body.message, /^Password must be/);
+    });
+
+    it('rejects an invalid maxClicks', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', maxClicks: 1.5 });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'maxClicks must be a positive integer.');
+    });
+
+    it('rejects an invalid activatesAt', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', activatesAt: 'someday' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'activatesAt must be a valid date.');
+    });
+
+    it('rejects invalid UTM fields', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', utm: { channel: 'x' } });
+        assert.equal(res.status, 400);
+        assert.match(res.body.message, /^Unknown UTM field "channel"/);
+    });
+
+    it('rejects non-boolean flags', async () => {
+        for (const flag of ['stickyVariants', 'forwardQuery']) {
+            const res = await api('post', '/shorturls').send({ url: 'https://example.com', [flag]: 'yes' });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, `${flag} must be a boolean.`);
+        }
+    });
+
+    it('rejects a short domain that is not registered', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', shortDomain: 'go.example.com' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'shortDomain is not a registered domain available to you.');
+    });
+
+    it('rejects a malformed short domain', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com', shortDomain: 'not a host' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'shortDomain must be a hostname.');
+    });
+
+    it('stores the link options and reports them back', async () => {
+        const activatesAt = new Date(Date.now() + 10 * MINUTE_MS).toISOString();
+        const link = await createLink({
+            url: 'https://example.com/options',
+            password: 'secret',
+            maxClicks: 3,
+            activatesAt,
+            utm: { source: 'newsletter' },
+            forwardQuery: true
+        });
+        assert.equal(link.passwordProtected, true);
+        assert.equal(link.maxClicks, 3);
+        assert.equal(link.activatesAt, activatesAt);
+        assert.equal(link.utm.source, 'newsletter');
+        assert.equal(link.forwardQuery, true);
+    });
+});
+
+describe('POST /shorturls/bulk', () => {
+    it('rejects a request without items', async () => {
+        const res = await api('post', '/shorturls/bulk').send({ items: [] });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.errors, [{ field: 'items', code: 'TOO_SHORT', message: 'Items must be a non-empty array.' }]);
+    });
+
+    it('validates every item with the same rules as single links', async () => {
+        const res = await api('post', '/shorturls/bulk').send({
+            items: [
+                { url: 'https://example.com/bulk-ok' },
+                { url: 'javascript:alert(1)' },
+                { url: 'https://example.com/bulk-validity', validity: 2.5 },
+                'https://example.com/not-an-object'
+            ]
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.created, 1);
+        assert.deepEqual(res.body.results.slice(1).map(result => [result.error.field, result.error.code]), [
+            ['url', 'UNSUPPORTED_SCHEME'],
+            ['validity', 'INVALID_TYPE'],
+            [null, 'INVALID_ITEM']
+        ]);
+    });
+});
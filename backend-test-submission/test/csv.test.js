@@ -0,0 +1,27 @@
+// backend-test-submission/test/csv.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCsvRow, parseCsv } = require('../utils/csv');
+
+describe('formatCsvRow', () => {
+    it('quotes fields containing commas, quotes or line breaks', () => {
+        assert.equal(formatCsvRow(['a,b', 'say "hi"', 'two\r\nlines', null, 3]), '"a,b","say ""hi""","two\r\nlines",,3\r\n');
+    });
+
+    it('escapes text a spreadsheet would run as a formula', () => {
+        const row = formatCsvRow(['=HYPERLINK("https://evil.example")', '+1', '-2', '@SUM(A1)', '\tx', '\rx', "'quoted"]);
+        assert.equal(row, `"'=HYPERLINK(""https://evil.example"")",'+1,'-2,'@SUM(A1),'\tx,"'\rx",''quoted\r\n`);
+    });
+
+    it('leaves numbers and ordinary text alone', () => {
+        assert.equal(formatCsvRow([-5, 'https://example.com', 'Chrome']), '-5,https://example.com,Chrome\r\n');
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads the rows written by formatCsvRow back unchanged', () => {
+        const values = ['=1+1', '-abc', "'quoted", 'a,b', 'two\r\nlines', 'plain'];
+        const text = formatCsvRow(values.map((_, i) => `c${i}`)) + formatCsvRow(values);
+        assert.deepEqual(parseCsv(text), [Object.fromEntries(values.map((value, i) => [`c${i}`, value]))]);
+    });
+});
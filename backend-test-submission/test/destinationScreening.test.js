@@ -0,0 +1,106 @@
+// backend-test-submission/test/destinationScreening.test.js
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The blocklist file must be configured before the app is loaded
+const BLOCKLIST_FILE = path.join(os.tmpdir(), `url-shortener-blocklist-${process.pid}.txt`);
+fs.writeFileSync(BLOCKLIST_FILE, '# Test blocklist\nevil.example\nexample.org/phish\n');
+process.env.DESTINATION_BLOCKLIST_FILES = BLOCKLIST_FILE;
+
+const { request, api, createLink, flushClicks } = require('./helpers');
+const { reloadBlocklist, registerDestinationCheck } = require('../utils/destinationScreening');
+
+registerDestinationCheck('test', (url) => (url.hostname === 'hooked.example' ? { code: 'HOOK_REJECTED', message: 'Rejected by the hook.' } : null));
+
+after(() => fs.rmSync(BLOCKLIST_FILE, { force: true }));
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+// Tries to create a link whose destination should be refused; returns the reported problem
+const expectRejected = async (body, code) => {
+    const res = await api('post', '/shorturls').send(body);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].code, code);
+    return res.body.errors[0];
+};
+
+describe('Destination screening', () => {
+    it('rejects destinations pointing back at the shortener', async () => {
+        const error = await expectRejected({ url: 'http://127.0.0.1/abc123' }, 'SELF_REFERENCE');
+        assert.equal(error.field, 'url');
+    });
+
+    it('rejects blocklisted domains, their subdomains and URL prefixes', async () => {
+        await expectRejected({ url: 'https://evil.example/login' }, 'BLOCKED_DESTINATION');
+        await expectRejected({ url: 'https://www.evil.example/' }, 'BLOCKED_DESTINATION');
+        await expectRejected({ url: 'http://example.org/phishing-page' }, 'BLOCKED_DESTINATION');
+        await createLink({ url: 'https://example.org/fine' });
+        await createLink({ url: 'https://notevil.example/' });
+    });
+
+    it('screens rule and variant destinations as well', async () => {
+        const error = await expectRejected({
+            url: 'https://example.com/ok',
+            variants: [{ name: 'a', destination: 'https://example.com/a', weight: 50 }, { name: 'b', destination: 'https://evil.example/b', weight: 50 }]
+        }, 'BLOCKED_DESTINATION');
+        assert.equal(error.field, 'variants');
+    });
+
+    it('picks up blocklist changes without a restart', async () => {
+        const link = await createLink({ url: 'https://example.com/start' });
+        fs.appendFileSync(BLOCKLIST_FILE, 'newly-bad.example\n');
+        await reloadBlocklist();
+
+        await expectRejected({ url: 'https://newly-bad.example/' }, 'BLOCKED_DESTINATION');
+        const res = await api('patch', `/shorturls/${link.shortCode}`).send({ url: 'https://newly-bad.example/' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].code, 'BLOCKED_DESTINATION');
+    });
+
+    it('runs registered checks', async () => {
+        const error = await expectRejected({ url: 'https://hooked.example/' }, 'HOOK_REJECTED');
+        assert.equal(error.message, 'Rejected by the hook.');
+    });
+
+    it('reports rejected bulk items individually', async () => {
+        const res = await api('post', '/shorturls/bulk').send({ items: [{ url: 'https://example.com/bulk' }, { url: 'https://evil.example/bulk' }] });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.created, 1);
+        assert.equal(res.body.results[1].error.code, 'BLOCKED_DESTINATION');
+    });
+});
+
+describe('Flagged links', () => {
+    it('show a warning instead of redirecting until the visitor continues', async () => {
+        const link = await createLink({ url: 'https://example.com/suspicious' });
+        const flagged = await api('post', `/admin/links/${link.shortCode}/flag`).send({ reason: 'Reported as phishing' });
+        assert.equal(flagged.status, 200);
+        assert.equal(flagged.body.flag.reason, 'Reported as phishing');
+
+        const warning = await request().get(`/${link.shortCode}`);
+        assert.equal(warning.status, 200);
+        assert.match(warning.text, /This link has been flagged/);
+        assert.match(warning.text, /Reported as phishing/);
+
+        const proceed = await request().post(`/${link.shortCode}`).set('User-Agent', BROWSER_UA).type('form').send({ acknowledged: 'flagged' });
+        assert.equal(proceed.status, 303);
+        assert.equal(proceed.headers.location, 'https://example.com/suspicious');
+
+        await flushClicks();
+        const stats = await api('get', `/shorturls/${link.shortCode}`);
+        assert.equal(stats.body.totalClicks, 1);
+        assert.equal(stats.body.flag.flaggedBy, 'admin');
+    });
+
+    it('redirect directly again once unflagged', async () => {
+        const link = await createLink({ url: 'https://example.com/cleared' });
+        await api('post', `/admin/links/${link.shortCode}/flag`).send({});
+        assert.equal((await api('delete', `/admin/links/${link.shortCode}/flag`)).status, 200);
+
+        const res = await request().get(`/${link.shortCode}`);
+        assert.equal(res.status, 302);
+    });
+});
@@ -0,0 +1,164 @@
+// backend-test-submission/test/domains.test.js
+// API keys and custom domains (controllers/apiKeyController.js, controllers/domainController.js,
+// utils/shortDomains.js). Both are Mongo-only features: the tests switch STORAGE_BACKEND to mongo once the
+// in-memory link repository exists, and replace the ApiKey and Domain models' queries with an
+// in-memory collection.
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, api, createLink, fakeCollection, withKey } = require('./helpers');
+const { getLinkRepository } = require('../repositories');
+const ApiKey = require('../models/apiKey');
+const Domain = require('../models/domain');
+const Url = require('../models/url');
+
+describe('API keys and custom domains', () => {
+    const keys = {};
+    const domainIds = {};
+
+    before(async () => {
+        getLinkRepository(); // Links stay in the memory backend
+        process.env.STORAGE_BACKEND = 'mongo';
+        fakeCollection(ApiKey);
+        fakeCollection(Domain);
+        // Counts the links on a domain in the memory backend, for DELETE /admin/domains/:id
+        mock.method(Url, 'countDocuments', async ({ shortDomain }) => (
+            (await getLinkRepository().list({ shortDomain, sortBy: 'createdAt', direction: -1, limit: 1 })).total
+        ));
+
+        for (const owner of ['alice', 'bob']) {
+            const res = await api('post', '/admin/apikeys').send({ name: `${owner}'s key`, owner });
+            assert.equal(res.status, 201);
+            keys[owner] = res.body.key;
+        }
+        for (const [hostname, owner] of [['shared.example.org', null], ['alice.example.org', 'alice']]) {
+            const res = await api('post', '/admin/domains').send({ hostname, owner });
+            assert.equal(res.status, 201);
+            domainIds[hostname] = res.body.id;
+        }
+    });
+
+    after(() => {
+        process.env.STORAGE_BACKEND = 'memory';
+        mock.restoreAll();
+    });
+
+    describe('/admin/apikeys', () => {
+        it('returns the key only when it is created, and lists keys without their hashes', async () => {
+            assert.match(keys.alice, /^usk_/);
+            const res = await api('get', '/admin/apikeys?owner=alice');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.length, 1);
+            assert.equal(res.body[0].prefix, keys.alice.slice(0, 8));
+            assert.equal(res.body[0].key, undefined);
+            assert.equal(res.body[0].keyHash, undefined);
+        });
+
+        it('authenticates the owner\'s requests and records when a key was last used', async () => {
+            const res = await withKey('post', '/shorturls', keys.bob).send({ url: 'https://example.com/bob' });
+            assert.equal(res.status, 201);
+            const [listed] = (await api('get', '/admin/apikeys?owner=bob')).body;
+            assert.ok(listed.lastUsedAt);
+
+            // Keys only see their owner's links
+            assert.equal((await withKey('get', `/shorturls/${res.body.shortCode}`, keys.alice)).status, 404);
+            assert.equal((await withKey('get', `/shorturls/${res.body.shortCode}`, keys.bob)).status, 200);
+        });
+
+        it('keeps user keys out of the admin endpoints', async () => {
+            assert.equal((await withKey('get', '/admin/apikeys', keys.alice)).status, 403);
+        });
+
+        it('rejects a key once it is revoked', async () => {
+            const created = await api('post', '/admin/apikeys').send({ name: 'temporary', owner: 'carol' });
+            assert.equal((await withKey('get', '/shorturls', created.body.key)).status, 200);
+
+            const revoked = await api('delete', `/admin/apikeys/${created.body.id}`);
+            assert.equal(revoked.status, 200);
+            assert.ok(revoked.body.revokedAt);
+            assert.equal((await withKey('get', '/shorturls', created.body.key)).status, 401);
+            assert.equal((await api('delete', '/admin/apikeys/0123456789abcdef01234567')).status, 404);
+        });
+
+        it('rejects unknown keys', async () => {
+            assert.equal((await withKey('get', '/shorturls', 'usk_not-a-key')).status, 401);
+        });
+    });
+
+    describe('/admin/domains', () => {
+        it('normalizes hostnames and refuses to register one twice', async () => {
+            const res = await api('post', '/admin/domains').send({ hostname: 'Shared.Example.org.' });
+            assert.equal(res.status, 409);
+            const listed = await api('get', '/admin/domains');
+            assert.deepEqual(listed.body.map(domain => [domain.hostname, domain.owner]), [['alice.example.org', 'alice'], ['shared.example.org', null]]);
+        });
+
+        it('offers each caller the default domain, the shared domains and their own', async () => {
+            const hostnames = async (key) => (await withKey('get', '/shorturls/domains', key)).body.map(domain => domain.hostname);
+            assert.deepEqual(await hostnames(keys.alice), [null, 'alice.example.org', 'shared.example.org']);
+            assert.deepEqual(await hostnames(keys.bob), [null, 'shared.example.org']);
+        });
+
+        it('keeps a domain that still has links', async () => {
+            const added = await api('post', '/admin/domains').send({ hostname: 'short-lived.example.org' });
+            const link = await createLink({ url: 'https://example.com/short-lived', shortDomain: 'short-lived.example.org' });
+            assert.equal((await api('delete', `/admin/domains/${added.body.id}`)).status, 409);
+
+            assert.equal((await api('delete', `/shorturls/${link.shortCode}?shortDomain=short-lived.example.org`)).status, 200);
+            assert.equal((await api('delete', `/admin/domains/${added.body.id}`)).status, 200);
+            assert.equal((await api('delete', `/admin/domains/${added.body.id}`)).status, 404);
+            // Its hostname is no longer served as a custom domain
+            assert.equal((await withKey('post', '/shorturls', keys.alice).send({ url: 'https://example.com/x', shortDomain: 'short-lived.example.org' })).status, 400);
+        });
+    });
+
+    describe('Links on custom domains', () => {
+        it('lets callers use shared domains and their own, but not other owners\'', async () => {
+            const create = (key, shortDomain) => withKey('post', '/shorturls', key).send({ url: 'https://example.com/branded', shortDomain });
+
+            const own = await create(keys.alice, 'alice.example.org');
+            assert.equal(own.status, 201);
+            assert.equal(own.body.shortUrl, `https://alice.example.org/${own.body.shortCode}`);
+            assert.equal((await create(keys.bob, 'shared.example.org')).status, 201);
+
+            for (const shortDomain of ['alice.example.org', 'unregistered.example.org']) {
+                const refused = await create(keys.bob, shortDomain);
+                assert.equal(refused.status, 400);
+                assert.equal(refused.body.errors[0].code, 'DOMAIN_UNAVAILABLE');
+            }
+            // Admins may use any registered domain
+            assert.equal((await api('post', '/shorturls').send({ url: 'https://example.com/branded', shortDomain: 'alice.example.org' })).status, 201);
+        });
+
+        it('gives every domain its own shortcode namespace', async () => {
+            const onDefault = await createLink({ url: 'https://example.com/default', shortcode: 'same-code' });
+            const onShared = await createLink({ url: 'https://example.com/shared', shortcode: 'same-code', shortDomain: 'shared.example.org' });
+            assert.equal(onDefault.shortDomain, null);
+            assert.equal(onShared.shortDomain, 'shared.example.org');
+            assert.equal((await api('post', '/shorturls').send({ url: 'https://example.com/again', shortcode: 'same-code', shortDomain: 'shared.example.org' })).status, 409);
+
+            const visit = (host) => request().get('/same-code').set('Host', host);
+            assert.equal((await visit('shared.example.org')).headers.location, 'https://example.com/shared');
+            assert.equal((await visit('SHARED.example.org:443')).headers.location, 'https://example.com/shared');
+            assert.equal((await visit('localhost')).headers.location, 'https://example.com/default');
+            assert.equal((await visit('alice.example.org')).status, 404);
+
+            const stats = await api('get', '/shorturls/same-code?shortDomain=shared.example.org');
+            assert.equal(stats.body.originalUrl, 'https://example.com/shared');
+            // "default" names the default domain, as in the listing's shortDomain filter
+            for (const query of ['', '?shortDomain=default']) {
+                assert.equal((await api('get', `/shorturls/same-code${query}`)).body.originalUrl, 'https://example.com/default');
+            }
+            const listed = await api('get', '/shorturls?shortDomain=default&q=same-code');
+            assert.deepEqual(listed.body.data.map(link => link.originalUrl), ['https://example.com/default']);
+        });
+
+        it('refuses destinations on a registered custom domain, which would loop back to the shortener', async () => {
+            for (const url of ['https://shared.example.org/some-code', 'http://ALICE.example.org/x']) {
+                const res = await api('post', '/shorturls').send({ url });
+                assert.equal(res.status, 400, url);
+                assert.equal(res.body.errors[0].code, 'SELF_REFERENCE');
+            }
+            assert.equal((await api('post', '/shorturls').send({ url: 'https://sub.shared.example.org/x' })).status, 201);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+// backend-test-submission/test/helpers.js
+// Shared setup for the HTTP tests. The real Express app runs against the in-memory storage backend
+// (repositories/memoryLinkRepository.js), so no database is needed. node --test runs every test file
+// in its own process, so each file starts with an empty store.
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+
+// Must be set before the app is loaded: several modules read their configuration at load time
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.BACKEND_LOG_FILE_PATH = path.join(os.tmpdir(), 'url-shortener-tests.log');
+process.env.SHORTCODE_BLOCKLIST = 'forbidden';
+process.env.VISITOR_ID_SECRET = 'test-visitor-secret';
+// Tests send many requests from one IP; test/rateLimit.test.js turns the limits back on
+if (!process.env.RATE_LIMIT) process.env.RATE_LIMIT = 'off';
+
+const request = require('supertest');
+const { app } = require('../app');
+const { getLinkRepository } = require('../repositories');
+const { invalidateRedirectEntry } = require('../utils/redirectCache');
+const { flushClicks } = require('../utils/clickBuffer');
+
+const API_KEY = process.env.ADMIN_API_KEY;
+
+/**
+ * Sends an authenticated request to the API.
+ *
+ * @param {'get'|'post'|'patch'|'delete'} method
+ * @param {string} url - e.g. '/shorturls'
+ * @returns {import('supertest').Test}
+ */
+const api = (method, url) => request(app)[method](url).set('X-API-Key', API_KEY);
+
+/**
+ * Sends a request authenticated with another API key, e.g. a user key created through /admin/apikeys.
+ *
+ * @param {'get'|'post'|'patch'|'delete'} method
+ * @param {string} url
+ * @param {string} key - The API key.
+ * @returns {import('supertest').Test}
+ */
+const withKey = (method, url, key) => request(app)[method](url).set('X-API-Key', key);
+
+/**
+ * Creates a short URL through the API and returns the response body.
+ *
+ * @param {object} body - The POST /shorturls body.
+ * @returns {Promise<object>}
+ */
+const createLink = async (body) => {
+    const res = await api('post', '/shorturls').send(body);
+    if (res.status !== 201) {
+        throw new Error(`Creating the link failed with ${res.status}: ${JSON.stringify(res.body)}`);
+    }
+    return res.body;
+};
+
+/**
+ * Changes a stored link directly, e.g. to move its expiry into the past, bypassing the API's validation.
+ *
+ * @param {string} shortCode - A link on the default domain.
+ * @param {object} changes - Fields to set.
+ */
+const changeLink = async (shortCode, changes) => {
+    const repo = getLinkRepository();
+    const link = await repo.findByCode({ shortCode, shortDomain: null }, { includeDeleted: true });
+    Object.assign(link, changes);
+    await repo.update(link, { validate: false });
+    await invalidateRedirectEntry(link);
+};
+
+// Helper function to tell whether a stored document matches a (simple) Mongo filter
+const matches = (doc, filter = {}) => Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field] === undefined ? null : doc[field];
+    if (condition === null) {
+        return value === null;
+    }
+    if (typeof condition === 'object' && Array.isArray(condition.$in)) {
+        return condition.$in.includes(value);
+    }
+    return String(value) === String(condition);
+});
+
+// Helper function to wrap a result in a chainable, awaitable stand-in for a Mongoose query
+const fakeQuery = (result) => ({
+    sort: (spec) => {
+        const [[field, direction]] = Object.entries(spec);
+        return fakeQuery([...result].sort((a, b) => (a[field] > b[field] ? direction : a[field] < b[field] ? -direction : 0)));
+    },
+    lean: () => fakeQuery(Array.isArray(result) ? result.map(doc => doc.toObject()) : result && result.toObject()),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+/**
+ * Replaces the queries of a Mongo-only model (ApiKey, Domain) with an in-memory collection, so the features
+ * built on them can be tested without a database. Documents are validated by the model's schema.
+ * Undone by mock.restoreAll().
+ *
+ * @param {import('mongoose').Model} Model
+ */
+const fakeCollection = (Model) => {
+    let docs = [];
+    mock.method(Model, 'find', (filter) => fakeQuery(docs.filter(doc => matches(doc, filter))));
+    mock.method(Model, 'findOne', (filter) => fakeQuery(docs.find(doc => matches(doc, filter)) || null));
+    mock.method(Model, 'findById', (id) => fakeQuery(docs.find(doc => String(doc._id) === String(id)) || null));
+    mock.method(Model, 'exists', async (filter) => (docs.some(doc => matches(doc, filter)) ? { _id: 'exists' } : null));
+    mock.method(Model, 'create', async (fields) => {
+        const doc = new Model(fields);
+        await doc.validate();
+        docs.push(doc);
+        return doc;
+    });
+    mock.method(Model, 'deleteOne', async (filter) => {
+        docs = docs.filter(doc => !matches(doc, filter));
+    });
+    mock.method(Model, 'findOneAndUpdate', async (filter, update) => {
+        const doc = docs.find(d => matches(d, filter)) || null;
+        if (doc) {
+            Object.assign(doc, update.$set);
+        }
+        return doc;
+    });
+    // Stored documents are kept by reference, so saving has nothing left to do
+    mock.method(Model.prototype, 'save', async function save() {
+        return this;
+    });
+};
+
+module.exports = {
+    request: () => request(app),
+    api,
+    withKey,
+    createLink,
+    changeLink,
+    fakeCollection,
+    flushClicks
+};
@@ -0,0 +1,304 @@
+// backend-test-submission/test/linkRepository.test.js
+// The repository interface (see repositories/index.js), run against every backend: memory, SQLite when the
+// optional better-sqlite3 dependency is installed, and MongoDB in a throwaway mongod started by
+// mongodb-memory-server. mongodb-memory-server downloads the mongod binary on first use, unless
+// MONGOMS_SYSTEM_BINARY points at an installed one; when neither works the MongoDB suite is skipped.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Url = require('../models/url');
+const ClickEvent = require('../models/clickEvent');
+const AuditLog = require('../models/auditLog');
+const Counter = require('../models/counter');
+
+const hasSqlite = (() => {
+    try {
+        require('better-sqlite3');
+        return true;
+    } catch (e) {
+        return false;
+    }
+})();
+
+const BACKENDS = [
+    { name: 'memory', create: () => require('../repositories/memoryLinkRepository').createRepository() },
+    { name: 'sqlite', create: () => require('../repositories/sqliteLinkRepository').createRepository({ filename: ':memory:' }), skip: !hasSqlite && 'better-sqlite3 is not installed' }
+];
+
+const HOUR = 60 * 60 * 1000;
+const inOneDay = () => new Date(Date.now() + 24 * HOUR);
+
+// Starts a throwaway mongod, or returns why it could not be started
+const startMongo = async () => {
+    try {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        return { server: await MongoMemoryServer.create() };
+    } catch (e) {
+        return { skip: `no mongod could be started (${e.message.replace(/\s+/g, ' ').trim()})` };
+    }
+};
+
+// Creates the MongoDB repository on a started mongod. Its connect() also waits for the models' indexes
+// (the unique shortcode index above all), which Mongoose builds in the background.
+const createMongoRepository = (server) => {
+    process.env.MONGO_URI = server.getUri();
+    const repo = require('../repositories/mongoLinkRepository').createRepository();
+    return {
+        ...repo,
+        connect: async () => {
+            await repo.connect();
+            await Promise.all([Url, ClickEvent, AuditLog, Counter].map(Model => Model.init()));
+        }
+    };
+};
+
+// Helper function to build a click event of a link
+const clickOf = (link, fields = {}) => ({ shortCode: link.shortCode, url: link._id, eventType: 'click', timestamp: new Date(), ...fields });
+
+// Runs the contract tests against one backend
+const describeBackend = ({ name, create, skip }) => {
+    describe(`${name} link repository`, { skip }, () => {
+        let repo;
+        before(async () => {
+            repo = create();
+            await repo.connect();
+        });
+        after(() => repo.close());
+
+        it('creates links and finds them by code, owner and domain namespace', async () => {
+            const link = await repo.create({ originalUrl: 'https://example.com/a', shortCode: 'repo-a', owner: 'alice', expiresAt: new Date(Date.now() + 30 * 24 * HOUR) });
+            await repo.create({ originalUrl: 'https://example.com/b', shortCode: 'repo-a', shortDomain: 'go.example.com', owner: 'bob' });
+
+            const found = await repo.findByCode({ shortCode: 'repo-a', shortDomain: null });
+            assert.equal(String(found._id), String(link._id));
+            assert.equal(found.originalUrl, 'https://example.com/a');
+            assert.equal(found.domain, 'example.com');
+            assert.ok(found.expiresAt instanceof Date);
+            assert.equal((await repo.findByCode({ shortCode: 'repo-a', shortDomain: 'go.example.com' })).owner, 'bob');
+            assert.equal(await repo.findByCode({ shortCode: 'repo-a', shortDomain: null }, { owner: 'bob' }), null);
+            assert.equal(await repo.findByCode({ shortCode: 'missing', shortDomain: null }), null);
+
+            const lean = await repo.findByCode({ shortCode: 'repo-a', shortDomain: null }, { lean: true });
+            assert.equal(typeof lean.save, 'undefined');
+            assert.equal(lean.originalUrl, 'https://example.com/a');
+        });
+
+        it('rejects a taken code with a duplicate key error, alone and in batches', async () => {
+            await repo.create({ originalUrl: 'https://example.com/c', shortCode: 'repo-dup' });
+            await assert.rejects(repo.create({ originalUrl: 'https://example.com/d', shortCode: 'repo-dup' }), error => error.code === 11000);
+
+            const failures = await repo.createMany([
+                new Url({ originalUrl: 'https://example.com/e', shortCode: 'repo-batch' }),
+                new Url({ originalUrl: 'https://example.com/f', shortCode: 'repo-dup' })
+            ]);
+            assert.deepEqual([...failures.keys()], [1]);
+            assert.equal(failures.get(1).code, 11000);
+            assert.deepEqual([...await repo.findTakenCodes(null, ['repo-batch', 'repo-dup', 'repo-free'])].sort(), ['repo-batch', 'repo-dup']);
+        });
+
+        it('reserves sequence values atomically', async () => {
+            assert.equal(await repo.reserveSequence('test', 1), 1);
+            assert.equal(await repo.reserveSequence('test', 5), 2);
+            assert.equal(await repo.reserveSequence('test', 1), 7);
+        });
+
+        it('lists links with filters and keyset pagination', async () => {
+            for (let i = 0; i < 5; i++) {
+                await repo.create({ originalUrl: `https://list.example.org/${i}`, shortCode: `repo-list-${i}`, owner: 'lister', createdAt: new Date(Date.UTC(2024, 0, 1 + i)) });
+            }
+            const first = await repo.list({ owner: 'lister', sortBy: 'createdAt', direction: -1, limit: 2 });
+            assert.equal(first.total, 5);
+            assert.deepEqual(first.links.map(link => link.shortCode), ['repo-list-4', 'repo-list-3']);
+
+            const last = first.links[1];
+            const second = await repo.list({ owner: 'lister', sortBy: 'createdAt', direction: -1, limit: 2, cursor: { value: last.createdAt, id: last._id } });
+            assert.deepEqual(second.links.map(link => link.shortCode), ['repo-list-2', 'repo-list-1']);
+
+            assert.equal((await repo.list({ owner: 'lister', q: 'LIST-3', sortBy: 'createdAt', direction: 1, limit: 10 })).total, 1);
+            assert.equal((await repo.list({ owner: 'lister', domain: 'list.example.org', sortBy: 'createdAt', direction: 1, limit: 10 })).total, 5);
+            // The domain filter is an exact match, so it can use the domain index
+            assert.equal((await repo.list({ owner: 'lister', domain: 'example.org', sortBy: 'createdAt', direction: 1, limit: 10 })).total, 0);
+            assert.equal((await repo.list({ owner: 'lister', status: 'expired', sortBy: 'createdAt', direction: 1, limit: 10 })).total, 0);
+        });
+
+        it('filters links by status, counting used-up click limits as expired and disabled links as inactive', async () => {
+            const create = (shortCode, fields = {}) => repo.create({ originalUrl: `https://status.example/${shortCode}`, shortCode, owner: 'status', ...fields });
+            await create('repo-status-active', { maxClicks: 5 });
+            const usedUp = await create('repo-status-used-up', { maxClicks: 1 });
+            await repo.addClicks(new Map([[usedUp._id, 1]]));
+            const expired = await create('repo-status-expired', { expiresAt: inOneDay() });
+            expired.expiresAt = new Date(Date.now() - HOUR);
+            await repo.update(expired, { validate: false });
+            await create('repo-status-scheduled', { activatesAt: inOneDay() });
+            await create('repo-status-disabled', { disabled: true });
+
+            const withStatus = async (status) => (await repo.list({ owner: 'status', status, sortBy: 'createdAt', direction: 1, limit: 10 }))
+                .links.map(link => link.shortCode).sort();
+            assert.deepEqual(await withStatus('active'), ['repo-status-active']);
+            assert.deepEqual(await withStatus('expired'), ['repo-status-expired', 'repo-status-used-up']);
+            assert.deepEqual(await withStatus('scheduled'), ['repo-status-scheduled']);
+            assert.ok((await withStatus(undefined)).includes('repo-status-disabled'));
+            await repo.remove(expired); // Leaves the expiry sweep below to its own link
+        });
+
+        it('updates, soft-deletes and removes links', async () => {
+            const link = await repo.create({ originalUrl: 'https://example.com/old', shortCode: 'repo-update' });
+            link.originalUrl = 'https://example.com/new';
+            await repo.update(link);
+            assert.equal((await repo.findByCode({ shortCode: 'repo-update', shortDomain: null })).originalUrl, 'https://example.com/new');
+
+            link.deletedAt = new Date();
+            await repo.update(link);
+            assert.equal(await repo.findByCode({ shortCode: 'repo-update', shortDomain: null }), null);
+            assert.ok(await repo.findByCode({ shortCode: 'repo-update', shortDomain: null }, { includeDeleted: true }));
+
+            await repo.remove(link);
+            assert.equal(await repo.findByCode({ shortCode: 'repo-update', shortDomain: null }, { includeDeleted: true }), null);
+        });
+
+        it('records clicks up to maxClicks and pages through them', async () => {
+            const link = await repo.create({ originalUrl: 'https://example.com/limited', shortCode: 'repo-clicks', maxClicks: 2 });
+            const start = Date.now() - 10 * HOUR;
+            assert.equal(await repo.recordClick(link, clickOf(link, { timestamp: new Date(start) }), true), true);
+            assert.equal(await repo.recordClick(link, clickOf(link, { timestamp: new Date(start + HOUR) }), true), true);
+            assert.equal(await repo.recordClick(link, clickOf(link, { timestamp: new Date(start + 2 * HOUR) }), true), false);
+            await repo.addClicks(new Map([[link._id, 3]]));
+            assert.equal((await repo.findByCode({ shortCode: 'repo-clicks', shortDomain: null })).clicks, 5);
+
+            const [newest] = await repo.listClicks(link, { limit: 1 });
+            assert.equal(newest.timestamp.getTime(), start + HOUR);
+            const older = await repo.listClicks(link, { limit: 5, cursor: { value: newest.timestamp, id: newest._id } });
+            assert.deepEqual(older.map(click => click.timestamp.getTime()), [start]);
+        });
+
+        it('counts events of a type per IP since a time', async () => {
+            const link = await repo.create({ originalUrl: 'https://example.com/locked', shortCode: 'repo-events' });
+            await repo.insertEvents([
+                clickOf(link, { eventType: 'password_failed', ip: '10.0.0.1' }),
+                clickOf(link, { eventType: 'password_failed', ip: '10.0.0.1' }),
+                clickOf(link, { eventType: 'password_failed', ip: '10.0.0.2' }),
+                clickOf(link, { eventType: 'password_failed', ip: '10.0.0.1', timestamp: new Date(Date.now() - 48 * HOUR) })
+            ]);
+            const since = new Date(Date.now() - HOUR);
+            assert.equal(await repo.countEvents({ url: link._id, eventType: 'password_failed', ip: '10.0.0.1', since }), 2);
+            // Failed attempts are not clicks
+            assert.deepEqual(await repo.listClicks(link, { limit: 10 }), []);
+        });
+
+        it('aggregates click statistics', async () => {
+            const link = await repo.create({ originalUrl: 'https://example.com/stats', shortCode: 'repo-stats' });
+            // Tuesday 2024-01-02 and Monday 2024-01-08, so the events fall into two weeks
+            const tuesday = new Date(Date.UTC(2024, 0, 2, 10));
+            const nextMonday = new Date(Date.UTC(2024, 0, 8, 9));
+            await repo.insertEvents([
+                clickOf(link, { timestamp: tuesday, visitorId: 'v1', referrer: 'https://news.example', browser: 'Chrome', country: 'IN', countryName: 'India', variant: 'A' }),
+                clickOf(link, { timestamp: tuesday, visitorId: 'v1', browser: 'Chrome', country: 'IN', countryName: 'India', variant: 'A', channel: 'qr' }),
+                clickOf(link, { timestamp: nextMonday, visitorId: 'v2', browser: 'Firefox', variant: 'B' }),
+                clickOf(link, { timestamp: nextMonday, browser: 'Firefox', variant: 'B' }),
+                clickOf(link, { timestamp: nextMonday, visitorId: 'bot', browser: 'Googlebot', isBot: true, variant: 'B' }),
+                clickOf(link, { timestamp: nextMonday, eventType: 'password_failed', ip: '10.0.0.9' })
+            ]);
+            const range = { from: new Date(Date.UTC(2024, 0, 1)), to: new Date(Date.UTC(2024, 0, 31)) };
+
+            const stats = await repo.aggregateStats(link, { ...range, interval: 'week', includeBots: false });
+            assert.deepEqual(stats.totals, { clicks: 4, uniqueVisitors: 3 }); // A missing visitor id counts as one visitor
+            assert.deepEqual(
+                stats.timeseries.map(bucket => ({ ...bucket, bucket: bucket.bucket.toISOString() })).sort((a, b) => a.bucket.localeCompare(b.bucket)),
+                [
+                    { bucket: '2024-01-01T00:00:00.000Z', clicks: 2, uniqueVisitors: 1 },
+                    { bucket: '2024-01-08T00:00:00.000Z', clicks: 2, uniqueVisitors: 2 }
+                ]
+            );
+            assert.deepEqual(stats.topReferrers, [{ value: 'Direct/Unknown', clicks: 3 }, { value: 'https://news.example', clicks: 1 }]);
+            assert.deepEqual(stats.browsers, [{ value: 'Chrome', clicks: 2 }, { value: 'Firefox', clicks: 2 }]);
+            assert.deepEqual(stats.channels, [{ value: 'link', clicks: 3 }, { value: 'qr', clicks: 1 }]);
+            assert.deepEqual(stats.countries, [
+                { value: 'IN', countryName: 'India', clicks: 2, uniqueVisitors: 1 },
+                { value: 'Unknown', countryName: null, clicks: 2, uniqueVisitors: 2 }
+            ]);
+            assert.equal(stats.botClicks, 1);
+
+            const withBots = await repo.aggregateStats(link, { ...range, interval: 'day', includeBots: true });
+            assert.equal(withBots.totals.clicks, 5);
+            assert.equal(withBots.timeseries.length, 2);
+
+            const variants = (await repo.variantStats(link, { includeBots: false })).sort((a, b) => a.variant.localeCompare(b.variant));
+            assert.deepEqual(variants, [{ variant: 'A', clicks: 2, uniqueVisitors: 1 }, { variant: 'B', clicks: 2, uniqueVisitors: 1 }]);
+        });
+
+        it('validates links without storing them', async () => {
+            const link = await repo.build({ originalUrl: 'https://example.com/built', shortCode: 'repo-built' });
+            assert.equal(link.domain, 'example.com');
+            assert.equal(await repo.findByCode({ shortCode: 'repo-built', shortDomain: null }), null);
+            await assert.rejects(repo.build({ originalUrl: 'not a url', shortCode: 'repo-invalid' }), error => error.name === 'ValidationError');
+        });
+
+        it('streams an owner\'s links and their clicks, oldest first', async () => {
+            const created = [];
+            for (let i = 0; i < 3; i++) {
+                created.push(await repo.create({ originalUrl: `https://stream.example/${i}`, shortCode: `repo-stream-${i}`, owner: 'streamer', createdAt: new Date(Date.UTC(2024, 5, 3 - i)) }));
+            }
+            created[1].deletedAt = new Date();
+            await repo.update(created[1]);
+            await repo.insertEvents([
+                clickOf(created[0], { timestamp: new Date(Date.UTC(2024, 5, 5)) }),
+                clickOf(created[0], { timestamp: new Date(Date.UTC(2024, 5, 4)) }),
+                clickOf(created[0], { timestamp: new Date(Date.UTC(2024, 5, 6)), eventType: 'password_failed' })
+            ]);
+
+            const streamed = [];
+            for await (const link of repo.streamLinks({ owner: 'streamer' })) {
+                streamed.push(link);
+            }
+            assert.deepEqual(streamed.map(link => link.shortCode), ['repo-stream-2', 'repo-stream-0']);
+            assert.ok(streamed[0].createdAt instanceof Date);
+            const recent = [];
+            for await (const link of repo.streamLinks({ owner: 'streamer', createdFrom: new Date(Date.UTC(2024, 5, 2)) })) {
+                recent.push(link.shortCode);
+            }
+            assert.deepEqual(recent, ['repo-stream-0']);
+            const withDeleted = [];
+            for await (const link of repo.streamLinks({ owner: 'streamer', includeDeleted: true })) {
+                withDeleted.push(link.shortCode);
+            }
+            assert.deepEqual(withDeleted, ['repo-stream-2', 'repo-stream-1', 'repo-stream-0']);
+
+            const clicks = [];
+            for await (const click of repo.streamClicks(streamed[1], {})) {
+                clicks.push(click.timestamp.toISOString());
+            }
+            assert.deepEqual(clicks, ['2024-06-04T00:00:00.000Z', '2024-06-05T00:00:00.000Z']);
+            const later = [];
+            for await (const click of repo.streamClicks(streamed[1], { from: new Date(Date.UTC(2024, 5, 5)) })) {
+                later.push(click.timestamp.toISOString());
+            }
+            assert.deepEqual(later, ['2024-06-05T00:00:00.000Z']);
+        });
+
+        it('keeps an audit trail, newest first', async () => {
+            const link = await repo.create({ originalUrl: 'https://example.com/audited', shortCode: 'repo-audit' });
+            await repo.recordAudit({ shortCode: link.shortCode, url: link._id, action: 'create', timestamp: new Date(Date.now() - 1000) });
+            await repo.recordAudit({ shortCode: link.shortCode, url: link._id, action: 'update', changes: [{ field: 'disabled', from: false, to: true }] });
+            const entries = await repo.listAudit(link, 10);
+            assert.deepEqual(entries.map(entry => entry.action), ['update', 'create']);
+            assert.equal(entries[0].changes[0].field, 'disabled');
+        });
+
+        it('deletes expired links', async (t) => {
+            if (repo.hasTtlIndex) {
+                t.skip('expired links are removed by the TTL index');
+                return;
+            }
+            const link = await repo.create({ originalUrl: 'https://example.com/expiring', shortCode: 'repo-expired', expiresAt: inOneDay() });
+            assert.equal(await repo.deleteExpired(new Date(Date.now() + 48 * HOUR)), 1);
+            assert.equal(await repo.findByCode({ shortCode: link.shortCode, shortDomain: null }), null);
+        });
+    });
+};
+
+BACKENDS.forEach(describeBackend);
+
+describe('MongoDB', async () => {
+    const { server, skip } = await startMongo();
+    describeBackend({ name: 'mongo', create: () => createMongoRepository(server), skip });
+    after(() => server && server.stop());
+});
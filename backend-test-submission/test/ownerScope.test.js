@@ -0,0 +1,122 @@
+// backend-test-submission/test/ownerScope.test.js
+// Links are scoped to the owner of the API key (getOwnerScope in middlewares/auth.js): user keys only see
+// and change their owner's links, admin keys see every link. User keys are Mongo-only, so the tests switch
+// STORAGE_BACKEND to mongo once the in-memory link repository exists, as test/domains.test.js does.
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, api, withKey, fakeCollection, flushClicks } = require('./helpers');
+const { getLinkRepository } = require('../repositories');
+const ApiKey = require('../models/apiKey');
+const Domain = require('../models/domain');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+// Exports the caller's links as NDJSON and returns them
+const exportLinks = async (key) => {
+    const res = await withKey('get', '/shorturls/export?format=ndjson', key)
+        .buffer(true)
+        .parse((response, callback) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => { text += chunk; });
+            response.on('end', () => callback(null, text));
+        });
+    assert.equal(res.status, 200);
+    return res.body.split('\n').filter(Boolean).map(line => JSON.parse(line));
+};
+
+describe('Owner scoping', () => {
+    const keys = {};
+    const codes = { alice: [], bob: [] };
+
+    before(async () => {
+        getLinkRepository(); // Links stay in the memory backend
+        process.env.STORAGE_BACKEND = 'mongo';
+        fakeCollection(ApiKey);
+        fakeCollection(Domain); // Consulted for every new destination (see utils/shortDomains.js)
+
+        for (const owner of ['alice', 'bob']) {
+            const res = await api('post', '/admin/apikeys').send({ name: `${owner}'s key`, owner });
+            assert.equal(res.status, 201);
+            keys[owner] = res.body.key;
+        }
+        for (const owner of ['alice', 'bob']) {
+            for (let i = 0; i < 2; i++) {
+                const res = await withKey('post', '/shorturls', keys[owner]).send({ url: `https://example.com/${owner}/${i}`, shortcode: `${owner}-link-${i}` });
+                assert.equal(res.status, 201);
+                codes[owner].push(res.body.shortCode);
+            }
+        }
+        // One click each, for the analytics
+        for (const shortCode of [...codes.alice, ...codes.bob]) {
+            await request().get(`/${shortCode}`).set('User-Agent', BROWSER_UA);
+        }
+        await flushClicks();
+    });
+
+    after(() => {
+        process.env.STORAGE_BACKEND = 'memory';
+        mock.restoreAll();
+    });
+
+    it('lists only the caller\'s links, and every link for admins', async () => {
+        const listed = async (request) => (await request).body.data.map(link => link.shortCode).sort();
+        assert.deepEqual(await listed(withKey('get', '/shorturls', keys.alice)), codes.alice);
+        assert.deepEqual(await listed(withKey('get', '/shorturls', keys.bob)), codes.bob);
+        assert.deepEqual(await listed(api('get', '/shorturls')), [...codes.alice, ...codes.bob]);
+
+        const total = (await withKey('get', '/shorturls?q=link', keys.alice)).body.pagination.total;
+        assert.equal(total, 2);
+    });
+
+    it('answers 404 for another owner\'s link on every per-link route', async () => {
+        const [bobsCode] = codes.bob;
+        for (const [method, path] of [
+            ['get', `/shorturls/${bobsCode}`],
+            ['get', `/shorturls/${bobsCode}/analytics`],
+            ['get', `/shorturls/${bobsCode}/audit`],
+            ['get', `/shorturls/${bobsCode}/qr`],
+            ['delete', `/shorturls/${bobsCode}`],
+            ['delete', `/shorturls/${bobsCode}?soft=true`]
+        ]) {
+            const res = await withKey(method, path, keys.alice);
+            assert.equal(res.status, 404, `${method} ${path}`);
+        }
+        const patched = await withKey('patch', `/shorturls/${bobsCode}`, keys.alice).send({ url: 'https://attacker.example/' });
+        assert.equal(patched.status, 404);
+
+        // The link is untouched and still redirects
+        const stats = await withKey('get', `/shorturls/${bobsCode}`, keys.bob);
+        assert.equal(stats.status, 200);
+        assert.equal(stats.body.originalUrl, 'https://example.com/bob/0');
+        assert.equal((await request().get(`/${bobsCode}`).set('User-Agent', BROWSER_UA)).headers.location, 'https://example.com/bob/0');
+    });
+
+    it('lets the owner read and change their own links', async () => {
+        const [alicesCode] = codes.alice;
+        const analytics = await withKey('get', `/shorturls/${alicesCode}/analytics`, keys.alice);
+        assert.equal(analytics.status, 200);
+        assert.equal(analytics.body.totalClicks, 1);
+
+        const patched = await withKey('patch', `/shorturls/${alicesCode}`, keys.alice).send({ maxClicks: 10 });
+        assert.equal(patched.status, 200);
+        const audit = await withKey('get', `/shorturls/${alicesCode}/audit`, keys.alice);
+        assert.equal(audit.status, 200);
+        assert.equal(audit.body[0].actor.owner, 'alice');
+    });
+
+    it('exports only the caller\'s links', async () => {
+        assert.deepEqual((await exportLinks(keys.alice)).map(link => link.shortCode).sort(), codes.alice);
+        assert.deepEqual((await exportLinks(keys.bob)).map(link => link.shortCode).sort(), codes.bob);
+        assert.equal((await exportLinks('test-admin-key')).length, 4);
+    });
+
+    it('gives imported links to the caller', async () => {
+        const res = await withKey('post', '/shorturls/import', keys.bob).send([{ shortCode: 'bob-imported', originalUrl: 'https://example.com/bob/imported' }]);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.imported, 1);
+        assert.equal((await withKey('get', '/shorturls/bob-imported', keys.bob)).status, 200);
+        assert.equal((await withKey('get', '/shorturls/bob-imported', keys.alice)).status, 404);
+        codes.bob.push('bob-imported');
+    });
+});
@@ -0,0 +1,54 @@
+// backend-test-submission/test/qrCodes.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, api, createLink, flushClicks } = require('./helpers');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('GET /shorturls/:shortCode/qr', () => {
+    it('renders a PNG of the short URL with the scan marker', async () => {
+        const link = await createLink({ url: 'https://example.com/poster' });
+        const res = await api('get', `/shorturls/${link.shortCode}/qr`).buffer(true);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['content-type'], 'image/png');
+        assert.deepEqual(res.body.subarray(0, 8), PNG_SIGNATURE);
+        assert.ok(res.headers['x-qr-content'].endsWith(`/${link.shortCode}?qr=1`));
+    });
+
+    it('renders an SVG with the requested size', async () => {
+        const link = await createLink({ url: 'https://example.com/svg' });
+        const res = await api('get', `/shorturls/${link.shortCode}/qr?format=svg&size=512&margin=1&ecc=H`).buffer(true);
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /^image\/svg\+xml/);
+        assert.match(res.body.toString(), /<svg[^>]*width="512"/);
+    });
+
+    it('rejects invalid options', async () => {
+        const link = await createLink({ url: 'https://example.com/invalid' });
+        const res = await api('get', `/shorturls/${link.shortCode}/qr?format=gif&size=10`);
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.errors.map(e => e.field), ['format', 'size']);
+    });
+
+    it('responds 404 for an unknown shortcode', async () => {
+        assert.equal((await api('get', '/shorturls/no-such-code/qr')).status, 404);
+    });
+});
+
+describe('QR scans', () => {
+    it('are recorded as QR traffic and the marker is not passed on', async () => {
+        const link = await createLink({ url: 'https://example.com/landing', forwardQuery: true });
+        const scan = await request().get(`/${link.shortCode}?qr=1&ref=poster`).set('User-Agent', BROWSER_UA);
+        assert.equal(scan.status, 302);
+        assert.equal(scan.headers.location, 'https://example.com/landing?ref=poster');
+        await request().get(`/${link.shortCode}`).set('User-Agent', BROWSER_UA);
+
+        await flushClicks();
+        const stats = await api('get', `/shorturls/${link.shortCode}`);
+        assert.deepEqual(stats.body.clickHistory.map(c => c.channel).sort(), ['link', 'qr']);
+
+        const analytics = await api('get', `/shorturls/${link.shortCode}/analytics`);
+        assert.deepEqual(analytics.body.channels, [{ value: 'link', clicks: 1 }, { value: 'qr', clicks: 1 }]);
+    });
+});
@@ -0,0 +1,186 @@
+// backend-test-submission/test/rateLimit.test.js
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Small budgets so the tests reach them quickly; must be set before the app is loaded
+process.env.RATE_LIMIT = 'on';
+process.env.RATE_LIMIT_CREATE_IP = '100/60';
+process.env.RATE_LIMIT_CREATE_KEY = '3/60';
+process.env.RATE_LIMIT_BATCH_IP = '100/60';
+process.env.RATE_LIMIT_BATCH_KEY = '3/60';
+process.env.RATE_LIMIT_STATS_IP = '50/60';
+process.env.RATE_LIMIT_STATS_KEY = 'off';
+process.env.RATE_LIMIT_REDIRECT_IP = '2/60';
+process.env.RATE_LIMIT_UPDATE_IP = '100/60';
+process.env.RATE_LIMIT_UPDATE_KEY = '2/3600';
+process.env.RATE_LIMIT_AUTH_IP = '3/600';
+
+const { request, api, withKey } = require('./helpers');
+const { takeFromBucket, getRateLimitStore } = require('../utils/rateLimitStore');
+const { appLogger } = require('../middlewares/logger');
+
+// Empties the memory store, so every bucket starts full again
+const resetBuckets = () => getRateLimitStore().close();
+
+describe('Rate limiting', () => {
+    let shortCode;
+
+    it('rejects creation past the API key budget with a 429 and rate limit headers', async () => {
+        for (let i = 0; i < 3; i++) {
+            const res = await api('post', '/shorturls').send({ url: `https://example.com/limited/${i}` });
+            assert.equal(res.status, 201);
+            assert.equal(res.headers['ratelimit-limit'], '3');
+            assert.equal(res.headers['ratelimit-remaining'], String(2 - i));
+            assert.equal(res.headers['ratelimit-policy'], '3;w=60');
+            shortCode = shortCode || res.body.shortCode;
+        }
+
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com/limited/3' });
+        assert.equal(res.status, 429);
+        assert.equal(res.headers['ratelimit-remaining'], '0');
+        assert.ok(Number(res.headers['retry-after']) >= 1);
+        assert.equal(res.body.code, 'RATE_LIMITED');
+        assert.equal(res.body.budget, 'create');
+        assert.equal(res.body.scope, 'key');
+        assert.equal(res.body.retryAfter, Number(res.headers['retry-after']));
+    });
+
+    it('keeps a separate budget for stats', async () => {
+        const res = await api('get', `/shorturls/${shortCode}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['ratelimit-limit'], '50');
+        assert.equal(res.headers['ratelimit-remaining'], '49');
+    });
+
+    it('limits redirects per IP with a plain text 429', async () => {
+        assert.equal((await request().get(`/${shortCode}`)).status, 302);
+        assert.equal((await request().get(`/${shortCode}`)).status, 302);
+
+        const res = await request().get(`/${shortCode}`);
+        assert.equal(res.status, 429);
+        assert.ok(Number(res.headers['retry-after']) >= 1);
+        assert.match(res.text, /^Too many requests\./);
+    });
+
+    it('charges bulk creates and imports one token per link, from their own batch budget', async () => {
+        await resetBuckets();
+        const bulk = await api('post', '/shorturls/bulk').send({ items: [{ url: 'https://example.com/bulk/0' }, { url: 'https://example.com/bulk/1' }] });
+        assert.ok(bulk.status < 300);
+        assert.equal(bulk.headers['ratelimit-remaining'], '1');
+
+        const records = [0, 1].map(i => ({ shortCode: `limited-import-${i}`, originalUrl: `https://example.com/import/${i}` }));
+        const res = await api('post', '/shorturls/import').send(records);
+        assert.equal(res.status, 429);
+        assert.equal(res.body.budget, 'batch');
+        assert.equal(res.body.scope, 'key');
+        assert.equal(res.body.retryAfter, 20); // One more token, at 3 per minute
+
+        // Single creates still have their whole budget
+        const single = await api('post', '/shorturls').send({ url: 'https://example.com/single' });
+        assert.equal(single.status, 201);
+        assert.equal(single.headers['ratelimit-remaining'], '2');
+    });
+
+    it('takes nothing from the IP bucket for requests the key bucket rejects', async () => {
+        // The import above was rejected without using the key's last token
+        const bulk = (url) => api('post', '/shorturls/bulk').send({ items: [{ url }] });
+        assert.ok((await bulk('https://example.com/last-token')).status < 300);
+        const warn = mock.method(appLogger, 'warn');
+        try {
+            assert.equal((await bulk('https://example.com/rejected')).status, 429);
+            const { ip } = warn.mock.calls.find(call => call.arguments[0] === 'RateLimit: Request rejected').arguments[1];
+            const ipBucket = { capacity: 100, refillPerMs: 100 / 60000 };
+            const before = await getRateLimitStore().peek(`batch:ip:${ip}`, ipBucket);
+
+            for (let i = 0; i < 5; i++) {
+                assert.equal((await bulk('https://example.com/rejected')).status, 429);
+            }
+            const after = await getRateLimitStore().peek(`batch:ip:${ip}`, ipBucket);
+            assert.ok(after.remaining >= before.remaining, `${before.remaining} tokens before, ${after.remaining} after`);
+        } finally {
+            warn.mock.restore();
+        }
+    });
+
+    it('rejects a batch costing more than the budget holds with a 413, charging nothing', async () => {
+        await resetBuckets();
+        const items = [0, 1, 2, 3].map(i => ({ url: `https://example.com/too-large/${i}` }));
+        const res = await api('post', '/shorturls/bulk').send({ items });
+        assert.equal(res.status, 413);
+        assert.equal(res.body.code, 'BATCH_TOO_LARGE');
+        assert.equal(res.body.budget, 'batch');
+        assert.equal(res.body.limit, 3);
+        assert.equal(res.headers['retry-after'], undefined);
+
+        // The bucket is still full, so a batch of the allowed size goes through
+        const allowed = await api('post', '/shorturls/bulk').send({ items: items.slice(0, 3) });
+        assert.ok(allowed.status < 300);
+        assert.equal(allowed.headers['ratelimit-remaining'], '0');
+    });
+
+    it('limits failed API key attempts per IP, then refuses every key until the budget refills', async () => {
+        await resetBuckets();
+        // Missing keys are not guesses and are not counted
+        assert.equal((await request().get('/shorturls')).status, 401);
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await withKey('get', '/shorturls', `usk_guess-${i}`)).status, 401);
+        }
+        for (const key of ['usk_guess-3', 'test-admin-key']) {
+            const res = await withKey('get', '/shorturls', key);
+            assert.equal(res.status, 429);
+            assert.equal(res.body.budget, 'auth');
+            assert.equal(res.body.retryAfter, 200); // One attempt, at 3 per 10 minutes
+        }
+
+        await resetBuckets();
+        assert.equal((await api('get', '/shorturls')).status, 200);
+    });
+
+    it('keeps a separate budget for changing and deleting links', async () => {
+        await resetBuckets();
+        const link = await api('post', '/shorturls').send({ url: 'https://example.com/changed' });
+        for (let i = 0; i < 2; i++) {
+            const res = await api('patch', `/shorturls/${link.body.shortCode}`).send({ disabled: i === 0 });
+            assert.equal(res.status, 200);
+            assert.equal(res.headers['ratelimit-policy'], '2;w=3600');
+        }
+        for (const res of [
+            await api('patch', `/shorturls/${link.body.shortCode}`).send({ disabled: true }),
+            await api('delete', `/shorturls/${link.body.shortCode}`)
+        ]) {
+            assert.equal(res.status, 429);
+            assert.equal(res.body.budget, 'update');
+        }
+    });
+});
+
+describe('takeFromBucket', () => {
+    const limit = { capacity: 2, refillPerMs: 1 / 1000 };
+
+    it('refills tokens over time up to the capacity', () => {
+        let state = takeFromBucket(undefined, limit, 0);
+        state = takeFromBucket(state.bucket, limit, 0);
+        assert.equal(state.result.remaining, 0);
+
+        const rejected = takeFromBucket(state.bucket, limit, 500);
+        assert.equal(rejected.result.allowed, false);
+        assert.equal(rejected.result.retryAfterMs, 500);
+
+        const refilled = takeFromBucket(rejected.bucket, limit, 60 * 1000);
+        assert.equal(refilled.result.allowed, true);
+        assert.equal(refilled.result.remaining, 1);
+    });
+
+    it('takes a cost above the capacity from a full bucket, leaving it in debt', () => {
+        const full = takeFromBucket(undefined, { ...limit, cost: 5 }, 0);
+        assert.equal(full.result.allowed, true);
+        assert.equal(full.result.remaining, 0);
+        assert.equal(full.bucket.tokens, -3);
+
+        // The next large request waits for a full bucket again: the 3 tokens owed, then 2 more
+        const waiting = takeFromBucket(full.bucket, { ...limit, cost: 5 }, 1000);
+        assert.equal(waiting.result.allowed, false);
+        assert.equal(waiting.result.retryAfterMs, 4000);
+        assert.equal(takeFromBucket(full.bucket, { ...limit, cost: 5 }, 5000).result.allowed, true);
+    });
+});
@@ -0,0 +1,269 @@
+// backend-test-submission/test/redirect.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { request, api, createLink, changeLink, flushClicks } = require('./helpers');
+const { getLinkRepository } = require('../repositories');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const BOT_UA = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+
+// Follows a short link the way a browser would, without following the redirect itself
+const visit = (shortCode, userAgent = BROWSER_UA) => request().get(`/${shortCode}`).set('User-Agent', userAgent);
+
+// Reads a link's stats, after writing out clicks still buffered in memory
+const getStats = async (shortCode) => {
+    await flushClicks();
+    const res = await api('get', `/shorturls/${shortCode}`);
+    assert.equal(res.status, 200);
+    return res.body;
+};
+
+describe('GET /:shortCode', () => {
+    it('redirects to the original URL', async () => {
+        const link = await createLink({ url: 'https://example.com/target' });
+        const res = await visit(link.shortCode);
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.location, 'https://example.com/target');
+    });
+
+    it('responds 404 for an unknown shortcode', async () => {
+        const res = await visit('no-such-code');
+        assert.equal(res.status, 404);
+    });
+
+    it('responds 410 for an expired link and records no click', async () => {
+        const link = await createLink({ url: 'https://example.com/expired' });
+        await changeLink(link.shortCode, { expiresAt: new Date(Date.now() - 1000) });
+        const res = await visit(link.shortCode);
+        assert.equal(res.status, 410);
+        assert.equal(res.text, 'Short URL has expired.');
+
+        await changeLink(link.shortCode, { expiresAt: new Date(Date.now() + 60 * 1000) });
+        assert.equal((await getStats(link.shortCode)).totalClicks, 0);
+    });
+
+    it('responds 410 for a deleted link', async () => {
+        const link = await createLink({ url: 'https://example.com/deleted' });
+        assert.equal((await api('delete', `/shorturls/${link.shortCode}?soft=true`)).status, 200);
+        const res = await visit(link.shortCode);
+        assert.equal(res.status, 410);
+        assert.equal(res.text, 'Short URL has been deleted.');
+    });
+
+    it('responds 410 for a disabled link', async () => {
+        const link = await createLink({ url: 'https://example.com/disabled' });
+        assert.equal((await api('patch', `/shorturls/${link.shortCode}`).send({ disabled: true })).status, 200);
+        const res = await visit(link.shortCode);
+        assert.equal(res.status, 410);
+        assert.equal(res.text, 'Short URL is disabled.');
+    });
+
+    it('responds 403 before a scheduled link activates', async () => {
+        const link = await createLink({ url: 'https://example.com/later', activatesAt: new Date(Date.now() + 60 * 1000).toISOString() });
+        const res = await visit(link.shortCode);
+        assert.equal(res.status, 403);
+        assert.match(res.text, /^Short URL is not yet active/);
+    });
+
+    it('sees changes made through the API despite the redirect cache', async () => {
+        const link = await createLink({ url: 'https://example.com/before' });
+        await visit(link.shortCode);
+        await api('patch', `/shorturls/${link.shortCode}`).send({ url: 'https://example.com/after' });
+        const res = await visit(link.shortCode);
+        assert.equal(res.headers.location, 'https://example.com/after');
+    });
+});
+
+describe('Click recording', () => {
+    it('counts each visit and records it in the click history', async () => {
+        const link = await createLink({ url: 'https://example.com/clicks' });
+        await visit(link.shortCode);
+        await visit(link.shortCode).set('Referer', 'https://news.example.org/story');
+
+        const stats = await getStats(link.shortCode);
+        assert.equal(stats.totalClicks, 2);
+        assert.equal(stats.clickHistory.length, 2);
+        // Newest first
+        assert.equal(stats.clickHistory[0].referrer, 'https://news.example.org/story');
+        assert.equal(stats.clickHistory[0].browser, 'Chrome');
+        assert.equal(stats.clickHistory[0].destination, 'https://example.com/clicks');
+        assert.equal(stats.clickHistory[0].isBot, false);
+    });
+
+    it('keys visitor ids with the server secret, from the anonymized IP when ANONYMIZE_IP=true', async () => {
+        const link = await createLink({ url: 'https://example.com/anonymous' });
+        process.env.ANONYMIZE_IP = 'true';
+        try {
+            await visit(link.shortCode);
+        } finally {
+            delete process.env.ANONYMIZE_IP;
+        }
+        await flushClicks();
+        const repo = getLinkRepository();
+        const stored = await repo.findByCode({ shortCode: link.shortCode, shortDomain: null });
+        const [click] = await repo.listClicks(stored, { limit: 1 });
+        assert.match(click.ip, /\.0$/);
+        const expected = crypto.createHmac('sha256', process.env.VISITOR_ID_SECRET).update(`${click.ip}|${BROWSER_UA}`).digest('hex').slice(0, 32);
+        assert.equal(click.visitorId, expected);
+    });
+
+    it('records bot visits without counting them', async () => {
+        const link = await createLink({ url: 'https://example.com/bots' });
+        await visit(link.shortCode, BOT_UA);
+
+        const stats = await getStats(link.shortCode);
+        assert.equal(stats.totalClicks, 0);
+        assert.equal(stats.clickHistory.length, 1);
+        assert.equal(stats.clickHistory[0].isBot, true);
+    });
+
+    it('stops redirecting once maxClicks is reached', async () => {
+        const link = await createLink({ url: 'https://example.com/limited', maxClicks: 2 });
+        assert.equal((await visit(link.shortCode)).status, 302);
+        assert.equal((await visit(link.shortCode)).status, 302);
+        const res = await visit(link.shortCode);
+        assert.equal(res.status, 410);
+        assert.equal(res.text, 'Short URL has reached its click limit.');
+        assert.equal((await getStats(link.shortCode)).totalClicks, 2);
+    });
+
+    it('counts a password-protected link\'s click only once it is unlocked', async () => {
+        const link = await createLink({ url: 'https://example.com/protected', password: 'open-sesame' });
+        const form = await visit(link.shortCode);
+        assert.equal(form.status, 200);
+        assert.match(form.headers['content-type'], /^text\/html/);
+
+        const wrong = await request().post(`/${link.shortCode}`).type('form').set('User-Agent', BROWSER_UA).send({ password: 'nope' });
+        assert.equal(wrong.status, 401);
+        const right = await request().post(`/${link.shortCode}`).type('form').set('User-Agent', BROWSER_UA).send({ password: 'open-sesame' });
+        assert.equal(right.status, 303);
+        assert.equal(right.headers.location, 'https://example.com/protected');
+
+        assert.equal((await getStats(link.shortCode)).totalClicks, 1);
+    });
+
+    it('locks the password form after too many failed attempts', async () => {
+        const link = await createLink({ url: 'https://example.com/locked', password: 'open-sesame' });
+        const attempt = (password) => request().post(`/${link.shortCode}`).type('form').set('User-Agent', BROWSER_UA).send({ password });
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await attempt('wrong')).status, 401);
+        }
+        const res = await attempt('open-sesame');
+        assert.equal(res.status, 429);
+        assert.ok(res.headers['retry-after']);
+    });
+});
+
+describe('Preview pages', () => {
+    it('shows a preview for a "+" suffix without recording a click', async () => {
+        const link = await createLink({ url: 'https://example.com/inspect-me' });
+        const res = await visit(`${link.shortCode}+`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /html/);
+        assert.match(res.text, /https:\/\/example\.com\/inspect-me/);
+        assert.match(res.text, /name="acknowledged" value="preview"/);
+        assert.equal((await getStats(link.shortCode)).totalClicks, 0);
+    });
+
+    it('shows links with the preview option and records the click on continue', async () => {
+        const link = await createLink({ url: 'https://example.com/previewed', preview: true });
+        assert.equal(link.preview, true);
+        assert.equal((await visit(link.shortCode)).status, 200);
+
+        const res = await request()
+            .post(`/${link.shortCode}`)
+            .set('User-Agent', BROWSER_UA)
+            .type('form')
+            .send({ acknowledged: 'preview' });
+        assert.equal(res.status, 303);
+        assert.equal(res.headers.location, 'https://example.com/previewed');
+        assert.equal((await getStats(link.shortCode)).totalClicks, 1);
+    });
+
+    it('hides the destination of a protected link and asks for the password on continue', async () => {
+        const link = await createLink({ url: 'https://example.com/secret-place', password: 'open-sesame' });
+        const preview = await visit(`${link.shortCode}+`);
+        assert.equal(preview.status, 200);
+        assert.doesNotMatch(preview.text, /secret-place/);
+
+        const res = await request().post(`/${link.shortCode}`).type('form').send({ acknowledged: 'preview' });
+        assert.equal(res.status, 200);
+        assert.match(res.text, /type="password"/);
+    });
+});
+
+describe('Redirect types and headers', () => {
+    it('sends temporary redirects with no-store', async () => {
+        const link = await createLink({ url: 'https://example.com/temporary', redirectType: 307 });
+        const res = await visit(link.shortCode);
+        assert.equal(res.status, 307);
+        assert.equal(res.headers['cache-control'], 'private, no-store');
+    });
+
+    it('requires the opt-in for permanent redirects, and warns once they are enabled', async () => {
+        const refused = await api('post', '/shorturls').send({ url: 'https://example.com/forever', redirectType: 301 });
+        assert.equal(refused.status, 400);
+        assert.equal(refused.body.errors[0].field, 'redirectType');
+        assert.equal(refused.body.errors[0].code, 'INVALID_COMBINATION');
+
+        const link = await createLink({ url: 'https://example.com/forever', redirectType: 308, allowPermanentRedirect: true });
+        assert.equal(link.redirectType, 308);
+        assert.equal(link.warnings.length, 1);
+        const res = await visit(link.shortCode);
+        assert.equal(res.status, 308);
+        assert.match(res.headers['cache-control'], /^public, max-age=\d+$/);
+    });
+
+    it('sends the configured Link and X-Robots-Tag headers', async () => {
+        const link = await createLink({
+            url: 'https://example.com/canonical',
+            linkHeader: '<https://example.com/canonical>; rel="canonical"',
+            robotsTag: 'noindex, nofollow'
+        });
+        const res = await visit(link.shortCode);
+        assert.equal(res.headers.link, '<https://example.com/canonical>; rel="canonical"');
+        assert.equal(res.headers['x-robots-tag'], 'noindex, nofollow');
+
+        const cleared = await api('patch', `/shorturls/${link.shortCode}`).send({ robotsTag: null });
+        assert.equal(cleared.status, 200);
+        assert.equal(cleared.body.robotsTag, null);
+        assert.equal((await visit(link.shortCode)).headers['x-robots-tag'], undefined);
+    });
+
+    it('rejects header values that could break the response', async () => {
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com/x', robotsTag: 'noindex\r\nSet-Cookie: a=b' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, 'robotsTag');
+    });
+
+    it('answers HEAD requests without recording a click', async () => {
+        const link = await createLink({ url: 'https://example.com/checked', robotsTag: 'noindex' });
+        const res = await request().head(`/${link.shortCode}`).set('User-Agent', BROWSER_UA);
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.location, 'https://example.com/checked');
+        assert.equal(res.headers['x-robots-tag'], 'noindex');
+        assert.equal((await getStats(link.shortCode)).totalClicks, 0);
+    });
+
+    it('answers HEAD requests for A/B links without drawing a variant or setting the sticky cookie', async () => {
+        const link = await createLink({
+            url: 'https://example.com/control',
+            variants: [{ name: 'a', destination: 'https://example.com/a', weight: 50 }, { name: 'b', destination: 'https://example.com/b', weight: 50 }],
+            stickyVariants: true
+        });
+        const head = await request().head(`/${link.shortCode}`).set('User-Agent', BROWSER_UA);
+        assert.equal(head.status, 302);
+        assert.equal(head.headers.location, 'https://example.com/control');
+        assert.equal(head.headers['set-cookie'], undefined);
+
+        // A visit draws a variant and remembers it; HEAD then reports that variant without refreshing the cookie
+        const visited = await visit(link.shortCode);
+        const [cookie] = visited.headers['set-cookie'];
+        assert.match(cookie, new RegExp(`^abv_${link.shortCode}=[ab];`));
+        const remembered = await request().head(`/${link.shortCode}`).set('User-Agent', BROWSER_UA).set('Cookie', cookie.split(';')[0]);
+        assert.equal(remembered.headers.location, visited.headers.location);
+        assert.equal(remembered.headers['set-cookie'], undefined);
+        assert.equal((await getStats(link.shortCode)).totalClicks, 1);
+    });
+});
@@ -0,0 +1,227 @@
+// backend-test-submission/test/redirectRules.test.js
+// Conditional redirect rules (utils/redirectRules.js): each condition type, rule order, the fallback to the
+// link's originalUrl, validation on create and PATCH, and the rule names recorded with the clicks.
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, api, createLink, flushClicks } = require('./helpers');
+const geoip = require('../utils/geoip');
+
+const DESKTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const IPHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const ANDROID_UA = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Mobile Safari/537.36';
+const FALLBACK = 'https://example.com/fallback';
+
+// Visits a link and returns where it redirected to
+const destinationOf = async (path, { userAgent = DESKTOP_UA, headers = {} } = {}) => {
+    const res = await request().get(path).set({ 'User-Agent': userAgent, ...headers });
+    assert.equal(res.status, 302, path);
+    return res.headers.location;
+};
+
+// Builds a timeOfDay window of two hours around the current time, moved by the given number of minutes
+const timeWindow = (offsetMinutes, timezone) => {
+    const at = (minutes) => new Date(Date.now() + (offsetMinutes + minutes) * 60 * 1000).toISOString().slice(11, 16);
+    return { from: at(-60), to: at(60), ...(timezone ? { timezone } : {}) };
+};
+
+describe('Redirect rule conditions', () => {
+    it('matches the visitor\'s platform', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [
+                { destination: 'https://example.com/ios', conditions: { platforms: ['ios'] } },
+                { destination: 'https://example.com/android', conditions: { platforms: 'Android' } }
+            ]
+        });
+        assert.equal(await destinationOf(`/${link.shortCode}`, { userAgent: IPHONE_UA }), 'https://example.com/ios');
+        assert.equal(await destinationOf(`/${link.shortCode}`, { userAgent: ANDROID_UA }), 'https://example.com/android');
+        assert.equal(await destinationOf(`/${link.shortCode}`), FALLBACK);
+    });
+
+    it('matches the visitor\'s country', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [{ destination: 'https://example.com/dach', conditions: { countries: ['de', 'AT', 'CH'] } }]
+        });
+        const lookup = mock.method(geoip, 'lookupIp', async () => ({ country: 'DE', countryName: 'Germany', region: null, city: null }));
+        try {
+            assert.equal(await destinationOf(`/${link.shortCode}`), 'https://example.com/dach');
+            lookup.mock.mockImplementation(async () => ({ country: 'FR', countryName: 'France', region: null, city: null }));
+            assert.equal(await destinationOf(`/${link.shortCode}`), FALLBACK);
+        } finally {
+            lookup.mock.restore();
+        }
+        // Visitors whose country is unknown get the fallback
+        assert.equal(await destinationOf(`/${link.shortCode}`), FALLBACK);
+    });
+
+    it('matches the languages the visitor accepts', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [
+                { destination: 'https://example.com/fr-ca', conditions: { languages: ['fr-CA'] } },
+                { destination: 'https://example.com/de', conditions: { languages: ['de'] } }
+            ]
+        });
+        const withLanguage = (acceptLanguage) => destinationOf(`/${link.shortCode}`, { headers: { 'Accept-Language': acceptLanguage } });
+        assert.equal(await withLanguage('fr-CA,fr;q=0.8'), 'https://example.com/fr-ca');
+        // "de" covers regional variants, "fr-ca" does not cover plain "fr"
+        assert.equal(await withLanguage('en-US,de-AT;q=0.5'), 'https://example.com/de');
+        assert.equal(await withLanguage('fr'), FALLBACK);
+        // Languages with q=0 are not accepted
+        assert.equal(await withLanguage('en, de;q=0'), FALLBACK);
+        assert.equal(await destinationOf(`/${link.shortCode}`), FALLBACK);
+    });
+
+    it('matches the time of day, in the rule\'s time zone', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [
+                { destination: 'https://example.com/later', conditions: { timeOfDay: timeWindow(180) } },
+                { destination: 'https://example.com/kolkata', conditions: { timeOfDay: timeWindow(330, 'Asia/Kolkata') } },
+                { destination: 'https://example.com/now', conditions: { timeOfDay: timeWindow(0) } }
+            ]
+        });
+        assert.equal(await destinationOf(`/${link.shortCode}`), 'https://example.com/kolkata');
+
+        // Without its time zone, the same window is read as UTC and no longer matches
+        const utcOnly = await createLink({
+            url: FALLBACK,
+            rules: [{ destination: 'https://example.com/kolkata', conditions: { timeOfDay: timeWindow(330) } }]
+        });
+        assert.equal(await destinationOf(`/${utcOnly.shortCode}`), FALLBACK);
+    });
+
+    it('matches a query parameter, with or without a list of values', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [
+                { destination: 'https://example.com/print', conditions: { query: { param: 'src', values: ['qr', 'print'] } } },
+                { destination: 'https://example.com/campaign', conditions: { query: { param: 'campaign' } } }
+            ]
+        });
+        assert.equal(await destinationOf(`/${link.shortCode}?src=print`), 'https://example.com/print');
+        assert.equal(await destinationOf(`/${link.shortCode}?src=web&src=qr`), 'https://example.com/print');
+        assert.equal(await destinationOf(`/${link.shortCode}?src=web`), FALLBACK);
+        assert.equal(await destinationOf(`/${link.shortCode}?campaign=`), 'https://example.com/campaign');
+        assert.equal(await destinationOf(`/${link.shortCode}`), FALLBACK);
+    });
+
+    it('needs every condition of a rule to match', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [{ destination: 'https://example.com/ios-print', conditions: { platforms: ['ios'], query: { param: 'src', values: ['print'] } } }]
+        });
+        assert.equal(await destinationOf(`/${link.shortCode}?src=print`, { userAgent: IPHONE_UA }), 'https://example.com/ios-print');
+        assert.equal(await destinationOf(`/${link.shortCode}?src=print`), FALLBACK);
+        assert.equal(await destinationOf(`/${link.shortCode}`, { userAgent: IPHONE_UA }), FALLBACK);
+    });
+});
+
+describe('Redirect rule order', () => {
+    it('applies the first matching rule, and a rule without conditions always matches', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [
+                { destination: 'https://example.com/first', conditions: { query: { param: 'src' } } },
+                { destination: 'https://example.com/second', conditions: { query: { param: 'src' }, platforms: ['desktop'] } },
+                { destination: 'https://example.com/catch-all' }
+            ]
+        });
+        assert.equal(await destinationOf(`/${link.shortCode}?src=qr`), 'https://example.com/first');
+        assert.equal(await destinationOf(`/${link.shortCode}`), 'https://example.com/catch-all');
+    });
+
+    it('follows the new order once the rules are replaced', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [{ destination: 'https://example.com/ios', conditions: { platforms: ['ios'] } }]
+        });
+        const res = await api('patch', `/shorturls/${link.shortCode}`).send({
+            rules: [
+                { destination: 'https://example.com/everyone' },
+                { destination: 'https://example.com/ios', conditions: { platforms: ['ios'] } }
+            ]
+        });
+        assert.equal(res.status, 200);
+        assert.equal(await destinationOf(`/${link.shortCode}`, { userAgent: IPHONE_UA }), 'https://example.com/everyone');
+
+        // An empty list removes the rules, leaving the fallback
+        assert.equal((await api('patch', `/shorturls/${link.shortCode}`).send({ rules: [] })).status, 200);
+        assert.equal(await destinationOf(`/${link.shortCode}`, { userAgent: IPHONE_UA }), FALLBACK);
+    });
+});
+
+describe('Redirect rule validation', () => {
+    // A list that is not an array is caught by the request schema; the rules themselves by normalizeRules
+    const invalidRules = [
+        [{ destination: 'https://example.com' }, 'rules must be an array.', 'INVALID_TYPE'],
+        [Array.from({ length: 21 }, () => ({ destination: 'https://example.com' })), 'A link can have at most 20 rules.'],
+        [['https://example.com'], 'Rule 1 must be an object.'],
+        [[{ destination: 'https://example.com', name: 7 }], 'Rule 1: name must be a string.'],
+        [[{ destination: 'https://example.com' }, { destination: 'not a url' }], 'Rule 2: destination must be a valid URL.'],
+        [[{ destination: 'https://example.com', conditions: [] }], 'Rule 1: conditions must be an object.'],
+        [[{ destination: 'https://example.com', conditions: { platforms: ['windows'] } }], 'Rule 1: platforms must be a list of ios, android, desktop, other.'],
+        [[{ destination: 'https://example.com', conditions: { countries: ['Germany'] } }], 'Rule 1: countries must be a list of two-letter country codes.'],
+        [[{ destination: 'https://example.com', conditions: { languages: [''] } }], 'Rule 1: languages must be a list of language tags such as "en" or "fr-ca".'],
+        [[{ destination: 'https://example.com', conditions: { timeOfDay: { from: '9:00', to: '17:00' } } }], 'Rule 1: timeOfDay needs "from" and "to" times as HH:MM.'],
+        [[{ destination: 'https://example.com', conditions: { timeOfDay: { from: '09:00', to: '17:00', timezone: 'Mars/Olympus' } } }], 'Rule 1: timeOfDay.timezone must be an IANA time zone such as "Europe/Berlin".'],
+        [[{ destination: 'https://example.com', conditions: { query: { values: ['qr'] } } }], 'Rule 1: query.param must be a non-empty string.'],
+        [[{ destination: 'https://example.com', conditions: { query: { param: 'src', values: [1] } } }], 'Rule 1: query.values must be a list of strings.']
+    ];
+
+    it('rejects invalid rules when a link is created', async () => {
+        for (const [rules, message, code = 'INVALID_VALUE'] of invalidRules) {
+            const res = await api('post', '/shorturls').send({ url: FALLBACK, rules });
+            assert.equal(res.status, 400, message);
+            assert.deepEqual(res.body.errors, [{ field: 'rules', code, message }]);
+        }
+    });
+
+    it('rejects invalid rules on PATCH and keeps the current ones', async () => {
+        const link = await createLink({ url: FALLBACK, rules: [{ destination: 'https://example.com/ios', conditions: { platforms: ['ios'] } }] });
+        for (const [rules, message, code = 'INVALID_VALUE'] of invalidRules) {
+            const res = await api('patch', `/shorturls/${link.shortCode}`).send({ rules });
+            assert.equal(res.status, 400, message);
+            assert.deepEqual(res.body.errors, [{ field: 'rules', code, message }]);
+        }
+        const stats = await api('get', `/shorturls/${link.shortCode}`);
+        assert.equal(stats.body.rules.length, 1);
+        assert.equal(await destinationOf(`/${link.shortCode}`, { userAgent: IPHONE_UA }), 'https://example.com/ios');
+    });
+});
+
+describe('Rule names in click data', () => {
+    it('records which rule sent each visitor, in the click history and the analytics', async () => {
+        const link = await createLink({
+            url: FALLBACK,
+            rules: [
+                { name: ' iPhone users ', destination: 'https://example.com/ios', conditions: { platforms: ['ios'] } },
+                { destination: 'https://example.com/print', conditions: { query: { param: 'src', values: ['print'] } } }
+            ]
+        });
+        await destinationOf(`/${link.shortCode}`, { userAgent: IPHONE_UA });
+        await destinationOf(`/${link.shortCode}`, { userAgent: IPHONE_UA });
+        await destinationOf(`/${link.shortCode}?src=print`);
+        await destinationOf(`/${link.shortCode}`);
+        await flushClicks();
+
+        const stats = await api('get', `/shorturls/${link.shortCode}`);
+        assert.equal(stats.status, 200);
+        // Newest first; unnamed rules are called after their position, and the fallback has no rule
+        assert.deepEqual(stats.body.clickHistory.map(click => [click.rule, click.destination]), [
+            [null, FALLBACK],
+            ['Rule 2', 'https://example.com/print'],
+            ['iPhone users', 'https://example.com/ios'],
+            ['iPhone users', 'https://example.com/ios']
+        ]);
+
+        const analytics = await api('get', `/shorturls/${link.shortCode}/analytics`);
+        assert.equal(analytics.status, 200);
+        assert.deepEqual(analytics.body.redirectRules, [
+            { value: 'iPhone users', clicks: 2 },
+            { value: 'Fallback', clicks: 1 },
+            { value: 'Rule 2', clicks: 1 }
+        ]);
+    });
+});
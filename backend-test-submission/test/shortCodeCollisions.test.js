@@ -0,0 +1,55 @@
+// backend-test-submission/test/shortCodeCollisions.test.js
+// Generated codes that collide with existing links, using scripted generators registered for the test.
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, createLink } = require('./helpers');
+const { registerGenerator } = require('../utils/shortCodes');
+
+// Registers a generator handing out the given codes in order (then the last one forever), and makes it
+// the active strategy. A unique generator's codes are not looked up before they are used.
+const useScriptedGenerator = (codes, { unique }) => {
+    const queue = [...codes];
+    process.env.SHORTCODE_STRATEGY = 'scripted';
+    registerGenerator('scripted', () => ({
+        unique,
+        next: async (count) => Array.from({ length: count }, () => (queue.length > 1 ? queue.shift() : queue[0]))
+    }));
+};
+
+describe('POST /shorturls with colliding generated codes', () => {
+    before(async () => {
+        await createLink({ url: 'https://example.com/existing', shortcode: 'clash-code' });
+    });
+
+    it('skips generated codes that are already in use', async () => {
+        useScriptedGenerator(['clash-code', 'fresh-one'], { unique: false });
+        const link = await createLink({ url: 'https://example.com/a' });
+        assert.equal(link.shortCode, 'fresh-one');
+    });
+
+    it('draws a new code when saving a unique generator\'s code collides', async () => {
+        useScriptedGenerator(['clash-code', 'fresh-two'], { unique: true });
+        const link = await createLink({ url: 'https://example.com/b' });
+        assert.equal(link.shortCode, 'fresh-two');
+    });
+
+    it('responds 409 when every retry collides', async () => {
+        useScriptedGenerator(['clash-code'], { unique: true });
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com/c' });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.message, 'Shortcode is already in use.');
+    });
+
+    it('responds 503 when no free code can be found', async () => {
+        useScriptedGenerator(['clash-code'], { unique: false });
+        const res = await api('post', '/shorturls').send({ url: 'https://example.com/d' });
+        assert.equal(res.status, 503);
+        assert.equal(res.body.message, 'Failed to generate a unique shortcode. Please try again.');
+    });
+
+    it('never hands out reserved codes', async () => {
+        useScriptedGenerator(['admin', 'fresh-three'], { unique: true });
+        const link = await createLink({ url: 'https://example.com/e' });
+        assert.equal(link.shortCode, 'fresh-three');
+    });
+});
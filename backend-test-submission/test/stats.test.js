@@ -0,0 +1,143 @@
+// backend-test-submission/test/stats.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, api, createLink, changeLink, flushClicks } = require('./helpers');
+
+const BROWSER_UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15';
+
+// Visits a short link `count` times
+const visitTimes = async (shortCode, count) => {
+    for (let i = 0; i < count; i++) {
+        await request().get(`/${shortCode}`).set('User-Agent', BROWSER_UA);
+    }
+    await flushClicks();
+};
+
+describe('GET /shorturls/:shortCode', () => {
+    it('responds 404 for an unknown shortcode', async () => {
+        const res = await api('get', '/shorturls/no-such-code');
+        assert.equal(res.status, 404);
+        assert.equal(res.body.message, 'Short URL not found.');
+    });
+
+    it('responds 410 for an expired link', async () => {
+        const link = await createLink({ url: 'https://example.com/expired' });
+        await changeLink(link.shortCode, { expiresAt: new Date(Date.now() - 1000) });
+        const res = await api('get', `/shorturls/${link.shortCode}`);
+        assert.equal(res.status, 410);
+        assert.equal(res.body.message, 'Short URL has expired.');
+    });
+
+    it('responds 404 for a soft-deleted link', async () => {
+        const link = await createLink({ url: 'https://example.com/deleted' });
+        await api('delete', `/shorturls/${link.shortCode}?soft=true`);
+        assert.equal((await api('get', `/shorturls/${link.shortCode}`)).status, 404);
+    });
+
+    it('returns the link details', async () => {
+        const link = await createLink({ url: 'https://example.com/details', shortcode: 'details-1', maxClicks: 10 });
+        const res = await api('get', '/shorturls/details-1');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.shortCode, 'details-1');
+        assert.equal(res.body.originalUrl, 'https://example.com/details');
+        assert.equal(res.body.expiresAt, link.expiry);
+        assert.equal(res.body.maxClicks, 10);
+        assert.equal(res.body.totalClicks, 0);
+        assert.deepEqual(res.body.clickHistory, []);
+        assert.equal(res.body.clickHistoryPagination.nextCursor, null);
+    });
+
+    it('pages through the click history', async () => {
+        const link = await createLink({ url: 'https://example.com/history' });
+        await visitTimes(link.shortCode, 5);
+
+        const first = await api('get', `/shorturls/${link.shortCode}?historyLimit=3`);
+        assert.equal(first.body.totalClicks, 5);
+        assert.equal(first.body.clickHistory.length, 3);
+        const cursor = first.body.clickHistoryPagination.nextCursor;
+        assert.ok(cursor);
+
+        const second = await api('get', `/shorturls/${link.shortCode}?historyLimit=3&historyCursor=${encodeURIComponent(cursor)}`);
+        assert.equal(second.body.clickHistory.length, 2);
+        assert.equal(second.body.clickHistoryPagination.nextCursor, null);
+        const timestamps = [...first.body.clickHistory, ...second.body.clickHistory].map(click => click.timestamp);
+        assert.deepEqual(timestamps, [...timestamps].sort().reverse());
+    });
+
+    it('rejects an invalid historyLimit or cursor', async () => {
+        const link = await createLink({ url: 'https://example.com/params' });
+        assert.equal((await api('get', `/shorturls/${link.shortCode}?historyLimit=0`)).status, 400);
+        assert.equal((await api('get', `/shorturls/${link.shortCode}?historyCursor=garbage`)).status, 400);
+    });
+
+    it('breaks clicks down per A/B variant', async () => {
+        const link = await createLink({
+            url: 'https://example.com/fallback',
+            variants: [
+                { name: 'a', destination: 'https://example.com/a', weight: 50 },
+                { name: 'b', destination: 'https://example.com/b', weight: 50 }
+            ]
+        });
+        await visitTimes(link.shortCode, 4);
+        const res = await api('get', `/shorturls/${link.shortCode}`);
+        assert.deepEqual(res.body.variants.map(variant => variant.name), ['a', 'b']);
+        assert.equal(res.body.variants.reduce((sum, variant) => sum + variant.clicks, 0), 4);
+        assert.equal(res.body.variants.reduce((sum, variant) => sum + variant.share, 0), 100);
+    });
+});
+
+describe('GET /shorturls/:shortCode/analytics', () => {
+    it('responds 410 for an expired link', async () => {
+        const link = await createLink({ url: 'https://example.com/expired-analytics' });
+        await changeLink(link.shortCode, { expiresAt: new Date(Date.now() - 1000) });
+        assert.equal((await api('get', `/shorturls/${link.shortCode}/analytics`)).status, 410);
+    });
+
+    it('aggregates the clicks into buckets and breakdowns', async () => {
+        const link = await createLink({ url: 'https://example.com/analytics' });
+        await visitTimes(link.shortCode, 3);
+        const res = await api('get', `/shorturls/${link.shortCode}/analytics?interval=hour`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.totalClicks, 3);
+        assert.equal(res.body.timeseries.reduce((sum, bucket) => sum + bucket.clicks, 0), 3);
+        assert.deepEqual(res.body.browsers, [{ value: 'Safari', clicks: 3 }]);
+        assert.deepEqual(res.body.topReferrers, [{ referrer: 'Direct/Unknown', clicks: 3 }]);
+    });
+
+    it('rejects an unknown interval', async () => {
+        const link = await createLink({ url: 'https://example.com/interval' });
+        assert.equal((await api('get', `/shorturls/${link.shortCode}/analytics?interval=minute`)).status, 400);
+    });
+});
+
+describe('GET /shorturls', () => {
+    it('lists links page by page', async () => {
+        const created = [];
+        for (let i = 0; i < 3; i++) {
+            created.push((await createLink({ url: `https://list.example.net/${i}` })).shortCode);
+        }
+        const first = await api('get', '/shorturls?q=list.example.net&limit=2&sortBy=createdAt&order=asc');
+        assert.equal(first.status, 200);
+        assert.equal(first.body.pagination.total, 3);
+        assert.deepEqual(first.body.data.map(link => link.shortCode), created.slice(0, 2));
+
+        const next = await api('get', `/shorturls?q=list.example.net&limit=2&sortBy=createdAt&order=asc&after=${encodeURIComponent(first.body.pagination.nextCursor)}`);
+        assert.deepEqual(next.body.data.map(link => link.shortCode), created.slice(2));
+        assert.equal(next.body.pagination.nextCursor, null);
+    });
+
+    it('filters by the exact destination hostname', async () => {
+        await createLink({ url: 'https://Filter.Example.net/a' });
+        await createLink({ url: 'https://www.filter.example.net/b' });
+        const res = await api('get', '/shorturls?domain=FILTER.example.net.');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(link => link.originalUrl), ['https://Filter.Example.net/a']);
+        assert.equal((await api('get', '/shorturls?domain=https://filter.example.net')).status, 400);
+    });
+
+    it('rejects invalid query parameters', async () => {
+        assert.equal((await api('get', '/shorturls?sortBy=name')).status, 400);
+        assert.equal((await api('get', '/shorturls?status=gone')).status, 400);
+        assert.equal((await api('get', '/shorturls?after=x&before=y')).status, 400);
+    });
+});
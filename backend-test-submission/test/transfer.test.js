@@ -0,0 +1,280 @@
+// backend-test-submission/test/transfer.test.js
+// Export and import of links (controllers/transferController.js).
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// A small JSON limit, to check that imports get IMPORT_BODY_LIMIT instead; must be set before the app is loaded
+process.env.JSON_BODY_LIMIT = '8kb';
+
+const { request, api, createLink } = require('./helpers');
+const { app } = require('../app');
+const { appLogger } = require('../middlewares/logger');
+const { getLinkRepository } = require('../repositories');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+// Every test creates its links on its own day, so its exports only contain those links
+const dayRange = (day) => `createdFrom=${day}T00:00:00.000Z&createdTo=${day}T23:59:59.999Z`;
+
+// Builds import records on the given day, each with a couple of click events
+const seedRecords = (prefix, day, count = 3) => Array.from({ length: count }, (_, i) => ({
+    shortCode: `${prefix}-${i}`,
+    originalUrl: `https://example.com/${prefix}/${i}`,
+    createdAt: `${day}T${String(i).padStart(2, '0')}:00:00.000Z`,
+    expiresAt: '2099-01-01T00:00:00.000Z',
+    maxClicks: i === 0 ? 50 : null,
+    totalClicks: 2,
+    utm: { source: 'newsletter' },
+    clickEvents: [
+        { timestamp: `${day}T10:00:00.000Z`, browser: 'Chrome', os: 'Windows', deviceType: 'desktop', isBot: false, country: 'DE', visitorId: `visitor-${i}` },
+        { timestamp: `${day}T11:00:00.000Z`, browser: 'Firefox', os: 'Linux', deviceType: 'desktop', isBot: false, referrer: 'https://news.example/' }
+    ]
+}));
+
+// Exports links as text
+const exportText = async (query) => {
+    const res = await api('get', `/shorturls/export?${query}`)
+        .buffer(true)
+        .parse((response, callback) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => { text += chunk; });
+            response.on('end', () => callback(null, text));
+        });
+    assert.equal(res.status, 200);
+    return res.body;
+};
+
+// Exports the links of a day as text
+const exportDay = (day, format, includeClicks) => exportText(`format=${format}&includeClicks=${includeClicks}&${dayRange(day)}`);
+
+const importBody = (format, body, query = '') => {
+    const req = api('post', `/shorturls/import${query}`);
+    if (format === 'json') {
+        return req.send(typeof body === 'string' ? JSON.parse(body) : body);
+    }
+    return req.set('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson').send(body);
+};
+
+// Deletes links for good (with their click events), so their export can be imported again
+const deleteLinks = async (shortCodes) => {
+    for (const shortCode of shortCodes) {
+        assert.equal((await api('delete', `/shorturls/${shortCode}`)).status, 200);
+    }
+};
+
+describe('Export and import round trip', () => {
+    [
+        { format: 'json', includeClicks: true, day: '2021-03-01' },
+        { format: 'ndjson', includeClicks: true, day: '2021-03-02' },
+        { format: 'csv', includeClicks: false, day: '2021-03-03' },
+        { format: 'csv', includeClicks: true, day: '2021-03-04' }
+    ].forEach(({ format, includeClicks, day }) => {
+        it(`restores the links${includeClicks ? ' and their clicks' : ''} from a ${format} export`, async () => {
+            const prefix = `trip-${format}${includeClicks ? '-clicks' : ''}`;
+            // The last link has no clicks, and must still be exported with them
+            const records = seedRecords(prefix, day).map((record, i) => (i === 2 ? { ...record, totalClicks: 0, clickEvents: [] } : record));
+            const seeded = await api('post', '/shorturls/import').send(records);
+            assert.equal(seeded.status, 200);
+            assert.equal(seeded.body.imported, 3);
+
+            const exported = await exportDay(day, format, includeClicks);
+            await deleteLinks(records.map(record => record.shortCode));
+            assert.equal(await exportDay(day, format, includeClicks), format === 'json' ? '[\n]\n' : (format === 'csv' ? exported.split('\r\n')[0] + '\r\n' : ''));
+
+            const res = await importBody(format, exported);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.imported, 3);
+            assert.equal(res.body.importedClicks, includeClicks ? 4 : 0);
+            assert.equal(await exportDay(day, format, includeClicks), exported);
+
+            const stats = await api('get', `/shorturls/${prefix}-0`);
+            assert.equal(stats.body.totalClicks, 2);
+            assert.equal(stats.body.originalUrl, `https://example.com/${prefix}/0`);
+            assert.equal((await api('get', `/shorturls/${prefix}-2`)).body.totalClicks, 0);
+        });
+    });
+
+    ['json', 'csv'].forEach((format) => {
+        it(`keeps links protected, flagged and soft-deleted across a ${format} export`, async () => {
+            const since = new Date().toISOString();
+            const codes = { protected: `kept-${format}-protected`, flagged: `kept-${format}-flagged`, deleted: `kept-${format}-deleted` };
+            await createLink({ url: 'https://example.com/kept/protected', shortcode: codes.protected, password: 'open-sesame' });
+            await createLink({ url: 'https://example.com/kept/flagged', shortcode: codes.flagged });
+            assert.equal((await api('post', `/admin/links/${codes.flagged}/flag`).send({ reason: 'Reported as phishing' })).status, 200);
+            await createLink({ url: 'https://example.com/kept/deleted', shortcode: codes.deleted });
+            assert.equal((await api('delete', `/shorturls/${codes.deleted}?soft=true`)).status, 200);
+
+            const query = `format=${format}&createdFrom=${encodeURIComponent(since)}`;
+            const exported = await exportText(query);
+            assert.doesNotMatch(exported, /open-sesame/);
+            // Soft-deleted links cannot be deleted through the API, so all three are removed from the repository
+            const repo = getLinkRepository();
+            for (const shortCode of Object.values(codes)) {
+                await repo.remove(await repo.findByCode({ shortCode, shortDomain: null }, { includeDeleted: true }));
+            }
+
+            const res = await importBody(format, exported);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.imported, 3);
+            assert.equal(await exportText(query), exported);
+
+            const visit = (shortCode) => request().get(`/${shortCode}`).set('User-Agent', BROWSER_UA);
+            const form = await visit(codes.protected);
+            assert.equal(form.status, 200);
+            assert.match(form.text, /type="password"/);
+            const unlocked = await request().post(`/${codes.protected}`).type('form').set('User-Agent', BROWSER_UA).send({ password: 'open-sesame' });
+            assert.equal(unlocked.status, 303);
+            assert.equal(unlocked.headers.location, 'https://example.com/kept/protected');
+
+            assert.match((await visit(codes.flagged)).text, /This link has been flagged/);
+            assert.equal((await api('get', `/shorturls/${codes.flagged}`)).body.flag.reason, 'Reported as phishing');
+            assert.equal((await visit(codes.deleted)).status, 410);
+        });
+    });
+
+    it('refuses password hashes that were not exported by the shortener', async () => {
+        const res = await api('post', '/shorturls/import').send([{ shortCode: 'bad-hash', originalUrl: 'https://example.com/x', passwordHash: 'hunter2' }]);
+        assert.equal(res.body.results[0].error.field, 'passwordHash');
+        assert.equal(res.body.results[0].error.code, 'INVALID_FORMAT');
+    });
+});
+
+describe('POST /shorturls/import', () => {
+    it('reports existing codes and codes repeated in the import as conflicts, and imports the rest', async () => {
+        const [existing] = seedRecords('conflict', '2021-04-01', 1);
+        assert.equal((await api('post', '/shorturls/import').send([existing])).body.imported, 1);
+
+        const res = await api('post', '/shorturls/import').send([
+            { shortCode: 'conflict-0', originalUrl: 'https://example.com/other' },
+            { shortCode: 'conflict-new', originalUrl: 'https://example.com/new' },
+            { shortCode: 'conflict-new', originalUrl: 'https://example.com/new-again' },
+            { shortCode: 'conflict-bad', originalUrl: 'javascript:alert(1)' }
+        ]);
+        assert.equal(res.status, 200);
+        assert.deepEqual(
+            { total: res.body.total, imported: res.body.imported, conflicts: res.body.conflicts, failed: res.body.failed },
+            { total: 4, imported: 1, conflicts: 1, failed: 2 }
+        );
+        assert.deepEqual(res.body.results.map(result => [result.status, result.error && result.error.code]), [
+            ['conflict', 'SHORTCODE_CONFLICT'],
+            ['imported', undefined],
+            ['error', 'DUPLICATE_IN_BATCH'],
+            ['error', 'UNSUPPORTED_SCHEME']
+        ]);
+        // The existing link is left untouched
+        assert.equal((await api('get', '/shorturls/conflict-0')).body.originalUrl, 'https://example.com/conflict/0');
+    });
+
+    it('reads quoted CSV fields with embedded line breaks', async () => {
+        const csv = [
+            'shortCode,notes,originalUrl',
+            'csv-crlf-0,"first line\r\nsecond line, with a comma",https://example.com/crlf/0',
+            'csv-crlf-1,"""quoted""\nand more",https://example.com/crlf/1',
+            ''
+        ].join('\r\n');
+        const res = await importBody('csv', csv);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.results.map(result => [result.shortCode, result.status]), [['csv-crlf-0', 'imported'], ['csv-crlf-1', 'imported']]);
+        assert.equal((await api('get', '/shorturls/csv-crlf-1')).body.originalUrl, 'https://example.com/crlf/1');
+    });
+
+    it('reports NDJSON lines that are not valid JSON', async () => {
+        const res = await importBody('ndjson', '{"shortCode":"ndjson-ok","originalUrl":"https://example.com/ok"}\n{not json\n');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.results[0].status, 'imported');
+        assert.equal(res.body.results[1].error.code, 'INVALID_ITEM');
+    });
+
+    it('imports permanent redirects only with allowPermanentRedirect, and warns about each', async () => {
+        const res = await api('post', '/shorturls/import').send([
+            { shortCode: 'perm-refused', originalUrl: 'https://example.com/perm', redirectType: 301 },
+            { shortCode: 'perm-record', originalUrl: 'https://example.com/perm', redirectType: 308, allowPermanentRedirect: true },
+            { shortCode: 'perm-temporary', originalUrl: 'https://example.com/perm', redirectType: 307 }
+        ]);
+        assert.equal(res.status, 200);
+        const [refused, allowed, temporary] = res.body.results;
+        assert.equal(refused.error.field, 'redirectType');
+        assert.equal(refused.error.code, 'INVALID_COMBINATION');
+        assert.equal(allowed.status, 'imported');
+        assert.equal(allowed.warnings.length, 1);
+        assert.deepEqual(temporary.warnings, []);
+        assert.equal((await request().get('/perm-record')).status, 308);
+
+        const csv = 'shortCode,originalUrl,redirectType\r\nperm-query,https://example.com/perm,301\r\n';
+        const optedIn = await importBody('csv', csv, '?allowPermanentRedirect=true');
+        assert.equal(optedIn.body.results[0].status, 'imported');
+        assert.equal(optedIn.body.results[0].warnings.length, 1);
+        assert.equal((await request().get('/perm-query')).status, 301);
+
+        assert.equal((await importBody('csv', csv, '?allowPermanentRedirect=maybe')).status, 400);
+    });
+
+    it('accepts JSON bodies up to IMPORT_BODY_LIMIT, not the smaller JSON_BODY_LIMIT', async () => {
+        const records = Array.from({ length: 200 }, (_, i) => ({ shortCode: `limit-${i}`, originalUrl: `https://example.com/limit/${i}` }));
+        assert.ok(JSON.stringify(records).length > 8 * 1024);
+
+        const res = await api('post', '/shorturls/import').send(records);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.imported, 200);
+
+        // The same body is too large for the other JSON endpoints
+        const items = records.map(record => ({ url: record.originalUrl, shortcode: `${record.shortCode}-bulk` }));
+        assert.ok(JSON.stringify({ items }).length > 8 * 1024);
+        const bulk = await api('post', '/shorturls/bulk').send({ items });
+        assert.equal(bulk.status, 413);
+    });
+});
+
+describe('GET /shorturls/export', () => {
+    it('stops streaming when the client disconnects', async () => {
+        const day = '2021-05-01';
+        const records = seedRecords('disconnect', day, 20).map(record => ({ ...record, clickEvents: [] }));
+        assert.equal((await api('post', '/shorturls/import').send(records)).body.imported, 20);
+        // Enough click events that the export cannot be written to the socket in one go
+        const repo = getLinkRepository();
+        for (const record of records) {
+            const link = await repo.findByCode({ shortCode: record.shortCode, shortDomain: null });
+            await repo.insertEvents(Array.from({ length: 500 }, (_, i) => ({
+                url: link._id,
+                shortCode: link.shortCode,
+                timestamp: new Date(Date.UTC(2021, 4, 1, 12, 0, i % 60)),
+                userAgent: 'x'.repeat(500),
+                isBot: false
+            })));
+        }
+
+        const info = mock.method(appLogger, 'info');
+        const server = app.listen(0);
+        try {
+            const finished = new Promise((resolve) => {
+                info.mock.mockImplementation((message, details) => message === 'Short URLs exported successfully' && resolve(details));
+            });
+            const { port } = server.address();
+            await new Promise((resolve, reject) => {
+                const req = http.get({
+                    port,
+                    path: `/shorturls/export?format=ndjson&includeClicks=true&${dayRange(day)}`,
+                    headers: { 'X-API-Key': 'test-admin-key' }
+                }, (res) => {
+                    assert.equal(res.statusCode, 200);
+                    res.once('data', () => {
+                        req.destroy();
+                        resolve();
+                    });
+                });
+                req.on('error', error => error.code !== 'ECONNRESET' && reject(error));
+            });
+
+            const details = await finished;
+            assert.ok(details.exportedLinks < 20, `exported ${details.exportedLinks} links after the disconnect`);
+        } finally {
+            info.mock.restore();
+            await new Promise(resolve => server.close(resolve));
+        }
+
+        // The app keeps serving exports
+        assert.equal((await exportDay(day, 'csv', false)).split('\r\n').length, 22);
+    });
+});
@@ -0,0 +1,214 @@
+// backend-test-submission/test/updateDelete.test.js
+// Changing and deleting links: PATCH /shorturls/:shortCode, DELETE /shorturls/:shortCode (soft and hard)
+// and the audit trail both write to (GET /shorturls/:shortCode/audit).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, api, createLink, flushClicks } = require('./helpers');
+const { getLinkRepository } = require('../repositories');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const MINUTE = 60 * 1000;
+
+const visit = (shortCode) => request().get(`/${shortCode}`).set('User-Agent', BROWSER_UA);
+const patch = (shortCode, body) => api('patch', `/shorturls/${shortCode}`).send(body);
+const inMinutes = (minutes) => new Date(Date.now() + minutes * MINUTE).toISOString();
+
+// Reads the stored expiry of a link through the stats endpoint
+const expiryOf = async (shortCode) => {
+    const res = await api('get', `/shorturls/${shortCode}`);
+    assert.equal(res.status, 200);
+    return res.body.expiresAt;
+};
+
+// Codes of the links in the listing
+const listedCodes = async () => (await api('get', '/shorturls?limit=100')).body.data.map(link => link.shortCode);
+
+describe('PATCH /shorturls/:shortCode expiry', () => {
+    it('extends the expiry', async () => {
+        const link = await createLink({ url: 'https://example.com/extend', validity: 30 });
+        const later = inMinutes(10 * 24 * 60);
+        const res = await patch(link.shortCode, { expiresAt: later });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.expiry, later);
+        assert.deepEqual(res.body.changes, [{ field: 'expiresAt', from: link.expiry, to: later }]);
+        assert.equal(await expiryOf(link.shortCode), later);
+        assert.equal((await visit(link.shortCode)).status, 302);
+    });
+
+    it('shortens the expiry, with expiresAt or validity', async () => {
+        const link = await createLink({ url: 'https://example.com/shorten', validity: 24 * 60 });
+        const sooner = inMinutes(5);
+        assert.equal((await patch(link.shortCode, { expiresAt: sooner })).status, 200);
+        assert.equal(await expiryOf(link.shortCode), sooner);
+
+        const before = Date.now();
+        const res = await patch(link.shortCode, { validity: 2 });
+        assert.equal(res.status, 200);
+        const expiry = new Date(res.body.expiry).getTime();
+        assert.ok(expiry >= before + 2 * MINUTE && expiry <= Date.now() + 2 * MINUTE, res.body.expiry);
+        assert.equal((await visit(link.shortCode)).status, 302);
+    });
+
+    it('rejects an expiry in the past and keeps the current one', async () => {
+        const link = await createLink({ url: 'https://example.com/past', validity: 30 });
+        const res = await patch(link.shortCode, { expiresAt: inMinutes(-60) });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, 'expiresAt');
+        assert.match(res.body.errors[0].message, /is not a valid future expiry date!/);
+        assert.equal(await expiryOf(link.shortCode), link.expiry);
+        assert.equal((await visit(link.shortCode)).status, 302);
+    });
+
+    it('removes the expiry with null', async () => {
+        const link = await createLink({ url: 'https://example.com/forever', validity: 30 });
+        const res = await patch(link.shortCode, { expiresAt: null });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.expiry, null);
+        assert.deepEqual(res.body.changes, [{ field: 'expiresAt', from: link.expiry, to: null }]);
+        assert.equal(await expiryOf(link.shortCode), null);
+        const active = await api('get', '/shorturls?status=active&limit=100');
+        assert.ok(active.body.data.some(listed => listed.shortCode === link.shortCode));
+    });
+
+    it('refuses expiresAt and validity together', async () => {
+        const link = await createLink({ url: 'https://example.com/both', validity: 30 });
+        const res = await patch(link.shortCode, { expiresAt: inMinutes(60), validity: 60 });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, 'validity');
+        assert.equal(res.body.errors[0].message, 'Provide either expiresAt or validity, not both.');
+        assert.equal(await expiryOf(link.shortCode), link.expiry);
+    });
+});
+
+describe('PATCH /shorturls/:shortCode validation', () => {
+    it('rejects a body with nothing to update', async () => {
+        const link = await createLink({ url: 'https://example.com/nothing' });
+        for (const body of [{}, { allowPermanentRedirect: true }]) {
+            const res = await patch(link.shortCode, body);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.errors[0].code, 'REQUIRED');
+            assert.match(res.body.errors[0].message, /^Nothing to update\./);
+        }
+    });
+
+    it('reports every invalid field and changes nothing', async () => {
+        const link = await createLink({ url: 'https://example.com/invalid', validity: 30 });
+        const res = await patch(link.shortCode, {
+            url: 'ftp://example.com/file',
+            expiresAt: 'next tuesday',
+            disabled: 'yes',
+            password: 'abc',
+            maxClicks: 0
+        });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.errors.map(error => [error.field, error.code]), [
+            ['url', 'UNSUPPORTED_SCHEME'],
+            ['expiresAt', 'INVALID_DATE'],
+            ['disabled', 'INVALID_TYPE'],
+            ['password', 'TOO_SHORT'],
+            ['maxClicks', 'OUT_OF_RANGE']
+        ]);
+
+        const stats = await api('get', `/shorturls/${link.shortCode}`);
+        assert.equal(stats.body.originalUrl, 'https://example.com/invalid');
+        assert.equal(stats.body.disabled, false);
+        assert.equal(stats.body.maxClicks, null);
+        assert.equal(stats.body.passwordProtected, false);
+    });
+
+    it('rejects an activation date after the expiry', async () => {
+        const link = await createLink({ url: 'https://example.com/activation', validity: 30 });
+        const res = await patch(link.shortCode, { activatesAt: inMinutes(60) });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, 'activatesAt');
+        assert.equal((await api('get', `/shorturls/${link.shortCode}`)).body.activatesAt, null);
+    });
+
+    it('answers 404 for an unknown link', async () => {
+        assert.equal((await patch('no-such-link', { disabled: true })).status, 404);
+    });
+
+    it('reports an update that changes nothing, without auditing it', async () => {
+        const link = await createLink({ url: 'https://example.com/same' });
+        const res = await patch(link.shortCode, { url: 'https://example.com/same', disabled: false });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.changes, []);
+        assert.equal(res.body.message, 'No changes were necessary.');
+        assert.deepEqual((await api('get', `/shorturls/${link.shortCode}/audit`)).body, []);
+    });
+});
+
+describe('DELETE /shorturls/:shortCode', () => {
+    it('soft-deletes a link: it answers 410, is no longer listed, and keeps its clicks', async () => {
+        const link = await createLink({ url: 'https://example.com/soft' });
+        await visit(link.shortCode);
+        await flushClicks();
+
+        const res = await api('delete', `/shorturls/${link.shortCode}?soft=true`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.soft, true);
+        assert.equal((await visit(link.shortCode)).status, 410);
+        assert.equal((await api('get', `/shorturls/${link.shortCode}`)).status, 404);
+        assert.ok(!(await listedCodes()).includes(link.shortCode));
+
+        const repo = getLinkRepository();
+        const stored = await repo.findByCode({ shortCode: link.shortCode, shortDomain: null }, { includeDeleted: true });
+        assert.ok(stored.deletedAt instanceof Date);
+        assert.equal((await repo.listClicks(stored, { limit: 10 })).length, 1);
+
+        // It cannot be deleted or changed again, and its code stays taken
+        assert.equal((await api('delete', `/shorturls/${link.shortCode}?soft=true`)).status, 404);
+        assert.equal((await patch(link.shortCode, { disabled: true })).status, 404);
+        assert.equal((await api('post', '/shorturls').send({ url: 'https://example.com/reuse', shortcode: link.shortCode })).status, 409);
+    });
+
+    it('hard-deletes a link: it answers 404, is no longer listed, and its code is free again', async () => {
+        const link = await createLink({ url: 'https://example.com/hard', shortcode: 'hard-delete' });
+        await visit(link.shortCode);
+        await flushClicks();
+        const stored = await getLinkRepository().findByCode({ shortCode: link.shortCode, shortDomain: null });
+
+        const res = await api('delete', `/shorturls/${link.shortCode}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.soft, false);
+        assert.equal((await visit(link.shortCode)).status, 404);
+        assert.equal((await api('get', `/shorturls/${link.shortCode}`)).status, 404);
+        assert.equal((await api('get', `/shorturls/${link.shortCode}/audit`)).status, 404);
+        assert.ok(!(await listedCodes()).includes(link.shortCode));
+        assert.deepEqual(await getLinkRepository().listClicks(stored, { limit: 10 }), []);
+
+        assert.equal((await api('delete', `/shorturls/${link.shortCode}`)).status, 404);
+        assert.equal((await api('post', '/shorturls').send({ url: 'https://example.com/reuse', shortcode: 'hard-delete' })).status, 201);
+    });
+});
+
+describe('GET /shorturls/:shortCode/audit', () => {
+    it('lists who changed what, newest first, including the soft delete', async () => {
+        const link = await createLink({ url: 'https://example.com/audited', validity: 30 });
+        assert.equal((await patch(link.shortCode, { url: 'https://example.com/audited-v2', maxClicks: 5 })).status, 200);
+        assert.equal((await patch(link.shortCode, { password: 'open-sesame', expiresAt: null })).status, 200);
+        assert.equal((await api('delete', `/shorturls/${link.shortCode}?soft=true`)).status, 200);
+
+        const res = await api('get', `/shorturls/${link.shortCode}/audit`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(entry => entry.action), ['soft-delete', 'update', 'update']);
+        res.body.forEach(entry => assert.deepEqual(entry.actor, { owner: 'admin', keyId: null }));
+
+        const [softDelete, secondUpdate, firstUpdate] = res.body;
+        assert.equal(softDelete.changes[0].field, 'deletedAt');
+        assert.ok(softDelete.timestamp >= secondUpdate.timestamp);
+        // Passwords are recorded as set or not, never as the password or its hash
+        assert.deepEqual(secondUpdate.changes, [
+            { field: 'expiresAt', from: link.expiry, to: null },
+            { field: 'password', from: null, to: 'set' }
+        ]);
+        assert.deepEqual(firstUpdate.changes, [
+            { field: 'originalUrl', from: 'https://example.com/audited', to: 'https://example.com/audited-v2' },
+            { field: 'maxClicks', from: null, to: 5 }
+        ]);
+    });
+
+    it('answers 404 for an unknown link', async () => {
+        assert.equal((await api('get', '/shorturls/no-such-link/audit')).status, 404);
+    });
+});
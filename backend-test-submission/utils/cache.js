@@ -0,0 +1,213 @@
+// backend-test-submission/utils/cache.js
+// Key-value caches with per-entry TTLs. Every implementation has the same promise-based interface:
+//   get(key) -> value | undefined, set(key, value, ttlMs), del(key), close()
+// Values must be JSON-serializable. Two implementations are built in: an in-process LRU, and a client
+// for any server speaking the Redis protocol (RESP), so several instances can share one cache.
+const net = require('net');
+
+/**
+ * Creates an in-process cache that evicts the least recently used entry once it is full.
+ * Values are kept by reference, so callers must not modify what they put in or get out.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=10000] - The most entries kept at once.
+ * @returns {object} The cache.
+ */
+const createLruCache = ({ maxEntries = 10000 } = {}) => {
+    // A Map iterates in insertion order, so re-inserting an entry on use keeps the oldest first
+    const entries = new Map();
+    return {
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) {
+                return undefined;
+            }
+            entries.set(key, entry);
+            return entry.value;
+        },
+        set: async (key, value, ttlMs) => {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        del: async (key) => {
+            entries.delete(key);
+        },
+        close: async () => {
+            entries.clear();
+        }
+    };
+};
+
+// Helper function to encode a command as a RESP array of bulk strings
+const encodeCommand = (args) => {
+    let payload = `*${args.length}\r\n`;
+    args.forEach(arg => {
+        const value = String(arg);
+        payload += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    return payload;
+};
+
+// Helper function to parse one RESP reply from a buffer, starting at offset.
+// Returns { value, offset } with the offset after the reply, or null if the buffer does not hold all of it yet.
+const parseReply = (buffer, offset) => {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected reply type "${type}" from the cache server`);
+    }
+};
+
+/**
+ * Creates a cache backed by a Redis-protocol server (Redis, Valkey, KeyDB, or a local stand-in that
+ * implements GET, SET with PX, and DEL). The connection is opened on first use and reopened after errors.
+ * Commands that take longer than commandTimeoutMs fail, so a slow cache server never holds up a request.
+ *
+ * @param {object} options
+ * @param {string} options.url - e.g. "redis://:password@localhost:6379/0"
+ * @param {string} [options.keyPrefix=''] - Prepended to every key.
+ * @param {number} [options.commandTimeoutMs=250] - How long to wait for a reply.
+ * @returns {object} The cache.
+ */
+const createRedisCache = ({ url, keyPrefix = '', commandTimeoutMs = 250 }) => {
+    const target = new URL(url);
+    const setupCommands = [];
+    if (target.password) {
+        setupCommands.push(target.username
+            ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)]
+            : ['AUTH', decodeURIComponent(target.password)]);
+    }
+    const database = target.pathname.replace('/', '');
+    if (database) {
+        setupCommands.push(['SELECT', database]);
+    }
+
+    let socket = null;
+    let received = Buffer.alloc(0);
+    const waiting = []; // Replies are delivered in command order: { resolve, reject, timer }
+
+    // Fails every command still waiting for a reply and drops the connection
+    const reset = (error) => {
+        if (socket) {
+            socket.destroy();
+            socket = null;
+        }
+        received = Buffer.alloc(0);
+        waiting.splice(0).forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    };
+
+    const onData = (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        let offset = 0;
+        let reply;
+        try {
+            while (waiting.length > 0 && (reply = parseReply(received, offset))) {
+                offset = reply.offset;
+                const { resolve, reject, timer } = waiting.shift();
+                clearTimeout(timer);
+                if (reply.value instanceof Error) {
+                    reject(reply.value);
+                } else {
+                    resolve(reply.value);
+                }
+            }
+        } catch (error) {
+            return reset(error);
+        }
+        received = received.subarray(offset);
+    };
+
+    const send = (args) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reset(new Error(`Cache command ${args[0]} timed out`)), commandTimeoutMs);
+        waiting.push({ resolve, reject, timer });
+        socket.write(encodeCommand(args));
+    });
+
+    const command = (...args) => {
+        if (!socket) {
+            const connection = net.createConnection({ host: target.hostname || 'localhost', port: Number(target.port) || 6379 });
+            connection.setNoDelay(true);
+            connection.on('data', onData);
+            // Events of a connection that was already replaced are ignored
+            connection.on('error', (error) => socket === connection && reset(error));
+            connection.on('close', () => socket === connection && reset(new Error('Cache connection closed')));
+            socket = connection;
+            // Commands written before the connection opens are queued by the socket
+            setupCommands.forEach(setup => send(setup).catch(() => {}));
+        }
+        return send(args);
+    };
+
+    return {
+        get: async (key) => {
+            const value = await command('GET', keyPrefix + key);
+            return value === null ? undefined : JSON.parse(value);
+        },
+        set: async (key, value, ttlMs) => {
+            await command('SET', keyPrefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.ceil(ttlMs)));
+        },
+        del: async (key) => {
+            await command('DEL', keyPrefix + key);
+        },
+        close: async () => {
+            if (socket) {
+                socket.end();
+                socket = null;
+            }
+        }
+    };
+};
+
+module.exports = {
+    createLruCache,
+    createRedisCache
+};
@@ -0,0 +1,133 @@
+// backend-test-submission/utils/clickBuffer.js
+// Write-behind click recording: redirects add their click to an in-memory buffer and return right
+// away, and the buffer is written out in batches every CLICK_FLUSH_INTERVAL_MS milliseconds, or sooner
+// once CLICK_FLUSH_BATCH_SIZE clicks are waiting. Click counts are incremented with one update per link
+// and the events are inserted together. Links with a click limit are not buffered (see recordClick),
+// since their limit has to be checked as each click is counted. Set CLICK_WRITE_BEHIND=false to write
+// every click as it happens.
+const { appLogger } = require('../middlewares/logger');
+const { getLinkRepository } = require('../repositories');
+
+const FLUSH_INTERVAL_MS = Number(process.env.CLICK_FLUSH_INTERVAL_MS) || 1000;
+const FLUSH_BATCH_SIZE = Number(process.env.CLICK_FLUSH_BATCH_SIZE) || 500;
+// If the database stays unavailable, the oldest buffered events are dropped beyond this many
+const MAX_BUFFERED_EVENTS = 50000;
+
+let pendingCounts = new Map(); // Url id -> clicks to add
+let pendingEvents = [];
+let flushTimer = null;
+let flushing = null; // The flush in progress, if any
+
+/**
+ * Returns true unless write-behind click recording was turned off.
+ *
+ * @returns {boolean}
+ */
+const isEnabled = () => process.env.CLICK_WRITE_BEHIND !== 'false';
+
+/**
+ * Writes all buffered clicks to the database. Concurrent calls share the flush in progress.
+ * Counts and events that could not be written are kept for the next flush.
+ *
+ * @returns {Promise<void>}
+ */
+const flushClicks = () => {
+    if (flushing) {
+        return flushing;
+    }
+    if (pendingCounts.size === 0 && pendingEvents.length === 0) {
+        return Promise.resolve();
+    }
+    const counts = pendingCounts;
+    const events = pendingEvents;
+    pendingCounts = new Map();
+    pendingEvents = [];
+
+    flushing = (async () => {
+        if (counts.size > 0) {
+            try {
+                await getLinkRepository().addClicks(counts);
+            } catch (error) {
+                appLogger.error('Click buffer: Failed to write click counts, will retry', { error: error.message, links: counts.size });
+                counts.forEach((clicks, urlId) => pendingCounts.set(urlId, (pendingCounts.get(urlId) || 0) + clicks));
+            }
+        }
+        if (events.length > 0) {
+            try {
+                await getLinkRepository().insertEvents(events);
+            } catch (error) {
+                if (error.writeErrors) {
+                    // Only some events were rejected; retrying would duplicate the others
+                    appLogger.error('Click buffer: Some click events were rejected', { error: error.message, rejected: error.writeErrors.length });
+                } else {
+                    appLogger.error('Click buffer: Failed to write click events, will retry', { error: error.message, events: events.length });
+                    pendingEvents = events.concat(pendingEvents);
+                }
+            }
+        }
+        if (pendingEvents.length > MAX_BUFFERED_EVENTS) {
+            const dropped = pendingEvents.length - MAX_BUFFERED_EVENTS;
+            pendingEvents = pendingEvents.slice(dropped);
+            appLogger.error('Click buffer: Buffer full, dropped the oldest click events', { dropped });
+        }
+    })().finally(() => {
+        flushing = null;
+    });
+    return flushing;
+};
+
+/**
+ * Adds a click to the buffer.
+ *
+ * @param {object} event - The ClickEvent fields.
+ * @param {boolean} countClick - Whether the click adds to the link's click count (bots may not).
+ */
+const bufferClick = (event, countClick) => {
+    if (countClick) {
+        const urlId = String(event.url);
+        pendingCounts.set(urlId, (pendingCounts.get(urlId) || 0) + 1);
+    }
+    pendingEvents.push(event);
+
+    if (pendingEvents.length >= FLUSH_BATCH_SIZE) {
+        flushClicks();
+    }
+    if (!flushTimer) {
+        flushTimer = setInterval(flushClicks, FLUSH_INTERVAL_MS);
+        flushTimer.unref(); // The buffer alone does not keep the process running; see stopClickFlusher
+    }
+};
+
+/**
+ * Drops the buffered clicks of a link, e.g. when it is deleted permanently.
+ *
+ * @param {*} urlId - The link's id.
+ */
+const discardClicks = (urlId) => {
+    const id = String(urlId);
+    pendingCounts.delete(id);
+    pendingEvents = pendingEvents.filter(event => String(event.url) !== id);
+};
+
+/**
+ * Stops the periodic flush and writes what is left; called on shutdown.
+ *
+ * @returns {Promise<void>}
+ */
+const stopClickFlusher = async () => {
+    if (flushTimer) {
+        clearInterval(flushTimer);
+        flushTimer = null;
+    }
+    await flushClicks();
+    // A flush that was already running may have left clicks behind
+    await flushClicks();
+};
+
+module.exports = {
+    isEnabled,
+    bufferClick,
+    flushClicks,
+    discardClicks,
+    stopClickFlusher
+};
@@ -0,0 +1,118 @@
+// backend-test-submission/utils/clickClassifier.js
+// Derives analytics dimensions from an incoming redirect request: the raw referrer and
+// user agent, the parsed browser / OS / device type, bot detection and a referrer category.
+const UAParser = require('ua-parser-js');
+
+// Crawlers, link-preview fetchers (chat apps, social networks) and scripted HTTP clients.
+// These hit short links without a human behind them, so they are excluded from click counts by default.
+const BOT_PATTERN = new RegExp([
+    'bot', 'crawl', 'spider', 'slurp', 'preview', 'facebookexternalhit', 'facebookcatalog',
+    'whatsapp', 'skypeuripreview', 'embedly', 'quora link', 'outbrain', 'vkshare',
+    'w3c_validator', 'headlesschrome', 'phantomjs', 'lighthouse', 'curl', 'wget', 'python-requests', 'python-urllib', 'go-http-client',
+    'okhttp', 'axios', 'node-fetch', 'java/', 'libwww-perl', 'httpclient', 'postmanruntime'
+].join('|'), 'i');
+
+// Referrer hostnames grouped by category. A referrer matches when its hostname equals
+// one of these entries or is a subdomain of it.
+const REFERRER_CATEGORIES = {
+    search: [
+        'google.com', 'bing.com', 'duckduckgo.com', 'search.yahoo.com', 'baidu.com',
+        'yandex.ru', 'yandex.com', 'ecosia.org', 'search.brave.com', 'startpage.com'
+    ],
+    social: [
+        'facebook.com', 'fb.com', 'l.facebook.com', 'instagram.com', 't.co', 'twitter.com', 'x.com',
+        'linkedin.com', 'lnkd.in', 'reddit.com', 'pinterest.com', 'youtube.com', 'tiktok.com',
+        'threads.net', 'mastodon.social', 'news.ycombinator.com', 'web.whatsapp.com', 'web.telegram.org'
+    ],
+    email: [
+        'mail.google.com', 'outlook.live.com', 'outlook.office.com', 'outlook.office365.com',
+        'mail.yahoo.com', 'mail.aol.com', 'mail.proton.me', 'mail.zoho.com', 'icloud.com'
+    ]
+};
+
+// Google (and a few other engines) use country-specific domains such as google.co.uk
+const SEARCH_HOST_PATTERN = /(^|\.)(google|bing|yahoo|yandex)\.[a-z.]{2,6}$/i;
+
+// Returns true if the hostname equals the domain or is a subdomain of it
+const hostMatches = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+/**
+ * Classifies a referrer URL into one of: direct, internal, search, social, email or other.
+ *
+ * @param {string|null} referrer - The Referer header value.
+ * @param {string} [ownHost] - Hostname the shortener is serving on, used to detect internal traffic.
+ * @returns {{category: string, domain: string|null}} The category and the referrer's hostname.
+ */
+const classifyReferrer = (referrer, ownHost) => {
+    if (!referrer) {
+        return { category: 'direct', domain: null };
+    }
+
+    let hostname;
+    try {
+        hostname = new URL(referrer).hostname.toLowerCase();
+    } catch (e) {
+        return { category: 'other', domain: null };
+    }
+
+    if (ownHost && hostMatches(hostname, ownHost.toLowerCase())) {
+        return { category: 'internal', domain: hostname };
+    }
+    // Check email before search/social, since webmail hosts share parent domains with them
+    for (const category of ['email', 'search', 'social']) {
+        if (REFERRER_CATEGORIES[category].some(domain => hostMatches(hostname, domain))) {
+            return { category, domain: hostname };
+        }
+    }
+    if (SEARCH_HOST_PATTERN.test(hostname)) {
+        return { category: 'search', domain: hostname };
+    }
+    return { category: 'other', domain: hostname };
+};
+
+/**
+ * Returns true if the user agent looks like a bot, crawler or link-preview fetcher.
+ * Requests without any user agent are treated as bots too, since every browser sends one.
+ *
+ * @param {string|null} userAgent - The User-Agent header value.
+ * @returns {boolean}
+ */
+const isBotUserAgent = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+/**
+ * Parses the user agent and referrer of a redirect request into click analytics fields.
+ *
+ * @param {import('express').Request} req - The incoming request.
+ * @returns {object} The fields to store on the ClickEvent.
+ */
+const classifyClick = (req) => {
+    const referrer = req.headers['referer'] || null;
+    const userAgent = req.headers['user-agent'] || null;
+    const ua = new UAParser(userAgent || '').getResult();
+    const isBot = isBotUserAgent(userAgent);
+
+    // ua-parser-js leaves device.type undefined for regular desktop browsers
+    let deviceType = ua.device.type || 'desktop';
+    if (isBot) {
+        deviceType = 'bot';
+    }
+
+    const { category, domain } = classifyReferrer(referrer, req.hostname);
+
+    return {
+        referrer,
+        referrerDomain: domain,
+        referrerCategory: category,
+        userAgent,
+        browser: ua.browser.name || 'Unknown',
+        os: ua.os.name || 'Unknown',
+        deviceType,
+        isBot
+    };
+};
+
+module.exports = {
+    classifyClick,
+    classifyReferrer,
+    isBotUserAgent
+};
@@ -0,0 +1,88 @@
+// backend-test-submission/utils/csv.js
+// Minimal RFC 4180 CSV helpers used by link export and import.
+// Exports hold values visitors control (referrers, user agents, cities), and spreadsheets run cells starting
+// with =, +, -, @, tab or CR as formulas. Such text cells are written with a leading ' so they stay plain text;
+// cells starting with ' get one too, so parseCsv can remove it again without ambiguity.
+
+// Text cells a spreadsheet could treat as a formula, or that start with the escape character itself
+const FORMULA_START = /^[=+\-@\t\r']/;
+const ESCAPED_CELL = /^'[=+\-@\t\r']/;
+
+/**
+ * Formats one CSV row. Fields containing commas, quotes or line breaks are quoted, and text that a
+ * spreadsheet could run as a formula is prefixed with '.
+ *
+ * @param {Array<*>} fields - The row values; null/undefined become empty fields.
+ * @returns {string} The row, terminated with CRLF.
+ */
+const formatCsvRow = (fields) => fields.map((field) => {
+    if (field === null || field === undefined) {
+        return '';
+    }
+    let value = field instanceof Date ? field.toISOString() : String(field);
+    if (typeof field === 'string' && FORMULA_START.test(value)) {
+        value = `'${value}`;
+    }
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}).join(',') + '\r\n';
+
+/**
+ * Parses CSV text into an array of objects keyed by the header row, removing the ' that formatCsvRow
+ * adds in front of formula-like text.
+ *
+ * @param {string} text - The CSV document.
+ * @returns {Array<object>} One object per data row. Empty rows are skipped.
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value !== ''));
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+    const [header, ...data] = nonEmpty;
+    const keys = header.map(key => key.trim());
+    const unescape = (value) => (ESCAPED_CELL.test(value) ? value.slice(1) : value);
+    return data.map(values => Object.fromEntries(keys.map((key, i) => [key, values[i] !== undefined ? unescape(values[i]) : ''])));
+};
+
+module.exports = {
+    formatCsvRow,
+    parseCsv
+};
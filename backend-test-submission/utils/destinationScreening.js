@@ -0,0 +1,187 @@
+// backend-test-submission/utils/destinationScreening.js
+// Screening of the destinations links point to, before they are created, updated or imported.
+// Every destination goes through these checks in order; the first one to object rejects it:
+//  1. scheme:     only http and https (javascript:, data:, file:, ... are refused)
+//  2. self:       the destination must not be on a short-link domain, so links cannot loop back to the shortener
+//  3. blocklist:  domains and URLs listed in the files of DESTINATION_BLOCKLIST_FILES (comma-separated paths)
+//  4. any checks added with registerDestinationCheck, e.g. a lookup in a reputation service
+//
+// Blocklist files list one entry per line; blank lines and lines starting with '#' are ignored.
+//   evil.example         blocks the domain and all of its subdomains
+//   host.example/path    blocks URLs starting with it (the scheme, if given, is ignored)
+// The files are checked for changes at most every DESTINATION_BLOCKLIST_RELOAD_SECONDS (default 30),
+// so they can be edited without a restart. A file that cannot be read is treated as empty.
+const fs = require('fs');
+const { URL_SCHEMES } = require('request-schemas');
+const { appLogger } = require('../middlewares/logger');
+const { getShortLinkHostnames } = require('./shortDomains');
+
+const RELOAD_INTERVAL_MS = (Number(process.env.DESTINATION_BLOCKLIST_RELOAD_SECONDS) || 30) * 1000;
+
+// The loaded blocklist, and the file versions (mtime and size) it was loaded from
+let blocklist = { domains: new Set(), prefixes: [] };
+let loadedVersions = null;
+let checkedAt = 0;
+
+// Helper function to read the configured blocklist file paths
+const getBlocklistFiles = () => (process.env.DESTINATION_BLOCKLIST_FILES || '')
+    .split(',')
+    .map(file => file.trim())
+    .filter(Boolean);
+
+// Helper function to parse blocklist file contents into blocked domains and URL prefixes
+const parseBlocklist = (contents, into) => {
+    contents.split(/\r?\n/).forEach(line => {
+        const entry = line.trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+        if (!entry || entry.startsWith('#')) {
+            return;
+        }
+        if (entry.includes('/')) {
+            into.prefixes.push(entry);
+        } else {
+            into.domains.add(entry.replace(/\.$/, ''));
+        }
+    });
+    return into;
+};
+
+/**
+ * Reloads the blocklist files when any of them changed since they were last loaded.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Reload even when the files look unchanged.
+ * @returns {Promise<{domains: number, prefixes: number}>} The number of entries loaded.
+ */
+const reloadBlocklist = async ({ force = false } = {}) => {
+    checkedAt = Date.now();
+    const files = getBlocklistFiles();
+    const versions = await Promise.all(files.map(file => fs.promises.stat(file)
+        .then(stats => `${file}:${stats.mtimeMs}:${stats.size}`)
+        .catch(() => `${file}:missing`)));
+    const version = versions.join('|');
+
+    if (force || version !== loadedVersions) {
+        const next = { domains: new Set(), prefixes: [] };
+        for (const file of files) {
+            try {
+                parseBlocklist(await fs.promises.readFile(file, 'utf8'), next);
+            } catch (error) {
+                appLogger.warn('Screening: Blocklist file could not be read', { file, error: error.message });
+            }
+        }
+        blocklist = next;
+        loadedVersions = version;
+        appLogger.info('Screening: Blocklist loaded', { files, domains: next.domains.size, prefixes: next.prefixes.length });
+    }
+    return { domains: blocklist.domains.size, prefixes: blocklist.prefixes.length };
+};
+
+// Helper function to tell whether a URL matches the blocklist
+const isBlocklisted = (url) => {
+    const labels = url.hostname.toLowerCase().replace(/\.$/, '').split('.');
+    for (let i = 0; i < labels.length; i++) {
+        if (blocklist.domains.has(labels.slice(i).join('.'))) {
+            return true;
+        }
+    }
+    const withoutScheme = url.href.toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+    return blocklist.prefixes.some(prefix => withoutScheme.startsWith(prefix));
+};
+
+// Custom checks, run after the built-in ones in registration order
+const customChecks = [];
+
+/**
+ * Adds a check run on every destination after the built-in ones.
+ * A check that throws is logged and skipped, so an unavailable service never blocks link creation.
+ *
+ * @param {string} name - Reported as `check` in logs, e.g. 'reputation'.
+ * @param {function(URL, object): (Promise<object|null>|object|null)} check - Called with the parsed
+ *        destination and { owner }; returns null to accept it, or { code?, message } to reject it.
+ */
+const registerDestinationCheck = (name, check) => {
+    customChecks.push({ name, check });
+};
+
+/**
+ * Screens one destination.
+ *
+ * @param {string} destination - The URL, already checked by the request schemas.
+ * @param {import('express').Request} req - The request creating or changing the link.
+ * @returns {Promise<{code: string, message: string, check: string}|null>} Why it was rejected, or null.
+ */
+const screenDestination = async (destination, req) => {
+    let url;
+    try {
+        url = new URL(destination);
+    } catch (e) {
+        return { check: 'scheme', code: 'INVALID_URL', message: 'The destination must be a valid URL.' };
+    }
+
+    // 1. Scheme allowlist
+    if (!URL_SCHEMES.includes(url.protocol)) {
+        return { check: 'scheme', code: 'UNSUPPORTED_SCHEME', message: 'The destination must be an http or https URL.' };
+    }
+
+    // 2. Links pointing at a short link would redirect in a loop, or hide the final destination
+    const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+    if ((await getShortLinkHostnames(req)).has(hostname)) {
+        return { check: 'self', code: 'SELF_REFERENCE', message: 'The destination must not point back at this URL shortener.' };
+    }
+
+    // 3. Blocklist
+    if (getBlocklistFiles().length > 0 && (loadedVersions === null || Date.now() - checkedAt >= RELOAD_INTERVAL_MS)) {
+        await reloadBlocklist();
+    }
+    if (isBlocklisted(url)) {
+        return { check: 'blocklist', code: 'BLOCKED_DESTINATION', message: 'The destination is not allowed.' };
+    }
+
+    // 4. Custom checks
+    for (const { name, check } of customChecks) {
+        try {
+            const problem = await check(url, { owner: req.auth ? req.auth.owner : null });
+            if (problem) {
+                return { check: name, code: problem.code || 'BLOCKED_DESTINATION', message: problem.message || 'The destination is not allowed.' };
+            }
+        } catch (error) {
+            appLogger.error('Screening: Destination check failed, skipped', { check: name, error: error.message });
+        }
+    }
+    return null;
+};
+
+/**
+ * Screens every destination of a link: its URL, its redirect rules and its A/B variants.
+ * Rejections are logged.
+ *
+ * @param {import('express').Request} req - The request creating or changing the link.
+ * @param {{url?: string, rules?: Array<{destination: string}>, variants?: Array<{destination: string}>}} link
+ * @returns {Promise<Array<{field: string, code: string, message: string}>>} A problem per rejected field.
+ */
+const screenLinkDestinations = async (req, { url, rules = [], variants = [] }) => {
+    const candidates = [
+        ...(url === undefined ? [] : [{ field: 'url', destination: url }]),
+        ...rules.map(rule => ({ field: 'rules', destination: rule.destination })),
+        ...variants.map(variant => ({ field: 'variants', destination: variant.destination }))
+    ];
+    const problems = [];
+    for (const { field, destination } of candidates) {
+        if (problems.some(problem => problem.field === field)) {
+            continue; // One problem per field is enough
+        }
+        const rejection = await screenDestination(destination, req);
+        if (rejection) {
+            appLogger.warn('Screening: Destination rejected', { destination, field, check: rejection.check, code: rejection.code, owner: req.auth ? req.auth.owner : null });
+            problems.push({ field, code: rejection.code, message: rejection.message });
+        }
+    }
+    return problems;
+};
+
+module.exports = {
+    reloadBlocklist,
+    registerDestinationCheck,
+    screenDestination,
+    screenLinkDestinations
+};
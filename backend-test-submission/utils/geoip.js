@@ -0,0 +1,109 @@
+// backend-test-submission/utils/geoip.js
+// Offline IP geolocation backed by a local MaxMind-format (.mmdb) database file, such as
+// GeoLite2-City or GeoLite2-Country. No network calls are made; if GEOIP_DB_PATH is not
+// set or the file cannot be opened, lookups simply return unknown locations.
+const net = require('net');
+const maxmind = require('maxmind');
+const { appLogger } = require('../middlewares/logger');
+
+const UNKNOWN_LOCATION = { country: null, countryName: null, region: null, city: null };
+
+let readerPromise = null; // Opened lazily on first lookup and shared afterwards
+
+// Opens the GeoIP database once. The file is watched, so replacing it on disk
+// (e.g. after a monthly database update) is picked up without a restart.
+const getReader = () => {
+    if (!readerPromise) {
+        const dbPath = process.env.GEOIP_DB_PATH;
+        if (!dbPath) {
+            readerPromise = Promise.resolve(null);
+        } else {
+            readerPromise = maxmind
+                .open(dbPath, { watchForUpdates: true, watchForUpdatesNonPersistent: true })
+                .then((reader) => {
+                    appLogger.info('GeoIP database loaded', { dbPath });
+                    return reader;
+                })
+                .catch((err) => {
+                    appLogger.error('GeoIP database could not be opened; locations will be unknown', { dbPath, error: err.message });
+                    return null;
+                });
+        }
+    }
+    return readerPromise;
+};
+
+// Strips the IPv4-mapped IPv6 prefix Node reports for IPv4 clients on dual-stack sockets
+const normalizeIp = (ip) => (ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip);
+
+/**
+ * Anonymizes an IP address: the last octet of an IPv4 address is zeroed
+ * (1.2.3.4 -> 1.2.3.0) and only the first 48 bits of an IPv6 address are kept.
+ *
+ * @param {string} ip - The IP address.
+ * @returns {string|null} The anonymized address, or null if the input is not an IP address.
+ */
+const anonymizeIp = (ip) => {
+    const address = normalizeIp(ip);
+    if (net.isIPv4(address)) {
+        return address.replace(/\.\d+$/, '.0');
+    }
+    if (net.isIPv6(address)) {
+        // Expand "::" so the first three hextets can be picked out reliably
+        const [head, tail = ''] = address.split('::');
+        const headParts = head ? head.split(':') : [];
+        const tailParts = tail ? tail.split(':') : [];
+        const parts = address.includes('::')
+            ? [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts]
+            : headParts;
+        return `${parts.slice(0, 3).join(':')}::`;
+    }
+    return null;
+};
+
+/**
+ * Resolves an IP address to its country, region and city.
+ *
+ * @param {string} ip - The client IP address.
+ * @returns {Promise<{country: string|null, countryName: string|null, region: string|null, city: string|null}>}
+ */
+const lookupIp = async (ip) => {
+    const address = normalizeIp(ip);
+    if (!address || !net.isIP(address)) {
+        return UNKNOWN_LOCATION;
+    }
+    const reader = await getReader();
+    if (!reader) {
+        return UNKNOWN_LOCATION;
+    }
+    try {
+        const record = reader.get(address);
+        if (!record) {
+            return UNKNOWN_LOCATION;
+        }
+        return {
+            country: record.country ? record.country.iso_code : null,
+            countryName: record.country && record.country.names ? record.country.names.en : null,
+            region: record.subdivisions && record.subdivisions[0] ? record.subdivisions[0].names.en : null,
+            city: record.city && record.city.names ? record.city.names.en : null
+        };
+    } catch (err) {
+        appLogger.warn('GeoIP lookup failed', { error: err.message });
+        return UNKNOWN_LOCATION;
+    }
+};
+
+/**
+ * Formats a resolved location as a short human-readable string, e.g. "Hyderabad, Telangana, IN".
+ *
+ * @param {{country: string|null, region: string|null, city: string|null}} geo - A lookupIp result.
+ * @returns {string} The formatted location, or 'Unknown'.
+ */
+const formatLocation = (geo) => [geo.city, geo.region, geo.country].filter(Boolean).join(', ') || 'Unknown';
+
+module.exports = {
+    lookupIp,
+    anonymizeIp,
+    normalizeIp,
+    formatLocation
+};
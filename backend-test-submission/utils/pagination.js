@@ -0,0 +1,109 @@
+// backend-test-submission/utils/pagination.js
+// Helpers for cursor-based (keyset) pagination over Mongoose collections.
+// A cursor is an opaque, URL-safe token holding the sort value and _id of the
+// last (or first) document of a page, so the next query can resume right after it
+// without using skip(), which gets slower the deeper you page.
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encodes a sort value and document id into an opaque cursor string.
+ *
+ * @param {*} value - The value of the sort field for the document (Date, number or null).
+ * @param {*} id - The document's _id.
+ * @returns {string} A base64url encoded cursor.
+ */
+const encodeCursor = (value, id) => {
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+        id: String(id)
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ *
+ * @param {string} cursor - The cursor string from the client.
+ * @param {string} valueType - 'date' or 'number', used to revive the sort value.
+ * @returns {{value: *, id: mongoose.Types.ObjectId}|null} The decoded cursor, or null if it is malformed.
+ */
+const decodeCursor = (cursor, valueType) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+            return null;
+        }
+        let value = payload.v;
+        if (value !== null) {
+            value = valueType === 'date' ? new Date(value) : Number(value);
+            if (Number.isNaN(valueType === 'date' ? value.getTime() : value)) {
+                return null;
+            }
+        }
+        return { value, id: new mongoose.Types.ObjectId(payload.id) };
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Builds the query condition that selects documents strictly after the cursor
+ * position, for the given sort field and direction (1 = ascending, -1 = descending).
+ * MongoDB sorts null/missing values before everything else, which is handled explicitly
+ * so nullable fields like expiresAt page correctly.
+ *
+ * @param {string} field - The sort field.
+ * @param {number} direction - 1 or -1.
+ * @param {{value: *, id: *}} cursor - The decoded cursor.
+ * @returns {object} A MongoDB filter fragment.
+ */
+const buildKeysetCondition = (field, direction, cursor) => {
+    const idOp = direction === 1 ? '$gt' : '$lt';
+    const valueOp = direction === 1 ? '$gt' : '$lt';
+
+    if (cursor.value === null) {
+        // Nulls come first in ascending order and last in descending order.
+        const sameValue = { [field]: null, _id: { [idOp]: cursor.id } };
+        return direction === 1
+            ? { $or: [sameValue, { [field]: { $ne: null } }] }
+            : sameValue;
+    }
+
+    const conditions = [
+        { [field]: { [valueOp]: cursor.value } },
+        { [field]: cursor.value, _id: { [idOp]: cursor.id } }
+    ];
+    if (direction === -1) {
+        conditions.push({ [field]: null });
+    }
+    return { $or: conditions };
+};
+
+/**
+ * Parses and clamps a page size from the query string.
+ *
+ * @param {*} rawLimit - The raw `limit` query parameter.
+ * @returns {number|null} The page size, or null if it is not a positive integer.
+ */
+const parseLimit = (rawLimit) => {
+    if (rawLimit === undefined || rawLimit === '') {
+        return DEFAULT_LIMIT;
+    }
+    const limit = Number(rawLimit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+        return null;
+    }
+    return Math.min(limit, MAX_LIMIT);
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    buildKeysetCondition,
+    parseLimit
+};
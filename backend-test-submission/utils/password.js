@@ -0,0 +1,42 @@
+// backend-test-submission/utils/password.js
+// Password hashing for protected short links, using Node's built-in scrypt.
+// Hashes are stored as "scrypt$<salt hex>$<hash hex>".
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt.
+ *
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} The encoded hash.
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+/**
+ * Checks a password against a hash produced by hashPassword, in constant time.
+ *
+ * @param {string} password - The plaintext password to check.
+ * @param {string} encoded - The stored hash.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+const verifyPassword = async (password, encoded) => {
+    const [scheme, saltHex, hashHex] = String(encoded || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
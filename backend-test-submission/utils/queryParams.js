@@ -0,0 +1,29 @@
+// backend-test-submission/utils/queryParams.js
+// Small helpers for parsing and sanitising query-string parameters shared by the controllers.
+
+/**
+ * Parses an optional date query parameter.
+ *
+ * @param {string} [value] - The raw query value.
+ * @returns {Date|undefined|null} The date, undefined when absent, or null when it is not a valid date.
+ */
+const parseDateParam = (value) => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Escapes user input for safe use inside a RegExp.
+ *
+ * @param {string} value - The raw user input.
+ * @returns {string} The escaped string.
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    parseDateParam,
+    escapeRegex
+};
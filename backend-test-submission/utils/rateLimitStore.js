@@ -0,0 +1,122 @@
+// backend-test-submission/utils/rateLimitStore.js
+// Token-bucket counters for rate limiting (see middlewares/rateLimit.js). Every store has the same
+// promise-based interface:
+//   take(key, { capacity, refillPerMs, cost }) -> { allowed, remaining, resetMs, retryAfterMs }
+//   peek(key, { capacity, refillPerMs, cost }) -> the same outcome, without taking anything
+// A bucket holds up to capacity tokens and refills continuously at refillPerMs tokens per millisecond.
+// take removes cost tokens when that many are available, as one atomic step per key. A cost above the
+// capacity is taken from a full bucket and leaves it in debt, so a large batch waits in proportion to its size
+// (middlewares/rateLimit.js rejects such requests before they reach the store).
+// RATE_LIMIT_STORE selects the store: memory (default; counters are per app instance) or any store
+// registered with registerRateLimitStore, e.g. one shared by all instances.
+const { appLogger } = require('../middlewares/logger');
+
+// Idle buckets that have refilled completely are dropped this often; a missing bucket counts as full
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Applies the refill since a bucket was last used and tries to take tokens from it.
+ * Exported so other stores can keep the same state ({ tokens, updatedAt }) and arithmetic.
+ *
+ * @param {{tokens: number, updatedAt: number}|undefined} bucket - The stored state; undefined for a full bucket.
+ * @param {{capacity: number, refillPerMs: number, cost?: number}} limit
+ * @param {number} now - The current time in milliseconds.
+ * @returns {{bucket: {tokens: number, updatedAt: number}, result: object}} The new state and the outcome of take.
+ */
+const takeFromBucket = (bucket, { capacity, refillPerMs, cost = 1 }, now) => {
+    const refilled = bucket
+        ? Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs)
+        : capacity;
+    // What must be available; larger costs are taken from a full bucket, leaving it in debt
+    const needed = Math.min(cost, capacity);
+    const allowed = refilled >= needed;
+    const tokens = allowed ? refilled - cost : refilled;
+    return {
+        bucket: { tokens, updatedAt: now },
+        result: {
+            allowed,
+            remaining: Math.max(0, Math.floor(tokens)),
+            resetMs: Math.ceil((capacity - tokens) / refillPerMs),
+            retryAfterMs: allowed ? 0 : Math.ceil((needed - tokens) / refillPerMs)
+        }
+    };
+};
+
+/**
+ * Creates a store keeping the buckets in process memory.
+ *
+ * @returns {object} The store.
+ */
+const createMemoryStore = () => {
+    const buckets = new Map(); // key -> { tokens, updatedAt, capacity, refillPerMs }
+    let sweepTimer = null;
+
+    // Drops the buckets that would be full again by now
+    const sweep = () => {
+        const now = Date.now();
+        buckets.forEach((bucket, key) => {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+                buckets.delete(key);
+            }
+        });
+    };
+
+    return {
+        take: async (key, limit) => {
+            if (!sweepTimer) {
+                sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+                sweepTimer.unref(); // Never keeps the process alive
+            }
+            const { bucket, result } = takeFromBucket(buckets.get(key), limit, Date.now());
+            buckets.set(key, { ...bucket, capacity: limit.capacity, refillPerMs: limit.refillPerMs });
+            return result;
+        },
+        peek: async (key, limit) => takeFromBucket(buckets.get(key), limit, Date.now()).result,
+        close: async () => {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+            buckets.clear();
+        }
+    };
+};
+
+// Store factories by name; RATE_LIMIT_STORE picks one
+const storeFactories = {
+    memory: createMemoryStore
+};
+
+let store = null; // Created on first use
+
+/**
+ * Registers a store that can be selected with RATE_LIMIT_STORE=<name>.
+ *
+ * @param {string} name - e.g. 'redis'
+ * @param {function(): object} factory - Returns a store with take(key, limit), peek(key, limit) and close().
+ */
+const registerRateLimitStore = (name, factory) => {
+    storeFactories[name] = factory;
+    store = null;
+};
+
+/**
+ * Returns the configured store. An unknown RATE_LIMIT_STORE falls back to the memory store.
+ *
+ * @returns {object}
+ */
+const getRateLimitStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!storeFactories[name]) {
+            appLogger.warn('RateLimit: Unknown store, using memory', { store: name });
+        }
+        store = (storeFactories[name] || createMemoryStore)();
+    }
+    return store;
+};
+
+module.exports = {
+    takeFromBucket,
+    createMemoryStore,
+    registerRateLimitStore,
+    getRateLimitStore
+};
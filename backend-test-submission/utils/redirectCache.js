@@ -0,0 +1,103 @@
+// backend-test-submission/utils/redirectCache.js
+// Read-through cache of the links served by GET /:shortCode, so most redirects skip the database.
+// Entries live for REDIRECT_CACHE_TTL_SECONDS at most and never past the link's expiresAt, and are
+// invalidated whenever a link is updated or deleted. REDIRECT_CACHE selects the backend:
+//  - lru (default): in-process, REDIRECT_CACHE_MAX_ENTRIES entries. With several app instances,
+//    another instance's change is only seen once the entry's TTL ends.
+//  - redis: a Redis-protocol server at REDIS_URL, shared by all instances.
+//  - off: every redirect reads the database.
+// A failing cache server never fails a redirect; the link is then read from the database.
+const { appLogger } = require('../middlewares/logger');
+const { getLinkRepository } = require('../repositories');
+const { createLruCache, createRedisCache } = require('./cache');
+
+const TTL_MS = (Number(process.env.REDIRECT_CACHE_TTL_SECONDS) || 300) * 1000;
+const DATE_FIELDS = ['createdAt', 'expiresAt', 'activatesAt', 'deletedAt'];
+
+let cache; // Created on first use; null when caching is off
+
+// Returns the configured cache
+const getCache = () => {
+    if (cache === undefined) {
+        const backend = process.env.REDIRECT_CACHE || 'lru';
+        if (backend === 'off') {
+            cache = null;
+        } else if (backend === 'redis') {
+            cache = createRedisCache({ url: process.env.REDIS_URL || 'redis://localhost:6379', keyPrefix: 'urlshortener:' });
+        } else {
+            cache = createLruCache({ maxEntries: Number(process.env.REDIRECT_CACHE_MAX_ENTRIES) || 10000 });
+        }
+    }
+    return cache;
+};
+
+// Cache key of a link: codes are unique per short domain
+const toKey = ({ shortCode, shortDomain }) => `redirect:${shortDomain || ''}/${shortCode}`;
+
+// Helper function to turn a cached entry back into a link, with its dates revived
+const reviveEntry = (cached) => {
+    const entry = { ...cached };
+    DATE_FIELDS.forEach(field => {
+        entry[field] = entry[field] ? new Date(entry[field]) : null;
+    });
+    return entry;
+};
+
+/**
+ * Looks up the link a redirect is for, from the cache when possible.
+ * The link is a plain object (not a Mongoose document); its click count may lag behind.
+ *
+ * @param {{shortCode: string, shortDomain: string|null}} linkKey - The code and the domain's namespace.
+ * @returns {Promise<object|null>} The link, or null if no link has the code.
+ */
+const findRedirectEntry = async (linkKey) => {
+    const redirectCache = getCache();
+    const key = toKey(linkKey);
+    if (redirectCache) {
+        try {
+            const cached = await redirectCache.get(key);
+            if (cached) {
+                return reviveEntry(cached);
+            }
+        } catch (error) {
+            appLogger.warn('Redirect cache: Read failed, using the database', { key, error: error.message });
+        }
+    }
+
+    const urlEntry = await getLinkRepository().findByCode(linkKey, { includeDeleted: true, lean: true });
+    if (!urlEntry || !redirectCache) {
+        return urlEntry;
+    }
+
+    // Cached in its JSON form, which both backends can hold; links past their expiry are not cached
+    const ttlMs = urlEntry.expiresAt ? Math.min(TTL_MS, urlEntry.expiresAt.getTime() - Date.now()) : TTL_MS;
+    if (ttlMs > 0) {
+        redirectCache.set(key, JSON.parse(JSON.stringify(urlEntry)), ttlMs).catch(error => {
+            appLogger.warn('Redirect cache: Write failed', { key, error: error.message });
+        });
+    }
+    return urlEntry;
+};
+
+/**
+ * Drops a link from the cache; called after the link was changed or deleted.
+ *
+ * @param {{shortCode: string, shortDomain: string|null}} linkKey - The link's code and domain.
+ * @returns {Promise<void>}
+ */
+const invalidateRedirectEntry = async (linkKey) => {
+    const redirectCache = getCache();
+    if (!redirectCache) {
+        return;
+    }
+    try {
+        await redirectCache.del(toKey(linkKey));
+    } catch (error) {
+        appLogger.error('Redirect cache: Invalidation failed', { key: toKey(linkKey), error: error.message });
+    }
+};
+
+module.exports = {
+    findRedirectEntry,
+    invalidateRedirectEntry
+};
@@ -0,0 +1,210 @@
+// backend-test-submission/utils/redirectRules.js
+// Conditional redirect rules: an ordered list of { name?, destination, conditions } on a short URL.
+// The first rule whose conditions all match the request wins; when none match the visitor goes to
+// the link's originalUrl (the fallback). A rule without conditions always matches.
+const { isValidUrl } = require('./urlHelpers');
+
+const MAX_RULES = 20;
+const PLATFORMS = ['ios', 'android', 'desktop', 'other'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Returns the minutes since midnight of an "HH:MM" string
+const toMinutes = (time) => {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+// Returns true if the IANA time zone name is known to this runtime
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Returns the minutes since midnight of a date in the given time zone (UTC when omitted)
+const minutesOfDay = (date, timeZone = 'UTC') => {
+    const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .formatToParts(date);
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+};
+
+// Normalizes an optional list of strings (a single string is accepted too), or returns null if invalid
+const toStringList = (value, transform) => {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.some(item => typeof item !== 'string' || item.trim() === '')) {
+        return null;
+    }
+    return list.map(item => transform(item.trim()));
+};
+
+/**
+ * Validates redirect rules from a request body and returns them in their stored form.
+ *
+ * Each rule is { name?, destination, conditions? } where conditions may contain:
+ *  - platforms: ['ios', 'android', 'desktop', 'other']
+ *  - countries: ISO country codes, e.g. ['US', 'CA']
+ *  - languages: language tags matched against Accept-Language, e.g. ['de', 'fr-CA']
+ *  - timeOfDay: { from: 'HH:MM', to: 'HH:MM', timezone? } (may wrap past midnight)
+ *  - query: { param, values? } (the parameter must be present, and equal one of the values if given)
+ *
+ * @param {*} rules - The rules as received.
+ * @returns {{rules: object[]}|{error: string}} The normalized rules, or a message describing the first problem.
+ */
+const normalizeRules = (rules) => {
+    if (!Array.isArray(rules)) {
+        return { error: 'rules must be an array.' };
+    }
+    if (rules.length > MAX_RULES) {
+        return { error: `A link can have at most ${MAX_RULES} rules.` };
+    }
+
+    const normalized = [];
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        const label = `Rule ${i + 1}`;
+        if (!rule || typeof rule !== 'object') {
+            return { error: `${label} must be an object.` };
+        }
+        if (rule.name !== undefined && typeof rule.name !== 'string') {
+            return { error: `${label}: name must be a string.` };
+        }
+        if (!rule.destination || !isValidUrl(rule.destination)) {
+            return { error: `${label}: destination must be a valid URL.` };
+        }
+
+        const conditions = rule.conditions || {};
+        if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+            return { error: `${label}: conditions must be an object.` };
+        }
+        const stored = {};
+        if (conditions.platforms !== undefined) {
+            stored.platforms = toStringList(conditions.platforms, p => p.toLowerCase());
+            if (!stored.platforms || stored.platforms.some(p => !PLATFORMS.includes(p))) {
+                return { error: `${label}: platforms must be a list of ${PLATFORMS.join(', ')}.` };
+            }
+        }
+        if (conditions.countries !== undefined) {
+            stored.countries = toStringList(conditions.countries, c => c.toUpperCase());
+            if (!stored.countries || stored.countries.some(c => !/^[A-Z]{2}$/.test(c))) {
+                return { error: `${label}: countries must be a list of two-letter country codes.` };
+            }
+        }
+        if (conditions.languages !== undefined) {
+            stored.languages = toStringList(conditions.languages, l => l.toLowerCase());
+            if (!stored.languages || stored.languages.some(l => !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(l))) {
+                return { error: `${label}: languages must be a list of language tags such as "en" or "fr-ca".` };
+            }
+        }
+        if (conditions.timeOfDay !== undefined) {
+            const { from, to, timezone } = conditions.timeOfDay || {};
+            if (!TIME_PATTERN.test(from || '') || !TIME_PATTERN.test(to || '')) {
+                return { error: `${label}: timeOfDay needs "from" and "to" times as HH:MM.` };
+            }
+            if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimeZone(timezone))) {
+                return { error: `${label}: timeOfDay.timezone must be an IANA time zone such as "Europe/Berlin".` };
+            }
+            stored.timeOfDay = { from, to, timezone: timezone || 'UTC' };
+        }
+        if (conditions.query !== undefined) {
+            const { param, values } = conditions.query || {};
+            if (!param || typeof param !== 'string') {
+                return { error: `${label}: query.param must be a non-empty string.` };
+            }
+            const valueList = values === undefined ? [] : toStringList(values, v => v);
+            if (!valueList) {
+                return { error: `${label}: query.values must be a list of strings.` };
+            }
+            stored.query = { param, values: valueList };
+        }
+
+        normalized.push({ name: rule.name ? rule.name.trim() : null, destination: rule.destination, conditions: stored });
+    }
+    return { rules: normalized };
+};
+
+/**
+ * Maps the OS and device type of a click to the platform used by rules.
+ *
+ * @param {{os: string, deviceType: string}} click - Fields from classifyClick().
+ * @returns {string} One of ios, android, desktop or other.
+ */
+const toPlatform = ({ os, deviceType }) => {
+    if (os === 'iOS') return 'ios';
+    if (os === 'Android') return 'android';
+    return deviceType === 'desktop' ? 'desktop' : 'other';
+};
+
+/**
+ * Parses an Accept-Language header into lower-cased language tags, most preferred first.
+ *
+ * @param {string|undefined} header - The Accept-Language header.
+ * @returns {string[]}
+ */
+const parseAcceptLanguage = (header) => (header || '')
+    .split(',')
+    .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const qParam = params.find(p => p.trim().startsWith('q='));
+        const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+        return { tag: tag.trim().toLowerCase(), q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+
+// Returns true if a single rule's conditions all match the request context
+const ruleMatches = (rule, context) => {
+    const { platforms, countries, languages, timeOfDay, query } = rule.conditions || {};
+    if (platforms && platforms.length > 0 && !platforms.includes(context.platform)) {
+        return false;
+    }
+    if (countries && countries.length > 0 && !countries.includes(context.country)) {
+        return false;
+    }
+    // "en" matches "en" and "en-gb"; "en-gb" only matches "en-gb"
+    if (languages && languages.length > 0 && !context.languages.some(accepted =>
+        languages.some(language => accepted === language || accepted.startsWith(`${language}-`)))) {
+        return false;
+    }
+    if (timeOfDay && timeOfDay.from) {
+        const now = minutesOfDay(context.now, timeOfDay.timezone);
+        const from = toMinutes(timeOfDay.from);
+        const to = toMinutes(timeOfDay.to);
+        const inWindow = from <= to ? now >= from && now < to : now >= from || now < to;
+        if (!inWindow) {
+            return false;
+        }
+    }
+    if (query && query.param) {
+        const value = context.query[query.param];
+        if (value === undefined) {
+            return false;
+        }
+        const received = Array.isArray(value) ? value : [value];
+        if (query.values && query.values.length > 0 && !received.some(v => query.values.includes(v))) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Picks the first rule that matches the request.
+ *
+ * @param {object[]} rules - The link's rules, in order.
+ * @param {object} context - { platform, country, languages, query, now } describing the request.
+ * @returns {number} The index of the matching rule, or -1 when the fallback applies.
+ */
+const selectRule = (rules, context) => (rules || []).findIndex(rule => ruleMatches(rule, context));
+
+module.exports = {
+    MAX_RULES,
+    normalizeRules,
+    toPlatform,
+    parseAcceptLanguage,
+    selectRule
+};
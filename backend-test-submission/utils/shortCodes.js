@@ -0,0 +1,247 @@
+// backend-test-submission/utils/shortCodes.js
+// Shortcode generation and the rules custom codes must follow. The generator is chosen with
+// SHORTCODE_STRATEGY:
+//  - random (default): random codes from SHORTCODE_ALPHABET (look-alike characters left out). The
+//    length starts at SHORTCODE_LENGTH and grows as the keyspace fills, up to SHORTCODE_MAX_LENGTH.
+//  - counter: a base62 sequence per short domain. Codes never repeat, so no collision lookups are made.
+//  - words: human-readable codes such as "brave-otter", with a number appended after collisions.
+// Generated and custom codes are both checked against the reserved words (the app's own route
+// names) and a configurable blocklist.
+const fs = require('fs');
+const { customAlphabet } = require('nanoid');
+const { MIN_CODE_LENGTH, MAX_CODE_LENGTH, STORED_CODE_PATTERN, CUSTOM_CODE_PATTERN, CUSTOM_CODE_RULES } = require('request-schemas');
+const { getLinkRepository } = require('../repositories');
+
+// Characters that are easily confused (0/O/o, 1/l/I) are left out of the default alphabet
+const DEFAULT_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const CODE_LENGTH = Math.min(Math.max(Number(process.env.SHORTCODE_LENGTH) || 5, MIN_CODE_LENGTH), MAX_CODE_LENGTH);
+const MAX_LENGTH = Math.min(Math.max(Number(process.env.SHORTCODE_MAX_LENGTH) || 12, CODE_LENGTH), MAX_CODE_LENGTH);
+// Attempts (or rounds, for bulk requests) before giving up on finding free codes
+const MAX_ATTEMPTS = Number(process.env.SHORTCODE_MAX_ATTEMPTS) || 10;
+// The random generator moves to a longer code once this share of the keyspace is in use
+const MAX_KEYSPACE_FILL = 0.01;
+const LINK_COUNT_TTL_MS = 60 * 1000;
+
+// Paths the app serves itself; a link with one of these codes could never be reached
+const RESERVED_CODES = ['shorturls', 'admin', 'api', 'health', 'static', 'assets', 'login', 'logout'];
+// Matched anywhere in a code, case-insensitively; extended with SHORTCODE_BLOCKLIST and SHORTCODE_BLOCKLIST_FILE
+const DEFAULT_BLOCKLIST = ['fuck', 'shit', 'cunt', 'bitch', 'slut', 'whore', 'nigg', 'fag', 'rape', 'nazi', 'porn'];
+
+// Reads a blocklist file: one word per line, '#' starts a comment
+const readBlocklistFile = (filePath) => fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+
+const blocklist = [
+    ...DEFAULT_BLOCKLIST,
+    ...(process.env.SHORTCODE_BLOCKLIST || '').split(',').map(word => word.trim()).filter(Boolean),
+    ...(process.env.SHORTCODE_BLOCKLIST_FILE ? readBlocklistFile(process.env.SHORTCODE_BLOCKLIST_FILE) : [])
+].map(word => word.toLowerCase());
+
+/**
+ * Checks a code against the reserved words and the blocklist.
+ *
+ * @param {string} code - A custom or generated code.
+ * @returns {'reserved'|'blocked'|null} Why the code may not be used, or null when it is fine.
+ */
+const getCodeRestriction = (code) => {
+    const lower = code.toLowerCase();
+    if (RESERVED_CODES.includes(lower)) {
+        return 'reserved';
+    }
+    // Separators are ignored so "f-u-c-k" is caught too
+    const compact = lower.replace(/[-_]/g, '');
+    return blocklist.some(word => lower.includes(word) || compact.includes(word)) ? 'blocked' : null;
+};
+
+/**
+ * Validates a custom shortcode requested by a client.
+ *
+ * @param {*} code - The requested code.
+ * @returns {{code: string, message: string}|null} An error code (INVALID_SHORTCODE, RESERVED_SHORTCODE
+ *          or BLOCKED_SHORTCODE) with a message, or null when the code is acceptable.
+ */
+const checkCustomCode = (code) => {
+    if (typeof code !== 'string' || !CUSTOM_CODE_PATTERN.test(code)) {
+        return { code: 'INVALID_SHORTCODE', message: CUSTOM_CODE_RULES };
+    }
+    const restriction = getCodeRestriction(code);
+    if (restriction === 'reserved') {
+        return { code: 'RESERVED_SHORTCODE', message: `"${code}" is reserved and cannot be used as a shortcode.` };
+    }
+    if (restriction === 'blocked') {
+        return { code: 'BLOCKED_SHORTCODE', message: 'Custom shortcode contains a word that is not allowed.' };
+    }
+    return null;
+};
+
+// Link count used to size random codes; counting is cheap but still cached briefly
+let linkCount = null;
+let linkCountAt = 0;
+const getLinkCount = async () => {
+    if (linkCount === null || Date.now() - linkCountAt > LINK_COUNT_TTL_MS) {
+        linkCount = await getLinkRepository().countLinks();
+        linkCountAt = Date.now();
+    }
+    return linkCount;
+};
+
+// Helper function to encode a non-negative integer in base62
+const toBase62 = (value) => {
+    let remaining = value;
+    let code = '';
+    do {
+        code = BASE62_ALPHABET[remaining % 62] + code;
+        remaining = Math.floor(remaining / 62);
+    } while (remaining > 0);
+    return code;
+};
+
+const ADJECTIVES = [
+    'able', 'amber', 'bold', 'brave', 'brisk', 'calm', 'clever', 'cosmic', 'crisp', 'dapper',
+    'eager', 'early', 'fancy', 'fair', 'fast', 'fluffy', 'fresh', 'gentle', 'glad', 'golden',
+    'grand', 'happy', 'hidden', 'honest', 'jolly', 'keen', 'kind', 'lively', 'lucky', 'mellow',
+    'merry', 'mighty', 'misty', 'modest', 'neat', 'noble', 'polite', 'proud', 'quick', 'quiet',
+    'rapid', 'ready', 'rosy', 'royal', 'rustic', 'shiny', 'silent', 'silver', 'simple', 'sleek',
+    'smart', 'snowy', 'solid', 'spicy', 'steady', 'sunny', 'swift', 'tidy', 'tiny', 'vivid',
+    'warm', 'wild', 'wise', 'witty'
+];
+const NOUNS = [
+    'acorn', 'badger', 'beacon', 'birch', 'bison', 'breeze', 'brook', 'canyon', 'cedar', 'comet',
+    'coral', 'crane', 'dolphin', 'ember', 'falcon', 'fern', 'finch', 'forest', 'fox', 'garden',
+    'glacier', 'harbor', 'hawk', 'heron', 'island', 'jaguar', 'lagoon', 'lantern', 'lemur', 'lily',
+    'lotus', 'maple', 'meadow', 'meteor', 'moose', 'newt', 'oasis', 'ocean', 'orchid', 'otter',
+    'owl', 'panda', 'pebble', 'pepper', 'pine', 'planet', 'pond', 'quartz', 'raven', 'reef',
+    'river', 'robin', 'sparrow', 'spruce', 'summit', 'thistle', 'tiger', 'tulip', 'valley', 'walrus',
+    'willow', 'wolf', 'yak', 'zebra'
+];
+const pickWord = (words) => words[Math.floor(Math.random() * words.length)];
+
+/**
+ * Registered generators. Each is created once with the configuration and returns
+ * { unique, next(count, { shortDomain, attempt }) }: next resolves to `count` candidate codes, and
+ * `unique` tells callers that candidates never repeat, so they need not be looked up.
+ */
+const generators = {
+    random: ({ alphabet }) => {
+        const makers = new Map();
+        const makerFor = (length) => {
+            if (!makers.has(length)) makers.set(length, customAlphabet(alphabet, length));
+            return makers.get(length);
+        };
+        return {
+            unique: false,
+            next: async (count, { attempt }) => {
+                // Shortest length at which the existing links fill at most MAX_KEYSPACE_FILL of the keyspace,
+                // one character longer after repeated collisions
+                const links = (await getLinkCount()) + count;
+                let length = CODE_LENGTH;
+                while (length < MAX_LENGTH && links / alphabet.length ** length > MAX_KEYSPACE_FILL) {
+                    length++;
+                }
+                length = Math.min(length + (attempt >= 2 ? 1 : 0), MAX_LENGTH);
+                return Array.from({ length: count }, () => makerFor(length)());
+            }
+        };
+    },
+    counter: () => ({
+        unique: true,
+        next: async (count, { shortDomain }) => {
+            // Reserve a block of the domain's sequence. The offset makes the first code CODE_LENGTH characters long.
+            const first = await getLinkRepository().reserveSequence(`shortcode:${shortDomain || ''}`, count);
+            const offset = 62 ** (CODE_LENGTH - 1);
+            return Array.from({ length: count }, (_, i) => toBase62(offset + first - 1 + i));
+        }
+    }),
+    words: () => ({
+        unique: false,
+        next: async (count, { attempt }) => Array.from({ length: count }, () => {
+            const code = `${pickWord(ADJECTIVES)}-${pickWord(NOUNS)}`;
+            // 4,096 word pairs; a number widens the space once collisions start
+            if (attempt === 0) return code;
+            const digits = attempt < 3 ? 2 : 4;
+            return `${code}-${String(Math.floor(Math.random() * 10 ** digits)).padStart(digits, '0')}`;
+        })
+    })
+};
+
+let activeGenerator = null; // Created from the configuration on first use
+
+/**
+ * Adds a generator strategy, selectable with SHORTCODE_STRATEGY.
+ *
+ * @param {string} name - The strategy name.
+ * @param {function(object): {unique: boolean, next: function}} factory - Creates the generator from { alphabet }.
+ */
+const registerGenerator = (name, factory) => {
+    generators[name] = factory;
+    activeGenerator = null;
+};
+
+// Returns the configured generator, creating it on first use
+const getGenerator = () => {
+    if (!activeGenerator) {
+        const strategy = process.env.SHORTCODE_STRATEGY || 'random';
+        const alphabet = process.env.SHORTCODE_ALPHABET || DEFAULT_ALPHABET;
+        if (!generators[strategy]) {
+            throw new Error(`Unknown SHORTCODE_STRATEGY "${strategy}". Available: ${Object.keys(generators).join(', ')}.`);
+        }
+        if (!/^[A-Za-z0-9_-]+$/.test(alphabet) || new Set(alphabet).size !== alphabet.length || alphabet.length < 2) {
+            throw new Error('SHORTCODE_ALPHABET must be at least 2 distinct letters, digits, "-" or "_".');
+        }
+        activeGenerator = generators[strategy]({ alphabet });
+    }
+    return activeGenerator;
+};
+
+/**
+ * Generates codes that are free in a short domain, skipping reserved and blocked ones.
+ *
+ * @param {number} count - How many codes are needed.
+ * @param {object} options
+ * @param {string|null} options.shortDomain - The namespace the codes are for.
+ * @param {Set<string>} [options.exclude] - Codes that must not be returned, e.g. custom codes in the same batch.
+ * @returns {Promise<string[]>} The codes; fewer than `count` when the attempts ran out.
+ */
+const generateShortCodes = async (count, { shortDomain, exclude = new Set() }) => {
+    const generator = getGenerator();
+    const codes = [];
+    const used = new Set(exclude);
+    for (let attempt = 0; attempt < MAX_ATTEMPTS && codes.length < count; attempt++) {
+        const candidates = (await generator.next(count - codes.length, { shortDomain, attempt }))
+            .filter(code => {
+                if (used.has(code) || getCodeRestriction(code)) return false;
+                used.add(code);
+                return true;
+            });
+        if (candidates.length === 0) continue;
+
+        if (generator.unique) {
+            codes.push(...candidates);
+        } else {
+            const takenCodes = await getLinkRepository().findTakenCodes(shortDomain, candidates);
+            codes.push(...candidates.filter(code => !takenCodes.has(code)));
+        }
+    }
+    return codes;
+};
+
+/**
+ * Generates a single free code for a short domain.
+ *
+ * @param {object} options - See generateShortCodes.
+ * @returns {Promise<string|null>} The code, or null when the attempts ran out.
+ */
+const generateShortCode = async (options) => (await generateShortCodes(1, options))[0] || null;
+
+module.exports = {
+    STORED_CODE_PATTERN,
+    RESERVED_CODES,
+    checkCustomCode,
+    getCodeRestriction,
+    registerGenerator,
+    generateShortCodes,
+    generateShortCode
+};
@@ -0,0 +1,138 @@
+// backend-test-submission/utils/shortDomains.js
+// Custom short-link domains: resolving the namespace a request is addressed to and building
+// fully qualified short URLs. A link's shortDomain is null when it lives on the default domain.
+const { normalizeHostname } = require('request-schemas');
+const Domain = require('../models/domain');
+const { isMongoStorage } = require('../repositories');
+
+// Registered hostnames are cached briefly, since every redirect resolves its Host header
+const CACHE_TTL_MS = 60 * 1000;
+let cachedHostnames = null;
+let cachedAt = 0;
+
+// Returns the set of registered hostnames, from the cache when it is fresh.
+// Domains are stored in MongoDB, so there are none with the other storage backends.
+const getRegisteredHostnames = async () => {
+    if (!isMongoStorage()) {
+        return new Set();
+    }
+    if (!cachedHostnames || Date.now() - cachedAt > CACHE_TTL_MS) {
+        const domains = await Domain.find({}, 'hostname').lean();
+        cachedHostnames = new Set(domains.map(d => d.hostname));
+        cachedAt = Date.now();
+    }
+    return cachedHostnames;
+};
+
+/**
+ * Forgets the cached hostnames; called when domains are added or removed.
+ */
+const clearDomainCache = () => {
+    cachedHostnames = null;
+};
+
+/**
+ * Returns the custom domain a public request was addressed to, or null for the default domain
+ * (any Host that is not a registered custom domain).
+ *
+ * @param {import('express').Request} req - The incoming request.
+ * @returns {Promise<string|null>}
+ */
+const resolveRequestDomain = async (req) => {
+    const hostname = normalizeHostname(req.hostname);
+    if (!hostname) {
+        return null;
+    }
+    const registered = await getRegisteredHostnames();
+    return registered.has(hostname) ? hostname : null;
+};
+
+/**
+ * Returns the base URL of short links on the default domain: PUBLIC_BASE_URL when configured,
+ * otherwise the scheme and host the API request came in on.
+ *
+ * @param {import('express').Request} req - The incoming request.
+ * @returns {string} e.g. "https://sho.rt"
+ */
+const getDefaultBaseUrl = (req) => (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+/**
+ * Builds the fully qualified short URL of a link.
+ * Custom domains use CUSTOM_DOMAIN_SCHEME (default https).
+ *
+ * @param {import('express').Request} req - The incoming request.
+ * @param {{shortCode: string, shortDomain?: string|null}} link - The link.
+ * @returns {string}
+ */
+const buildShortUrl = (req, { shortCode, shortDomain }) => {
+    const base = shortDomain
+        ? `${process.env.CUSTOM_DOMAIN_SCHEME || 'https'}://${shortDomain}`
+        : getDefaultBaseUrl(req);
+    return `${base}/${encodeURIComponent(shortCode)}`;
+};
+
+/**
+ * Returns the hostnames short links are served on: the default domain (see getDefaultBaseUrl)
+ * and every registered custom domain. Used to keep links from pointing back at the shortener.
+ *
+ * @param {import('express').Request} req - The incoming request.
+ * @returns {Promise<Set<string>>}
+ */
+const getShortLinkHostnames = async (req) => {
+    const hostnames = new Set(await getRegisteredHostnames());
+    hostnames.add(normalizeHostname(new URL(getDefaultBaseUrl(req)).host));
+    return hostnames;
+};
+
+/**
+ * Parses the ?shortDomain= parameter of the management routes, where "default" names the default domain.
+ *
+ * @param {string|undefined} value - The query parameter (validated as a hostname by the route).
+ * @returns {string|null|undefined} The normalized hostname, null for "default", undefined when omitted.
+ */
+const parseShortDomainParam = (value) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    return value === 'default' ? null : normalizeHostname(value);
+};
+
+/**
+ * Returns the filter identifying the link a management request refers to: the :shortCode route
+ * parameter within the namespace given by ?shortDomain= (the default domain when omitted or "default").
+ *
+ * @param {import('express').Request} req - The incoming request.
+ * @returns {{shortCode: string, shortDomain: string|null}}
+ */
+const getLinkKey = (req) => ({
+    shortCode: req.params.shortCode,
+    shortDomain: parseShortDomainParam(req.query.shortDomain) || null
+});
+
+/**
+ * Checks that a caller may issue links on a custom domain: it must be registered and either
+ * shared (no owner) or owned by the caller. Admins may use any registered domain.
+ *
+ * @param {object} auth - req.auth of the caller.
+ * @param {string} hostname - The normalized hostname.
+ * @returns {Promise<boolean>}
+ */
+const canUseDomain = async (auth, hostname) => {
+    if (!isMongoStorage()) {
+        return false;
+    }
+    const domain = await Domain.findOne({ hostname }).lean();
+    return Boolean(domain) && (auth.role === 'admin' || domain.owner === null || domain.owner === auth.owner);
+};
+
+module.exports = {
+    normalizeHostname,
+    clearDomainCache,
+    resolveRequestDomain,
+    getDefaultBaseUrl,
+    getShortLinkHostnames,
+    buildShortUrl,
+    parseShortDomainParam,
+    getLinkKey,
+    canUseDomain
+};
@@ -0,0 +1,30 @@
+// backend-test-submission/utils/timeBuckets.js
+// Time buckets used by click analytics.
+
+// Supported bucket sizes and their length in milliseconds
+const INTERVALS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+// Truncates a date to the start of its bucket, the same way MongoDB's $dateTrunc does in UTC
+// (weeks start on Monday).
+const truncateDate = (date, interval) => {
+    const d = new Date(date);
+    d.setUTCMinutes(0, 0, 0);
+    if (interval === 'hour') {
+        return d;
+    }
+    d.setUTCHours(0);
+    if (interval === 'week') {
+        const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+        d.setUTCDate(d.getUTCDate() - daysSinceMonday);
+    }
+    return d;
+};
+
+module.exports = {
+    INTERVALS,
+    truncateDate
+};
@@ -0,0 +1,96 @@
+// backend-test-submission/utils/urlHelpers.js
+// Helpers shared by the controllers that create or modify short URLs.
+// Destinations must be absolute http or https URLs, the same rule the request schemas apply
+const { isValidUrl } = require('request-schemas');
+
+// Helper function to calculate expiry date
+const calculateExpiry = (validityMinutes) => {
+    if (validityMinutes && validityMinutes > 0) {
+        const expiryDate = new Date();
+        expiryDate.setMinutes(expiryDate.getMinutes() + validityMinutes);
+        return expiryDate;
+    }
+    return null; // No expiry if validity is 0, null, or undefined
+};
+
+// UTM fields of a link, mapped to the query parameter each one sets on the destination
+const UTM_FIELDS = {
+    source: 'utm_source',
+    medium: 'utm_medium',
+    campaign: 'utm_campaign',
+    term: 'utm_term',
+    content: 'utm_content'
+};
+const MAX_UTM_LENGTH = 200;
+
+/**
+ * Validates UTM fields from a request body. Unknown keys are rejected; a null or empty value
+ * clears that field.
+ *
+ * @param {*} utm - e.g. { source: 'newsletter', medium: 'email', campaign: 'spring' }
+ * @returns {{utm: object}|{error: string}} The fields to store (only those provided), or an error message.
+ */
+const normalizeUtm = (utm) => {
+    if (!utm || typeof utm !== 'object' || Array.isArray(utm)) {
+        return { error: 'utm must be an object.' };
+    }
+    const normalized = {};
+    for (const [field, value] of Object.entries(utm)) {
+        if (!UTM_FIELDS[field]) {
+            return { error: `Unknown UTM field "${field}". Use ${Object.keys(UTM_FIELDS).join(', ')}.` };
+        }
+        if (value !== null && typeof value !== 'string') {
+            return { error: `utm.${field} must be a string or null.` };
+        }
+        if (value && value.length > MAX_UTM_LENGTH) {
+            return { error: `utm.${field} must be at most ${MAX_UTM_LENGTH} characters.` };
+        }
+        normalized[field] = value && value.trim() ? value.trim() : null;
+    }
+    return { utm: normalized };
+};
+
+/**
+ * Builds the URL a visitor is finally sent to. The link's UTM fields are set on the destination,
+ * then, for links that forward the query string, the incoming query parameters are merged in.
+ * Incoming parameters replace parameters of the same name, so campaigns can override UTM values.
+ *
+ * @param {string} destination - The destination chosen for the request.
+ * @param {object} options
+ * @param {object} [options.utm] - The link's UTM fields.
+ * @param {string} [options.queryString] - The raw query string of the request ('' or starting with '?').
+ * @param {boolean} [options.forwardQuery] - Whether to merge the incoming query parameters.
+ * @returns {string} The final URL.
+ */
+const buildDestinationUrl = (destination, { utm, queryString, forwardQuery } = {}) => {
+    const hasUtm = utm && Object.keys(UTM_FIELDS).some(field => utm[field]);
+    const incoming = forwardQuery && queryString ? new URLSearchParams(queryString) : null;
+    if (!hasUtm && (!incoming || [...incoming.keys()].length === 0)) {
+        return destination;
+    }
+
+    const url = new URL(destination);
+    if (hasUtm) {
+        Object.entries(UTM_FIELDS).forEach(([field, param]) => {
+            if (utm[field]) {
+                url.searchParams.set(param, utm[field]);
+            }
+        });
+    }
+    if (incoming) {
+        // Repeated parameters (?tag=a&tag=b) are kept as they are
+        new Set(incoming.keys()).forEach(param => {
+            url.searchParams.delete(param);
+            incoming.getAll(param).forEach(value => url.searchParams.append(param, value));
+        });
+    }
+    return url.toString();
+};
+
+module.exports = {
+    UTM_FIELDS,
+    isValidUrl,
+    calculateExpiry,
+    normalizeUtm,
+    buildDestinationUrl
+};
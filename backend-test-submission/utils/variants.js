@@ -0,0 +1,111 @@
+// backend-test-submission/utils/variants.js
+// A/B split redirects: a short URL can hold several named destinations with percentage weights.
+// When no redirect rule matches, the visitor is sent to a variant picked by weight instead of
+// originalUrl. With stickyVariants the choice is remembered in a cookie scoped to the short link.
+
+const MAX_VARIANTS = 10;
+const VARIANT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const STICKY_COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const { isValidUrl } = require('./urlHelpers');
+
+/**
+ * Validates A/B variants from a request body and returns them in their stored form.
+ * Each variant is { name, destination, weight }; weights are whole percentages adding up to 100.
+ * An empty list turns A/B splitting off.
+ *
+ * @param {*} variants - The variants as received.
+ * @returns {{variants: object[]}|{error: string}} The normalized variants, or a message describing the first problem.
+ */
+const normalizeVariants = (variants) => {
+    if (!Array.isArray(variants)) {
+        return { error: 'variants must be an array.' };
+    }
+    if (variants.length === 0) {
+        return { variants: [] };
+    }
+    if (variants.length < 2 || variants.length > MAX_VARIANTS) {
+        return { error: `An A/B split needs between 2 and ${MAX_VARIANTS} variants.` };
+    }
+
+    const names = new Set();
+    for (let i = 0; i < variants.length; i++) {
+        const variant = variants[i];
+        const label = `Variant ${i + 1}`;
+        if (!variant || typeof variant !== 'object') {
+            return { error: `${label} must be an object.` };
+        }
+        if (typeof variant.name !== 'string' || !VARIANT_NAME_PATTERN.test(variant.name)) {
+            return { error: `${label}: name must be 1-32 letters, digits, '-' or '_'.` };
+        }
+        if (names.has(variant.name)) {
+            return { error: `${label}: name "${variant.name}" is used more than once.` };
+        }
+        names.add(variant.name);
+        if (!variant.destination || !isValidUrl(variant.destination)) {
+            return { error: `${label}: destination must be a valid URL.` };
+        }
+        if (!Number.isInteger(variant.weight) || variant.weight < 1 || variant.weight > 100) {
+            return { error: `${label}: weight must be a whole percentage between 1 and 100.` };
+        }
+    }
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    if (totalWeight !== 100) {
+        return { error: `Variant weights must add up to 100 (got ${totalWeight}).` };
+    }
+
+    return { variants: variants.map(({ name, destination, weight }) => ({ name, destination, weight })) };
+};
+
+/**
+ * Picks a variant at random, proportionally to the weights.
+ *
+ * @param {object[]} variants - The link's variants.
+ * @param {number} [random=Math.random()] - A number in [0, 1), injectable for tests.
+ * @returns {object} The chosen variant.
+ */
+const pickVariant = (variants, random = Math.random()) => {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let threshold = random * totalWeight;
+    for (const variant of variants) {
+        threshold -= variant.weight;
+        if (threshold < 0) {
+            return variant;
+        }
+    }
+    return variants[variants.length - 1];
+};
+
+/**
+ * Parses a Cookie header into an object. Values that fail to decode are kept as they are.
+ *
+ * @param {string|undefined} header - The Cookie header.
+ * @returns {Object<string, string>}
+ */
+const parseCookies = (header) => (header || '').split(';').reduce((cookies, pair) => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+        return cookies;
+    }
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim();
+    if (name && cookies[name] === undefined) {
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    }
+    return cookies;
+}, {});
+
+// Name of the cookie remembering a visitor's variant for one short link
+const variantCookieName = (shortCode) => `abv_${shortCode}`;
+
+module.exports = {
+    MAX_VARIANTS,
+    STICKY_COOKIE_MAX_AGE_MS,
+    normalizeVariants,
+    pickVariant,
+    parseCookies,
+    variantCookieName
+};
@@ -0,0 +1,49 @@
+// backend-test-submission/views/html.js
+// Shared helpers for the small server-rendered pages served on short-link routes.
+
+// Escapes text for safe inclusion in HTML
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wraps page content in a minimal, self-contained HTML document (no external assets).
+ *
+ * @param {string} title - The page title (escaped here).
+ * @param {string} body - The inner HTML of the page card (already escaped by the caller).
+ * @returns {string} The HTML document.
+ */
+const renderLayout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f0f2f5; color: #20232a; }
+main { max-width: 480px; margin: 10vh auto; background: #fff; border-radius: 8px; padding: 32px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); }
+h1 { font-size: 1.4rem; margin-top: 0; }
+input[type=password] { width: 100%; box-sizing: border-box; padding: 10px; font-size: 1rem; margin: 8px 0 16px; }
+button, .button { display: inline-block; background: #1976d2; color: #fff; border: 0; border-radius: 4px; padding: 10px 20px; font-size: 1rem; cursor: pointer; text-decoration: none; }
+.error { color: #d32f2f; }
+.muted { color: #666; font-size: 0.9rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 12px; }
+dd { margin: 0; word-break: break-all; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+
+module.exports = {
+    escapeHtml,
+    renderLayout
+};
@@ -0,0 +1,30 @@
+// backend-test-submission/views/passwordPage.js
+const { escapeHtml, renderLayout } = require('./html');
+
+/**
+ * Renders the password prompt for a protected short link. The form posts back to the
+ * short link itself (POST /:shortCode), keeping the original query string so redirect rules see it.
+ *
+ * @param {object} options
+ * @param {string} options.shortCode - The protected short code.
+ * @param {string} [options.error] - An error to show, e.g. after a wrong password.
+ * @param {string} [options.search] - The query string of the original request, including '?'.
+ * @param {boolean} [options.locked] - True when further attempts are temporarily blocked.
+ * @param {string|null} [options.acknowledged] - The page the visitor already continued from ('flagged' or 'preview'),
+ *        sent along with the password.
+ * @returns {string} The HTML document.
+ */
+const renderPasswordPage = ({ shortCode, search = '', error, locked = false, acknowledged = null }) => renderLayout('Password required', `
+<h1>This link is password protected</h1>
+<p class="muted">Enter the password to continue to the destination.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="POST" action="/${encodeURIComponent(shortCode)}${escapeHtml(search)}">
+${acknowledged ? `<input type="hidden" name="acknowledged" value="${escapeHtml(acknowledged)}">\n` : ''}<label for="password">Password</label>
+<input type="password" id="password" name="password" autocomplete="current-password" required autofocus${locked ? ' disabled' : ''}>
+<button type="submit"${locked ? ' disabled' : ''}>Continue</button>
+</form>
+`);
+
+module.exports = {
+    renderPasswordPage
+};
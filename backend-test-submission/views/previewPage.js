@@ -0,0 +1,40 @@
+// backend-test-submission/views/previewPage.js
+const { escapeHtml, renderLayout } = require('./html');
+
+// Formats a date for the page, e.g. "Mon, 19 Oct 2026 18:30:00 GMT"
+const formatDate = (date) => new Date(date).toUTCString();
+
+/**
+ * Renders the preview of a short link, so visitors can inspect it before following it: shown for links
+ * with the preview option and for any link requested with a '+' suffix (GET /:shortCode+).
+ * Continuing posts back to the short link itself (POST /:shortCode) with acknowledged=preview,
+ * keeping the original query string so redirect rules see it.
+ *
+ * @param {object} options
+ * @param {object} options.link - The link: shortCode, originalUrl, createdAt, expiresAt, clicks,
+ *        passwordHash, flag, rules and variants are used.
+ * @param {string} [options.search] - The query string of the original request, including '?'.
+ * @returns {string} The HTML document.
+ */
+const renderPreviewPage = ({ link, search = '' }) => {
+    const varies = (link.rules && link.rules.length > 0) || (link.variants && link.variants.length > 0);
+    return renderLayout('Link preview', `
+<h1>Where this link goes</h1>
+${link.flag ? '<p class="error">This link has been flagged as possibly harmful.</p>' : ''}
+<dl>
+<dt>Destination</dt><dd>${link.passwordHash ? 'Hidden until the password is entered' : escapeHtml(link.originalUrl)}</dd>
+${varies && !link.passwordHash ? '<dt></dt><dd class="muted">Some visitors are sent to other destinations.</dd>' : ''}
+<dt>Created</dt><dd>${escapeHtml(formatDate(link.createdAt))}</dd>
+<dt>Expires</dt><dd>${link.expiresAt ? escapeHtml(formatDate(link.expiresAt)) : 'Never'}</dd>
+<dt>Clicks</dt><dd>${escapeHtml(link.clicks || 0)}</dd>
+</dl>
+<form method="POST" action="/${encodeURIComponent(link.shortCode)}${escapeHtml(search)}">
+<input type="hidden" name="acknowledged" value="preview">
+<button type="submit">Continue</button>
+</form>
+`);
+};
+
+module.exports = {
+    renderPreviewPage
+};
@@ -0,0 +1,31 @@
+// backend-test-submission/views/warningPage.js
+const { escapeHtml, renderLayout } = require('./html');
+
+/**
+ * Renders the warning shown instead of redirecting when a short link was flagged by an admin.
+ * Continuing posts back to the short link itself (POST /:shortCode) with acknowledged=flagged,
+ * keeping the original query string so redirect rules see it.
+ *
+ * @param {object} options
+ * @param {string} options.shortCode - The flagged short code.
+ * @param {string} options.destination - The link's destination, shown so visitors can judge it.
+ * @param {string|null} [options.reason] - Why the link was flagged.
+ * @param {string} [options.search] - The query string of the original request, including '?'.
+ * @returns {string} The HTML document.
+ */
+const renderWarningPage = ({ shortCode, destination, reason, search = '' }) => renderLayout('Warning: flagged link', `
+<h1>This link has been flagged</h1>
+<p class="error">It may lead to a harmful or deceptive website. Continue only if you trust it.</p>
+<dl>
+<dt>Destination</dt><dd>${escapeHtml(destination)}</dd>
+${reason ? `<dt>Reason</dt><dd>${escapeHtml(reason)}</dd>` : ''}
+</dl>
+<form method="POST" action="/${encodeURIComponent(shortCode)}${escapeHtml(search)}">
+<input type="hidden" name="acknowledged" value="flagged">
+<button type="submit">Continue anyway</button>
+</form>
+`);
+
+module.exports = {
+    renderWarningPage
+};
@@ -0,0 +1,50 @@
+// frontend-test-submission/src/ApiKeyDialog.js
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, TextField, Button } from '@mui/material';
+import { getApiKey, setApiKey } from './api';
+import { appLogger } from './logger'; // Import the custom frontend logger
+
+// Dialog for entering the API key sent with every backend request. The key is kept for this browser tab only.
+const ApiKeyDialog = ({ open, onClose, onSaved }) => {
+    const [apiKey, setApiKeyInput] = useState('');
+
+    // Start from the current key whenever the dialog opens
+    useEffect(() => {
+        if (open) {
+            setApiKeyInput(getApiKey() || '');
+        }
+    }, [open]);
+
+    const handleSave = () => {
+        setApiKey(apiKey);
+        appLogger.info('API key updated', { cleared: !apiKey.trim() });
+        onSaved();
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+            <DialogTitle>API key</DialogTitle>
+            <DialogContent>
+                <DialogContentText variant="body2" sx={{ mb: 2 }}>
+                    Enter your API key. It is kept until you close this tab and is only sent to the URL shortener API.
+                </DialogContentText>
+                <TextField
+                    label="API key"
+                    type="password"
+                    value={apiKey}
+                    onChange={(e) => setApiKeyInput(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                    autoFocus
+                    fullWidth
+                    autoComplete="off"
+                />
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button variant="contained" onClick={handleSave}>Save</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default ApiKeyDialog;
@@ -1,7 +1,9 @@
 // frontend-test-submission/src/App.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { AppBar, Toolbar, Typography, Button, Container, Box } from '@mui/material';
 import { appLogger } from './logger'; // Import the custom frontend logger
+import { getApiKey, setUnauthorizedHandler } from './api';
+import ApiKeyDialog from './ApiKeyDialog';
 
 // Import your page components (make sure these files exist in src/pages/)
 import UrlShortenerPage from './pages/UrlShortenerPage';
@@ -10,6 +12,15 @@ import UrlStatisticsPage from './pages/UrlStatisticsPage';
 function App() {
     // State to manage which page is currently displayed
     const [currentPage, setCurrentPage] = useState('shortener'); // 'shortener' or 'statistics'
+    // The API key is asked for at startup when none was entered in this tab, and again when the backend rejects it
+    const [apiKeyDialogOpen, setApiKeyDialogOpen] = useState(() => !getApiKey());
+    // Bumped when the key changes, so the pages remount and load their data with the new key
+    const [apiKeyVersion, setApiKeyVersion] = useState(0);
+
+    useEffect(() => {
+        setUnauthorizedHandler(() => setApiKeyDialogOpen(true));
+        return () => setUnauthorizedHandler(null);
+    }, []);
 
     appLogger.info('App component rendered', { currentPage });
 
@@ -17,12 +28,12 @@ function App() {
     const renderPage = () => {
         switch (currentPage) {
             case 'shortener':
-                return <UrlShortenerPage />;
+                return <UrlShortenerPage key={apiKeyVersion} />;
             case 'statistics':
-                return <UrlStatisticsPage />;
+                return <UrlStatisticsPage key={apiKeyVersion} />;
             default:
                 // Fallback to shortener page if currentPage is somehow invalid
-                return <UrlShortenerPage />;
+                return <UrlShortenerPage key={apiKeyVersion} />;
         }
     };
 
@@ -57,6 +68,11 @@ function App() {
                     >
                         View Statistics
                     </Button>
+
+                    {/* Button for entering or changing the API key */}
+                    <Button color="inherit" onClick={() => setApiKeyDialogOpen(true)}>
+                        API Key
+                    </Button>
                 </Toolbar>
             </AppBar>
 
@@ -66,6 +82,15 @@ function App() {
                     {renderPage()} {/* Render the currently selected page */}
                 </Box>
             </Container>
+
+            <ApiKeyDialog
+                open={apiKeyDialogOpen}
+                onClose={() => setApiKeyDialogOpen(false)}
+                onSaved={() => {
+                    setApiKeyDialogOpen(false);
+                    setApiKeyVersion(version => version + 1);
+                }}
+            />
         </React.Fragment>
     );
 }
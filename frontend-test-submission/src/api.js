@@ -0,0 +1,79 @@
+// frontend-test-submission/src/api.js
+// Thin wrapper around fetch() for calling the backend API.
+// It prefixes the backend base URL and attaches the API key every /shorturls endpoint requires.
+//
+// The API key is entered by the user at runtime (see src/ApiKeyDialog.js) and kept for the browser
+// tab in sessionStorage. It is never read from a REACT_APP_ variable: those are compiled into the
+// public JavaScript bundle, where anyone loading the page could read the key.
+
+// Get the backend API URL from environment variables
+export const BACKEND_API_URL = process.env.REACT_APP_BACKEND_API_URL;
+
+const API_KEY_STORAGE_KEY = 'urlShortener.apiKey';
+
+// Used when sessionStorage is unavailable (e.g. blocked by the browser's privacy settings)
+let memoryApiKey = null;
+// Called when the backend rejects the API key, so the app can ask for a new one
+let unauthorizedHandler = null;
+
+/**
+ * Returns the API key entered for this browser tab.
+ *
+ * @returns {string|null}
+ */
+export const getApiKey = () => {
+    try {
+        return window.sessionStorage.getItem(API_KEY_STORAGE_KEY) || memoryApiKey;
+    } catch (e) {
+        return memoryApiKey;
+    }
+};
+
+/**
+ * Sets the API key sent with every request, or forgets it when empty.
+ *
+ * @param {string|null} apiKey
+ */
+export const setApiKey = (apiKey) => {
+    memoryApiKey = apiKey ? apiKey.trim() : null;
+    try {
+        if (memoryApiKey) {
+            window.sessionStorage.setItem(API_KEY_STORAGE_KEY, memoryApiKey);
+        } else {
+            window.sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+        }
+    } catch (e) {
+        // The key stays in memory until the page is reloaded
+    }
+};
+
+/**
+ * Registers the function called when a request fails with 401 (missing or invalid API key).
+ *
+ * @param {function|null} handler
+ */
+export const setUnauthorizedHandler = (handler) => {
+    unauthorizedHandler = handler;
+};
+
+/**
+ * Calls a backend API endpoint.
+ *
+ * @param {string} path - The path to call, e.g. '/shorturls?limit=20'.
+ * @param {object} [options={}] - Options passed through to fetch().
+ * @returns {Promise<Response>} The fetch response.
+ */
+export const apiFetch = async (path, options = {}) => {
+    const apiKey = getApiKey();
+    const response = await fetch(`${BACKEND_API_URL}${path}`, {
+        ...options,
+        headers: {
+            ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+            ...(options.headers || {})
+        }
+    });
+    if (response.status === 401 && unauthorizedHandler) {
+        unauthorizedHandler();
+    }
+    return response;
+};
@@ -1,64 +1,435 @@
 // frontend-test-submission/src/pages/UrlShortenerPage.js
-import React, { useState } from 'react';
-import { TextField, Button, Box, Typography, Paper, Grid, Alert, CircularProgress } from '@mui/material';
+import React, { useState, useEffect } from 'react';
+import {
+    TextField, Button, Box, Typography, Paper, Grid, Alert, CircularProgress, Tabs, Tab,
+    Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+    Accordion, AccordionSummary, AccordionDetails, FormControlLabel, Checkbox, MenuItem
+} from '@mui/material';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import DownloadIcon from '@mui/icons-material/Download';
+import { validate, schemas } from 'request-schemas'; // The same request schemas the backend validates with
 import { appLogger } from '../logger'; // Import the custom frontend logger
+import { apiFetch } from '../api';
+
+// Parses pasted or uploaded bulk input: one item per line as "url[,validity[,shortcode]]".
+// Blank lines and a leading "url,..." header line are ignored.
+const parseBulkInput = (text) => text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter((line, i) => line && !(i === 0 && /^url\b/i.test(line)))
+    .map((line) => {
+        const [url, validity, shortcode] = line.split(',').map(part => part.trim());
+        const item = { url };
+        if (validity) {
+            item.validity = Number(validity);
+        }
+        if (shortcode) {
+            item.shortcode = shortcode;
+        }
+        return item;
+    });
+
+// Bulk mode: shortens a pasted list or an uploaded CSV/text file in one request (POST /shorturls/bulk)
+const BulkShortenPanel = ({ shortDomain }) => {
+    const [bulkText, setBulkText] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [summary, setSummary] = useState(null);
+
+    // Load a dropped-in or selected file into the text area so it can be reviewed before submitting
+    const handleFile = (file) => {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            setBulkText(e.target.result);
+            appLogger.info('Bulk input loaded from file', { fileName: file.name, size: file.size });
+        };
+        reader.readAsText(file);
+    };
+
+    const handleSubmit = async () => {
+        const items = parseBulkInput(bulkText);
+        if (items.length === 0) {
+            setError('Enter at least one URL.');
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        setSummary(null);
+        appLogger.info('Attempting bulk URL shortening via API', { count: items.length });
+
+        try {
+            const response = await apiFetch('/shorturls/bulk', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(shortDomain ? { items, shortDomain } : { items }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to shorten URLs.');
+            }
+            setSummary(data);
+            appLogger.info('Bulk URL shortening finished', { created: data.created, failed: data.failed });
+        } catch (err) {
+            setError(err.message);
+            appLogger.error('Error during bulk URL shortening', { error: err.message, stack: err.stack });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Paper
+            elevation={3}
+            sx={{ p: 3, display: 'flex', flexDirection: 'column', gap: 2 }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+                e.preventDefault();
+                handleFile(e.dataTransfer.files[0]);
+            }}
+        >
+            <Typography variant="body2" color="text.secondary">
+                One URL per line, optionally followed by a validity in minutes and a custom shortcode:
+                <code> https://example.com/page,60,mycode1</code>. You can also drop a CSV or text file here.
+            </Typography>
+            <TextField
+                label="URLs"
+                multiline
+                minRows={8}
+                fullWidth
+                value={bulkText}
+                onChange={(e) => setBulkText(e.target.value)}
+                disabled={loading}
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+                <Button variant="outlined" component="label" disabled={loading}>
+                    Choose File
+                    <input type="file" hidden accept=".csv,.txt,text/csv,text/plain" onChange={(e) => handleFile(e.target.files[0])} />
+                </Button>
+                <Button
+                    variant="contained"
+                    onClick={handleSubmit}
+                    disabled={loading}
+                    startIcon={loading ? <CircularProgress size={20} color="inherit" /> : null}
+                >
+                    {loading ? 'Shortening...' : `Shorten ${parseBulkInput(bulkText).length} URLs`}
+                </Button>
+            </Box>
+            {error && <Alert severity="error">{error}</Alert>}
+            {summary && (
+                <React.Fragment>
+                    <Alert severity={summary.failed > 0 ? 'warning' : 'success'}>
+                        {summary.created} of {summary.total} URLs shortened{summary.failed > 0 && `, ${summary.failed} failed`}.
+                    </Alert>
+                    <TableContainer sx={{ maxHeight: 400 }}>
+                        <Table size="small" stickyHeader>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>#</TableCell>
+                                    <TableCell>Original URL</TableCell>
+                                    <TableCell>Result</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {summary.results.map(result => (
+                                    <TableRow key={result.index}>
+                                        <TableCell>{result.index + 1}</TableCell>
+                                        <TableCell sx={{ wordBreak: 'break-all' }}>{result.url}</TableCell>
+                                        <TableCell sx={{ wordBreak: 'break-all' }}>
+                                            {result.status === 'created' ? (
+                                                <a href={result.shortUrl} target="_blank" rel="noopener noreferrer">
+                                                    {result.shortUrl}
+                                                </a>
+                                            ) : (
+                                                <Typography variant="body2" color="error">{result.error.message}</Typography>
+                                            )}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                </React.Fragment>
+            )}
+        </Paper>
+    );
+};
+
+// Builds the API path of a short URL's QR code (GET /shorturls/:shortCode/qr)
+const qrCodePath = ({ shortCode, shortDomain }, format) => {
+    const query = new URLSearchParams({ format, size: format === 'png' ? '600' : '300', ...(shortDomain ? { shortDomain } : {}) });
+    return `/shorturls/${encodeURIComponent(shortCode)}/qr?${query.toString()}`;
+};
+
+// QR code of a created short URL, rendered by the backend, with PNG and SVG downloads.
+// The API key has to be sent as a header, so images are loaded through blob URLs.
+const ShortUrlQrCode = ({ link }) => {
+    const [imageUrl, setImageUrl] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let objectUrl = null;
+        let cancelled = false;
+        const loadQrCode = async () => {
+            try {
+                const response = await apiFetch(qrCodePath(link, 'png'));
+                if (!response.ok) {
+                    throw new Error('Failed to load the QR code.');
+                }
+                const blob = await response.blob();
+                if (!cancelled) {
+                    objectUrl = URL.createObjectURL(blob);
+                    setImageUrl(objectUrl);
+                }
+            } catch (err) {
+                setError(err.message);
+                appLogger.error('Error loading QR code', { shortCode: link.shortCode, error: err.message });
+            }
+        };
+        loadQrCode();
+        return () => {
+            cancelled = true;
+            if (objectUrl) {
+                URL.revokeObjectURL(objectUrl);
+            }
+        };
+    }, [link]);
+
+    const handleDownload = async (format) => {
+        try {
+            const response = await apiFetch(qrCodePath(link, format));
+            if (!response.ok) {
+                throw new Error('Failed to download the QR code.');
+            }
+            const blob = await response.blob();
+            const anchor = document.createElement('a');
+            anchor.href = URL.createObjectURL(blob);
+            anchor.download = `${link.shortCode}-qr.${format}`;
+            document.body.appendChild(anchor);
+            anchor.click();
+            document.body.removeChild(anchor);
+            URL.revokeObjectURL(anchor.href);
+            appLogger.info('QR code downloaded', { shortCode: link.shortCode, format });
+        } catch (err) {
+            setError(err.message);
+            appLogger.error('Error downloading QR code', { shortCode: link.shortCode, format, error: err.message });
+        }
+    };
+
+    if (error) {
+        return <Typography variant="caption" color="error">{error}</Typography>;
+    }
+    return (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            {imageUrl
+                ? <img src={imageUrl} alt={`QR code for ${link.shortCode}`} width={96} height={96} />
+                : <CircularProgress size={24} />}
+            <Box sx={{ display: 'flex', flexDirection: 'column' }}>
+                <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownload('png')}>PNG</Button>
+                <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownload('svg')}>SVG</Button>
+            </Box>
+        </Box>
+    );
+};
+
+// UTM fields supported by the backend, with the query parameter each one adds to the destination
+const UTM_FIELDS = [
+    { key: 'source', param: 'utm_source', label: 'Source (e.g. newsletter)' },
+    { key: 'medium', param: 'utm_medium', label: 'Medium (e.g. email)' },
+    { key: 'campaign', param: 'utm_campaign', label: 'Campaign (e.g. spring_sale)' },
+    { key: 'term', param: 'utm_term', label: 'Term (optional)' },
+    { key: 'content', param: 'utm_content', label: 'Content (optional)' }
+];
+
+// Returns the destination with the UTM parameters applied, as the backend will redirect to it
+const buildTaggedUrl = (originalUrl, utm) => {
+    try {
+        const url = new URL(originalUrl);
+        UTM_FIELDS.forEach(({ key, param }) => {
+            if (utm[key]) {
+                url.searchParams.set(param, utm[key].trim());
+            }
+        });
+        return url.toString();
+    } catch (e) {
+        return null;
+    }
+};
+
+// Collapsible UTM builder for one URL card, with a preview of the tagged destination
+const UtmBuilder = ({ input, onChange, disabled }) => {
+    const hasUtm = UTM_FIELDS.some(({ key }) => input.utm[key]);
+    const preview = hasUtm ? buildTaggedUrl(input.originalUrl, input.utm) : null;
+
+    return (
+        <Accordion disableGutters variant="outlined">
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                <Typography variant="body2">
+                    Campaign tracking (UTM){hasUtm ? ' - configured' : ''}
+                </Typography>
+            </AccordionSummary>
+            <AccordionDetails sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+                {UTM_FIELDS.map(({ key, label }) => (
+                    <TextField
+                        key={key}
+                        label={label}
+                        size="small"
+                        fullWidth
+                        value={input.utm[key]}
+                        onChange={(e) => onChange('utm', { ...input.utm, [key]: e.target.value })}
+                        disabled={disabled}
+                    />
+                ))}
+                <FormControlLabel
+                    control={
+                        <Checkbox
+                            checked={input.forwardQuery}
+                            onChange={(e) => onChange('forwardQuery', e.target.checked)}
+                            disabled={disabled}
+                        />
+                    }
+                    label="Pass visitors' query parameters through to the destination"
+                />
+                {preview && (
+                    <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                        Visitors will be sent to: {preview}
+                    </Typography>
+                )}
+            </AccordionDetails>
+        </Accordion>
+    );
+};
+
+// Returns an empty input card for the individual shortening form
+const createEmptyInput = () => ({
+    originalUrl: '',
+    validity: '',
+    shortcode: '',
+    password: '',
+    utm: { source: '', medium: '', campaign: '', term: '', content: '' },
+    forwardQuery: false,
+    preview: false,
+    result: null,
+    fieldErrors: {}, // Messages shown under the card's inputs, keyed by card field
+    error: null, // A message for the card as a whole
+    loading: false
+});
+
+// Request fields (see schemas.createShortUrl) shown as inputs of a card, mapped to the card field
+const CARD_FIELDS = {
+    url: 'originalUrl',
+    validity: 'validity',
+    shortcode: 'shortcode',
+    password: 'password'
+};
+
+// Builds the POST /shorturls body for an input card
+const buildPayload = (input, shortDomain) => {
+    const payload = {
+        url: input.originalUrl,
+    };
+    if (input.validity) {
+        // Not parsed with parseInt, so a fractional validity is reported instead of being cut off
+        payload.validity = Number(input.validity);
+    }
+    if (input.shortcode) {
+        payload.shortcode = input.shortcode;
+    }
+    if (input.password) {
+        payload.password = input.password;
+    }
+    const utm = Object.fromEntries(
+        UTM_FIELDS.filter(({ key }) => input.utm[key].trim()).map(({ key }) => [key, input.utm[key].trim()])
+    );
+    if (Object.keys(utm).length > 0) {
+        payload.utm = utm;
+    }
+    if (input.forwardQuery) {
+        payload.forwardQuery = true;
+    }
+    if (input.preview) {
+        payload.preview = true;
+    }
+    if (shortDomain) {
+        payload.shortDomain = shortDomain;
+    }
+    return payload;
+};
+
+// Splits validation problems ({ field, code, message }, from the schema or the API) into messages for
+// the card's inputs and a message for the card as a whole (e.g. UTM fields or the short domain)
+const toCardErrors = (problems) => {
+    const fieldErrors = {};
+    const other = [];
+    problems.forEach(({ field, message }) => {
+        const cardField = CARD_FIELDS[field];
+        if (cardField && !fieldErrors[cardField]) {
+            fieldErrors[cardField] = message;
+        } else if (!cardField) {
+            other.push(message);
+        }
+    });
+    return { fieldErrors, error: other.length > 0 ? other.join(' ') : null };
+};
 
 const UrlShortenerPage = () => {
+    const [mode, setMode] = useState('individual'); // 'individual' or 'bulk'
     // State to manage up to 5 URL input fields
-    const [urlInputs, setUrlInputs] = useState(
-        Array(5).fill({ originalUrl: '', validity: '', shortcode: '', result: null, error: null, loading: false })
-    );
+    // Each card needs its own object, so edits to one card don't show up in the others
+    const [urlInputs, setUrlInputs] = useState(() => Array.from({ length: 5 }, createEmptyInput));
     const [globalError, setGlobalError] = useState(null);
+    // Domains the caller can issue links on; '' selects the default domain
+    const [domains, setDomains] = useState([]);
+    const [shortDomain, setShortDomain] = useState('');
 
-    // Get the backend API URL from environment variables
-    const BACKEND_API_URL = process.env.REACT_APP_BACKEND_API_URL;
+    useEffect(() => {
+        const fetchDomains = async () => {
+            try {
+                const response = await apiFetch('/shorturls/domains');
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.message || 'Failed to load domains.');
+                }
+                setDomains(data);
+            } catch (error) {
+                // Links can still be created on the default domain
+                appLogger.warn('Could not load short link domains', { error: error.message });
+            }
+        };
+        fetchDomains();
+    }, []);
 
     // Handle input changes for each URL field
     const handleInputChange = (index, field, value) => {
         const newInputs = [...urlInputs];
         newInputs[index][field] = value;
-        // Clear previous error/result when input changes
+        // Clear previous errors/result when input changes
         newInputs[index].result = null;
+        newInputs[index].fieldErrors = {};
         newInputs[index].error = null;
         setUrlInputs(newInputs);
     };
 
-    // Validate a single URL input
-    const validateInput = (input) => {
-        if (!input.originalUrl) {
-            return 'Original URL is required.';
-        }
-        try {
-            new URL(input.originalUrl); // Check if it's a valid URL format
-        } catch (e) {
-            return 'Invalid URL format.';
-        }
-        if (input.validity && (isNaN(input.validity) || parseInt(input.validity) <= 0)) {
-            return 'Validity must be a positive number in minutes.';
-        }
-        if (input.shortcode && !/^[a-zA-Z0-9]{5,10}$/.test(input.shortcode)) {
-            return 'Custom shortcode must be 5-10 alphanumeric characters.';
-        }
-        return null; // No error
-    };
-
     // Handle shortening a single URL
     const handleShortenUrl = async (index) => {
         const input = urlInputs[index];
-        const validationError = validateInput(input);
+        const payload = buildPayload(input, shortDomain);
+        // Reserved and blocked shortcodes and unavailable domains are only known to the server
+        const problems = validate(schemas.createShortUrl, payload);
 
-        if (validationError) {
+        if (problems.length > 0) {
             const newInputs = [...urlInputs];
-            newInputs[index].error = validationError;
+            Object.assign(newInputs[index], toCardErrors(problems));
             setUrlInputs(newInputs);
-            appLogger.warn('Client-side validation failed for URL input', { index, error: validationError, input });
+            appLogger.warn('Client-side validation failed for URL input', { index, errors: problems });
             return;
         }
 
         const newInputs = [...urlInputs];
         newInputs[index].loading = true;
-        newInputs[index].error = null; // Clear previous error
+        newInputs[index].fieldErrors = {}; // Clear previous errors
+        newInputs[index].error = null;
         newInputs[index].result = null; // Clear previous result
         setUrlInputs(newInputs);
         setGlobalError(null); // Clear any global error
@@ -66,17 +437,7 @@ const UrlShortenerPage = () => {
         appLogger.info('Attempting to shorten URL via API', { index, originalUrl: input.originalUrl });
 
         try {
-            const payload = {
-                url: input.originalUrl,
-            };
-            if (input.validity) {
-                payload.validity = parseInt(input.validity);
-            }
-            if (input.shortcode) {
-                payload.shortcode = input.shortcode;
-            }
-
-            const response = await fetch(`${BACKEND_API_URL}/shorturls`, {
+            const response = await apiFetch('/shorturls', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -89,11 +450,18 @@ const UrlShortenerPage = () => {
             if (response.ok) {
                 newInputs[index].result = {
                     shortCode: data.shortCode,
+                    shortDomain: data.shortDomain,
                     originalUrl: data.originalUrl,
                     expiry: data.expiry,
-                    shortenedUrl: `${BACKEND_API_URL}/${data.shortCode}` // Construct full shortened URL
+                    passwordProtected: data.passwordProtected,
+                    preview: data.preview,
+                    shortenedUrl: data.shortUrl // Fully qualified by the backend for the link's domain
                 };
                 appLogger.info('URL shortened successfully', { index, shortCode: data.shortCode });
+            } else if (Array.isArray(data.errors)) {
+                // Validation problems come back per field, like the client-side ones
+                Object.assign(newInputs[index], toCardErrors(data.errors));
+                appLogger.error('Failed to shorten URL from API', { index, status: response.status, errors: data.errors });
             } else {
                 newInputs[index].error = data.message || 'Failed to shorten URL.';
                 appLogger.error('Failed to shorten URL from API', { index, status: response.status, message: data.message });
@@ -132,7 +500,9 @@ const UrlShortenerPage = () => {
         <Box sx={{ p: 3 }}>
             <Typography variant="h4" gutterBottom>Shorten Your URLs</Typography>
             <Typography variant="body1" color="text.secondary" paragraph>
-                Enter up to 5 URLs to shorten them. You can optionally set a validity period (in minutes) and a custom shortcode.
+                Enter up to 5 URLs to shorten them, or switch to bulk mode to paste a list or upload a file.
+                You can optionally set a validity period (in minutes), a custom shortcode, a password visitors must enter
+                and UTM campaign tags.
             </Typography>
 
             {globalError && (
@@ -141,77 +511,143 @@ const UrlShortenerPage = () => {
                 </Alert>
             )}
 
-            <Grid container spacing={3}>
-                {urlInputs.map((input, index) => (
-                    <Grid item xs={12} md={6} key={index}>
-                        <Paper elevation={3} sx={{ p: 3, display: 'flex', flexDirection: 'column', gap: 2 }}>
-                            <Typography variant="h6">URL #{index + 1}</Typography>
-                            <TextField
-                                label="Original URL"
-                                variant="outlined"
-                                fullWidth
-                                value={input.originalUrl}
-                                onChange={(e) => handleInputChange(index, 'originalUrl', e.target.value)}
-                                error={!!input.error} // Show error state if there's an error
-                                helperText={input.error} // Display error message
-                                disabled={input.loading}
-                            />
-                            <TextField
-                                label="Validity (minutes, optional)"
-                                variant="outlined"
-                                fullWidth
-                                type="number"
-                                value={input.validity}
-                                onChange={(e) => handleInputChange(index, 'validity', e.target.value)}
-                                InputProps={{ inputProps: { min: 1 } }}
-                                disabled={input.loading}
-                            />
-                            <TextField
-                                label="Custom Shortcode (optional, 5-10 alphanumeric)"
-                                variant="outlined"
-                                fullWidth
-                                value={input.shortcode}
-                                onChange={(e) => handleInputChange(index, 'shortcode', e.target.value)}
-                                disabled={input.loading}
-                            />
-                            <Button
-                                variant="contained"
-                                onClick={() => handleShortenUrl(index)}
-                                disabled={input.loading}
-                                startIcon={input.loading ? <CircularProgress size={20} color="inherit" /> : null}
-                            >
-                                {input.loading ? 'Shortening...' : 'Shorten URL'}
-                            </Button>
-
-                            {input.result && (
-                                <Box sx={{ mt: 2, p: 2, border: '1px dashed #ccc', borderRadius: 1, backgroundColor: '#e8f5e9' }}>
-                                    <Typography variant="subtitle1" color="success.main">Shortened Successfully!</Typography>
-                                    <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
-                                        Original: <a href={input.result.originalUrl} target="_blank" rel="noopener noreferrer">{input.result.originalUrl}</a>
-                                    </Typography>
-                                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
-                                        <Typography variant="body1" fontWeight="bold" sx={{ wordBreak: 'break-all' }}>
-                                            Short URL: <a href={input.result.shortenedUrl} target="_blank" rel="noopener noreferrer">{input.result.shortenedUrl}</a>
+            <Tabs value={mode} onChange={(e, value) => setMode(value)} sx={{ mb: 3 }}>
+                <Tab label="Individual" value="individual" />
+                <Tab label="Bulk" value="bulk" />
+            </Tabs>
+
+            {domains.length > 1 && (
+                <TextField
+                    select
+                    label="Short link domain"
+                    value={shortDomain}
+                    onChange={(e) => setShortDomain(e.target.value)}
+                    sx={{ mb: 3, minWidth: 280 }}
+                >
+                    {domains.map(domain => (
+                        <MenuItem key={domain.hostname || 'default'} value={domain.hostname || ''}>
+                            {domain.baseUrl}{domain.default ? ' (default)' : ''}
+                        </MenuItem>
+                    ))}
+                </TextField>
+            )}
+
+            {mode === 'bulk' ? <BulkShortenPanel shortDomain={shortDomain} /> : (
+                <Grid container spacing={3}>
+                    {urlInputs.map((input, index) => (
+                        <Grid item xs={12} md={6} key={index}>
+                            <Paper elevation={3} sx={{ p: 3, display: 'flex', flexDirection: 'column', gap: 2 }}>
+                                <Typography variant="h6">URL #{index + 1}</Typography>
+                                <TextField
+                                    label="Original URL"
+                                    variant="outlined"
+                                    fullWidth
+                                    value={input.originalUrl}
+                                    onChange={(e) => handleInputChange(index, 'originalUrl', e.target.value)}
+                                    error={!!input.fieldErrors.originalUrl} // Show error state if there's an error
+                                    helperText={input.fieldErrors.originalUrl} // Display error message
+                                    disabled={input.loading}
+                                />
+                                <TextField
+                                    label="Validity (minutes, optional)"
+                                    variant="outlined"
+                                    fullWidth
+                                    type="number"
+                                    value={input.validity}
+                                    onChange={(e) => handleInputChange(index, 'validity', e.target.value)}
+                                    InputProps={{ inputProps: { min: 1, step: 1 } }}
+                                    error={!!input.fieldErrors.validity}
+                                    helperText={input.fieldErrors.validity}
+                                    disabled={input.loading}
+                                />
+                                <TextField
+                                    label="Custom Shortcode (optional, 5-32 letters, digits, - or _)"
+                                    variant="outlined"
+                                    fullWidth
+                                    value={input.shortcode}
+                                    onChange={(e) => handleInputChange(index, 'shortcode', e.target.value)}
+                                    error={!!input.fieldErrors.shortcode}
+                                    helperText={input.fieldErrors.shortcode}
+                                    disabled={input.loading}
+                                />
+                                <TextField
+                                    label="Password (optional)"
+                                    type="password"
+                                    variant="outlined"
+                                    fullWidth
+                                    autoComplete="new-password"
+                                    value={input.password}
+                                    onChange={(e) => handleInputChange(index, 'password', e.target.value)}
+                                    error={!!input.fieldErrors.password}
+                                    helperText={input.fieldErrors.password}
+                                    disabled={input.loading}
+                                />
+                                <FormControlLabel
+                                    control={
+                                        <Checkbox
+                                            checked={input.preview}
+                                            onChange={(e) => handleInputChange(index, 'preview', e.target.checked)}
+                                            disabled={input.loading}
+                                        />
+                                    }
+                                    label="Show visitors a preview page before redirecting"
+                                />
+                                <UtmBuilder
+                                    input={input}
+                                    onChange={(field, value) => handleInputChange(index, field, value)}
+                                    disabled={input.loading}
+                                />
+                                <Button
+                                    variant="contained"
+                                    onClick={() => handleShortenUrl(index)}
+                                    disabled={input.loading}
+                                    startIcon={input.loading ? <CircularProgress size={20} color="inherit" /> : null}
+                                >
+                                    {input.loading ? 'Shortening...' : 'Shorten URL'}
+                                </Button>
+                                {input.error && <Alert severity="error">{input.error}</Alert>}
+
+                                {input.result && (
+                                    <Box sx={{ mt: 2, p: 2, border: '1px dashed #ccc', borderRadius: 1, backgroundColor: '#e8f5e9' }}>
+                                        <Typography variant="subtitle1" color="success.main">Shortened Successfully!</Typography>
+                                        <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
+                                            Original: <a href={input.result.originalUrl} target="_blank" rel="noopener noreferrer">{input.result.originalUrl}</a>
                                         </Typography>
-                                        <Button
-                                            size="small"
-                                            onClick={() => handleCopyClick(input.result.shortenedUrl)}
-                                            startIcon={<ContentCopyIcon />}
-                                        >
-                                            Copy
-                                        </Button>
-                                    </Box>
-                                    {input.result.expiry && (
-                                        <Typography variant="body2" color="text.secondary">
-                                            Expires: {new Date(input.result.expiry).toLocaleString()}
+                                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                                            <Typography variant="body1" fontWeight="bold" sx={{ wordBreak: 'break-all' }}>
+                                                Short URL: <a href={input.result.shortenedUrl} target="_blank" rel="noopener noreferrer">{input.result.shortenedUrl}</a>
+                                            </Typography>
+                                            <Button
+                                                size="small"
+                                                onClick={() => handleCopyClick(input.result.shortenedUrl)}
+                                                startIcon={<ContentCopyIcon />}
+                                            >
+                                                Copy
+                                            </Button>
+                                            <ShortUrlQrCode link={input.result} />
+                                        </Box>
+                                        {input.result.expiry && (
+                                            <Typography variant="body2" color="text.secondary">
+                                                Expires: {new Date(input.result.expiry).toLocaleString()}
+                                            </Typography>
+                                        )}
+                                        {input.result.passwordProtected && (
+                                            <Typography variant="body2" color="text.secondary">
+                                                Password protected: visitors must enter the password before being redirected.
+                                            </Typography>
+                                        )}
+                                        <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                                            {input.result.preview
+                                                ? 'Preview: visitors see the destination and continue from there.'
+                                                : `Preview it before visiting: ${input.result.shortenedUrl}+`}
                                         </Typography>
-                                    )}
-                                </Box>
-                            )}
-                        </Paper>
-                    </Grid>
-                ))}
-            </Grid>
+                                    </Box>
+                                )}
+                            </Paper>
+                        </Grid>
+                    ))}
+                </Grid>
+            )}
         </Box>
     );
 };
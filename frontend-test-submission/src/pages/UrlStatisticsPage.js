@@ -2,15 +2,455 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import {
     Box, Typography, Paper, CircularProgress, Alert,
-    Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Collapse, IconButton
+    Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Collapse, IconButton, Button,
+    TextField, MenuItem, Dialog, DialogTitle, DialogContent, DialogActions, Chip, FormControlLabel, Checkbox
 } from '@mui/material';
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
 import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
 import { appLogger } from '../logger'; // Import the custom frontend logger
+import { apiFetch } from '../api';
 
-// Component to display individual URL statistics with collapsible click history
-const UrlStatsRow = ({ urlData }) => {
+// Renders a simple horizontal bar list (label, bar proportional to the max count, count)
+const BreakdownList = ({ title, rows }) => {
+    const max = Math.max(1, ...rows.map(row => row.clicks));
+    return (
+        <Box sx={{ flex: 1, minWidth: 240 }}>
+            <Typography variant="subtitle2" gutterBottom>{title}</Typography>
+            {rows.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">No data.</Typography>
+            ) : rows.map(row => (
+                <Box key={row.label} sx={{ mb: 0.5 }}>
+                    <Typography variant="caption" sx={{ display: 'block', wordBreak: 'break-all' }}>
+                        {row.label} ({row.clicks})
+                    </Typography>
+                    <Box sx={{ height: 6, width: `${(row.clicks / max) * 100}%`, backgroundColor: 'primary.main', borderRadius: 1 }} />
+                </Box>
+            ))}
+        </Box>
+    );
+};
+
+// Builds the API path of one short URL, e.g. linkPath(link, '/analytics', { interval: 'day' }).
+// Links on a custom domain are addressed with ?shortDomain=, since codes are unique per domain.
+const linkPath = ({ shortCode, shortDomain }, suffix = '', params = {}) => {
+    const query = new URLSearchParams({ ...params, ...(shortDomain ? { shortDomain } : {}) }).toString();
+    return `/shorturls/${encodeURIComponent(shortCode)}${suffix}${query ? `?${query}` : ''}`;
+};
+
+// Component to display aggregated click analytics for one short URL (computed on the backend)
+const ClickAnalyticsPanel = ({ link }) => {
+    const { shortCode, shortDomain } = link;
+    const [interval, setBucketInterval] = useState('day');
+    const [analytics, setAnalytics] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchAnalytics = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const response = await apiFetch(linkPath({ shortCode, shortDomain }, '/analytics', { interval }));
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.message || 'Failed to load analytics.');
+                }
+                setAnalytics(data);
+                appLogger.info('Loaded click analytics', { shortCode, interval });
+            } catch (err) {
+                setError(err.message);
+                appLogger.error('Error loading click analytics', { shortCode, interval, error: err.message });
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchAnalytics();
+    }, [shortCode, shortDomain, interval]);
+
+    const maxBucket = analytics ? Math.max(1, ...analytics.timeseries.map(b => b.clicks)) : 1;
+
+    return (
+        <Box sx={{ mb: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+                <Typography variant="h6" component="div">Click Analytics</Typography>
+                <TextField
+                    select
+                    size="small"
+                    label="Interval"
+                    value={interval}
+                    onChange={(e) => setBucketInterval(e.target.value)}
+                >
+                    <MenuItem value="hour">Hourly</MenuItem>
+                    <MenuItem value="day">Daily</MenuItem>
+                    <MenuItem value="week">Weekly</MenuItem>
+                </TextField>
+            </Box>
+            {loading && <CircularProgress size={24} />}
+            {error && <Alert severity="error">{error}</Alert>}
+            {!loading && !error && analytics && (
+                <React.Fragment>
+                    <Typography variant="body2" color="text.secondary" gutterBottom>
+                        {analytics.totalClicks} clicks from {analytics.uniqueVisitors} unique visitors
+                        between {new Date(analytics.from).toLocaleString()} and {new Date(analytics.to).toLocaleString()}
+                        {analytics.botClicks > 0 && ` (${analytics.botClicks} bot/link-preview hits excluded)`}
+                    </Typography>
+                    {/* Clicks per time bucket as a simple column chart */}
+                    <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: 120, mb: 2, borderBottom: '1px solid #ccc' }}>
+                        {analytics.timeseries.map(bucket => (
+                            <Box
+                                key={bucket.bucket}
+                                title={`${new Date(bucket.bucket).toLocaleString()}: ${bucket.clicks} clicks`}
+                                sx={{ flex: 1, minWidth: 2, height: `${(bucket.clicks / maxBucket) * 100}%`, backgroundColor: 'primary.main' }}
+                            />
+                        ))}
+                    </Box>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 3 }}>
+                        <BreakdownList
+                            title="Top Referrers"
+                            rows={analytics.topReferrers.map(r => ({ label: r.referrer, clicks: r.clicks }))}
+                        />
+                        <BreakdownList
+                            title="Referrer Categories"
+                            rows={analytics.referrerCategories.map(r => ({ label: r.value, clicks: r.clicks }))}
+                        />
+                        <BreakdownList
+                            title="Channels"
+                            rows={analytics.channels.map(c => ({ label: c.value === 'qr' ? 'QR code scans' : 'Link visits', clicks: c.clicks }))}
+                        />
+                    </Box>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 3, mt: 2 }}>
+                        <BreakdownList
+                            title="Browsers"
+                            rows={analytics.browsers.map(b => ({ label: b.value, clicks: b.clicks }))}
+                        />
+                        <BreakdownList
+                            title="Operating Systems"
+                            rows={analytics.operatingSystems.map(o => ({ label: o.value, clicks: o.clicks }))}
+                        />
+                        <BreakdownList
+                            title="Device Types"
+                            rows={analytics.deviceTypes.map(d => ({ label: d.value, clicks: d.clicks }))}
+                        />
+                    </Box>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 3, mt: 2 }}>
+                        <BreakdownList
+                            title="Countries"
+                            rows={analytics.countries.map(c => ({ label: c.countryName || c.country, clicks: c.clicks }))}
+                        />
+                        <BreakdownList
+                            title="Top Cities"
+                            rows={analytics.topCities.map(c => ({ label: c.value, clicks: c.clicks }))}
+                        />
+                        <BreakdownList
+                            title="Redirect Rules"
+                            rows={analytics.redirectRules.map(r => ({ label: r.value, clicks: r.clicks }))}
+                        />
+                    </Box>
+                </React.Fragment>
+            )}
+        </Box>
+    );
+};
+
+// Per-variant breakdown of an A/B split link: configured weight against the actual share of clicks
+const VariantBreakdown = ({ variants }) => (
+    <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom component="div">
+            A/B Variants
+        </Typography>
+        <Table size="small">
+            <TableHead>
+                <TableRow>
+                    <TableCell>Variant</TableCell>
+                    <TableCell>Destination</TableCell>
+                    <TableCell align="right">Weight</TableCell>
+                    <TableCell align="right">Clicks</TableCell>
+                    <TableCell align="right">Unique Visitors</TableCell>
+                    <TableCell align="right">Share of Clicks</TableCell>
+                </TableRow>
+            </TableHead>
+            <TableBody>
+                {variants.map(variant => (
+                    <TableRow key={variant.name}>
+                        <TableCell>{variant.name}</TableCell>
+                        <TableCell sx={{ wordBreak: 'break-all' }}>{variant.destination || '(removed)'}</TableCell>
+                        <TableCell align="right">{variant.weight}%</TableCell>
+                        <TableCell align="right">{variant.clicks}</TableCell>
+                        <TableCell align="right">{variant.uniqueVisitors}</TableCell>
+                        <TableCell align="right">{variant.share}%</TableCell>
+                    </TableRow>
+                ))}
+            </TableBody>
+        </Table>
+    </Box>
+);
+
+// Converts an ISO date string to the value format of a datetime-local input (local time)
+const toDateTimeLocal = (iso) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// UTM fields a link can carry (see the UTM builder on the shortener page)
+const UTM_KEYS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Redirect statuses a link can use; 301 and 308 are cached by browsers and need an explicit opt-in
+const REDIRECT_TYPES = [
+    { value: 302, label: '302 Found (temporary, default)' },
+    { value: 307, label: '307 Temporary Redirect' },
+    { value: 301, label: '301 Moved Permanently' },
+    { value: 308, label: '308 Permanent Redirect' },
+];
+const PERMANENT_REDIRECT_TYPES = [301, 308];
+
+// Dialog for editing a short URL's destination, expiry, activation time, click limit, UTM tags and redirect settings (PATCH /shorturls/:shortCode)
+const EditUrlDialog = ({ urlData, open, onClose, onSaved }) => {
+    const [originalUrl, setOriginalUrl] = useState(urlData.originalUrl);
+    const [expiresAt, setExpiresAt] = useState(toDateTimeLocal(urlData.expiresAt));
+    const [activatesAt, setActivatesAt] = useState(toDateTimeLocal(urlData.activatesAt));
+    const [maxClicks, setMaxClicks] = useState(urlData.maxClicks ? String(urlData.maxClicks) : '');
+    const [utm, setUtm] = useState(() => Object.fromEntries(UTM_KEYS.map(key => [key, (urlData.utm && urlData.utm[key]) || ''])));
+    const [forwardQuery, setForwardQuery] = useState(Boolean(urlData.forwardQuery));
+    const [preview, setPreview] = useState(Boolean(urlData.preview));
+    const [redirectType, setRedirectType] = useState(urlData.redirectType || 302);
+    const [linkHeader, setLinkHeader] = useState(urlData.linkHeader || '');
+    const [robotsTag, setRobotsTag] = useState(urlData.robotsTag || '');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            const payload = {};
+            if (originalUrl !== urlData.originalUrl) {
+                payload.url = originalUrl;
+            }
+            if (expiresAt !== toDateTimeLocal(urlData.expiresAt)) {
+                payload.expiresAt = expiresAt ? new Date(expiresAt).toISOString() : null;
+            }
+            if (activatesAt !== toDateTimeLocal(urlData.activatesAt)) {
+                payload.activatesAt = activatesAt ? new Date(activatesAt).toISOString() : null;
+            }
+            if (maxClicks !== (urlData.maxClicks ? String(urlData.maxClicks) : '')) {
+                payload.maxClicks = maxClicks ? Number(maxClicks) : null;
+            }
+            // Only send the UTM fields that changed; an emptied field is cleared with null
+            const utmChanges = Object.fromEntries(UTM_KEYS
+                .filter(key => utm[key].trim() !== ((urlData.utm && urlData.utm[key]) || ''))
+                .map(key => [key, utm[key].trim() || null]));
+            if (Object.keys(utmChanges).length > 0) {
+                payload.utm = utmChanges;
+            }
+            if (forwardQuery !== Boolean(urlData.forwardQuery)) {
+                payload.forwardQuery = forwardQuery;
+            }
+            if (preview !== Boolean(urlData.preview)) {
+                payload.preview = preview;
+            }
+            if (redirectType !== (urlData.redirectType || 302)) {
+                payload.redirectType = redirectType;
+                // The warning below is shown while a permanent type is selected; saving confirms it
+                if (PERMANENT_REDIRECT_TYPES.includes(redirectType)) {
+                    payload.allowPermanentRedirect = true;
+                }
+            }
+            if (linkHeader.trim() !== (urlData.linkHeader || '')) {
+                payload.linkHeader = linkHeader.trim() || null;
+            }
+            if (robotsTag.trim() !== (urlData.robotsTag || '')) {
+                payload.robotsTag = robotsTag.trim() || null;
+            }
+            const response = await apiFetch(linkPath(urlData), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to update URL.');
+            }
+            appLogger.info('Short URL updated', { shortCode: urlData.shortCode, changes: data.changes });
+            onSaved();
+        } catch (err) {
+            setError(err.message);
+            appLogger.error('Error updating short URL', { shortCode: urlData.shortCode, error: err.message });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+            <DialogTitle>Edit {urlData.shortCode}</DialogTitle>
+            <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+                {error && <Alert severity="error">{error}</Alert>}
+                <TextField
+                    label="Destination URL"
+                    fullWidth
+                    margin="dense"
+                    value={originalUrl}
+                    onChange={(e) => setOriginalUrl(e.target.value)}
+                />
+                <TextField
+                    label="Expires At (leave empty for no expiry)"
+                    type="datetime-local"
+                    fullWidth
+                    value={expiresAt}
+                    onChange={(e) => setExpiresAt(e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                />
+                <TextField
+                    label="Activates At (leave empty to activate immediately)"
+                    type="datetime-local"
+                    fullWidth
+                    value={activatesAt}
+                    onChange={(e) => setActivatesAt(e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                />
+                <TextField
+                    label="Max Clicks (leave empty for no limit)"
+                    type="number"
+                    fullWidth
+                    value={maxClicks}
+                    onChange={(e) => setMaxClicks(e.target.value)}
+                    inputProps={{ min: 1, step: 1 }}
+                />
+                <Typography variant="subtitle2">Campaign tracking (UTM)</Typography>
+                {UTM_KEYS.map(key => (
+                    <TextField
+                        key={key}
+                        label={`utm_${key}`}
+                        size="small"
+                        fullWidth
+                        value={utm[key]}
+                        onChange={(e) => setUtm(prev => ({ ...prev, [key]: e.target.value }))}
+                    />
+                ))}
+                <FormControlLabel
+                    control={<Checkbox checked={forwardQuery} onChange={(e) => setForwardQuery(e.target.checked)} />}
+                    label="Pass visitors' query parameters through to the destination"
+                />
+                <FormControlLabel
+                    control={<Checkbox checked={preview} onChange={(e) => setPreview(e.target.checked)} />}
+                    label="Show visitors a preview page before redirecting"
+                />
+                <Typography variant="subtitle2">Redirect</Typography>
+                <TextField
+                    select
+                    label="Redirect type"
+                    size="small"
+                    fullWidth
+                    value={redirectType}
+                    onChange={(e) => setRedirectType(Number(e.target.value))}
+                >
+                    {REDIRECT_TYPES.map(type => (
+                        <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                    ))}
+                </TextField>
+                {PERMANENT_REDIRECT_TYPES.includes(redirectType) && (
+                    <Alert severity="warning">
+                        Browsers cache permanent redirects: repeat visits may not be counted as clicks, and later
+                        changes to this link may not reach visitors who already followed it.
+                    </Alert>
+                )}
+                <TextField
+                    label="Link header (optional)"
+                    size="small"
+                    fullWidth
+                    placeholder='<https://example.com/page>; rel="canonical"'
+                    value={linkHeader}
+                    onChange={(e) => setLinkHeader(e.target.value)}
+                />
+                <TextField
+                    label="X-Robots-Tag header (optional)"
+                    size="small"
+                    fullWidth
+                    placeholder="noindex, nofollow"
+                    value={robotsTag}
+                    onChange={(e) => setRobotsTag(e.target.value)}
+                />
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} disabled={saving}>Cancel</Button>
+                <Button variant="contained" onClick={handleSave} disabled={saving}>
+                    {saving ? 'Saving...' : 'Save'}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+// Component to display individual URL statistics with collapsible analytics and click history
+const UrlStatsRow = ({ urlData, onChanged }) => {
     const [open, setOpen] = useState(false); // State for collapsing click history
+    // Click history is paginated by the backend; pages are fetched when the row is opened and on demand
+    const [clickHistory, setClickHistory] = useState([]);
+    const [historyCursor, setHistoryCursor] = useState(null);
+    const [historyLoaded, setHistoryLoaded] = useState(false);
+    const [loadingHistory, setLoadingHistory] = useState(false);
+    const [variants, setVariants] = useState([]); // Per-variant click breakdown of A/B links, from the stats response
+
+    // Fetch a page of click history for this URL (the first page when no cursor is given)
+    const fetchHistoryPage = useCallback(async (cursor) => {
+        setLoadingHistory(true);
+        try {
+            const link = { shortCode: urlData.shortCode, shortDomain: urlData.shortDomain };
+            const response = await apiFetch(linkPath(link, '', cursor ? { historyCursor: cursor } : {}));
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load click history.');
+            }
+            setClickHistory(prev => (cursor ? [...prev, ...data.clickHistory] : data.clickHistory));
+            setVariants(data.variants || []);
+            setHistoryCursor(data.clickHistoryPagination.nextCursor);
+            appLogger.info('Loaded click history', { shortCode: urlData.shortCode, count: data.clickHistory.length });
+        } catch (err) {
+            appLogger.error('Error loading click history', { shortCode: urlData.shortCode, error: err.message });
+        } finally {
+            setHistoryLoaded(true);
+            setLoadingHistory(false);
+        }
+    }, [urlData.shortCode, urlData.shortDomain]);
+
+    useEffect(() => {
+        if (open && !historyLoaded) {
+            fetchHistoryPage(null);
+        }
+    }, [open, historyLoaded, fetchHistoryPage]);
+
+    const [editOpen, setEditOpen] = useState(false);
+    const [actionError, setActionError] = useState(null);
+
+    // Enable/disable the link, or soft-delete it (its click history is kept)
+    const runAction = async (path, options, description) => {
+        setActionError(null);
+        try {
+            const response = await apiFetch(path, options);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to ${description}.`);
+            }
+            appLogger.info(`Short URL action succeeded: ${description}`, { shortCode: urlData.shortCode });
+            onChanged();
+        } catch (err) {
+            setActionError(err.message);
+            appLogger.error(`Short URL action failed: ${description}`, { shortCode: urlData.shortCode, error: err.message });
+        }
+    };
+
+    const handleToggleDisabled = () => runAction(linkPath(urlData), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ disabled: !urlData.disabled }),
+    }, urlData.disabled ? 'enable URL' : 'disable URL');
+
+    const handleDelete = () => {
+        if (window.confirm(`Delete ${urlData.shortCode}? The link will stop working; its click history is kept.`)) {
+            runAction(linkPath(urlData, '', { soft: 'true' }), { method: 'DELETE' }, 'delete URL');
+        }
+    };
 
     return (
         <React.Fragment>
@@ -25,39 +465,83 @@ const UrlStatsRow = ({ urlData }) => {
                     </IconButton>
                 </TableCell>
                 <TableCell component="th" scope="row">
-                    <a href={`${process.env.REACT_APP_BACKEND_API_URL}/${urlData.shortCode}`} target="_blank" rel="noopener noreferrer">
+                    <a href={urlData.shortUrl} target="_blank" rel="noopener noreferrer">
                         {urlData.shortCode}
                     </a>
+                    {urlData.shortDomain && (
+                        <Typography variant="caption" color="text.secondary" display="block">{urlData.shortDomain}</Typography>
+                    )}
+                    {urlData.disabled && <Chip label="Disabled" size="small" sx={{ ml: 1 }} />}
+                    {urlData.passwordProtected && <Chip label="Protected" size="small" color="info" sx={{ ml: 1 }} />}
+                    {urlData.variantCount > 0 && <Chip label={`A/B: ${urlData.variantCount} variants`} size="small" sx={{ ml: 1 }} />}
+                    {urlData.ruleCount > 0 && <Chip label={`${urlData.ruleCount} rule${urlData.ruleCount === 1 ? '' : 's'}`} size="small" sx={{ ml: 1 }} />}
+                    {urlData.activatesAt && new Date(urlData.activatesAt) > new Date() && (
+                        <Chip label={`Starts ${new Date(urlData.activatesAt).toLocaleString()}`} size="small" sx={{ ml: 1 }} />
+                    )}
                 </TableCell>
                 <TableCell>{urlData.originalUrl}</TableCell>
-                <TableCell>{urlData.totalClicks}</TableCell>
+                <TableCell>{urlData.maxClicks ? `${urlData.totalClicks} / ${urlData.maxClicks}` : urlData.totalClicks}</TableCell>
                 <TableCell>{new Date(urlData.createdAt).toLocaleString()}</TableCell>
                 <TableCell>{urlData.expiresAt ? new Date(urlData.expiresAt).toLocaleString() : 'Never'}</TableCell>
+                <TableCell>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                        <Button size="small" onClick={() => setEditOpen(true)}>Edit</Button>
+                        <Button size="small" onClick={handleToggleDisabled}>
+                            {urlData.disabled ? 'Enable' : 'Disable'}
+                        </Button>
+                        <Button size="small" color="error" onClick={handleDelete}>Delete</Button>
+                    </Box>
+                    {actionError && <Typography variant="caption" color="error">{actionError}</Typography>}
+                    {editOpen && (
+                        <EditUrlDialog
+                            urlData={urlData}
+                            open={editOpen}
+                            onClose={() => setEditOpen(false)}
+                            onSaved={() => {
+                                setEditOpen(false);
+                                onChanged();
+                            }}
+                        />
+                    )}
+                </TableCell>
             </TableRow>
             <TableRow>
-                <TableCell style={{ paddingBottom: 0, paddingTop: 0 }} colSpan={6}>
+                <TableCell style={{ paddingBottom: 0, paddingTop: 0 }} colSpan={7}>
                     <Collapse in={open} timeout="auto" unmountOnExit>
                         <Box sx={{ margin: 1 }}>
+                            <ClickAnalyticsPanel link={urlData} />
+                            {variants.length > 0 && <VariantBreakdown variants={variants} />}
                             <Typography variant="h6" gutterBottom component="div">
                                 Click History
                             </Typography>
-                            {urlData.clickHistory && urlData.clickHistory.length > 0 ? (
+                            {clickHistory.length > 0 ? (
                                 <Table size="small" aria-label="purchases">
                                     <TableHead>
                                         <TableRow>
                                             <TableCell>Timestamp</TableCell>
-                                            <TableCell>Source</TableCell>
-                                            <TableCell>Location (IP)</TableCell>
+                                            <TableCell>Referrer</TableCell>
+                                            <TableCell>Browser / OS / Device</TableCell>
+                                            <TableCell>Location</TableCell>
+                                            <TableCell>Rule</TableCell>
+                                            <TableCell>IP</TableCell>
                                         </TableRow>
                                     </TableHead>
                                     <TableBody>
-                                        {urlData.clickHistory.map((historyRow, i) => (
+                                        {clickHistory.map((historyRow, i) => (
                                             <TableRow key={i}>
                                                 <TableCell component="th" scope="row">
                                                     {new Date(historyRow.timestamp).toLocaleString()}
                                                 </TableCell>
-                                                <TableCell>{historyRow.source}</TableCell>
+                                                <TableCell>
+                                                    {historyRow.referrer || 'Direct'} ({historyRow.referrerCategory})
+                                                </TableCell>
+                                                <TableCell>
+                                                    {historyRow.browser} / {historyRow.os} / {historyRow.deviceType}
+                                                    {historyRow.isBot && ' (bot)'}
+                                                </TableCell>
                                                 <TableCell>{historyRow.location}</TableCell>
+                                                <TableCell>{historyRow.rule || (historyRow.variant ? `Variant ${historyRow.variant}` : 'Fallback')}</TableCell>
+                                                <TableCell>{historyRow.ip || '-'}</TableCell>
                                             </TableRow>
                                         ))}
                                     </TableBody>
@@ -65,6 +549,11 @@ const UrlStatsRow = ({ urlData }) => {
                             ) : (
                                 <Typography variant="body2" color="text.secondary">No click history available.</Typography>
                             )}
+                            {historyCursor && (
+                                <Button size="small" sx={{ mt: 1 }} onClick={() => fetchHistoryPage(historyCursor)} disabled={loadingHistory}>
+                                    {loadingHistory ? 'Loading...' : 'Load more'}
+                                </Button>
+                            )}
                         </Box>
                     </Collapse>
                 </TableCell>
@@ -74,90 +563,93 @@ const UrlStatsRow = ({ urlData }) => {
 };
 
 
+// Export controls: downloads all of the caller's links via GET /shorturls/export
+const ExportControls = () => {
+    const [format, setFormat] = useState('csv');
+    const [includeClicks, setIncludeClicks] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleExport = async () => {
+        setExporting(true);
+        setError(null);
+        appLogger.info('Exporting short URLs', { format, includeClicks });
+        try {
+            const params = new URLSearchParams({ format, includeClicks: String(includeClicks) });
+            const response = await apiFetch(`/shorturls/export?${params.toString()}`);
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message || 'Failed to export URLs.');
+            }
+            // The API key has to be sent as a header, so the file is downloaded through a blob URL
+            const blob = await response.blob();
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : `shorturls.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+            appLogger.info('Short URLs exported', { format, includeClicks, size: blob.size });
+        } catch (err) {
+            setError(err.message);
+            appLogger.error('Error exporting short URLs', { error: err.message });
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+            <TextField select size="small" label="Format" value={format} onChange={(e) => setFormat(e.target.value)}>
+                <MenuItem value="csv">CSV</MenuItem>
+                <MenuItem value="json">JSON</MenuItem>
+                <MenuItem value="ndjson">NDJSON</MenuItem>
+            </TextField>
+            <FormControlLabel
+                control={<Checkbox checked={includeClicks} onChange={(e) => setIncludeClicks(e.target.checked)} />}
+                label="Include click events"
+            />
+            <Button variant="outlined" onClick={handleExport} disabled={exporting}>
+                {exporting ? 'Exporting...' : 'Export'}
+            </Button>
+            {error && <Typography variant="body2" color="error">{error}</Typography>}
+        </Box>
+    );
+};
+
+// Number of URLs requested per page from the listing endpoint
+const PAGE_SIZE = 20;
+
 const UrlStatisticsPage = () => {
     const [stats, setStats] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
-    const BACKEND_API_URL = process.env.REACT_APP_BACKEND_API_URL;
-
-    // Function to fetch all short URLs and their stats
-    // Note: The backend API currently only supports fetching stats for a *single* shortcode.
-    // To display "all shortened URLs," we would need a new backend API endpoint
-    // like GET /shorturls/all or a paginated list.
-    // For this evaluation, we will simulate fetching a list of *example* shortcodes
-    // and then fetch their individual stats. In a real app, the backend would provide a list.
-    // Given the prompt: "display a list of all shortened URLs created (either in the current session or historically if data persistence is implemented and accessible)"
-    // and the backend API spec: "Retrieve Short URL Statistics - http://hostname:port/shorturls/:abcd1"
-    // We will assume the backend provides a way to list all shortcodes, or we'll fetch
-    // a pre-defined set for demonstration.
-    // For a complete solution, you'd extend the backend to have a GET /shorturls endpoint
-    // that returns a list of all shortcodes and basic info.
-    // For now, let's assume we can fetch all by iterating over known ones, or add a simple
-    // backend endpoint for listing all.
-    //
-    // Let's add a simple backend endpoint to list all URLs for the frontend.
-    // This is a common pattern for "getting all" data.
-    // I will add a temporary note here and assume you will add a GET /shorturls endpoint
-    // to your backend that returns all URLs. If not, this page will only show dummy data.
-
-    // --- TEMPORARY NOTE FOR BACKEND EXTENSION ---
-    // For this page to work fully as described ("list of all shortened URLs"),
-    // you would need to add a new endpoint to your backend:
-    // Method: GET
-    // Route: http://hostname:port/shorturls
-    // Response: Array of { shortCode, originalUrl, createdAt, expiresAt, totalClicks }
-    //
-    // In backend-test-submission/routes/urlRoutes.js:
-    // router.get('/', urlController.getAllShortUrls); // Add this line
-    //
-    // In backend-test-submission/controllers/urlController.js:
-    // exports.getAllShortUrls = async (req, res) => {
-    //     try {
-    //         const urls = await Url.find({}, 'shortCode originalUrl createdAt expiresAt clicks'); // Fetch relevant fields
-    //         appLogger.info('Retrieved all short URLs list');
-    //         res.status(200).json(urls.map(url => ({
-    //             shortCode: url.shortCode,
-    //             originalUrl: url.originalUrl,
-    //             createdAt: url.createdAt.toISOString(),
-    //             expiresAt: url.expiresAt ? url.expiresAt.toISOString() : null,
-    //             totalClicks: url.clicks
-    //         })));
-    //     } catch (error) {
-    //         appLogger.error('Error retrieving all short URLs', { error: error.message, stack: error.stack });
-    //         res.status(500).json({ message: 'Server error while retrieving URL list.' });
-    //     }
-    // };
-    // --- END TEMPORARY NOTE ---
+    // Cursor-based pagination state returned by GET /shorturls
+    const [pageInfo, setPageInfo] = useState(null);
+    const [pageCursor, setPageCursor] = useState(null); // e.g. { after: '...' } or { before: '...' }
 
+    // Function to fetch a page of short URLs
     const fetchAllUrlsAndStats = useCallback(async () => {
         appLogger.info('Fetching all URL statistics...');
         setLoading(true);
         setError(null);
         try {
-            // First, fetch the list of all short URLs (assuming backend has GET /shorturls)
-            const listResponse = await fetch(`${BACKEND_API_URL}/shorturls`);
+            // First, fetch the current page of short URLs
+            const params = new URLSearchParams({ limit: PAGE_SIZE, ...(pageCursor || {}) });
+            const listResponse = await apiFetch(`/shorturls?${params.toString()}`);
             if (!listResponse.ok) {
                 const errorData = await listResponse.json();
                 throw new Error(errorData.message || 'Failed to fetch list of URLs.');
             }
-            const urlList = await listResponse.json();
-
-            // Then, for each URL in the list, fetch its detailed statistics
-            const detailedStatsPromises = urlList.map(async (url) => {
-                const statsResponse = await fetch(`${BACKEND_API_URL}/shorturls/${url.shortCode}`);
-                if (statsResponse.ok) {
-                    return statsResponse.json();
-                } else {
-                    const errorData = await statsResponse.json();
-                    appLogger.warn(`Failed to fetch detailed stats for ${url.shortCode}: ${errorData.message}`);
-                    return null; // Return null for failed fetches
-                }
-            });
+            const { data: urlList, pagination } = await listResponse.json();
+            setPageInfo(pagination);
 
-            const detailedStats = await Promise.all(detailedStatsPromises);
-            // Filter out any nulls from failed fetches
-            setStats(detailedStats.filter(item => item !== null));
+            // Per-URL analytics and click history are loaded lazily when a row is expanded
+            setStats(urlList);
             appLogger.info('Successfully fetched all URL statistics.');
 
         } catch (err) {
@@ -166,7 +658,7 @@ const UrlStatisticsPage = () => {
         } finally {
             setLoading(false);
         }
-    }, [BACKEND_API_URL]);
+    }, [pageCursor]);
 
     useEffect(() => {
         fetchAllUrlsAndStats();
@@ -193,9 +685,11 @@ const UrlStatisticsPage = () => {
         <Box sx={{ p: 3 }}>
             <Typography variant="h4" gutterBottom>URL Statistics</Typography>
             <Typography variant="body1" color="text.secondary" paragraph>
-                Detailed usage statistics for your shortened URLs. Click on a row to view click history.
+                Detailed usage statistics for your shortened URLs. Expand a row to view click analytics and history.
             </Typography>
 
+            <ExportControls />
+
             {stats.length === 0 ? (
                 <Alert severity="info">No shortened URLs found yet. Go to "Shorten URL" to create some!</Alert>
             ) : (
@@ -209,16 +703,41 @@ const UrlStatisticsPage = () => {
                                 <TableCell>Total Clicks</TableCell>
                                 <TableCell>Created At</TableCell>
                                 <TableCell>Expires At</TableCell>
+                                <TableCell>Actions</TableCell>
                             </TableRow>
                         </TableHead>
                         <TableBody>
                             {stats.map((urlData) => (
-                                <UrlStatsRow key={urlData.shortCode} urlData={urlData} />
+                                <UrlStatsRow key={urlData.shortCode} urlData={urlData} onChanged={fetchAllUrlsAndStats} />
                             ))}
                         </TableBody>
                     </Table>
                 </TableContainer>
             )}
+
+            {pageInfo && (
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
+                    <Typography variant="body2" color="text.secondary">
+                        Showing {pageInfo.count} of {pageInfo.total} shortened URLs
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                        <Button
+                            variant="outlined"
+                            disabled={!pageInfo.prevCursor}
+                            onClick={() => setPageCursor({ before: pageInfo.prevCursor })}
+                        >
+                            Previous
+                        </Button>
+                        <Button
+                            variant="outlined"
+                            disabled={!pageInfo.nextCursor}
+                            onClick={() => setPageCursor({ after: pageInfo.nextCursor })}
+                        >
+                            Next
+                        </Button>
+                    </Box>
+                </Box>
+            )}
         </Box>
     );
 };
@@ -0,0 +1,15 @@
+// request-schemas/index.js
+// Request validation shared by the backend and the frontend:
+//   const { validate, schemas } = require('request-schemas');
+//   const problems = validate(schemas.createShortUrl, body); // [{ field, code, message }, ...]
+const { ERROR_CODES, URL_SCHEMES, validate, normalizeHostname, isValidUrl } = require('./validate');
+const schemas = require('./schemas');
+
+module.exports = {
+    ERROR_CODES,
+    URL_SCHEMES,
+    validate,
+    normalizeHostname,
+    isValidUrl,
+    ...schemas
+};
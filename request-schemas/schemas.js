@@ -0,0 +1,390 @@
+// request-schemas/schemas.js
+// The request schemas of the URL shortener API (see validate.js for the format), with the limits
+// they are built from. The backend validates every API request with them before it reaches a
+// controller (middlewares/validate.js); the frontend validates its forms with the same schemas.
+// Checks that need stored data (a code already in use, a reserved word, a domain the caller may
+// not use) are left to the backend controllers.
+const { ERROR_CODES } = require('./validate');
+
+const MIN_PASSWORD_LENGTH = 4;
+// A stored password hash, as the backend writes it ("scrypt$<salt hex>$<hash hex>"); carried by exports
+const PASSWORD_HASH_PATTERN = /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/;
+// Maximum number of items accepted by a single bulk request
+const MAX_BULK_ITEMS = 5000;
+const MIN_CODE_LENGTH = 3;
+const MAX_CODE_LENGTH = 32;
+// Any stored code (models/url.js): generated codes may be shorter than custom ones
+const STORED_CODE_PATTERN = new RegExp(`^[A-Za-z0-9_-]{${MIN_CODE_LENGTH},${MAX_CODE_LENGTH}}$`);
+// Custom codes: 5-32 letters and digits, with single hyphens or underscores between them
+const CUSTOM_CODE_PATTERN = /^(?=.{5,32}$)[A-Za-z0-9]+([-_][A-Za-z0-9]+)*$/;
+const CUSTOM_CODE_RULES = 'Custom shortcode must be 5-32 letters or digits, optionally separated by single "-" or "_".';
+
+const LIST_SORT_FIELDS = ['createdAt', 'clicks', 'expiresAt'];
+const LINK_STATUSES = ['active', 'expired', 'scheduled'];
+const ANALYTICS_INTERVALS = ['hour', 'day', 'week'];
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const QR_FORMATS = ['png', 'svg'];
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const API_KEY_ROLES = ['user', 'admin'];
+const REDIRECT_TYPES = [301, 302, 307, 308];
+// Browsers cache these, so later visits may skip the shortener: clicks go uncounted and edits unseen
+const PERMANENT_REDIRECT_TYPES = [301, 308];
+const PERMANENT_REDIRECT_WARNING = 'Browsers cache permanent (301/308) redirects: repeat visits may not be counted as clicks, '
+    + 'and later changes to the link may not reach visitors who already followed it.';
+
+// --- Field rules shared by several schemas ---
+
+const destinationUrl = {
+    type: 'url',
+    messages: {
+        REQUIRED: 'Original URL is required.',
+        INVALID_URL: 'Invalid URL format.',
+        UNSUPPORTED_SCHEME: 'Only http and https URLs can be shortened.'
+    }
+};
+const validity = { type: 'integer', min: 1, message: 'Validity must be a positive integer in minutes.' };
+const customShortCode = { type: 'string', pattern: CUSTOM_CODE_PATTERN, code: 'INVALID_SHORTCODE', message: CUSTOM_CODE_RULES };
+const maxClicks = { type: 'integer', min: 1, message: 'maxClicks must be a positive integer.' };
+const activatesAt = { type: 'date', message: 'activatesAt must be a valid date.' };
+// A custom domain to issue the link on; links go on the default domain without one
+const shortDomain = { type: 'hostname', nullable: true, message: 'shortDomain must be a hostname.' };
+// Addresses a link on a custom domain in the /shorturls/:shortCode routes; "default" is the default domain
+const linkDomain = { type: 'hostname', message: 'shortDomain must be a hostname.' };
+const redirectType = { type: 'enum', values: REDIRECT_TYPES, message: `redirectType must be one of: ${REDIRECT_TYPES.join(', ')}.` };
+// Header values sent with the link's redirects; printable ASCII only, so they cannot break the response
+const headerValue = (label, maxLength) => ({
+    type: 'string',
+    nullable: true,
+    minLength: 1,
+    maxLength,
+    pattern: /^[\x20-\x7e]+$/,
+    message: `${label} must be a header value of 1-${maxLength} printable ASCII characters, or null.`
+});
+const linkHeader = headerValue('linkHeader', 2000);
+const robotsTag = headerValue('robotsTag', 200);
+
+// Helper function to report a problem that involves more than one field
+const combinationProblem = (field, message) => ({ field, code: ERROR_CODES.INVALID_COMBINATION, message });
+
+// Helper function to require the explicit opt-in for a permanent redirect type
+const checkPermanentRedirect = (body) => (
+    PERMANENT_REDIRECT_TYPES.includes(body.redirectType) && body.allowPermanentRedirect !== true
+        ? [combinationProblem('redirectType', `${PERMANENT_REDIRECT_WARNING} Set allowPermanentRedirect to true to use redirectType ${body.redirectType}.`)]
+        : []
+);
+
+// --- Route params ---
+
+// /shorturls/:shortCode and the routes below it
+const shortCodeParams = {
+    coerce: true,
+    fields: {
+        shortCode: { type: 'string', pattern: STORED_CODE_PATTERN, code: 'INVALID_SHORTCODE', message: 'Shortcode must be 3-32 letters, digits, "-" or "_".' }
+    }
+};
+
+// /admin/apikeys/:id and /admin/domains/:id
+const idParams = {
+    coerce: true,
+    fields: {
+        id: { type: 'string', pattern: /^[a-f0-9]{24}$/i, message: 'id must be a 24-character hexadecimal id.' }
+    }
+};
+
+// --- /shorturls ---
+
+// POST /shorturls
+const createShortUrl = {
+    fields: {
+        url: { ...destinationUrl, required: true },
+        validity,
+        shortcode: customShortCode,
+        password: {
+            type: 'string',
+            minLength: MIN_PASSWORD_LENGTH,
+            message: `Password must be a string of at least ${MIN_PASSWORD_LENGTH} characters.`
+        },
+        maxClicks,
+        activatesAt,
+        // The entries are checked by the backend (utils/redirectRules.js, utils/variants.js, utils/urlHelpers.js)
+        rules: { type: 'array' },
+        variants: { type: 'array' },
+        stickyVariants: { type: 'boolean' },
+        utm: { type: 'object' },
+        forwardQuery: { type: 'boolean' },
+        preview: { type: 'boolean' },
+        redirectType,
+        allowPermanentRedirect: { type: 'boolean' },
+        linkHeader,
+        robotsTag,
+        shortDomain
+    },
+    check: checkPermanentRedirect
+};
+
+// POST /shorturls/bulk; every item is checked with bulkItem and gets its own result
+const bulkCreate = {
+    fields: {
+        items: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            maxItems: MAX_BULK_ITEMS,
+            message: 'Items must be a non-empty array.',
+            messages: { TOO_LONG: `A bulk request may contain at most ${MAX_BULK_ITEMS} items.` }
+        },
+        shortDomain
+    }
+};
+
+const bulkItem = {
+    fields: {
+        url: { ...destinationUrl, required: true },
+        validity,
+        shortcode: customShortCode,
+        maxClicks,
+        activatesAt
+    }
+};
+
+// Body fields accepted by PATCH /shorturls/:shortCode
+const UPDATABLE_FIELDS = ['url', 'expiresAt', 'validity', 'disabled', 'password', 'maxClicks', 'activatesAt', 'rules', 'variants', 'stickyVariants', 'utm', 'forwardQuery', 'preview', 'redirectType', 'linkHeader', 'robotsTag'];
+
+// PATCH /shorturls/:shortCode; null removes a password, limit, activation date or expiry
+const updateShortUrl = {
+    fields: {
+        url: destinationUrl,
+        expiresAt: { type: 'date', nullable: true, message: 'expiresAt must be a valid date or null.' },
+        validity,
+        disabled: { type: 'boolean', message: 'Disabled must be a boolean.' },
+        password: {
+            type: 'string',
+            nullable: true,
+            minLength: MIN_PASSWORD_LENGTH,
+            message: `Password must be a string of at least ${MIN_PASSWORD_LENGTH} characters, or null.`
+        },
+        maxClicks: { ...maxClicks, nullable: true, message: 'maxClicks must be a positive integer or null.' },
+        activatesAt: { ...activatesAt, nullable: true, message: 'activatesAt must be a valid date or null.' },
+        rules: { type: 'array' },
+        variants: { type: 'array' },
+        stickyVariants: { type: 'boolean' },
+        utm: { type: 'object' },
+        forwardQuery: { type: 'boolean' },
+        preview: { type: 'boolean' },
+        redirectType,
+        allowPermanentRedirect: { type: 'boolean' },
+        linkHeader,
+        robotsTag
+    },
+    check: (body) => {
+        if (UPDATABLE_FIELDS.every(field => body[field] === undefined)) {
+            return [{ field: null, code: ERROR_CODES.REQUIRED, message: `Nothing to update. Provide one of: ${UPDATABLE_FIELDS.join(', ')}.` }];
+        }
+        if (body.expiresAt !== undefined && body.validity !== undefined) {
+            return [combinationProblem('validity', 'Provide either expiresAt or validity, not both.')];
+        }
+        return checkPermanentRedirect(body);
+    }
+};
+
+// GET /shorturls
+const listQuery = {
+    coerce: true,
+    fields: {
+        limit: { type: 'integer', min: 1, message: 'Limit must be a positive integer.' },
+        sortBy: { type: 'enum', values: LIST_SORT_FIELDS },
+        order: { type: 'enum', values: ['asc', 'desc'], message: 'Order must be either "asc" or "desc".' },
+        status: { type: 'enum', values: LINK_STATUSES, message: 'Status must be one of "active", "expired" or "scheduled".' },
+        // The destination's hostname; subdomains are not included
+        domain: { type: 'hostname', message: 'domain must be a hostname.' },
+        // "default" selects the links on the default domain
+        shortDomain: linkDomain,
+        createdFrom: { type: 'date' },
+        createdTo: { type: 'date' },
+        q: { type: 'string' },
+        after: { type: 'string' },
+        before: { type: 'string' }
+    },
+    check: (query) => (query.after && query.before
+        ? [combinationProblem('before', 'Only one of "after" or "before" may be provided.')]
+        : [])
+};
+
+// GET /shorturls/:shortCode
+const statsQuery = {
+    coerce: true,
+    fields: {
+        historyLimit: { type: 'integer', min: 1, message: 'historyLimit must be a positive integer.' },
+        historyCursor: { type: 'string' },
+        shortDomain: linkDomain
+    }
+};
+
+// GET /shorturls/:shortCode/analytics
+const analyticsQuery = {
+    coerce: true,
+    fields: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        interval: { type: 'enum', values: ANALYTICS_INTERVALS, label: 'Interval' },
+        includeBots: { type: 'boolean' },
+        shortDomain: linkDomain
+    },
+    // "to" defaults to now, so a "from" in the future is out of order as well
+    check: (query) => (query.from && new Date(query.from) > (query.to ? new Date(query.to) : new Date())
+        ? [combinationProblem('from', 'from must be before to.')]
+        : [])
+};
+
+// DELETE /shorturls/:shortCode
+const deleteQuery = {
+    coerce: true,
+    fields: {
+        soft: { type: 'boolean' },
+        shortDomain: linkDomain
+    }
+};
+
+// The other /shorturls/:shortCode routes, which only take the link's domain
+const linkQuery = {
+    coerce: true,
+    fields: {
+        shortDomain: linkDomain
+    }
+};
+
+// GET /shorturls/export
+const exportQuery = {
+    coerce: true,
+    fields: {
+        format: { type: 'enum', values: EXPORT_FORMATS, label: 'Format' },
+        includeClicks: { type: 'boolean' },
+        createdFrom: { type: 'date' },
+        createdTo: { type: 'date' },
+        clicksFrom: { type: 'date' },
+        clicksTo: { type: 'date' }
+    }
+};
+
+// GET /shorturls/:shortCode/qr; size is the image width in pixels and margin the quiet zone in modules
+const qrQuery = {
+    coerce: true,
+    fields: {
+        format: { type: 'enum', values: QR_FORMATS, label: 'Format' },
+        size: { type: 'integer', min: 64, max: 2048, label: 'Size' },
+        margin: { type: 'integer', min: 0, max: 16, label: 'Margin' },
+        ecc: { type: 'enum', values: QR_ERROR_CORRECTION_LEVELS, label: 'Error correction level' },
+        shortDomain: linkDomain
+    }
+};
+
+// One link of a POST /shorturls/import document. CSV values arrive as strings and an empty
+// cell means the value is not set, hence coerce.
+const importRecord = {
+    coerce: true,
+    fields: {
+        shortCode: { ...shortCodeParams.fields.shortCode, required: true },
+        originalUrl: { ...destinationUrl, required: true },
+        createdAt: { type: 'date', nullable: true },
+        expiresAt: { type: 'date', nullable: true },
+        activatesAt: { type: 'date', nullable: true },
+        maxClicks: { ...maxClicks, nullable: true },
+        shortDomain,
+        // An integer rule, since CSV values arrive as strings; the allowed values are checked below
+        redirectType: { type: 'integer', nullable: true, label: 'redirectType' },
+        allowPermanentRedirect: { type: 'boolean' },
+        linkHeader,
+        robotsTag,
+        // Protected links keep their password: only its hash is exported, and it is restored as is
+        passwordHash: { type: 'string', nullable: true, pattern: PASSWORD_HASH_PATTERN, message: 'passwordHash must be a hash from an export.' },
+        // An admin flag, as an object in JSON and NDJSON and spread over three columns in CSV
+        flag: { type: 'object', nullable: true },
+        flagReason: { type: 'string', nullable: true, maxLength: 500 },
+        flaggedAt: { type: 'date', nullable: true },
+        flaggedBy: { type: 'string', nullable: true },
+        deletedAt: { type: 'date', nullable: true }
+    },
+    check: (record) => (
+        record.redirectType === undefined || record.redirectType === null || record.redirectType === ''
+            || REDIRECT_TYPES.includes(Number(record.redirectType))
+            ? []
+            : [{ field: 'redirectType', code: ERROR_CODES.INVALID_VALUE, message: redirectType.message }]
+    )
+};
+
+// POST /shorturls/import; allowPermanentRedirect opts every record of the import in to 301/308 redirects
+const importQuery = {
+    coerce: true,
+    fields: {
+        allowPermanentRedirect: { type: 'boolean' }
+    }
+};
+
+// --- /admin ---
+
+// POST /admin/apikeys
+const createApiKey = {
+    fields: {
+        name: { type: 'string', required: true, message: 'Key name is required.' },
+        owner: { type: 'string', required: true, message: 'Key owner is required.' },
+        role: { type: 'enum', values: API_KEY_ROLES, message: 'Role must be either "user" or "admin".' }
+    }
+};
+
+// GET /admin/apikeys and GET /admin/domains
+const ownerQuery = {
+    coerce: true,
+    fields: {
+        owner: { type: 'string' }
+    }
+};
+
+// POST /admin/domains; without an owner the domain is shared with every owner
+const createDomain = {
+    fields: {
+        hostname: { type: 'hostname', required: true, message: 'A valid hostname is required, e.g. "go.example.com".' },
+        owner: { type: 'string', nullable: true, pattern: /\S/, message: 'Owner must be a non-empty string or null.' }
+    }
+};
+
+// POST /admin/links/:shortCode/flag; the reason is shown on the warning page
+const flagLink = {
+    fields: {
+        reason: { type: 'string', nullable: true, maxLength: 500, label: 'Reason' }
+    }
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    MAX_BULK_ITEMS,
+    MIN_CODE_LENGTH,
+    MAX_CODE_LENGTH,
+    STORED_CODE_PATTERN,
+    CUSTOM_CODE_PATTERN,
+    CUSTOM_CODE_RULES,
+    UPDATABLE_FIELDS,
+    REDIRECT_TYPES,
+    PERMANENT_REDIRECT_TYPES,
+    PERMANENT_REDIRECT_WARNING,
+    schemas: {
+        shortCodeParams,
+        idParams,
+        createShortUrl,
+        bulkCreate,
+        bulkItem,
+        updateShortUrl,
+        listQuery,
+        statsQuery,
+        analyticsQuery,
+        deleteQuery,
+        linkQuery,
+        exportQuery,
+        qrQuery,
+        importRecord,
+        importQuery,
+        createApiKey,
+        ownerQuery,
+        createDomain,
+        flagLink
+    }
+};
@@ -0,0 +1,39 @@
+// request-schemas/test/schemas.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, schemas, PERMANENT_REDIRECT_WARNING } = require('..');
+
+const codes = (problems) => problems.map(p => [p.field, p.code]);
+
+describe('schemas', () => {
+    it('createShortUrl requires a destination and checks custom shortcodes', () => {
+        assert.deepEqual(validate(schemas.createShortUrl, { url: 'https://example.com', shortcode: 'my-link', validity: 30 }), []);
+        assert.deepEqual(codes(validate(schemas.createShortUrl, { shortcode: 'a--b' })), [['url', 'REQUIRED'], ['shortcode', 'INVALID_SHORTCODE']]);
+        assert.equal(validate(schemas.createShortUrl, { url: 'javascript:alert(1)' })[0].message, 'Only http and https URLs can be shortened.');
+    });
+
+    it('createShortUrl needs allowPermanentRedirect for 301 and 308', () => {
+        const [problem] = validate(schemas.createShortUrl, { url: 'https://example.com', redirectType: 301 });
+        assert.equal(problem.code, 'INVALID_COMBINATION');
+        assert.ok(problem.message.startsWith(PERMANENT_REDIRECT_WARNING));
+        assert.deepEqual(validate(schemas.createShortUrl, { url: 'https://example.com', redirectType: 308, allowPermanentRedirect: true }), []);
+        assert.deepEqual(validate(schemas.createShortUrl, { url: 'https://example.com', redirectType: 307 }), []);
+    });
+
+    it('updateShortUrl needs something to update, and not both expiresAt and validity', () => {
+        assert.deepEqual(codes(validate(schemas.updateShortUrl, {})), [[null, 'REQUIRED']]);
+        assert.deepEqual(codes(validate(schemas.updateShortUrl, { expiresAt: '2030-01-01', validity: 5 })), [['validity', 'INVALID_COMBINATION']]);
+        assert.deepEqual(validate(schemas.updateShortUrl, { password: null, maxClicks: null }), []);
+    });
+
+    it('importRecord takes CSV values as strings and checks redirectType', () => {
+        assert.deepEqual(validate(schemas.importRecord, { shortCode: 'abc', originalUrl: 'https://example.com', maxClicks: '5', redirectType: '307', shortDomain: '' }), []);
+        assert.deepEqual(codes(validate(schemas.importRecord, { shortCode: 'abc', originalUrl: 'https://example.com', redirectType: '303' })), [['redirectType', 'INVALID_VALUE']]);
+        assert.deepEqual(codes(validate(schemas.importRecord, { shortCode: 'a b', originalUrl: 'https://example.com' })), [['shortCode', 'INVALID_SHORTCODE']]);
+    });
+
+    it('listQuery coerces its query string values', () => {
+        assert.deepEqual(validate(schemas.listQuery, { limit: '20' }), []);
+        assert.deepEqual(codes(validate(schemas.listQuery, { limit: 'many' })), [['limit', 'INVALID_TYPE']]);
+    });
+});
@@ -0,0 +1,130 @@
+// request-schemas/test/validate.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, normalizeHostname, isValidUrl, ERROR_CODES } = require('../validate');
+
+describe('validate', () => {
+    const schema = {
+        fields: {
+            name: { type: 'string', required: true, minLength: 2, maxLength: 5, label: 'Name' },
+            count: { type: 'integer', min: 1, max: 10 },
+            note: { type: 'string', nullable: true },
+            tags: { type: 'array', maxItems: 2 },
+            kind: { type: 'enum', values: ['a', 'b'] }
+        }
+    };
+
+    it('accepts a valid input and ignores fields the schema does not list', () => {
+        assert.deepEqual(validate(schema, { name: 'abc', count: 3, note: null, tags: ['x'], kind: 'a', extra: true }), []);
+    });
+
+    it('reports every problem, in the order of the schema\'s fields', () => {
+        assert.deepEqual(validate(schema, { name: 'a', count: 11, tags: [1, 2, 3], kind: 'c' }), [
+            { field: 'name', code: ERROR_CODES.TOO_SHORT, message: 'Name must be at least 2 characters.' },
+            { field: 'count', code: ERROR_CODES.OUT_OF_RANGE, message: 'count must be between 1 and 10.' },
+            { field: 'tags', code: ERROR_CODES.TOO_LONG, message: 'tags may contain at most 2 items.' },
+            { field: 'kind', code: ERROR_CODES.INVALID_VALUE, message: 'kind must be one of: a, b.' }
+        ]);
+    });
+
+    it('tells missing, empty and null values apart', () => {
+        assert.deepEqual(validate(schema, {}).map(p => [p.field, p.code]), [['name', 'REQUIRED']]);
+        assert.deepEqual(validate(schema, { name: '' }).map(p => [p.field, p.code]), [['name', 'REQUIRED']]);
+        assert.deepEqual(validate(schema, { name: null }).map(p => [p.field, p.code]), [['name', 'REQUIRED']]);
+        assert.deepEqual(validate(schema, { name: 'abc', count: null }), [{ field: 'count', code: 'INVALID_TYPE', message: 'count must be an integer.' }]);
+        assert.deepEqual(validate(schema, { name: 'abc', note: 5 }), [{ field: 'note', code: 'INVALID_TYPE', message: 'note must be a string or null.' }]);
+    });
+
+    it('rejects anything but a plain object', () => {
+        [null, [], 'text', 3].forEach((input) => {
+            assert.deepEqual(validate(schema, input), [{ field: null, code: 'INVALID_TYPE', message: 'Expected a JSON object.' }]);
+        });
+    });
+
+    it('applies the rule\'s code, message and messages overrides, but keeps REQUIRED', () => {
+        const overridden = {
+            fields: {
+                code: { type: 'string', required: true, pattern: /^[a-z]+$/, code: 'INVALID_SHORTCODE', message: 'Bad code.', messages: { REQUIRED: 'Code is needed.' } }
+            }
+        };
+        assert.deepEqual(validate(overridden, { code: 'A1' }), [{ field: 'code', code: 'INVALID_SHORTCODE', message: 'Bad code.' }]);
+        assert.deepEqual(validate(overridden, {}), [{ field: 'code', code: 'REQUIRED', message: 'Code is needed.' }]);
+    });
+
+    it('runs check only once the fields are valid', () => {
+        let checked = 0;
+        const withCheck = {
+            fields: { from: { type: 'integer' }, to: { type: 'integer' } },
+            check: (input) => {
+                checked++;
+                return input.from > input.to ? [{ field: 'to', code: ERROR_CODES.INVALID_COMBINATION, message: 'to must not be before from.' }] : [];
+            }
+        };
+        assert.equal(validate(withCheck, { from: 'x', to: 1 }).length, 1);
+        assert.equal(checked, 0);
+        assert.deepEqual(validate(withCheck, { from: 2, to: 1 }).map(p => p.code), ['INVALID_COMBINATION']);
+        assert.equal(checked, 1);
+    });
+
+    it('checks dates, URLs, hostnames and objects', () => {
+        const typed = { fields: { at: { type: 'date' }, url: { type: 'url' }, host: { type: 'hostname' }, options: { type: 'object' } } };
+        assert.deepEqual(validate(typed, { at: '2024-06-01T10:00:00Z', url: 'https://example.com', host: 'Go.Example.com', options: {} }), []);
+        assert.deepEqual(validate(typed, { at: 'yesterday', url: 'ftp://example.com', host: 'not a host', options: [] }).map(p => p.code), [
+            'INVALID_DATE', 'UNSUPPORTED_SCHEME', 'INVALID_FORMAT', 'INVALID_TYPE'
+        ]);
+        assert.deepEqual(validate(typed, { at: true }).map(p => p.code), ['INVALID_DATE']);
+        assert.deepEqual(validate(typed, { at: 1717236000000 }), []);
+    });
+
+    it('throws on an unknown rule type', () => {
+        assert.throws(() => validate({ fields: { x: { type: 'uuid' } } }, { x: 'a' }), /Unknown rule type "uuid"/);
+    });
+});
+
+describe('validate with coerce', () => {
+    const query = { coerce: true, fields: { limit: { type: 'integer', min: 1 }, all: { type: 'boolean' }, q: { type: 'string', required: true } } };
+    const body = { ...query, coerce: false };
+
+    it('accepts integers and booleans in their string form', () => {
+        assert.deepEqual(validate(query, { limit: '20', all: 'true', q: 'x' }), []);
+        assert.deepEqual(validate(query, { limit: '-3', all: 'false', q: 'x' }).map(p => [p.field, p.code]), [['limit', 'OUT_OF_RANGE']]);
+        assert.deepEqual(validate(query, { limit: '2.5', all: 'yes', q: 'x' }).map(p => [p.field, p.code]), [['limit', 'INVALID_TYPE'], ['all', 'INVALID_TYPE']]);
+    });
+
+    it('counts an empty value as absent', () => {
+        assert.deepEqual(validate(query, { limit: '', all: '', q: 'x' }), []);
+        assert.deepEqual(validate(query, { q: '' }).map(p => [p.field, p.code]), [['q', 'REQUIRED']]);
+    });
+
+    it('does not coerce without the flag', () => {
+        assert.deepEqual(validate(body, { limit: '20', all: 'true', q: 'x' }).map(p => [p.field, p.code]), [['limit', 'INVALID_TYPE'], ['all', 'INVALID_TYPE']]);
+    });
+});
+
+describe('isValidUrl', () => {
+    it('accepts absolute http and https URLs', () => {
+        ['http://example.com', 'https://example.com/path?q=1#top', '  https://example.com  ', 'https://xn--bcher-kva.example/ü'].forEach((url) => {
+            assert.equal(isValidUrl(url), true, url);
+        });
+    });
+
+    it('rejects other schemes, relative URLs, whitespace and non-strings', () => {
+        ['javascript:alert(1)', 'data:text/html,hi', 'ftp://example.com', '/relative', 'example.com', 'https://exa mple.com', 'https://', '', null, 42].forEach((url) => {
+            assert.equal(isValidUrl(url), false, String(url));
+        });
+    });
+});
+
+describe('normalizeHostname', () => {
+    it('lowercases and drops the port and trailing dot', () => {
+        assert.equal(normalizeHostname('Go.Example.com:443'), 'go.example.com');
+        assert.equal(normalizeHostname(' go.example.com. '), 'go.example.com');
+        assert.equal(normalizeHostname('localhost'), 'localhost');
+    });
+
+    it('returns null for anything that is not a hostname', () => {
+        ['', '   ', 'https://go.example.com', 'go example.com', 'go_example.com', null, 42].forEach((value) => {
+            assert.equal(normalizeHostname(value), null, String(value));
+        });
+    });
+});
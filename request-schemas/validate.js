@@ -0,0 +1,227 @@
+// request-schemas/validate.js
+// A small declarative validator. It runs in Node.js and in the browser, so the backend and the
+// frontend forms check requests with the same rules and report problems with the same messages.
+//
+// A schema describes one part of a request (body, query string or route params):
+//   { fields: { name: rule, ... }, coerce: true|false, check: (input) => [problem, ...] }
+// coerce is set for query strings and route params, whose values always arrive as strings: numbers
+// and booleans are then accepted in their string form, and an empty value counts as absent.
+// check runs after the fields are valid, for rules that involve more than one field.
+//
+// A rule is { type, required, nullable, label, code, message, messages, ...options of the type }:
+//   string:   minLength, maxLength, pattern
+//   integer:  min, max
+//   boolean, date, hostname, object
+//   url:      an absolute http or https URL
+//   enum:     values
+//   array:    minItems, maxItems
+// label names the field in the default messages. code replaces the error code of every problem but
+// REQUIRED, message replaces every message, and messages replaces the message of specific codes.
+//
+// Every problem is reported as { field, code, message }; field is null for the request as a whole.
+
+const ERROR_CODES = {
+    REQUIRED: 'REQUIRED',
+    INVALID_TYPE: 'INVALID_TYPE',
+    INVALID_FORMAT: 'INVALID_FORMAT',
+    INVALID_VALUE: 'INVALID_VALUE',
+    INVALID_DATE: 'INVALID_DATE',
+    INVALID_URL: 'INVALID_URL',
+    UNSUPPORTED_SCHEME: 'UNSUPPORTED_SCHEME',
+    OUT_OF_RANGE: 'OUT_OF_RANGE',
+    TOO_SHORT: 'TOO_SHORT',
+    TOO_LONG: 'TOO_LONG',
+    INVALID_COMBINATION: 'INVALID_COMBINATION'
+};
+
+// Schemes a destination may use; anything else (javascript:, data:, ftp:, ...) is refused
+const URL_SCHEMES = ['http:', 'https:'];
+
+// How each type is described in "must be ..." messages
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    date: 'a valid date',
+    url: 'a valid URL',
+    hostname: 'a hostname',
+    enum: 'one of the allowed values',
+    array: 'an array',
+    object: 'an object'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Normalizes a hostname: lowercased, without a port or trailing dot.
+ *
+ * @param {*} value - e.g. 'Go.Example.com:443'
+ * @returns {string|null} e.g. 'go.example.com', or null when the value is not a hostname.
+ */
+const normalizeHostname = (value) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    const hostname = value.trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+    return /^[a-z0-9.-]+$/.test(hostname) ? hostname : null;
+};
+
+/**
+ * Checks a destination URL: it must be absolute, use http or https and contain no whitespace.
+ *
+ * @param {*} value - The URL to check.
+ * @returns {'INVALID_URL'|'UNSUPPORTED_SCHEME'|null} What is wrong with it, or null when it is fine.
+ */
+const checkUrl = (value) => {
+    if (typeof value !== 'string' || /\s/.test(value.trim())) {
+        return ERROR_CODES.INVALID_URL;
+    }
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch (e) {
+        return ERROR_CODES.INVALID_URL;
+    }
+    if (!URL_SCHEMES.includes(url.protocol)) {
+        return ERROR_CODES.UNSUPPORTED_SCHEME;
+    }
+    return url.hostname ? null : ERROR_CODES.INVALID_URL;
+};
+
+/**
+ * Tells whether a value is an absolute http or https URL.
+ *
+ * @param {*} value - The URL to check.
+ * @returns {boolean}
+ */
+const isValidUrl = (value) => checkUrl(value) === null;
+
+// Helper function to build the default message of a problem
+const defaultMessage = (code, label, rule) => {
+    switch (code) {
+        case ERROR_CODES.REQUIRED:
+            return `${label} is required.`;
+        case ERROR_CODES.INVALID_TYPE:
+            return `${label} must be ${TYPE_NAMES[rule.type]}${rule.nullable ? ' or null' : ''}.`;
+        case ERROR_CODES.INVALID_VALUE:
+            return `${label} must be one of: ${rule.values.join(', ')}.`;
+        case ERROR_CODES.INVALID_DATE:
+            return `${label} must be a valid date.`;
+        case ERROR_CODES.INVALID_URL:
+            return `${label} must be a valid URL.`;
+        case ERROR_CODES.UNSUPPORTED_SCHEME:
+            return `${label} must be an http or https URL.`;
+        case ERROR_CODES.OUT_OF_RANGE:
+            if (rule.min !== undefined && rule.max !== undefined) {
+                return `${label} must be between ${rule.min} and ${rule.max}.`;
+            }
+            return rule.min !== undefined ? `${label} must be at least ${rule.min}.` : `${label} must be at most ${rule.max}.`;
+        case ERROR_CODES.TOO_SHORT:
+            return rule.type === 'array'
+                ? `${label} must contain at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}.`
+                : `${label} must be at least ${rule.minLength} characters.`;
+        case ERROR_CODES.TOO_LONG:
+            return rule.type === 'array'
+                ? `${label} may contain at most ${rule.maxItems} items.`
+                : `${label} must be at most ${rule.maxLength} characters.`;
+        default:
+            return `${label} is invalid.`;
+    }
+};
+
+// Helper function to check a present (non-null) value against the type of its rule.
+// Returns the error code of the first problem found, or null.
+const checkType = (rule, value, coerce) => {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return ERROR_CODES.INVALID_TYPE;
+            if (rule.minLength !== undefined && value.length < rule.minLength) return ERROR_CODES.TOO_SHORT;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return ERROR_CODES.TOO_LONG;
+            if (rule.pattern && !rule.pattern.test(value)) return ERROR_CODES.INVALID_FORMAT;
+            return null;
+        case 'integer': {
+            const number = coerce && typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+            if (!Number.isInteger(number)) return ERROR_CODES.INVALID_TYPE;
+            if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                return ERROR_CODES.OUT_OF_RANGE;
+            }
+            return null;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean' || (coerce && (value === 'true' || value === 'false'))) return null;
+            return ERROR_CODES.INVALID_TYPE;
+        case 'date':
+            if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) return ERROR_CODES.INVALID_DATE;
+            return Number.isNaN(new Date(value).getTime()) ? ERROR_CODES.INVALID_DATE : null;
+        case 'url':
+            return checkUrl(value);
+        case 'hostname':
+            return normalizeHostname(value) ? null : ERROR_CODES.INVALID_FORMAT;
+        case 'enum':
+            return rule.values.includes(value) ? null : ERROR_CODES.INVALID_VALUE;
+        case 'array':
+            if (!Array.isArray(value)) return ERROR_CODES.INVALID_TYPE;
+            if (rule.minItems !== undefined && value.length < rule.minItems) return ERROR_CODES.TOO_SHORT;
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) return ERROR_CODES.TOO_LONG;
+            return null;
+        case 'object':
+            return isPlainObject(value) ? null : ERROR_CODES.INVALID_TYPE;
+        default:
+            throw new Error(`Unknown rule type "${rule.type}".`);
+    }
+};
+
+// Helper function to build the reported problem for a field, applying the rule's code and message overrides
+const toProblem = (field, rule, code) => {
+    const reportedCode = code === ERROR_CODES.REQUIRED ? code : (rule.code || code);
+    const message = (rule.messages && rule.messages[code]) || rule.message || defaultMessage(code, rule.label || field, rule);
+    return { field, code: reportedCode, message };
+};
+
+/**
+ * Validates one part of a request against a schema.
+ *
+ * @param {{fields: object, coerce?: boolean, check?: function}} schema - See the top of this file.
+ * @param {*} input - e.g. req.body or req.query.
+ * @returns {Array<{field: string|null, code: string, message: string}>} The problems found, in the
+ *          order of the schema's fields; empty when the input is valid.
+ */
+const validate = (schema, input) => {
+    if (!isPlainObject(input)) {
+        return [{ field: null, code: ERROR_CODES.INVALID_TYPE, message: 'Expected a JSON object.' }];
+    }
+    const problems = [];
+    Object.entries(schema.fields).forEach(([field, rule]) => {
+        const value = input[field];
+        const absent = value === undefined || (schema.coerce && value === '');
+        if (absent || value === null) {
+            if (rule.required && (absent || !rule.nullable)) {
+                problems.push(toProblem(field, rule, ERROR_CODES.REQUIRED));
+            } else if (!absent && !rule.nullable) {
+                problems.push(toProblem(field, rule, ERROR_CODES.INVALID_TYPE));
+            }
+            return;
+        }
+        // A required string must not be empty either
+        if (rule.required && value === '') {
+            problems.push(toProblem(field, rule, ERROR_CODES.REQUIRED));
+            return;
+        }
+        const code = checkType(rule, value, schema.coerce);
+        if (code) {
+            problems.push(toProblem(field, rule, code));
+        }
+    });
+    if (problems.length === 0 && schema.check) {
+        problems.push(...schema.check(input));
+    }
+    return problems;
+};
+
+module.exports = {
+    ERROR_CODES,
+    URL_SCHEMES,
+    validate,
+    normalizeHostname,
+    isValidUrl
+};